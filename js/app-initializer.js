@@ -5,17 +5,33 @@
 import { UIHelpers } from './ui-helpers.js';
 import { EventHandlers } from './event-handlers.js';
 import { TableHandlers } from './table-handlers.js';
+import { FormHandlers } from './form-handlers.js';
 import { ArcheryDataService } from './data-service.js';
+import { ArcherySyncUI } from './sync-ui-components.js';
+import { ArcherySyncService } from './sync-service.js';
+import { ArcheryExportService } from './export-service.js';
 // Bootstrap is loaded globally in the HTML file
 
 // Import all other modules to ensure they're loaded
 import './constants.js';
 import './models.js';
 import './utilities.js';
+import './storage-adapters.js';
+import './migrations.js';
+import './history-service.js';
+import './audit-service.js';
 import './components.js';
 import './ui-renderer.js';
+import './tie-break.js';
+import './team-results.js';
+import './results-engine.js';
 import './export-service.js';
+import './export-formatters.js';
+import './pdf-service.js';
+import './backup-service.js';
 import './debug-helper.js';
+import './sync-merge.js';
+import './sync-backends.js';
 import './sync-service.js';
 import './sync-ui-components.js';
 import './dashboard.js';
@@ -47,6 +63,16 @@ export const AppInitializer = {
     
     // Initialize event listeners
     EventHandlers.initializeEventListeners();
+    EventHandlers.watchActiveCompetition();
+    ArcheryExportService.watchActiveCompetition();
+    FormHandlers.applyRoundToForms();
+    FormHandlers.applyAccessToForms();
+    ArcherySyncUI.initialize();
+    
+    // Reconnect sync without holding up the first render
+    ArcherySyncService.initialize().catch(error => {
+      console.error('Sync initialization error:', error);
+    });
     
     // Initialize UI with data
     try {
@@ -0,0 +1,198 @@
+/**
+ * Audit Service for Archery Competition Tracker
+ * Turns data changes into append-only audit log entries: who changed which field, and when
+ */
+import { DB, AUDIT } from './constants.js';
+import { AppState } from './utilities.js';
+
+export const ArcheryAuditService = {
+  // Name of this device, stored in the settings store so entries from different devices can be told apart
+  deviceLabel: '',
+  
+  // Note added to entries while a tagged action is running, e.g. "Undo" or "Sync"
+  note: null,
+  
+  /**
+   * Set the name entries made on this device are labelled with
+   * @param {string} label - Device name, e.g. "Scoring laptop"
+   */
+  setDeviceLabel: function(label) {
+    this.deviceLabel = (label || '').trim();
+  },
+  
+  /**
+   * Create a default device label for a device that doesn't have one yet
+   * @returns {string} Label such as "Device 4f2a"
+   */
+  generateDeviceLabel: function() {
+    return `Device ${Math.random().toString(16).slice(2, 6)}`;
+  },
+  
+  /**
+   * Describe who is making changes: the signed-in user, if any, and this device
+   * @returns {string} Label such as "jane@example.com (Scoring laptop)"
+   */
+  getChangedBy: function() {
+    const user = AppState.getState().currentUser;
+    const userLabel = user ? (user.displayName || user.email || '') : '';
+    
+    if (userLabel && this.deviceLabel) {
+      return `${userLabel} (${this.deviceLabel})`;
+    }
+    return userLabel || this.deviceLabel || 'Unknown device';
+  },
+  
+  /**
+   * Run data changes with a note attached to their audit entries
+   * @param {string} note - Note to add, e.g. "Undo"
+   * @param {Function} action - Async function making the changes
+   * @returns {Promise} Promise resolving to the action's result
+   */
+  tagged: async function(note, action) {
+    const previous = this.note;
+    this.note = note;
+    try {
+      return await action();
+    } finally {
+      this.note = previous;
+    }
+  },
+  
+  /**
+   * Build audit entries for a set of changes
+   * New and deleted records get a single entry; updates get one entry per changed field
+   * @param {Array} changes - Changes as { store, key, before, after }, as recorded in the history
+   * @returns {Array} Audit entries ready to add to the audit log store
+   */
+  createEntries: function(changes) {
+    const timestamp = new Date().toISOString();
+    const changedBy = this.getChangedBy();
+    const entries = [];
+    
+    changes.forEach(change => {
+      // The log doesn't audit itself, and settings are device preferences rather than results
+      if (change.store === DB.STORES.AUDIT_LOG || change.store === DB.STORES.SETTINGS) return;
+      
+      const record = change.after || change.before;
+      if (!record) return;
+      
+      const base = {
+        entity: this.getEntity(change.store, change.key),
+        entityType: change.store,
+        entityKey: change.key,
+        entityName: record.name || String(change.key),
+        competitionId: this.getCompetitionId(change.store, record),
+        timestamp,
+        changedBy,
+        note: this.note
+      };
+      
+      if (!change.before) {
+        entries.push({ ...base, action: AUDIT.ACTIONS.CREATE, field: null, oldValue: null, newValue: this.snapshot(change.after) });
+      } else if (!change.after) {
+        // Removing a record that was already in the recycle bin purges it
+        const action = change.before.deletedAt ? AUDIT.ACTIONS.PURGE : AUDIT.ACTIONS.DELETE;
+        entries.push({ ...base, action, field: null, oldValue: this.snapshot(change.before), newValue: null });
+      } else if (!change.before.deletedAt !== !change.after.deletedAt) {
+        // Moving a record into or out of the recycle bin is logged as a delete or restore, not a field edit
+        const action = change.after.deletedAt ? AUDIT.ACTIONS.DELETE : AUDIT.ACTIONS.RESTORE;
+        entries.push({ ...base, action, field: null, oldValue: this.snapshot(change.before), newValue: this.snapshot(change.after) });
+      } else {
+        this.getFieldChanges(change.before, change.after).forEach(fieldChange => {
+          entries.push({ ...base, action: AUDIT.ACTIONS.UPDATE, ...fieldChange });
+        });
+      }
+    });
+    
+    return entries;
+  },
+  
+  /**
+   * Get the fields whose values differ between two versions of a record
+   * Nested values are compared down to lists of plain values, so a scoresheet edit
+   * is logged per target (e.g. "scoresheet.day1.4") rather than as the whole sheet
+   * @param {Object} before - Record before the change
+   * @param {Object} after - Record after the change
+   * @returns {Array} Changes as { field, oldValue, newValue }
+   */
+  getFieldChanges: function(before, after) {
+    const changes = [];
+    const isLeaf = value => value === null || typeof value !== 'object' ||
+      (Array.isArray(value) && value.every(item => item === null || typeof item !== 'object'));
+    
+    const compare = (oldValue, newValue, field) => {
+      if (!isLeaf(oldValue) && !isLeaf(newValue) && Array.isArray(oldValue) === Array.isArray(newValue)) {
+        const keys = new Set([...Object.keys(oldValue), ...Object.keys(newValue)]);
+        keys.forEach(key => compare(oldValue[key], newValue[key], `${field}.${key}`));
+      } else if (JSON.stringify(this.snapshot(oldValue)) !== JSON.stringify(this.snapshot(newValue))) {
+        changes.push({ field, oldValue: this.snapshot(oldValue), newValue: this.snapshot(newValue) });
+      }
+    };
+    
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+    fields.forEach(field => {
+      if (!AUDIT.IGNORED_FIELDS.includes(field)) {
+        compare(before[field], after[field], field);
+      }
+    });
+    return changes;
+  },
+  
+  /**
+   * Get the key entries for one record are indexed under
+   * @param {string} store - Store the record lives in
+   * @param {*} key - Record key
+   * @returns {string} Entity key, e.g. "archers:12"
+   */
+  getEntity: function(store, key) {
+    return `${store}:${key}`;
+  },
+  
+  /**
+   * Get the competition a record belongs to
+   * @param {string} store - Store the record lives in
+   * @param {Object} record - The record
+   * @returns {number|null} Competition ID, or null for records outside any competition
+   */
+  getCompetitionId: function(store, record) {
+    if (store === DB.STORES.COMPETITIONS) return record.id;
+    return record.competitionId !== undefined ? record.competitionId : null;
+  },
+  
+  /**
+   * Copy a value so the entry keeps it as it was, even if the record is edited later
+   * @param {*} value - Value to copy
+   * @returns {*} Copied value; null for undefined so it survives storage
+   */
+  snapshot: function(value) {
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+  },
+  
+  /**
+   * Format a logged value for display
+   * @param {*} value - Old or new value of an entry
+   * @returns {string} Readable value
+   */
+  formatValue: function(value) {
+    if (value === null || value === undefined || value === '') return '';
+    if (Array.isArray(value)) return value.map(item => item === null ? '' : item).join(', ');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  },
+  
+  /**
+   * Describe an entry's change in a few words
+   * @param {Object} entry - Audit entry
+   * @returns {string} Description such as "day1" or "Created"
+   */
+  describeChange: function(entry) {
+    if (entry.action === AUDIT.ACTIONS.CREATE) return 'Created';
+    if (entry.action === AUDIT.ACTIONS.DELETE) return 'Deleted';
+    if (entry.action === AUDIT.ACTIONS.RESTORE) return 'Restored';
+    if (entry.action === AUDIT.ACTIONS.PURGE) return 'Permanently deleted';
+    return entry.field;
+  }
+};
+
+// Make it available globally
+window.ArcheryAuditService = ArcheryAuditService;
@@ -0,0 +1,485 @@
+/**
+ * Backup Service for Archery Competition Tracker
+ * Handles full JSON backups of every store, single-competition packages, and restoring them
+ */
+import { ArcheryDataService } from './data-service.js';
+import { DB, BACKUP, COMPETITION_PACKAGE, ERRORS } from './constants.js';
+import { Logger } from './utilities.js';
+import { Archer, SavedCompetitor } from './models.js';
+
+export const ArcheryBackupService = {
+  /**
+   * Get the names of all stores included in a backup
+   * The sync outbox belongs to this device's connection, so it is never backed up or restored
+   * @returns {Array} Store names
+   */
+  getStoreNames: function() {
+    return Object.values(DB.STORES).filter(storeName => storeName !== DB.STORES.SYNC_OUTBOX);
+  },
+  
+  /**
+   * Create a versioned backup of the whole database
+   * @returns {Promise<Object>} Promise resolving to the backup object
+   */
+  createBackup: function() {
+    return ArcheryDataService.getStoreRecords(this.getStoreNames()).then(stores => ({
+      format: BACKUP.FORMAT,
+      version: BACKUP.VERSION,
+      schemaVersion: DB.VERSION,
+      createdAt: new Date().toISOString(),
+      stores: stores
+    }));
+  },
+  
+  /**
+   * Create a backup and download it as a JSON file
+   * @returns {Promise<Object>} Promise resolving to result object with record counts
+   */
+  downloadBackup: function() {
+    return this.createBackup().then(backup => {
+      const fileName = `ArcheryTracker_Backup_${backup.createdAt.slice(0, 10)}.json`;
+      this.saveJsonFile(backup, fileName);
+      
+      Logger.info('Backup created:', fileName);
+      return { success: true, fileName, counts: this.countRecords(backup) };
+    });
+  },
+  
+  /**
+   * Download an object as a JSON file
+   * @param {Object} data - Object to save
+   * @param {string} fileName - Name of the file to save
+   */
+  saveJsonFile: function(data, fileName) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    
+    const link = document.createElement('a');
+    link.href = window.URL.createObjectURL(blob);
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    
+    // Cleanup
+    setTimeout(function() {
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(link.href);
+    }, 100);
+  },
+  
+  /**
+   * Count the records of each store in a backup
+   * @param {Object} backup - Backup object
+   * @returns {Object} Record counts keyed by store name
+   */
+  countRecords: function(backup) {
+    const counts = {};
+    this.getStoreNames().forEach(storeName => {
+      counts[storeName] = (backup.stores[storeName] || []).length;
+    });
+    return counts;
+  },
+  
+  /**
+   * Validate a backup before restoring it
+   * @param {Object} backup - Parsed backup file
+   * @returns {Object} Validation result with isValid and errors
+   */
+  validateBackup: function(backup) {
+    const errors = [];
+    
+    if (!backup || typeof backup !== 'object' || backup.format !== BACKUP.FORMAT) {
+      return { isValid: false, errors: ['This file is not an Archery Tracker backup.'] };
+    }
+    
+    if (!Number.isInteger(backup.version) || backup.version > BACKUP.VERSION) {
+      errors.push(`Backup format version ${backup.version} is not supported; this app reads up to version ${BACKUP.VERSION}.`);
+    }
+    
+    if (!Number.isInteger(backup.schemaVersion) || backup.schemaVersion > DB.VERSION) {
+      errors.push(`The backup was made with database schema ${backup.schemaVersion}, which is newer than this app (schema ${DB.VERSION}).`);
+    }
+    
+    if (!backup.stores || typeof backup.stores !== 'object') {
+      errors.push('The backup does not contain any stores.');
+      return { isValid: false, errors };
+    }
+    
+    this.getStoreNames().forEach(storeName => {
+      const records = backup.stores[storeName];
+      if (records === undefined) return;
+      
+      if (!Array.isArray(records)) {
+        errors.push(`Store "${storeName}" must be a list of records.`);
+        return;
+      }
+      
+      // Saved competitors in backups from before schema 8 have no identityKey; it is made from their name
+      const keyPath = storeName === DB.STORES.SAVED_COMPETITORS ? 'name' : DB.SCHEMA[storeName].keyPath;
+      const missingKeys = records.filter(record => !record || record[keyPath] === undefined || record[keyPath] === null).length;
+      if (missingKeys > 0) {
+        errors.push(`${missingKeys} records in "${storeName}" have no ${keyPath}.`);
+      }
+    });
+    
+    if (!Array.isArray(backup.stores.competitions) || backup.stores.competitions.length === 0) {
+      errors.push('The backup does not contain any competitions.');
+    }
+    
+    return {
+      isValid: errors.length === 0,
+      errors: errors
+    };
+  },
+  
+  /**
+   * Read and validate a backup file
+   * @param {File} file - .json backup file
+   * @returns {Promise<Object>} Promise resolving to result object with the backup
+   */
+  readBackupFile: function(file) {
+    return this.readJsonFile(file, backup => this.validateBackup(backup)).then(result => ({
+      success: true,
+      fileName: result.fileName,
+      backup: result.data,
+      counts: this.countRecords(result.data)
+    }));
+  },
+  
+  /**
+   * Read a JSON file and validate its contents
+   * @param {File} file - .json file
+   * @param {Function} validate - Validator returning { isValid, errors }
+   * @returns {Promise<Object>} Promise resolving to result object with the parsed data
+   */
+  readJsonFile: function(file, validate) {
+    return new Promise((resolve, reject) => {
+      if (!file) {
+        reject({ success: false, message: 'No file selected.' });
+        return;
+      }
+      
+      const reader = new FileReader();
+      
+      reader.onload = (event) => {
+        let data;
+        try {
+          data = JSON.parse(event.target.result);
+        } catch (error) {
+          reject({ success: false, message: 'The file is not valid JSON.' });
+          return;
+        }
+        
+        const validation = validate(data);
+        if (!validation.isValid) {
+          reject({ success: false, message: validation.errors.join('\n') });
+          return;
+        }
+        
+        resolve({ success: true, fileName: file.name, data: data });
+      };
+      
+      reader.onerror = () => {
+        reject({ success: false, message: 'Could not read the file.' });
+      };
+      
+      reader.readAsText(file);
+    });
+  },
+  
+  /**
+   * Build the records to write when merging a backup into existing data
+   * Competitions are matched by name, and archers within their competition by name,
+   * membership number and category;
+   * matched records are overwritten by the backup but keep their existing IDs.
+   * Everything else gets a fresh ID, and archers follow their competition's new ID.
+   * @param {Object} backup - Validated backup object
+   * @param {Object} existing - Current records keyed by store name
+   * @returns {Object} Object with records keyed by store name and a summary of changes
+   */
+  buildMergedRecords: function(backup, existing) {
+    const summary = {
+      competitionsAdded: 0,
+      competitionsMerged: 0,
+      archersAdded: 0,
+      archersUpdated: 0,
+      archersSkipped: 0
+    };
+    
+    const nextId = records => records.reduce((max, record) => Math.max(max, record.id || 0), 0) + 1;
+    
+    // Map backup competition IDs onto the IDs they will have after the merge
+    const competitionIdMap = new Map();
+    let nextCompetitionId = nextId(existing.competitions);
+    const competitions = (backup.stores.competitions || []).map(competition => {
+      const match = existing.competitions.find(c => c.name === competition.name);
+      const id = match ? match.id : nextCompetitionId++;
+      
+      competitionIdMap.set(competition.id, id);
+      summary[match ? 'competitionsMerged' : 'competitionsAdded']++;
+      // Matched records keep their sync ID so other devices still recognise them
+      return { ...competition, id, syncId: match ? match.syncId : competition.syncId };
+    });
+    
+    let nextArcherId = nextId(existing.archers);
+    const archers = [];
+    (backup.stores.archers || []).forEach(archer => {
+      // Archers whose competition isn't in the backup have nothing to attach to
+      if (!competitionIdMap.has(archer.competitionId)) {
+        summary.archersSkipped++;
+        return;
+      }
+      
+      const competitionId = competitionIdMap.get(archer.competitionId);
+      const match = existing.archers.find(a => a.competitionId === competitionId && Archer.isSameEntry(a, archer));
+      
+      archers.push({ ...archer, id: match ? match.id : nextArcherId++, competitionId, syncId: match ? match.syncId : archer.syncId });
+      summary[match ? 'archersUpdated' : 'archersAdded']++;
+    });
+    
+    return {
+      records: {
+        competitions: competitions,
+        archers: archers,
+        savedCompetitors: backup.stores.savedCompetitors || [],
+        settings: this.keepLocalSettings(backup.stores.settings || [], [])
+      },
+      summary: summary
+    };
+  },
+  
+  /**
+   * Swap device-specific records in backed-up settings for this database's own
+   * The schema version and active competition describe this database, not the one the backup came from
+   * @param {Array} settings - Settings records from the backup
+   * @param {Array} currentSettings - Settings records currently stored
+   * @returns {Array} Settings records to write
+   */
+  keepLocalSettings: function(settings, currentSettings) {
+    const isLocal = setting => DB.LOCAL_SETTINGS_KEYS.includes(setting.key);
+    return settings.filter(setting => !isLocal(setting)).concat(currentSettings.filter(isLocal));
+  },
+  
+  /**
+   * Restore a backup
+   * Replace keeps the backup's own IDs; merge remaps them onto the existing data
+   * @param {Object} backup - Backup object
+   * @param {string} mode - BACKUP.MODES.REPLACE or BACKUP.MODES.MERGE
+   * @returns {Promise<Object>} Promise resolving to result object with a summary of changes
+   */
+  restoreBackup: function(backup, mode = BACKUP.MODES.MERGE) {
+    const validation = this.validateBackup(backup);
+    if (!validation.isValid) {
+      return Promise.resolve({ success: false, message: validation.errors.join('\n') });
+    }
+    
+    const storeNames = this.getStoreNames();
+    let summary;
+    let restore;
+    
+    if (mode === BACKUP.MODES.REPLACE) {
+      summary = this.countRecords(backup);
+      restore = ArcheryDataService.getStoreRecords([DB.STORES.SETTINGS]).then(current => {
+        const records = {};
+        storeNames.forEach(storeName => {
+          records[storeName] = backup.stores[storeName] || [];
+        });
+        records.settings = this.keepLocalSettings(records.settings, current.settings);
+        return ArcheryDataService.writeStoreRecords(records, true);
+      });
+    } else {
+      restore = ArcheryDataService.getStoreRecords(storeNames).then(existing => {
+        const merged = this.buildMergedRecords(backup, existing);
+        summary = merged.summary;
+        return ArcheryDataService.writeStoreRecords(merged.records);
+      });
+    }
+    
+    return restore
+      .then(() => ArcheryDataService.reloadActiveCompetition())
+      .then(() => {
+        Logger.info(`Backup restored (${mode}):`, summary);
+        return { success: true, mode, summary };
+      })
+      .catch(error => {
+        console.error('Error restoring backup:', error);
+        return { success: false, message: 'Failed to restore the backup: ' + (error.message || error) };
+      });
+  },
+  
+  /**
+   * Build a package holding one competition, its archers and the saved competitors it uses
+   * @param {number} competitionId - ID of the competition to package
+   * @returns {Promise<Object>} Promise resolving to the competition package
+   */
+  createCompetitionPackage: async function(competitionId) {
+    const competition = await ArcheryDataService.getCompetitionById(competitionId);
+    if (!competition) {
+      throw new Error(ERRORS.COMPETITION_NOT_FOUND);
+    }
+    
+    const archers = await ArcheryDataService.getScoresByCompetition(competitionId);
+    
+    const archerKeys = new Set(archers.map(archer => SavedCompetitor.identityKey(archer)));
+    const savedCompetitors = (await ArcheryDataService.getSavedCompetitors())
+      .filter(competitor => archerKeys.has(SavedCompetitor.identityKey(competitor)));
+    
+    return {
+      format: COMPETITION_PACKAGE.FORMAT,
+      version: COMPETITION_PACKAGE.VERSION,
+      schemaVersion: DB.VERSION,
+      exportedAt: new Date().toISOString(),
+      competition: competition,
+      archers: archers,
+      savedCompetitors: savedCompetitors
+    };
+  },
+  
+  /**
+   * Export a competition package and download it as a JSON file
+   * @param {number} competitionId - ID of the competition to export
+   * @returns {Promise<Object>} Promise resolving to result object
+   */
+  exportCompetition: function(competitionId) {
+    return this.createCompetitionPackage(competitionId).then(competitionPackage => {
+      const safeName = competitionPackage.competition.name.replace(/[^a-z0-9]+/gi, '_');
+      const fileName = `ArcheryTracker_Competition_${safeName}.json`;
+      this.saveJsonFile(competitionPackage, fileName);
+      
+      Logger.info('Competition exported:', fileName);
+      return { success: true, fileName, competition: competitionPackage.competition, count: competitionPackage.archers.length };
+    });
+  },
+  
+  /**
+   * Validate a competition package before importing it
+   * @param {Object} competitionPackage - Parsed package file
+   * @returns {Object} Validation result with isValid and errors
+   */
+  validateCompetitionPackage: function(competitionPackage) {
+    const errors = [];
+    
+    if (!competitionPackage || typeof competitionPackage !== 'object' || competitionPackage.format !== COMPETITION_PACKAGE.FORMAT) {
+      return { isValid: false, errors: ['This file is not an Archery Tracker competition export.'] };
+    }
+    
+    if (!Number.isInteger(competitionPackage.version) || competitionPackage.version > COMPETITION_PACKAGE.VERSION) {
+      errors.push(`Competition export version ${competitionPackage.version} is not supported; this app reads up to version ${COMPETITION_PACKAGE.VERSION}.`);
+    }
+    
+    if (!Number.isInteger(competitionPackage.schemaVersion) || competitionPackage.schemaVersion > DB.VERSION) {
+      errors.push(`The competition was exported with database schema ${competitionPackage.schemaVersion}, which is newer than this app (schema ${DB.VERSION}).`);
+    }
+    
+    const competition = competitionPackage.competition;
+    if (!competition || !competition.name || competition.id === undefined) {
+      errors.push('The file does not contain a competition.');
+    }
+    
+    if (!Array.isArray(competitionPackage.archers) || competitionPackage.archers.some(archer => !archer || !archer.name)) {
+      errors.push('The archers in the file are missing or have no name.');
+    }
+    
+    if (competitionPackage.savedCompetitors !== undefined && !Array.isArray(competitionPackage.savedCompetitors)) {
+      errors.push('The saved competitors in the file must be a list.');
+    }
+    
+    return {
+      isValid: errors.length === 0,
+      errors: errors
+    };
+  },
+  
+  /**
+   * Read and validate a competition package file
+   * Also looks up any existing competition with the same name
+   * @param {File} file - .json competition export
+   * @returns {Promise<Object>} Promise resolving to result object with the package and any clashing competition
+   */
+  readCompetitionPackageFile: function(file) {
+    return this.readJsonFile(file, competitionPackage => this.validateCompetitionPackage(competitionPackage))
+      .then(async result => {
+        const competitions = await ArcheryDataService.getCompetitions();
+        const competition = result.data.competition;
+        
+        return {
+          success: true,
+          fileName: result.fileName,
+          competitionPackage: result.data,
+          clash: competitions.find(c => c.name === competition.name) || null,
+          suggestedName: await ArcheryDataService.getUniqueCompetitionName(competition.name)
+        };
+      });
+  },
+  
+  /**
+   * Import a competition package
+   * On a name clash the package is either imported under a new name or merged into
+   * the existing competition, which keeps its own round and divisions.
+   * Saved competitors are only added when they don't exist yet.
+   * @param {Object} competitionPackage - Validated competition package
+   * @param {Object} options - { mode: COMPETITION_PACKAGE.MODES.RENAME or .MERGE, name: new name when renaming }
+   * @returns {Promise<Object>} Promise resolving to result object with a summary of changes
+   */
+  importCompetitionPackage: async function(competitionPackage, options = {}) {
+    const validation = this.validateCompetitionPackage(competitionPackage);
+    if (!validation.isValid) {
+      return { success: false, message: validation.errors.join('\n') };
+    }
+    
+    const mode = options.mode || COMPETITION_PACKAGE.MODES.RENAME;
+    const existing = await ArcheryDataService.getStoreRecords([
+      DB.STORES.COMPETITIONS, DB.STORES.ARCHERS, DB.STORES.SAVED_COMPETITORS
+    ]);
+    
+    const competition = { ...competitionPackage.competition };
+    if (mode === COMPETITION_PACKAGE.MODES.RENAME && options.name) {
+      competition.name = options.name.trim();
+    }
+    
+    const clash = existing.competitions.find(c => c.name === competition.name);
+    if (clash && mode !== COMPETITION_PACKAGE.MODES.MERGE) {
+      return { success: false, message: `A competition named "${competition.name}" already exists.` };
+    }
+    
+    // A renamed copy is a new competition, so it must not share sync IDs with the original
+    const isCopy = competition.name !== competitionPackage.competition.name;
+    const withoutSyncId = ({ syncId, ...record }) => record;
+    
+    const savedKeys = new Set(existing.savedCompetitors.map(c => SavedCompetitor.identityKey(c)));
+    const merged = this.buildMergedRecords({
+      stores: {
+        competitions: [isCopy ? withoutSyncId(competition) : competition],
+        archers: isCopy ? competitionPackage.archers.map(withoutSyncId) : competitionPackage.archers,
+        savedCompetitors: (competitionPackage.savedCompetitors || []).filter(c => !savedKeys.has(SavedCompetitor.identityKey(c)))
+      }
+    }, existing);
+    
+    // When merging, the local competition's settings win over the imported ones
+    if (clash) {
+      merged.records.competitions = [];
+    }
+    delete merged.records.settings;
+    
+    try {
+      await ArcheryDataService.writeStoreRecords(merged.records);
+      await ArcheryDataService.reloadActiveCompetition();
+    } catch (error) {
+      console.error('Error importing competition:', error);
+      return { success: false, message: 'Failed to import the competition: ' + (error.message || error) };
+    }
+    
+    const competitionId = clash ? clash.id : merged.records.competitions[0].id;
+    Logger.info(`Competition imported (${mode}):`, competition.name, merged.summary);
+    
+    return {
+      success: true,
+      mode: clash ? COMPETITION_PACKAGE.MODES.MERGE : mode,
+      competitionId: competitionId,
+      name: competition.name,
+      summary: merged.summary
+    };
+  }
+};
+
+// Make it available globally
+window.ArcheryBackupService = ArcheryBackupService;
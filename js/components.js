@@ -339,6 +339,7 @@ export const Toast = {
   /**
    * Show a toast notification
    * @param {Object} options - Toast options
+   * @param {Object} options.action - Optional button shown in the toast, as { label, onClick }
    */
   show: function(options = {}) {
     const {
@@ -346,7 +347,8 @@ export const Toast = {
       message = '',
       type = 'primary', // primary, success, danger, warning, info
       duration = 3000,
-      position = 'bottom-end' // top-start, top-center, top-end, bottom-start, bottom-center, bottom-end
+      position = 'bottom-end', // top-start, top-center, top-end, bottom-start, bottom-center, bottom-end
+      action = null
     } = options;
     
     // Use existing toast if available
@@ -361,11 +363,31 @@ export const Toast = {
       // Update toast class for type
       existingToast.className = `toast border-${type}`;
       
-      // Show the toast
-      const toast = bootstrap.Toast.getOrCreateInstance(existingToast, {
+      // Recreate the instance so this toast's duration applies
+      const existingInstance = bootstrap.Toast.getInstance(existingToast);
+      if (existingInstance) {
+        existingInstance.dispose();
+      }
+      const toast = new bootstrap.Toast(existingToast, {
         delay: duration
       });
       
+      // Show or hide the action button
+      const toastActions = document.getElementById('toastActions');
+      const toastActionBtn = document.getElementById('toastActionBtn');
+      if (toastActions && toastActionBtn) {
+        toastActions.classList.toggle('d-none', !action);
+        toastActionBtn.onclick = null;
+        if (action) {
+          toastActionBtn.textContent = action.label;
+          toastActionBtn.onclick = () => {
+            toast.hide();
+            action.onClick();
+          };
+        }
+      }
+      
+      // Show the toast
       toast.show();
       return;
     }
@@ -470,6 +492,23 @@ export const Toast = {
       delay: duration
     });
     
+    // Add the action button
+    if (action) {
+      const actionButton = DOMUtils.createElement('button', {
+        type: 'button',
+        className: 'btn btn-sm btn-primary'
+      }, action.label);
+      
+      actionButton.addEventListener('click', () => {
+        bsToast.hide();
+        action.onClick();
+      });
+      
+      toast.appendChild(DOMUtils.createElement('div', {
+        className: 'toast-body pt-0'
+      }, actionButton));
+    }
+    
     bsToast.show();
     
     // Remove toast after it's hidden
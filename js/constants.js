@@ -33,15 +33,219 @@ export const AGE_RANGES = [
   "11. Cub Female"
 ];
 
+// Category and age-class presets a competition's divisions are seeded from
+export const DIVISION_PRESETS = {
+  ifaa: {
+    id: 'ifaa',
+    name: 'IFAA',
+    categories: CATEGORIES,
+    ageRanges: AGE_RANGES
+  },
+  wa: {
+    id: 'wa',
+    name: 'World Archery',
+    categories: [
+      "01. Recurve (R)",
+      "02. Compound (C)",
+      "03. Barebow (B)"
+    ],
+    ageRanges: [
+      "0. Senior Male",
+      "1. Senior Female",
+      "2. 50+ Male",
+      "3. 50+ Female",
+      "4. U21 Male",
+      "5. U21 Female",
+      "6. U18 Male",
+      "7. U18 Female",
+      "8. U15 Male",
+      "9. U15 Female"
+    ]
+  },
+  novice: {
+    id: 'novice',
+    name: 'Novice',
+    categories: [
+      "01. Novice Recurve",
+      "02. Novice Compound",
+      "03. Novice Barebow",
+      "04. Novice Longbow"
+    ],
+    ageRanges: [
+      "0. Adult Male",
+      "1. Adult Female",
+      "2. Junior Male",
+      "3. Junior Female"
+    ]
+  }
+};
+
+// Preset used for competitions created before divisions were configurable
+export const DEFAULT_DIVISION_PRESET_ID = 'ifaa';
+
+// Day score fields stored on each archer record
+export const SCORING = {
+  DAYS: ['day1', 'day2']
+};
+
+// Round definitions a competition can be shot under
+// maxScore is per day; allowedValues lists every score a single arrow can earn
+export const ROUNDS = {
+  'ifaa-uar': {
+    id: 'ifaa-uar',
+    name: '1x28 UAR',
+    description: 'IFAA Unmarked Animal Round',
+    targets: 28,
+    arrowsPerTarget: 3,
+    allowedValues: [20, 18, 16, 14, 12, 10, 0],
+    maxScore: 560,
+    days: 2
+  },
+  'ifaa-animal': {
+    id: 'ifaa-animal',
+    name: '1x28 Animal',
+    description: 'IFAA Marked Animal Round',
+    targets: 28,
+    arrowsPerTarget: 3,
+    allowedValues: [20, 18, 16, 14, 12, 10, 0],
+    maxScore: 560,
+    days: 2
+  },
+  'ifaa-field': {
+    id: 'ifaa-field',
+    name: '1x28 Field',
+    description: 'IFAA Field Round',
+    targets: 28,
+    arrowsPerTarget: 4,
+    allowedValues: [5, 4, 3, 0],
+    maxScore: 560,
+    days: 2
+  },
+  'ifaa-hunter': {
+    id: 'ifaa-hunter',
+    name: '1x28 Hunter',
+    description: 'IFAA Hunter Round',
+    targets: 28,
+    arrowsPerTarget: 4,
+    allowedValues: [5, 4, 3, 0],
+    maxScore: 560,
+    days: 2
+  },
+  'ifaa-3d': {
+    id: 'ifaa-3d',
+    name: '1x28 3D',
+    description: '3D Round, two arrows with animal scoring',
+    targets: 28,
+    arrowsPerTarget: 2,
+    allowedValues: [20, 18, 16, 14, 12, 10, 0],
+    maxScore: 560,
+    days: 2
+  },
+  'ifaa-indoor': {
+    id: 'ifaa-indoor',
+    name: '1x60 Indoor',
+    description: 'IFAA Indoor Round, 12 ends of 5 arrows',
+    targets: 12,
+    arrowsPerTarget: 5,
+    allowedValues: [5, 4, 3, 2, 1, 0],
+    maxScore: 300,
+    days: 1
+  }
+};
+
+// Round used for competitions created before rounds were configurable
+export const DEFAULT_ROUND_ID = 'ifaa-uar';
+
+// Criteria used to separate archers tied on total score, applied in this order
+export const TIE_BREAK_RULES = {
+  TOP_ARROWS: 'top-arrows',
+  NEXT_ARROWS: 'next-arrows',
+  SHOOT_OFF: 'shoot-off'
+};
+
+export const DEFAULT_TIE_BREAK_RULES = [
+  TIE_BREAK_RULES.TOP_ARROWS,
+  TIE_BREAK_RULES.NEXT_ARROWS,
+  TIE_BREAK_RULES.SHOOT_OFF
+];
+
+// Draws are only resolved for podium places
+export const PODIUM_POSITIONS = 3;
+
+// Ways the Results tab can rank archers
+export const RESULT_VIEWS = {
+  DIVISIONS: 'divisions',
+  OVERALL: 'overall',
+  HANDICAP: 'handicap'
+};
+
+export const RESULT_VIEW_LABELS = {
+  divisions: 'By division',
+  overall: 'Overall by gender',
+  handicap: 'Handicap'
+};
+
+// Overall rankings group archers by the gender named in their age-class label, e.g. "4. Adult Female"
+// Female comes first so its words are matched before the shorter male ones
+export const GENDERS = [
+  { id: 'female', label: 'Ladies', pattern: /\b(female|women|ladies|girls?)\b/i },
+  { id: 'male', label: 'Gents', pattern: /\b(male|men|gents|boys?)\b/i }
+];
+
+// Club team prizes: each club's best archers in the eligible divisions form its team,
+// and the best countingScores of the team's scores make up the team total
+// Empty eligibility lists mean every category or age class takes part
+export const DEFAULT_TEAM_RULES = {
+  enabled: false,
+  teamSize: 3,
+  countingScores: 3,
+  eligibleCategories: [],
+  eligibleAgeRanges: []
+};
+
+// Podium certificates: each {placeholder} in the template is filled in per archer
+export const CERTIFICATE_PLACEHOLDERS = ['name', 'club', 'place', 'division', 'score', 'competition', 'date', 'round'];
+
+export const DEFAULT_CERTIFICATE_TEMPLATE = {
+  title: 'Certificate of Achievement',
+  body: 'This is to certify that\n{name}\n{club}\nplaced {place} in {division}\nwith a score of {score}\nat {competition}, {date}',
+  signature: 'Tournament Organiser'
+};
+
+// PDF documents generated from the results
+export const PDF = {
+  FORMAT: 'a4',
+  UNIT: 'mm',
+  MARGIN: 15,
+  FONT: 'helvetica'
+};
+
+// Names of the built-in export formats registered with ArcheryExportService
+export const EXPORT_FORMATS = {
+  IFAF_EXCEL: 'ifaf-xlsx',
+  CSV_FLAT: 'csv-flat',
+  CSV_GROUPED: 'csv-grouped',
+  JSON: 'json',
+  HTML: 'html'
+};
+
+// Identifies results exported as JSON; bump VERSION when the documented layout changes
+export const RESULTS_EXPORT = {
+  FORMAT: 'archery-tracker-results',
+  VERSION: 1
+};
+
 // Database configuration
 export const DB = {
   NAME: 'ArcheryTrackerDB',
-  VERSION: 4,
+  VERSION: 8,
   STORES: {
     ARCHERS: 'archers',
     SETTINGS: 'settings',
     COMPETITIONS: 'competitions',
-    SAVED_COMPETITORS: 'savedCompetitors'
+    SAVED_COMPETITORS: 'savedCompetitors',
+    AUDIT_LOG: 'auditLog',
+    SYNC_OUTBOX: 'syncOutbox'
   },
   INDEXES: {
     NAME: 'name',
@@ -49,7 +253,108 @@ export const DB = {
     CATEGORY: 'category',
     AGE: 'age',
     CLUB: 'club',
-    LAST_USED: 'lastUsed'
+    LAST_USED: 'lastUsed',
+    ENTITY: 'entity',
+    TIMESTAMP: 'timestamp',
+    SYNC_ID: 'syncId'
+  },
+  // Keys of records in the settings store
+  SETTINGS_KEYS: {
+    SCHEMA_VERSION: 'schemaVersion',
+    ACTIVE_COMPETITION: 'activeCompetitionId',
+    DEVICE_LABEL: 'deviceLabel',
+    RECYCLE_BIN_RETENTION: 'recycleBinRetentionDays',
+    SYNC_CONFIG: 'syncConfig',
+    SYNC_CURSOR: 'syncCursor',
+    SYNC_CONFLICT_RESOLUTION: 'syncConflictResolution',
+    SYNC_CONFLICTS: 'syncConflicts'
+  },
+  // Settings that belong to this device's database and are never taken from a backup
+  LOCAL_SETTINGS_KEYS: ['schemaVersion', 'activeCompetitionId', 'deviceLabel', 'syncConfig', 'syncCursor',
+    'syncConflictResolution', 'syncConflicts'],
+  // Object store layout shared by every storage adapter
+  SCHEMA: {
+    archers: {
+      keyPath: 'id',
+      autoIncrement: true,
+      indexes: {
+        name: { unique: false },
+        competitionId: { unique: false },
+        category: { unique: false },
+        age: { unique: false },
+        club: { unique: false },
+        syncId: { unique: false }
+      }
+    },
+    settings: {
+      keyPath: 'key',
+      autoIncrement: false,
+      indexes: {}
+    },
+    competitions: {
+      keyPath: 'id',
+      autoIncrement: true,
+      indexes: {
+        name: { unique: true },
+        date: { unique: false },
+        syncId: { unique: false }
+      }
+    },
+    savedCompetitors: {
+      keyPath: 'identityKey',
+      autoIncrement: false,
+      indexes: {
+        category: { unique: false },
+        age: { unique: false },
+        club: { unique: false },
+        lastUsed: { unique: false }
+      }
+    },
+    auditLog: {
+      keyPath: 'id',
+      autoIncrement: true,
+      indexes: {
+        entity: { unique: false },
+        competitionId: { unique: false },
+        timestamp: { unique: false }
+      }
+    },
+    syncOutbox: {
+      keyPath: 'id',
+      autoIncrement: true,
+      indexes: {}
+    }
+  },
+  // localStorage keys used when IndexedDB is not available
+  LOCAL_STORAGE_KEYS: {
+    archers: 'archeryScores',
+    settings: 'archerySettings',
+    competitions: 'archeryCompetitions',
+    savedCompetitors: 'savedCompetitors',
+    auditLog: 'archeryAuditLog',
+    syncOutbox: 'archerySyncOutbox'
+  },
+  // localStorage key holding the next auto-increment key of each store
+  LOCAL_STORAGE_KEY_GENERATORS: 'archeryKeyGenerators'
+};
+
+// Full database backup file format
+export const BACKUP = {
+  FORMAT: 'archery-tracker-backup',
+  VERSION: 1,
+  MODES: {
+    REPLACE: 'replace',
+    MERGE: 'merge'
+  }
+};
+
+// Single competition export file format
+export const COMPETITION_PACKAGE = {
+  FORMAT: 'archery-tracker-competition',
+  VERSION: 1,
+  MODES: {
+    RENAME: 'rename',
+    MERGE: 'merge'
   }
 };
 
@@ -62,6 +367,8 @@ export const ERRORS = {
   COMPETITION_ID_REQUIRED: 'Competition ID is required',
   COMPETITION_NOT_FOUND: 'Competition not found',
   ARCHER_NOT_FOUND: 'Archer not found',
+  ACCESS_DENIED: 'Your role in this competition does not allow that',
+  SHARING_UNAVAILABLE: 'Competitions can only be shared through a local sync server. Firebase keeps each account\'s competitions to its own devices',
   INVALID_INDEX: 'Invalid index'
 };
 
@@ -74,14 +381,60 @@ export const UI = {
   POSITION_CLASSES: ['position-1', 'position-2', 'position-3']
 };
 
+// Undo/redo history
+export const HISTORY = {
+  LIMIT: 50,
+  // How long the "Undo" action stays on screen after a delete
+  UNDO_TOAST_DURATION: 6000
+};
+
+// Audit trail of data changes
+export const AUDIT = {
+  ACTIONS: {
+    CREATE: 'create',
+    UPDATE: 'update',
+    DELETE: 'delete',
+    RESTORE: 'restore',
+    PURGE: 'purge'
+  },
+  // Bookkeeping fields that change on every save and are not worth an entry of their own
+  IGNORED_FIELDS: ['id', 'syncId', 'syncRevision', 'syncAncestors', 'syncFields', 'createdAt', 'updatedAt', 'lastUsed']
+};
+
+// Deleted competitions and archers are kept in the recycle bin until restored or purged
+export const RECYCLE_BIN = {
+  // Days a deleted item is kept before it is purged automatically; 0 keeps items until purged by hand
+  DEFAULT_RETENTION_DAYS: 30,
+  RETENTION_OPTIONS: [7, 30, 90, 365, 0]
+};
+
 // Sync related constants
 export const SYNC = {
+  // Transports a device can sync through
+  BACKENDS: {
+    REST: 'rest',
+    FIREBASE: 'firebase'
+  },
+  // Stores shared between devices; archers are keyed by syncId on the wire, saved competitors by name
+  STORES: [DB.STORES.COMPETITIONS, DB.STORES.ARCHERS, DB.STORES.SAVED_COMPETITORS],
+  // Wait before reconnecting a dropped live connection
+  RECONNECT_DELAY: 5000,
+  // Port the reference sync server listens on by default
+  DEFAULT_SERVER_PORT: 8787,
+  // Changes sent to the backend per request when replaying the outbox
+  OUTBOX_BATCH_SIZE: 100,
+  // First retry delay after a failed replay; it doubles with each failure up to the maximum
+  RETRY_DELAY: 2000,
+  MAX_RETRY_DELAY: 5 * 60 * 1000,
+  // Earlier revisions sent along with a record, so a device can tell whether a change was made on top of its copy
+  REVISION_HISTORY: 20,
   CONFLICT_RESOLUTION: {
     REMOTE: 'remote',
     LOCAL: 'local',
     NEWER: 'newer',
     ASK: 'ask'
   },
+  DEFAULT_CONFLICT_RESOLUTION: 'remote',
   STATUS: {
     READY: 'ready',
     SYNCING: 'syncing',
@@ -93,12 +446,61 @@ export const SYNC = {
   }
 };
 
+// Roles a shared competition grants its members, and what each role may do with it
+// A competition nobody has shared yet is open to every device, as before sharing existed
+export const SHARING = {
+  ROLES: {
+    OWNER: 'owner',
+    SCORER: 'scorer',
+    VIEWER: 'viewer'
+  },
+  ROLE_LABELS: {
+    owner: 'Owner',
+    scorer: 'Scorer',
+    viewer: 'Viewer'
+  },
+  ACTIONS: {
+    VIEW: 'view',
+    SCORE: 'score',
+    MANAGE: 'manage',
+    SHARE: 'share'
+  },
+  PERMISSIONS: {
+    owner: ['view', 'score', 'manage', 'share'],
+    scorer: ['view', 'score'],
+    viewer: ['view']
+  }
+};
+
 // For backward compatibility during migration
 export default {
   CATEGORIES,
   AGE_RANGES,
+  DIVISION_PRESETS,
+  DEFAULT_DIVISION_PRESET_ID,
+  SCORING,
+  ROUNDS,
+  DEFAULT_ROUND_ID,
+  TIE_BREAK_RULES,
+  DEFAULT_TIE_BREAK_RULES,
+  PODIUM_POSITIONS,
+  DEFAULT_TEAM_RULES,
+  CERTIFICATE_PLACEHOLDERS,
+  DEFAULT_CERTIFICATE_TEMPLATE,
+  PDF,
+  EXPORT_FORMATS,
+  RESULTS_EXPORT,
+  RESULT_VIEWS,
+  RESULT_VIEW_LABELS,
+  GENDERS,
   DB,
+  BACKUP,
+  COMPETITION_PACKAGE,
   ERRORS,
   UI,
-  SYNC
+  HISTORY,
+  AUDIT,
+  RECYCLE_BIN,
+  SYNC,
+  SHARING
 };
@@ -3,6 +3,11 @@
  * This is a vanilla JavaScript implementation - no React required
  */
 import { ArcheryDataService } from './data-service.js';
+import { Round } from './models.js';
+import { TieBreak } from './tie-break.js';
+import { ResultsEngine } from './results-engine.js';
+import { RESULT_VIEWS } from './constants.js';
+import { AppState } from './utilities.js';
 // Bootstrap is loaded globally in the HTML file
 
 // Initialize dashboard when the page loads
@@ -19,6 +24,13 @@ document.addEventListener('DOMContentLoaded', function() {
       if (dashboardTab.classList.contains('active')) {
         setTimeout(renderDashboard, 200);
       }
+      
+      // Follow the active competition while the dashboard is showing
+      AppState.subscribe((state, changedProps) => {
+        if (changedProps.includes('activeCompetition') && dashboardTab.classList.contains('active')) {
+          renderDashboard();
+        }
+      });
     }
   });
   
@@ -84,6 +96,14 @@ document.addEventListener('DOMContentLoaded', function() {
       // Format date
       const competitionDate = new Date(activeCompetition.date).toLocaleDateString();
       
+      // Division winners after tie-breaks; an unresolved draw lists every tied archer
+      const winners = ResultsEngine.getWinners(ResultsEngine.getStandings(RESULT_VIEWS.DIVISIONS, scores, activeCompetition));
+      
+      // Round details and how close the top score came to the maximum
+      const round = Round.forCompetition(activeCompetition);
+      const maxTotal = round.getMaxTotal();
+      const topScorePercent = maxTotal ? Math.round((highestScore / maxTotal) * 100) : 0;
+      
       // Create the HTML for the dashboard
       dashboardRoot.innerHTML = `
         <div class="dashboard-overview">
@@ -95,7 +115,11 @@ document.addEventListener('DOMContentLoaded', function() {
                 </div>
                 <div class="card-body">
                   <h4 class="h3 mb-3">${activeCompetition.name}</h4>
-                  <p class="text-muted">${competitionDate}</p>
+                  <p class="text-muted mb-1">${competitionDate}</p>
+                  <p class="text-muted">
+                    <i class="bi bi-bullseye me-1"></i>${round.name} - ${round.description}
+                    (max ${round.maxScore}${round.days > 1 ? ` x ${round.days} days` : ''})
+                  </p>
                   
                   <div class="row text-center mt-4">
                     <div class="col-4">
@@ -126,7 +150,7 @@ document.addEventListener('DOMContentLoaded', function() {
                       </div>
                       <div>
                         <div class="fw-bold">${highestScorer}</div>
-                        <div>Score: ${highestScore}</div>
+                        <div>Score: ${highestScore} / ${maxTotal} (${topScorePercent}%)</div>
                       </div>
                     </div>
                   </div>
@@ -148,6 +172,42 @@ document.addEventListener('DOMContentLoaded', function() {
             </div>
           </div>
           
+          <div class="row mb-4">
+            <div class="col-12">
+              <div class="card">
+                <div class="card-header bg-primary text-white">
+                  <h3 class="h5 mb-0">Division Winners</h3>
+                </div>
+                <div class="card-body p-0">
+                  ${winners.length === 0 ? '<p class="p-3 mb-0 text-muted">No scores recorded yet.</p>' : `
+                  <table class="table table-sm mb-0">
+                    <thead>
+                      <tr>
+                        <th scope="col">Division</th>
+                        <th scope="col">Winner</th>
+                        <th scope="col">Score</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      ${winners.map(winner => `
+                        <tr>
+                          <td>${winner.title}</td>
+                          <td>
+                            ${winner.entries.map(entry => entry.archer.name).join(', ')}
+                            ${winner.entries.length > 1 ? '<span class="badge bg-warning text-dark ms-1">Draw</span>' : ''}
+                            ${winner.entries.length === 1 && winner.entries[0].resolvedBy ?
+                              `<span class="badge bg-secondary ms-1">${TieBreak.describeRule(winner.entries[0].resolvedBy, round)}</span>` : ''}
+                          </td>
+                          <td>${winner.entries[0].archer.total}</td>
+                        </tr>
+                      `).join('')}
+                    </tbody>
+                  </table>`}
+                </div>
+              </div>
+            </div>
+          </div>
+          
           <div class="row">
             <div class="col-12">
               <div class="card">
@@ -1,249 +1,229 @@
 /**
  * Archery Data Service
- * Handles all data operations using IndexedDB for improved storage and performance
+ * Handles all data operations through a storage adapter (IndexedDB, localStorage or in-memory)
  */
-import { CATEGORIES, AGE_RANGES, DB, ERRORS } from './constants.js';
-import { Logger, ErrorHandler } from './utilities.js';
+import { DB, ERRORS, DEFAULT_ROUND_ID, DEFAULT_DIVISION_PRESET_ID, RECYCLE_BIN, SYNC, SHARING } from './constants.js';
+import { Logger, ErrorHandler, AppState } from './utilities.js';
+import { Archer, Round, Competition, SavedCompetitor } from './models.js';
+import { IndexedDBStorage, LocalStorageStorage, MemoryStorage } from './storage-adapters.js';
+import { ArcheryHistoryService } from './history-service.js';
+import { ArcheryAuditService } from './audit-service.js';
+import { ArcherySyncMerge } from './sync-merge.js';
 
-export const ArcheryDataService = {
-  // Configuration data - using constants
-  categories: CATEGORIES,
-  ageRanges: AGE_RANGES,
+/**
+ * Check whether a record is in the recycle bin
+ * @param {Object} record - Competition or archer record
+ * @returns {boolean} True if the record has been deleted
+ */
+const isDeleted = record => !!(record && record.deletedAt);
+
+/**
+ * Copy a record without its deletion marker
+ * @param {Object} record - Deleted record
+ * @returns {Object} Record as it was before it was deleted
+ */
+const withoutDeletedAt = record => {
+  const { deletedAt, ...restored } = record;
+  return restored;
+};
+
+/**
+ * Create an ID that identifies a record on every device it is synced to
+ * crypto.randomUUID is only available on secure origins, which a venue server on the local network may not be
+ * @returns {string} Random sync ID
+ */
+const createSyncId = () => typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function' ?
+  crypto.randomUUID() :
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Copy a record with the sync revision and access list of the stored record
+ * The revision says which version the other devices have, and sharing is changed on its own rather
+ * than through undo, so restoring older content mustn't roll either of them back
+ * @param {Object} record - Record about to be written
+ * @param {Object|null} current - Record as it is stored now
+ * @returns {Object} Record to write
+ */
+const withCurrentMetadata = (record, current) => {
+  if (!current) {
+    return record;
+  }
   
-  // Database reference
-  db: null,
-  dbName: DB.NAME,
+  const kept = { ...record };
+  if (current.syncRevision !== undefined) {
+    Object.assign(kept, {
+      syncRevision: current.syncRevision,
+      syncAncestors: current.syncAncestors,
+      syncFields: current.syncFields
+    });
+  }
+  if (current.access !== undefined) {
+    kept.access = current.access;
+  }
+  return kept;
+};
+
+/**
+ * Get the write that makes a change
+ * A change without a key is a new record the store gives a key to
+ * @param {Object} change - Change as { store, key, before, after }
+ * @returns {Object} Storage batch operation
+ */
+const changeOperation = change => {
+  if (!change.after) {
+    return { type: 'delete', store: change.store, key: change.key };
+  }
+  return { type: change.key === undefined ? 'add' : 'put', store: change.store, record: change.after };
+};
+
+export const ArcheryDataService = {
+  // Storage adapter all reads and writes go through
+  storage: null,
   
   // Active competition reference
   activeCompetition: null,
   
+  // Whether changes are queued for sync; only while this device is connected, so the outbox can't grow forever
+  syncOutboxEnabled: false,
+  
   /**
    * Initialize the database
    * @returns {Promise} Promise that resolves when DB is ready
    */
   initDatabase: function() {
-    return new Promise((resolve, reject) => {
-      // Check if IndexedDB is supported
-      if (!window.indexedDB) {
-        Logger.warn('IndexedDB not supported, falling back to localStorage');
-        this.useLocalStorage = true;
-        resolve();
-        return;
-      }
-      
-      this.useLocalStorage = false;
-      Logger.info('Initializing IndexedDB...');
-      
-      // Update DB version to trigger onupgradeneeded
-      const dbVersion = 4;
-      const request = indexedDB.open(this.dbName, dbVersion);
-      
-      // Handle database upgrades/creation
-      request.onupgradeneeded = (event) => {
-        Logger.info('Database upgrade needed, creating object stores...');
-        const db = event.target.result;
-        
-        // Create archers object store if it doesn't exist
-        if (!db.objectStoreNames.contains('archers')) {
-          Logger.info('Creating archers store...');
-          const archerStore = db.createObjectStore('archers', { keyPath: 'id', autoIncrement: true });
-          
-          // Create indexes for faster searching
-          archerStore.createIndex('name', 'name', { unique: false });
-          archerStore.createIndex('competitionId', 'competitionId', { unique: false });
-          archerStore.createIndex('category', 'category', { unique: false });
-          archerStore.createIndex('age', 'age', { unique: false });
-          archerStore.createIndex('club', 'club', { unique: false });
-        } else if (event.oldVersion < 3) {
-          // In version 3, add id as primary key instead of name for archers (to allow same name in different competitions)
-          // And add competitionId field to associate archers with competitions
-          
-          // We need to get existing data, delete the store, recreate it, and reinsert data
-          const transaction = event.target.transaction;
-          const oldStore = transaction.objectStore('archers');
-          const getAllRequest = oldStore.getAll();
-          
-          getAllRequest.onsuccess = () => {
-            const archersData = getAllRequest.result;
-            
-            // Delete old store
-            db.deleteObjectStore('archers');
-            
-            // Create new store with updated schema
-            const newStore = db.createObjectStore('archers', { keyPath: 'id', autoIncrement: true });
-            
-            // Create indexes for faster searching
-            newStore.createIndex('name', 'name', { unique: false });
-            newStore.createIndex('competitionId', 'competitionId', { unique: false });
-            newStore.createIndex('category', 'category', { unique: false });
-            newStore.createIndex('age', 'age', { unique: false });
-            newStore.createIndex('club', 'club', { unique: false });
-            
-            // Add back the data with default competitionId = 1 (for existing data)
-            if (archersData && archersData.length > 0) {
-              // Get new transaction since schema changed
-              const newTx = db.transaction(['archers'], 'readwrite');
-              const store = newTx.objectStore('archers');
-              
-              archersData.forEach(archer => {
-                // Add competitionId to existing data
-                archer.competitionId = 1;
-                store.add(archer);
-              });
-            }
-          };
+    return this.openStorage()
+      .then(() => this.storage.name === 'indexedDB' ? this.migrateFromLocalStorage() : null)
+      .then(() => this.loadDeviceLabel())
+      .then(() => this.loadSyncOutboxState())
+      .then(() => this.purgeExpired())
+      .then(() => Promise.all([
+        this.getCompetitions(),
+        this.getSetting(DB.SETTINGS_KEYS.ACTIVE_COMPETITION)
+      ]))
+      .then(([competitions, savedId]) => {
+        // Pick up the competition that was active when the app was last used
+        const saved = competitions.find(c => c.id === savedId);
+        if (saved) {
+          return saved;
         }
         
-        // Create settings store for application configuration
-        if (!db.objectStoreNames.contains('settings')) {
-          Logger.info('Creating settings store...');
-          db.createObjectStore('settings', { keyPath: 'key' });
+        // Fall back to the most recent competition if it has since been deleted
+        if (savedId !== null) {
+          Logger.warn(`Saved active competition ${savedId} no longer exists`);
         }
-        
-        // Create competitions store for multiple competitions
-        if (!db.objectStoreNames.contains('competitions')) {
-          Logger.info('Creating competitions store...');
-          const competitionsStore = db.createObjectStore('competitions', { keyPath: 'id', autoIncrement: true });
-          competitionsStore.createIndex('name', 'name', { unique: true });
-          competitionsStore.createIndex('date', 'date', { unique: false });
-          
-          // Add a default competition
-          const defaultCompetition = {
-            name: 'Default Competition',
-            date: new Date().toISOString(),
-            createdAt: new Date().toISOString(),
-            description: 'Default competition created automatically'
-          };
-          
-          const addRequest = competitionsStore.add(defaultCompetition);
-          addRequest.onsuccess = (e) => {
-            const id = e.target.result;
-            Logger.info(`Created default competition with ID: ${id}`);
-          };
+        if (competitions.length > 0) {
+          return competitions[0];
         }
         
-        // Create saved competitors store for reusing competitor data
-        if (!db.objectStoreNames.contains('savedCompetitors')) {
-          Logger.info('Creating saved competitors store...');
-          const savedCompetitorsStore = db.createObjectStore('savedCompetitors', { keyPath: 'name' });
-          savedCompetitorsStore.createIndex('category', 'category', { unique: false });
-          savedCompetitorsStore.createIndex('age', 'age', { unique: false });
-          savedCompetitorsStore.createIndex('club', 'club', { unique: false });
-          savedCompetitorsStore.createIndex('lastUsed', 'lastUsed', { unique: false });
-        }
-      };
-      
-      // Handle successful database open
-      request.onsuccess = (event) => {
-        this.db = event.target.result;
-        Logger.info('Database initialized successfully');
+        // Create a default competition if none exists; there is nothing for the user to undo
+        return ArcheryHistoryService.untracked(() => this.createCompetition({
+          name: 'Default Competition',
+          date: new Date().toISOString(),
+          description: 'Default competition created automatically'
+        })).then(competitionId => this.getCompetitionById(competitionId));
+      })
+      .then(competition => this.applyActiveCompetition(competition))
+      .then(competition => {
+        Logger.info('Set active competition:', competition);
+      })
+      .catch(error => {
+        console.error('Error setting active competition:', error);
+        // Resolve anyway to allow app to continue
+      });
+  },
+  
+  /**
+   * Open the best available storage: IndexedDB, then localStorage, then memory
+   * @returns {Promise} Promise that resolves when storage is ready
+   */
+  openStorage: function() {
+    if (this.storage) {
+      return Promise.resolve();
+    }
+    
+    const candidates = [
+      () => new IndexedDBStorage(),
+      () => new LocalStorageStorage(),
+      () => new MemoryStorage()
+    ];
+    
+    return candidates.reduce((promiseChain, createAdapter) => {
+      return promiseChain.then(opened => {
+        if (opened) return opened;
         
-        // Check if we need to migrate from localStorage
-        this.migrateFromLocalStorage().then(() => {
-          // Set active competition to the first one by default
-          this.getCompetitions().then(competitions => {
-            if (competitions.length > 0) {
-              this.activeCompetition = competitions[0];
-              Logger.info('Set active competition:', this.activeCompetition);
-            } else {
-              // Create a default competition if none exists
-              this.createCompetition({
-                name: 'Default Competition',
-                date: new Date().toISOString(),
-                description: 'Default competition created automatically'
-              }).then(competitionId => {
-                return this.getCompetitionById(competitionId);
-              }).then(competition => {
-                this.activeCompetition = competition;
-                Logger.info('Created and set active competition:', this.activeCompetition);
-              });
-            }
-            resolve();
-          }).catch(error => {
-            console.error('Error setting active competition:', error);
-            resolve(); // Resolve anyway to allow app to continue
+        const adapter = createAdapter();
+        return adapter.open()
+          .then(() => adapter)
+          .catch(error => {
+            Logger.warn(`${adapter.name} storage unavailable, trying the next option:`, error);
+            return null;
           });
-        });
-      };
-      
-      // Handle errors
-      request.onerror = (event) => {
-        Logger.error('Database error:', event.target.error);
-        // Fall back to localStorage on error
-        this.useLocalStorage = true;
-        reject(event.target.error);
-      };
+      });
+    }, Promise.resolve(null)).then(adapter => {
+      this.storage = adapter;
+      Logger.info(`Using ${adapter.name} storage`);
     });
   },
   
+  /**
+   * Use an already opened storage adapter, e.g. in-memory storage for tests
+   * @param {StorageAdapter} adapter - Opened storage adapter
+   */
+  useStorage: function(adapter) {
+    this.storage = adapter;
+    this.activeCompetition = null;
+  },
+  
   /**
    * Migrate data from localStorage if needed
    * @returns {Promise} Promise that resolves when migration is complete
    */
   migrateFromLocalStorage: function() {
-    return new Promise((resolve) => {
-      // Check if we have data in localStorage
-      const localData = localStorage.getItem('archeryScores');
-      if (!localData) {
-        Logger.info('No localStorage data to migrate');
-        resolve();
-        return;
+    // Check if we have data in localStorage
+    const localData = localStorage.getItem(DB.LOCAL_STORAGE_KEYS[DB.STORES.ARCHERS]);
+    if (!localData) {
+      Logger.info('No localStorage data to migrate');
+      return Promise.resolve();
+    }
+    
+    let archers;
+    try {
+      archers = JSON.parse(localData);
+    } catch (error) {
+      console.error('Error parsing localStorage data:', error);
+      return Promise.resolve(); // Resolve anyway so the app can continue
+    }
+    
+    if (!archers.length) {
+      return Promise.resolve();
+    }
+    
+    Logger.info(`Migrating ${archers.length} archers from localStorage...`);
+    
+    // First, ensure we have a default competition
+    return this.getCompetitions().then(competitions => {
+      if (competitions.length > 0) {
+        return competitions[0].id;
       }
       
-      // Parse the data
-      try {
-        const archers = JSON.parse(localData);
-        if (!archers.length) {
-          resolve();
-          return;
-        }
-        
-        Logger.info(`Migrating ${archers.length} archers from localStorage...`);
-        
-        // First, ensure we have a default competition
-        this.getCompetitions().then(competitions => {
-          let competitionId = competitions.length > 0 ? competitions[0].id : null;
-          
-          if (!competitionId) {
-            // Create a default competition
-            return this.createCompetition({
-              name: 'Default Competition',
-              date: new Date().toISOString(),
-              description: 'Migrated from localStorage'
-            });
-          }
-          
-          return competitionId;
-        }).then(competitionId => {
-          // Start a transaction
-          const transaction = this.db.transaction(['archers'], 'readwrite');
-          const store = transaction.objectStore('archers');
-          
-          // Add each archer to the database
-          archers.forEach(archer => {
-            // Add competitionId before saving
-            archer.competitionId = competitionId;
-            store.add(archer);
-          });
-          
-          // Handle transaction completion
-          transaction.oncomplete = () => {
-            Logger.info('Migration complete. Clearing localStorage data.');
-            // Optionally clear localStorage to avoid duplication
-            localStorage.removeItem('archeryScores');
-            resolve();
-          };
-          
-          // Handle transaction error
-          transaction.onerror = (event) => {
-            console.error('Migration error:', event.target.error);
-            resolve(); // Resolve anyway so the app can continue
-          };
-        });
-      } catch (error) {
-        console.error('Error parsing localStorage data:', error);
-        resolve(); // Resolve anyway so the app can continue
-      }
+      return this.createCompetition({
+        name: 'Default Competition',
+        date: new Date().toISOString(),
+        description: 'Migrated from localStorage'
+      });
+    }).then(competitionId => {
+      // Archers get new IDs so they can't collide with ones already in the database
+      return this.storage.batch(archers.map(archer => {
+        const { id, ...record } = archer;
+        return { type: 'add', store: DB.STORES.ARCHERS, record: { ...record, competitionId } };
+      }));
+    }).then(() => {
+      Logger.info('Migration complete. Clearing localStorage data.');
+      // Clear localStorage to avoid duplication
+      localStorage.removeItem(DB.LOCAL_STORAGE_KEYS[DB.STORES.ARCHERS]);
+    }).catch(error => {
+      console.error('Migration error:', error);
+      // Resolve anyway so the app can continue
     });
   },
   
@@ -261,127 +241,51 @@ export const ArcheryDataService = {
     
     // Add timestamps
     competition.createdAt = new Date().toISOString();
+    if (!competition.syncId) {
+      competition.syncId = createSyncId();
+    }
     if (!competition.date) {
       competition.date = new Date().toISOString();
     }
-    
-    // Use localStorage if IndexedDB is not available
-    if (this.useLocalStorage) {
-      const competitions = JSON.parse(localStorage.getItem('archeryCompetitions') || '[]');
-      competition.id = competitions.length > 0 ? Math.max(...competitions.map(c => c.id)) + 1 : 1;
-      competitions.push(competition);
-      localStorage.setItem('archeryCompetitions', JSON.stringify(competitions));
-      return Promise.resolve(competition.id);
+    if (!competition.roundId) {
+      competition.roundId = DEFAULT_ROUND_ID;
     }
     
-    return new Promise((resolve, reject) => {
-      if (!this.db) {
-        console.error('Database not initialized');
-        reject(new Error('Database not initialized'));
-        return;
-      }
-      
-      try {
-        const transaction = this.db.transaction(['competitions'], 'readwrite');
-        const store = transaction.objectStore('competitions');
-        
-        const request = store.add(competition);
-        
-        request.onsuccess = (event) => {
-          const id = event.target.result;
-          resolve(id);
-        };
-        
-        request.onerror = (event) => {
-          console.error('Error creating competition:', event.target.error);
-          reject(event.target.error);
-        };
-      } catch (error) {
-        console.error('Transaction error in createCompetition:', error);
-        reject(error);
-      }
+    // Seed categories and age classes from the default preset if none were given
+    Object.assign(competition, Competition.getDivisions(competition));
+    
+    // The unique name index rejects a competition whose name is already taken
+    return this.recordChange(`Create ${competition.name}`, [
+      { store: DB.STORES.COMPETITIONS, before: null, after: competition }
+    ]).then(([id]) => {
+      competition.id = id;
+      return id;
+    }).catch(error => {
+      console.error('Error creating competition:', error);
+      throw error;
     });
   },
   
   /**
    * Get all competitions
-   * @returns {Promise<Array>} Promise resolving to array of competition objects
+   * @param {boolean} includeDeleted - Whether to include competitions in the recycle bin
+   * @returns {Promise<Array>} Promise resolving to array of competition objects, most recent first
    */
-  getCompetitions: function() {
-    // Use localStorage if IndexedDB is not available
-    if (this.useLocalStorage) {
-      const competitions = JSON.parse(localStorage.getItem('archeryCompetitions') || '[]');
-      return Promise.resolve(competitions);
-    }
-    
-    return new Promise((resolve, reject) => {
-      if (!this.db) {
-        console.error('Database not initialized. Returning empty array.');
-        resolve([]);
-        return;
-      }
-      
-      try {
-        const transaction = this.db.transaction(['competitions'], 'readonly');
-        const store = transaction.objectStore('competitions');
-        const request = store.getAll();
-        
-        request.onsuccess = () => {
-          // Sort by date (most recent first)
-          const competitions = request.result || [];
-          competitions.sort((a, b) => new Date(b.date) - new Date(a.date));
-          resolve(competitions);
-        };
-        
-        request.onerror = (event) => {
-          console.error('Error getting competitions:', event.target.error);
-          reject(event.target.error);
-        };
-      } catch (error) {
-        console.error('Transaction error in getCompetitions:', error);
-        resolve([]); // Return empty array on error
-      }
-    });
+  getCompetitions: function(includeDeleted = false) {
+    return this.readRecords(() => this.storage.getAll(DB.STORES.COMPETITIONS), [], 'getCompetitions')
+      .then(competitions => competitions.filter(c => (includeDeleted || !isDeleted(c)) && this.can(c, SHARING.ACTIONS.VIEW)))
+      .then(competitions => competitions.sort((a, b) => new Date(b.date) - new Date(a.date)));
   },
   
   /**
    * Get a competition by ID
    * @param {number} id - ID of the competition to get
-   * @returns {Promise<Object|null>} Promise resolving to competition object or null
+   * @returns {Promise<Object|null>} Promise resolving to competition object, or null if missing, deleted
+   *   or not shared with the signed-in scorekeeper
    */
   getCompetitionById: function(id) {
-    // Use localStorage if IndexedDB is not available
-    if (this.useLocalStorage) {
-      const competitions = JSON.parse(localStorage.getItem('archeryCompetitions') || '[]');
-      const competition = competitions.find(c => c.id === id) || null;
-      return Promise.resolve(competition);
-    }
-    
-    return new Promise((resolve, reject) => {
-      if (!this.db) {
-        console.error('Database not initialized');
-        resolve(null);
-        return;
-      }
-      
-      try {
-        const transaction = this.db.transaction(['competitions'], 'readonly');
-        const store = transaction.objectStore('competitions');
-        const request = store.get(id);
-        
-        request.onsuccess = () => {
-          resolve(request.result || null);
-        };
-        
-        request.onerror = (event) => {
-          console.error('Error getting competition by ID:', event.target.error);
-          reject(event.target.error);
-        };
-      } catch (error) {
-        console.error('Transaction error in getCompetitionById:', error);
-        resolve(null);
-      }
-    });
+    return this.readRecords(() => this.storage.get(DB.STORES.COMPETITIONS, id), null, 'getCompetitionById')
+      .then(competition => isDeleted(competition) || !this.can(competition, SHARING.ACTIONS.VIEW) ? null : competition);
   },
   
   /**
@@ -399,144 +303,269 @@ export const ArcheryDataService = {
     // Add update timestamp
     competition.updatedAt = new Date().toISOString();
     
-    // Use localStorage if IndexedDB is not available
-    if (this.useLocalStorage) {
-      const competitions = JSON.parse(localStorage.getItem('archeryCompetitions') || '[]');
-      const index = competitions.findIndex(c => c.id === competition.id);
+    return this.getCompetitionById(competition.id).then(existing => {
+      if (!existing) {
+        return { success: false, message: ERRORS.COMPETITION_NOT_FOUND };
+      }
+      if (!this.can(existing, SHARING.ACTIONS.MANAGE)) {
+        return Promise.reject(new Error(ERRORS.ACCESS_DENIED));
+      }
+      
+      // The edit form only carries the details, so sync IDs and the access list are kept;
+      // access only changes through shareCompetition and revokeAccess
+      competition = { ...existing, ...competition, access: existing.access };
       
-      if (index >= 0) {
-        competitions[index] = competition;
-        localStorage.setItem('archeryCompetitions', JSON.stringify(competitions));
-        return Promise.resolve({ success: true });
+      return this.recordChange(`Edit ${competition.name}`, [
+        { store: DB.STORES.COMPETITIONS, key: competition.id, before: existing, after: competition }
+      ]).then(() => {
+        // If this is the active competition, update it
+        if (this.activeCompetition && this.activeCompetition.id === competition.id) {
+          return this.applyActiveCompetition(competition);
+        }
+      }).then(() => ({ success: true }));
+    }).catch(error => {
+      console.error('Error updating competition:', error);
+      throw error;
+    });
+  },
+  
+  /**
+   * Move a competition and its archers to the recycle bin
+   * The archers share the competition's deletedAt, so restoring the competition brings back
+   * exactly the archers deleted with it
+   * @param {number} id - ID of the competition to delete
+   * @returns {Promise<Object>} Promise resolving to result object
+   */
+  deleteCompetition: function(id) {
+    // First check if this is the only competition
+    return this.getCompetitions().then(competitions => {
+      if (competitions.length <= 1) {
+        return {
+          success: false,
+          message: 'Cannot delete the only competition. Create a new one first.'
+        };
       }
       
-      return Promise.resolve({ success: false, message: 'Competition not found' });
-    }
-    
-    return new Promise((resolve, reject) => {
-      if (!this.db) {
-        console.error('Database not initialized');
-        reject(new Error('Database not initialized'));
-        return;
+      const competition = competitions.find(c => c.id === id);
+      if (!competition) {
+        return { success: false, message: ERRORS.COMPETITION_NOT_FOUND };
+      }
+      if (!this.can(competition, SHARING.ACTIONS.MANAGE)) {
+        return { success: false, message: ERRORS.ACCESS_DENIED };
       }
       
-      try {
-        const transaction = this.db.transaction(['competitions'], 'readwrite');
-        const store = transaction.objectStore('competitions');
-        
-        const request = store.put(competition);
-        
-        request.onsuccess = () => {
-          // If this is the active competition, update it
-          if (this.activeCompetition && this.activeCompetition.id === competition.id) {
-            this.activeCompetition = competition;
-          }
-          resolve({ success: true });
-        };
-        
-        request.onerror = (event) => {
-          console.error('Error updating competition:', event.target.error);
-          reject(event.target.error);
-        };
-      } catch (error) {
-        console.error('Transaction error in updateCompetition:', error);
-        reject(error);
+      const deletedAt = new Date().toISOString();
+      return this.getScoresByCompetition(id).then(archers => this.softDelete(`Delete ${competition.name}`, [
+        { store: DB.STORES.COMPETITIONS, record: competition },
+        ...archers.map(archer => ({ store: DB.STORES.ARCHERS, record: archer }))
+      ], deletedAt).then(() => {
+        // Move off the deleted competition if it was active
+        if (this.activeCompetition && this.activeCompetition.id === id) {
+          return this.applyActiveCompetition(competitions.find(c => c.id !== id));
+        }
+      })).then(() => ({ success: true }));
+    }).catch(error => {
+      console.error('Error deleting competition:', error);
+      throw error;
+    });
+  },
+  
+  /**
+   * Get a competition name that isn't taken yet
+   * Competition names are unique, so a clashing name is numbered, e.g. "Club Shoot (2)"
+   * @param {string} name - Preferred name
+   * @returns {Promise<string>} Promise resolving to the preferred name or a numbered variant
+   */
+  getUniqueCompetitionName: function(name) {
+    // Competitions in the recycle bin, or not shared with this scorekeeper, still hold their name
+    return this.readRecords(() => this.storage.getAll(DB.STORES.COMPETITIONS), [], 'getUniqueCompetitionName').then(competitions => {
+      const names = new Set(competitions.map(c => c.name));
+      let uniqueName = name;
+      for (let n = 2; names.has(uniqueName); n++) {
+        uniqueName = `${name} (${n})`;
       }
+      return uniqueName;
     });
   },
   
   /**
-   * Delete a competition
-   * @param {number} id - ID of the competition to delete
+   * Get the email of the scorekeeper signed in on this device
+   * @returns {string|null} Normalized email, or null if nobody is signed in
+   */
+  getCurrentUser: function() {
+    const user = AppState.getState().currentUser;
+    return user && user.email ? Competition.userKey(user.email) : null;
+  },
+  
+  /**
+   * Check whether competitions shared from this device reach the other scorekeepers
+   * Firebase keeps each account's records to its own devices, so sharing only works on the local sync server
+   * @returns {boolean} False when signed in to a backend that can't share
+   */
+  canShareCompetitions: function() {
+    const user = AppState.getState().currentUser;
+    return !user || user.sharing !== false;
+  },
+  
+  /**
+   * Get the signed-in scorekeeper's role in a competition
+   * @param {Object} competition - Competition object
+   * @returns {string|null} Role from SHARING.ROLES, or null for no access
+   */
+  getRole: function(competition) {
+    return Competition.getRole(competition, this.getCurrentUser());
+  },
+  
+  /**
+   * Check whether the signed-in scorekeeper may do something with a competition
+   * @param {Object} competition - Competition object
+   * @param {string} action - Action from SHARING.ACTIONS
+   * @returns {boolean} True if their role allows it
+   */
+  can: function(competition, action) {
+    return Competition.can(competition, this.getCurrentUser(), action);
+  },
+  
+  /**
+   * Check access to a competition by ID
+   * Records without a competition, or whose competition is gone, aren't restricted
+   * @param {number|null} competitionId - ID of the competition
+   * @param {string} action - Action from SHARING.ACTIONS
+   * @returns {Promise<boolean>} Promise resolving to true if the action is allowed
+   */
+  hasAccess: function(competitionId, action) {
+    if (competitionId === null || competitionId === undefined) {
+      return Promise.resolve(true);
+    }
+    return this.storage.get(DB.STORES.COMPETITIONS, competitionId)
+      .then(competition => !competition || this.can(competition, action));
+  },
+  
+  /**
+   * Check access to a competition by ID, rejecting if it isn't allowed
+   * @param {number|null} competitionId - ID of the competition
+   * @param {string} action - Action from SHARING.ACTIONS
+   * @returns {Promise} Promise that rejects with ERRORS.ACCESS_DENIED if the action isn't allowed
+   */
+  requireAccess: function(competitionId, action) {
+    return this.hasAccess(competitionId, action).then(allowed => allowed ? undefined : Promise.reject(new Error(ERRORS.ACCESS_DENIED)));
+  },
+  
+  /**
+   * Give a scorekeeper a role in a competition, or change the role they have
+   * Sharing a competition for the first time makes the signed-in scorekeeper its owner
+   * @param {number} id - ID of the competition
+   * @param {string} user - Email of the scorekeeper
+   * @param {string} role - Role from SHARING.ROLES
    * @returns {Promise<Object>} Promise resolving to result object
    */
-  deleteCompetition: function(id) {
-    // Use localStorage if IndexedDB is not available
-    if (this.useLocalStorage) {
-      const competitions = JSON.parse(localStorage.getItem('archeryCompetitions') || '[]');
-      const filteredCompetitions = competitions.filter(c => c.id !== id);
+  shareCompetition: function(id, user, role) {
+    const currentUser = this.getCurrentUser();
+    const key = Competition.userKey(user);
+    
+    if (!currentUser) {
+      return Promise.resolve({ success: false, message: 'Sign in before sharing a competition' });
+    }
+    if (!this.canShareCompetitions()) {
+      return Promise.resolve({ success: false, message: ERRORS.SHARING_UNAVAILABLE });
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(key)) {
+      return Promise.resolve({ success: false, message: 'Enter a valid email address' });
+    }
+    if (!SHARING.PERMISSIONS[role]) {
+      return Promise.resolve({ success: false, message: 'Choose a role' });
+    }
+    
+    return this.getCompetitionById(id).then(existing => {
+      if (!existing) {
+        return { success: false, message: ERRORS.COMPETITION_NOT_FOUND };
+      }
+      if (!this.can(existing, SHARING.ACTIONS.SHARE)) {
+        return { success: false, message: ERRORS.ACCESS_DENIED };
+      }
       
-      localStorage.setItem('archeryCompetitions', JSON.stringify(filteredCompetitions));
+      const addedAt = new Date().toISOString();
+      const access = { ...(existing.access || {}) };
+      if (!Competition.isShared(existing)) {
+        access[Competition.memberKey(currentUser)] = { user: currentUser, role: SHARING.ROLES.OWNER, addedAt, addedBy: currentUser };
+      }
       
-      // Also remove associated archers
-      const scores = JSON.parse(localStorage.getItem('archeryScores') || '[]');
-      const filteredScores = scores.filter(s => s.competitionId !== id);
+      const memberKey = Competition.memberKey(key);
+      const member = access[memberKey];
+      if (member && member.role === SHARING.ROLES.OWNER && role !== SHARING.ROLES.OWNER && this.countOwners(access) === 1) {
+        return { success: false, message: 'A shared competition needs at least one owner' };
+      }
       
-      localStorage.setItem('archeryScores', JSON.stringify(filteredScores));
-      return Promise.resolve({ success: true });
-    }
+      access[memberKey] = member ? { ...member, role } : { user: key, role, addedAt, addedBy: currentUser };
+      return this.writeAccess(existing, access, `Share ${existing.name} with ${key}`);
+    }).catch(error => {
+      console.error('Error sharing competition:', error);
+      return { success: false, message: `Could not share the competition: ${error.message || error}` };
+    });
+  },
+  
+  /**
+   * Take a scorekeeper's access to a competition away
+   * @param {number} id - ID of the competition
+   * @param {string} user - Email of the scorekeeper
+   * @returns {Promise<Object>} Promise resolving to result object
+   */
+  revokeAccess: function(id, user) {
+    const memberKey = Competition.memberKey(user);
     
-    return new Promise((resolve, reject) => {
-      if (!this.db) {
-        console.error('Database not initialized');
-        reject(new Error('Database not initialized'));
-        return;
+    return this.getCompetitionById(id).then(existing => {
+      if (!existing) {
+        return { success: false, message: ERRORS.COMPETITION_NOT_FOUND };
+      }
+      if (!this.can(existing, SHARING.ACTIONS.SHARE)) {
+        return { success: false, message: ERRORS.ACCESS_DENIED };
       }
       
-      try {
-        // First check if this is the only competition
-        this.getCompetitions().then(competitions => {
-          if (competitions.length <= 1) {
-            resolve({ 
-              success: false, 
-              message: 'Cannot delete the only competition. Create a new one first.' 
-            });
-            return;
-          }
-          
-          // Check if this is the active competition
-          if (this.activeCompetition && this.activeCompetition.id === id) {
-            // We need to set a different active competition first
-            const newActive = competitions.find(c => c.id !== id);
-            if (newActive) {
-              this.activeCompetition = newActive;
-            } else {
-              resolve({ 
-                success: false, 
-                message: 'Cannot delete the active competition without another one available.' 
-              });
-              return;
-            }
-          }
-          
-          // Start transaction to delete competition
-          const transaction = this.db.transaction(['competitions', 'archers'], 'readwrite');
-          
-          // Delete the competition
-          const compStore = transaction.objectStore('competitions');
-          const deleteRequest = compStore.delete(id);
-          
-          deleteRequest.onsuccess = () => {
-            // Now delete all associated archers
-            const archerStore = transaction.objectStore('archers');
-            const archerIndex = archerStore.index('competitionId');
-            const archerRequest = archerIndex.openCursor(IDBKeyRange.only(id));
-            
-            archerRequest.onsuccess = (event) => {
-              const cursor = event.target.result;
-              if (cursor) {
-                cursor.delete();
-                cursor.continue();
-              }
-            };
-          };
-          
-          transaction.oncomplete = () => {
-            resolve({ success: true });
-          };
-          
-          transaction.onerror = (event) => {
-            console.error('Error deleting competition:', event.target.error);
-            reject(event.target.error);
-          };
-        });
-      } catch (error) {
-        console.error('Transaction error in deleteCompetition:', error);
-        reject(error);
+      const access = { ...(existing.access || {}) };
+      const member = access[memberKey];
+      if (!member) {
+        return { success: false, message: `${user} has no access to this competition` };
       }
+      if (member.role === SHARING.ROLES.OWNER && this.countOwners(access) === 1) {
+        return { success: false, message: 'A shared competition needs at least one owner' };
+      }
+      
+      delete access[memberKey];
+      return this.writeAccess(existing, access, `Revoke ${member.user} from ${existing.name}`);
+    }).catch(error => {
+      console.error('Error revoking access:', error);
+      return { success: false, message: `Could not revoke access: ${error.message || error}` };
     });
   },
   
+  /**
+   * Count the owners in an access list
+   * @param {Object} access - Access list keyed by member key
+   * @returns {number} Number of owners
+   */
+  countOwners: function(access) {
+    return Competition.getMembers({ access }).filter(member => member.role === SHARING.ROLES.OWNER).length;
+  },
+  
+  /**
+   * Save a competition's new access list
+   * Sharing is kept out of the undo history, so undoing an edit can't hand back a revoked role;
+   * it still goes to the audit log and to the other devices
+   * @param {Object} existing - Competition as it is stored now
+   * @param {Object} access - New access list
+   * @param {string} label - Description of the change
+   * @returns {Promise<Object>} Promise resolving to result object
+   */
+  writeAccess: function(existing, access, label) {
+    const competition = { ...existing, access, updatedAt: new Date().toISOString() };
+    
+    return ArcheryHistoryService.untracked(() => this.recordChange(label, [
+      { store: DB.STORES.COMPETITIONS, key: competition.id, before: existing, after: competition }
+    ]))
+      .then(() => this.reloadActiveCompetition())
+      .then(() => ({ success: true }));
+  },
+  
   /**
    * Set active competition
    * @param {number} id - ID of the competition to set as active
@@ -548,9 +577,29 @@ export const ArcheryDataService = {
         return Promise.reject(new Error('Competition not found'));
       }
       
-      this.activeCompetition = competition;
       Logger.info('Active competition set to:', competition);
-      return competition;
+      return this.applyActiveCompetition(competition);
+    });
+  },
+  
+  /**
+   * Make a competition the active one, remember it for the next visit and publish it to AppState
+   * Views subscribe to AppState's activeCompetition rather than being refreshed by each caller
+   * @param {Object|null} competition - Competition to activate
+   * @returns {Promise<Object|null>} Promise resolving to the competition
+   */
+  applyActiveCompetition: function(competition) {
+    this.activeCompetition = competition || null;
+    
+    const save = competition ?
+      this.saveSetting(DB.SETTINGS_KEYS.ACTIVE_COMPETITION, competition.id).catch(error => {
+        console.error('Error saving the active competition:', error);
+      }) :
+      Promise.resolve();
+    
+    return save.then(() => {
+      AppState.setState({ activeCompetition: this.activeCompetition });
+      return this.activeCompetition;
     });
   },
   
@@ -562,146 +611,100 @@ export const ArcheryDataService = {
     return this.activeCompetition;
   },
   
+  /**
+   * Get the round definition for the active competition
+   * @returns {Round} Round the active competition is shot under
+   */
+  getActiveRound: function() {
+    return Round.forCompetition(this.activeCompetition);
+  },
+  
+  /**
+   * Get the categories available in the active competition
+   * @returns {Array} Array of category names
+   */
+  getCategories: function() {
+    return Competition.getDivisions(this.activeCompetition).categories;
+  },
+  
+  /**
+   * Get the age classes available in the active competition
+   * @returns {Array} Array of age class names
+   */
+  getAgeRanges: function() {
+    return Competition.getDivisions(this.activeCompetition).ageRanges;
+  },
+  
   /**
    * Get all archer scores from the database for the active competition
    * @returns {Promise<Array>} Promise resolving to array of archer objects
    */
   getAllScores: function() {
-    // Use localStorage if IndexedDB is not available
-    if (this.useLocalStorage) {
-      const scores = JSON.parse(localStorage.getItem('archeryScores') || '[]');
-      const competitionId = this.activeCompetition ? this.activeCompetition.id : null;
-      
-      if (competitionId) {
-        return Promise.resolve(scores.filter(s => s.competitionId === competitionId));
-      }
-      
-      return Promise.resolve(scores);
+    // If we have an active competition, filter by it
+    if (this.activeCompetition) {
+      return this.getScoresByCompetition(this.activeCompetition.id);
     }
-    
-    return new Promise((resolve, reject) => {
-      if (!this.db) {
-        console.error('Database not initialized. Returning empty array.');
-        resolve([]);
-        return;
-      }
-      
-      try {
-        const transaction = this.db.transaction(['archers'], 'readonly');
-        const store = transaction.objectStore('archers');
-        
-        // If we have an active competition, filter by it
-        if (this.activeCompetition) {
-          const index = store.index('competitionId');
-          const request = index.getAll(IDBKeyRange.only(this.activeCompetition.id));
-          
-          request.onsuccess = () => {
-            resolve(request.result || []);
-          };
-          
-          request.onerror = (event) => {
-            console.error('Error getting scores for competition:', event.target.error);
-            reject(event.target.error);
-          };
-        } else {
-          // Fallback to getting all scores
-          const request = store.getAll();
-          
-          request.onsuccess = () => {
-            resolve(request.result || []);
-          };
-          
-          request.onerror = (event) => {
-            console.error('Error getting all scores:', event.target.error);
-            reject(event.target.error);
-          };
-        }
-      } catch (error) {
-        console.error('Transaction error in getAllScores:', error);
-        resolve([]); // Return empty array on error
-      }
-    });
+    return this.readRecords(() => this.storage.getAll(DB.STORES.ARCHERS), [], 'getAllScores')
+      .then(archers => archers.filter(archer => !isDeleted(archer)));
   },
   
   /**
-   * Get archer by name in the active competition
-   * @param {string} name - Name of archer to find
-   * @returns {Promise<Object|null>} Promise resolving to archer object or null
+   * Get the archer scores of any competition, without changing the active one
+   * @param {number} competitionId - ID of the competition
+   * @returns {Promise<Array>} Promise resolving to array of archer objects
    */
-  getArcherByName: function(name) {
-    // Use localStorage if IndexedDB is not available
-    if (this.useLocalStorage) {
-      const scores = JSON.parse(localStorage.getItem('archeryScores') || '[]');
-      const competitionId = this.activeCompetition ? this.activeCompetition.id : null;
-      
-      let filteredScores = scores;
-      if (competitionId) {
-        filteredScores = scores.filter(s => s.competitionId === competitionId);
-      }
-      
-      const archer = filteredScores.find(s => s.name === name) || null;
-      return Promise.resolve(archer);
-    }
+  getScoresByCompetition: function(competitionId) {
+    return this.readRecords(() => this.storage.getAllByIndex(DB.STORES.ARCHERS, 'competitionId', competitionId), [], 'getScoresByCompetition')
+      .then(archers => archers.filter(archer => !isDeleted(archer)));
+  },
+  
+  /**
+   * Get an archer by ID
+   * @param {number} id - ID of the archer
+   * @returns {Promise<Object|null>} Promise resolving to archer object, or null if missing or deleted
+   */
+  getArcherById: function(id) {
+    return this.readRecords(() => this.storage.get(DB.STORES.ARCHERS, id), null, 'getArcherById')
+      .then(archer => isDeleted(archer) ? null : archer);
+  },
+  
+  /**
+   * Find other archers in the same competition that share an archer's name
+   * @param {Object} archer - Archer being added or edited
+   * @returns {Promise<Object>} Promise resolving to { sameEntry, sameName }: the entry with matching
+   *   membership number and category, if any, and the other same-name archers
+   */
+  findNameMatches: function(archer) {
+    const competitionId = archer.competitionId || (this.activeCompetition ? this.activeCompetition.id : null);
     
-    return new Promise((resolve, reject) => {
-      if (!this.db) {
-        console.error('Database not initialized');
-        resolve(null);
-        return;
-      }
+    return this.storage.getAllByIndex(DB.STORES.ARCHERS, 'competitionId', competitionId).then(archers => {
+      const matches = archers.filter(a => a.id !== archer.id && !isDeleted(a) && Archer.hasSameName(a, archer));
       
-      try {
-        const transaction = this.db.transaction(['archers'], 'readonly');
-        const store = transaction.objectStore('archers');
-        const index = store.index('name');
-        
-        // Use a cursor to find the first matching archer in the active competition
-        const range = IDBKeyRange.only(name);
-        const request = index.openCursor(range);
-        
-        request.onsuccess = (event) => {
-          const cursor = event.target.result;
-          if (cursor) {
-            const archer = cursor.value;
-            
-            // Check if it's in the active competition
-            if (!this.activeCompetition || archer.competitionId === this.activeCompetition.id) {
-              resolve(archer);
-              return;
-            }
-            
-            // Otherwise, continue to the next match
-            cursor.continue();
-          } else {
-            // No match found
-            resolve(null);
-          }
-        };
-        
-        request.onerror = (event) => {
-          console.error('Error getting archer by name:', event.target.error);
-          reject(event.target.error);
-        };
-      } catch (error) {
-        console.error('Transaction error in getArcherByName:', error);
-        resolve(null);
-      }
+      return {
+        sameEntry: matches.find(a => Archer.isSameEntry(a, archer)) || null,
+        sameName: matches.filter(a => !Archer.isSameEntry(a, archer))
+      };
     });
   },
   
   /**
-   * Check if an archer with the given name exists in the active competition
-   * @param {string} name - Name to check
-   * @returns {Promise<boolean>} Promise resolving to true if archer exists
+   * Get the round an archer's competition is shot under
+   * @param {Object} archer - Archer object
+   * @returns {Promise<Round>} Promise resolving to the round
    */
-  archerExists: function(name) {
-    return this.getArcherByName(name).then(archer => !!archer);
+  getRoundForArcher: function(archer) {
+    if (!archer.competitionId || (this.activeCompetition && archer.competitionId === this.activeCompetition.id)) {
+      return Promise.resolve(this.getActiveRound());
+    }
+    
+    return this.getCompetitionById(archer.competitionId).then(competition => Round.forCompetition(competition));
   },
   
   /**
    * Save archer data
+   * Archers are identified by ID: an archer with an ID updates that record, one without is added
    * @param {Object} archer - Archer object to save
-   * @returns {Promise<Object>} Promise resolving to result object
+   * @returns {Promise<Object>} Promise resolving to result object with the archer's ID
    */
   saveScore: function(archer) {
     // Validate archer object
@@ -710,13 +713,12 @@ export const ArcheryDataService = {
       return Promise.reject(new Error('Archer name is required'));
     }
     
-    // Calculate total if not provided
-    if (archer.day1 !== undefined && archer.day2 !== undefined && archer.total === undefined) {
-      archer.total = (parseInt(archer.day1) || 0) + (parseInt(archer.day2) || 0);
-    }
+    // Day totals are computed fields - derive them from the scoresheet when present
+    archer.scoresheet = Archer.normalizeScoresheet(archer.scoresheet);
+    Object.assign(archer, Archer.calculateTotals(archer));
     
-    // Ensure it's associated with the active competition
-    if (this.activeCompetition) {
+    // Keep the archer's own competition, otherwise associate it with the active one
+    if (!archer.competitionId && this.activeCompetition) {
       archer.competitionId = this.activeCompetition.id;
     } else if (!archer.competitionId) {
       Logger.warn('No active competition; archer will not be associated with any competition');
@@ -726,319 +728,90 @@ export const ArcheryDataService = {
     if (!archer.membershipId) {
       archer.membershipId = '';
     }
-  
-    // Use localStorage if IndexedDB is not available
-    if (this.useLocalStorage) {
-      const scores = JSON.parse(localStorage.getItem('archeryScores') || '[]');
-      
-      // For localStorage, we need to check by name AND competition
-      const competitionId = this.activeCompetition ? this.activeCompetition.id : null;
-      const existingIndex = scores.findIndex(s => 
-        s.name === archer.name && 
-        (competitionId ? s.competitionId === competitionId : true)
-      );
-      
-      const isUpdate = existingIndex >= 0;
-      
-      if (isUpdate) {
-        // Preserve the archer id if it exists
-        if (scores[existingIndex].id !== undefined) {
-          archer.id = scores[existingIndex].id;
-        }
-        scores[existingIndex] = archer;
-      } else {
-        // Generate an id for the new archer
-        archer.id = scores.length > 0 ? Math.max(...scores.map(s => s.id || 0)) + 1 : 1;
-        scores.push(archer);
-      }
-      
-      localStorage.setItem('archeryScores', JSON.stringify(scores));
-      return Promise.resolve({ success: true, isUpdate });
-    }
     
-    return new Promise((resolve, reject) => {
-      if (!this.db) {
-        console.error('Database not initialized');
-        reject(new Error('Database not initialized'));
-        return;
-      }
-      
-      // First check if archer exists
-      this.getArcherByName(archer.name)
-        .then(existingArcher => {
-          // Create a NEW transaction for the update/add operation
-          const transaction = this.db.transaction(['archers'], 'readwrite');
-          const store = transaction.objectStore('archers');
-          
-          let request;
-          if (existingArcher) {
-            // This is an update - preserve the ID
-            archer.id = existingArcher.id;
-            request = store.put(archer);
-          } else {
-            // This is a new archer
-            request = store.add(archer);
-          }
-          
-          request.onsuccess = () => {
-            const isUpdate = !!existingArcher;
-            resolve({ success: true, isUpdate });
-          };
-          
-          request.onerror = (event) => {
-            console.error('Error saving archer:', event.target.error);
-            reject(event.target.error);
-          };
-          
-          // Add transaction error handler
-          transaction.onerror = (event) => {
-            console.error('Transaction error in saveScore:', event.target.error);
-            reject(event.target.error);
-          };
-        })
-        .catch(error => {
-          console.error('Error checking if archer exists:', error);
-          reject(error);
-        });
-    });
-  },
-  
-  /**
-   * Delete an archer by name
-   * @param {string} name - Name of archer to delete
-   * @returns {Promise<Object>} Promise resolving to result object
-   */
-  deleteArcherByName: function(name) {
-    // Use localStorage if IndexedDB is not available
-    if (this.useLocalStorage) {
-      const scores = JSON.parse(localStorage.getItem('archeryScores') || '[]');
-      const competitionId = this.activeCompetition ? this.activeCompetition.id : null;
-      
-      // Filter by name AND competition
-      const existingIndex = scores.findIndex(s => 
-        s.name === name && 
-        (competitionId ? s.competitionId === competitionId : true)
-      );
-      
-      if (existingIndex >= 0) {
-        scores.splice(existingIndex, 1);
-        localStorage.setItem('archeryScores', JSON.stringify(scores));
-        return Promise.resolve({ success: true, name });
-      }
-      
-      return Promise.resolve({ success: false, message: 'Archer not found' });
+    // Sync compares modification times and matches records by sync ID
+    archer.updatedAt = new Date().toISOString();
+    if (!archer.syncId) {
+      archer.syncId = createSyncId();
     }
     
-    return new Promise((resolve, reject) => {
-      if (!this.db) {
-        console.error('Database not initialized');
-        reject(new Error('Database not initialized'));
-        return;
+    // Reject scores the scorekeeper's role doesn't allow, or that don't fit the competition's round
+    return this.requireAccess(archer.competitionId, SHARING.ACTIONS.SCORE).then(() => this.getRoundForArcher(archer)).then(round => {
+      const validation = new Archer(archer).validate(round);
+      if (!validation.isValid) {
+        Logger.error('Invalid archer data:', validation.errors);
+        return Promise.reject(new Error(validation.errors.join('\n')));
       }
       
-      try {
-        // First find the archer to get their ID
-        this.getArcherByName(name).then(archer => {
-          if (!archer) {
-            resolve({ success: false, message: 'Archer not found' });
-            return;
-          }
-          
-          const transaction = this.db.transaction(['archers'], 'readwrite');
-          const store = transaction.objectStore('archers');
-          
-          // Delete by ID
-          const request = store.delete(archer.id);
-          
-          request.onsuccess = () => {
-            resolve({ success: true, name });
-          };
-          
-          request.onerror = (event) => {
-            console.error('Error deleting archer:', event.target.error);
-            reject(event.target.error);
-          };
+      if (archer.id === undefined) {
+        // This is a new archer
+        return this.recordChange(`Add ${archer.name}`, [
+          { store: DB.STORES.ARCHERS, before: null, after: archer }
+        ]).then(([id]) => {
+          archer.id = id;
+          return { success: true, isUpdate: false, id };
         });
-      } catch (error) {
-        console.error('Transaction error in deleteArcherByName:', error);
-        reject(error);
-      }
-    });
-  },
-  
-  /**
-   * Get archer by index
-   * @param {number} index - Index of the archer to get
-   * @returns {Promise<Object>} Promise with archer data and name
-   */
-  getArcherAtIndex: function(index) {
-    return this.getAllScores().then(scores => {
-      if (index >= 0 && index < scores.length) {
-        return { 
-          success: true, 
-          archer: scores[index],
-          name: scores[index].name 
-        };
       }
-      return { success: false, message: 'Invalid index' };
+      
+      // This is an update - check the record exists so the result can say so
+      return this.getArcherById(archer.id).then(existing => {
+        return this.recordChange(`${existing ? 'Edit' : 'Add'} ${archer.name}`, [
+          { store: DB.STORES.ARCHERS, key: archer.id, before: existing, after: archer }
+        ]).then(() => ({ success: true, isUpdate: !!existing, id: archer.id }));
+      });
+    }).catch(error => {
+      console.error('Error in saveScore:', error);
+      throw error;
     });
   },
   
   /**
-   * Delete an archer by index
-   * @param {number} index - Index of the archer to delete
+   * Record shoot-off arrows for an archer in the active competition
+   * @param {Object} archer - Archer object as stored
+   * @param {Array|string} arrows - Shoot-off arrow values in the order shot
    * @returns {Promise<Object>} Promise resolving to result object
    */
-  deleteScore: function(index) {
-    return this.getArcherAtIndex(index).then(result => {
-      if (result.success) {
-        // If we have the actual archer object, delete by ID instead of name for more accuracy
-        if (result.archer && result.archer.id !== undefined) {
-          return this.deleteArcherById(result.archer.id);
-        }
-        
-        return this.deleteArcherByName(result.name);
-      }
-      return result;
-    });
+  saveShootOff: function(archer, arrows) {
+    return this.saveScore({ ...archer, shootOff: Archer.normalizeShootOff(arrows) });
   },
   
   /**
-   * Delete an archer by ID
+   * Move an archer to the recycle bin
    * @param {number} id - ID of the archer to delete
    * @returns {Promise<Object>} Promise resolving to result object
    */
   deleteArcherById: function(id) {
-    // Use localStorage if IndexedDB is not available
-    if (this.useLocalStorage) {
-      const scores = JSON.parse(localStorage.getItem('archeryScores') || '[]');
-      const existingIndex = scores.findIndex(s => s.id === id);
-      
-      if (existingIndex >= 0) {
-        const archerName = scores[existingIndex].name;
-        scores.splice(existingIndex, 1);
-        localStorage.setItem('archeryScores', JSON.stringify(scores));
-        return Promise.resolve({ success: true, id, name: archerName });
-      }
-      
-      return Promise.resolve({ success: false, message: 'Archer not found' });
-    }
-    
-    return new Promise((resolve, reject) => {
-      if (!this.db) {
-        console.error('Database not initialized');
-        reject(new Error('Database not initialized'));
-        return;
+    // First get the archer to fetch their name
+    return this.getArcherById(id).then(archer => {
+      if (!archer) {
+        return { success: false, message: 'Archer not found' };
       }
       
-      try {
-        const transaction = this.db.transaction(['archers'], 'readwrite');
-        const store = transaction.objectStore('archers');
-        
-        // First get the archer to fetch their name
-        const getRequest = store.get(id);
-        
-        getRequest.onsuccess = () => {
-          const archer = getRequest.result;
-          if (!archer) {
-            resolve({ success: false, message: 'Archer not found' });
-            return;
-          }
-          
-          // Now delete it
-          const deleteRequest = store.delete(id);
-          
-          deleteRequest.onsuccess = () => {
-            resolve({ success: true, id, name: archer.name });
-          };
-          
-          deleteRequest.onerror = (event) => {
-            console.error('Error deleting archer by ID:', event.target.error);
-            reject(event.target.error);
-          };
-        };
-        
-        getRequest.onerror = (event) => {
-          console.error('Error getting archer by ID:', event.target.error);
-          reject(event.target.error);
-        };
-      } catch (error) {
-        console.error('Transaction error in deleteArcherById:', error);
-        reject(error);
-      }
+      return this.hasAccess(archer.competitionId, SHARING.ACTIONS.SCORE).then(allowed => {
+        if (!allowed) {
+          return { success: false, message: ERRORS.ACCESS_DENIED };
+        }
+        return this.softDelete(`Delete ${archer.name}`, [{ store: DB.STORES.ARCHERS, record: archer }])
+          .then(() => ({ success: true, id, name: archer.name }));
+      });
+    }).catch(error => {
+      console.error('Error deleting archer by ID:', error);
+      throw error;
     });
   },
   
   /**
-   * Clear all scores in the active competition
+   * Move all scores in the active competition to the recycle bin
    * @returns {Promise<Object>} Promise resolving to result object
    */
   clearAllScores: function() {
-    // Use localStorage if IndexedDB is not available
-    if (this.useLocalStorage) {
-      // Only clear scores for the active competition
-      if (this.activeCompetition) {
-        const scores = JSON.parse(localStorage.getItem('archeryScores') || '[]');
-        const filteredScores = scores.filter(
-          s => !s.competitionId || s.competitionId !== this.activeCompetition.id
-        );
-        localStorage.setItem('archeryScores', JSON.stringify(filteredScores));
-      } else {
-        // No active competition - clear all scores
-        localStorage.removeItem('archeryScores');
-      }
-      return Promise.resolve({ success: true });
-    }
-    
-    return new Promise((resolve, reject) => {
-      if (!this.db) {
-        console.error('Database not initialized');
-        reject(new Error('Database not initialized'));
-        return;
-      }
-      
-      try {
-        const transaction = this.db.transaction(['archers'], 'readwrite');
-        const store = transaction.objectStore('archers');
-        
-        // If we have an active competition, only clear scores for that competition
-        if (this.activeCompetition) {
-          const index = store.index('competitionId');
-          const request = index.openCursor(IDBKeyRange.only(this.activeCompetition.id));
-          
-          request.onsuccess = (event) => {
-            const cursor = event.target.result;
-            if (cursor) {
-              cursor.delete();
-              cursor.continue();
-            }
-          };
-          
-          transaction.oncomplete = () => {
-            resolve({ success: true });
-          };
-          
-          transaction.onerror = (event) => {
-            console.error('Error clearing competition scores:', event.target.error);
-            reject(event.target.error);
-          };
-        } else {
-          // No active competition - clear all scores
-          const request = store.clear();
-          
-          request.onsuccess = () => {
-            resolve({ success: true });
-          };
-          
-          request.onerror = (event) => {
-            console.error('Error clearing scores:', event.target.error);
-            reject(event.target.error);
-          };
-        }
-      } catch (error) {
-        console.error('Transaction error in clearAllScores:', error);
-        reject(error);
-      }
+    // getAllScores only returns the active competition's archers when there is one
+    const competitionId = this.activeCompetition ? this.activeCompetition.id : null;
+    return this.requireAccess(competitionId, SHARING.ACTIONS.SCORE).then(() => this.getAllScores()).then(archers => this.softDelete('Clear scores', archers.map(archer => (
+      { store: DB.STORES.ARCHERS, record: archer }
+    )))).then(() => ({ success: true })).catch(error => {
+      console.error('Error clearing scores:', error);
+      throw error;
     });
   },
   
@@ -1072,17 +845,24 @@ export const ArcheryDataService = {
       return Promise.reject(new Error('No active competition to generate data for'));
     }
     
-    // Clear existing data first
-    return this.clearAllScores().then(() => {
+    // Keep generated scores within the round maximum
+    const round = this.getActiveRound();
+    const generateDayScore = () => Math.round(round.maxScore * (0.4 + Math.random() * 0.5));
+    
+    // Clear existing data first; the whole run is undone in one step
+    return ArcheryHistoryService.group('Generate sample data', () => this.clearAllScores().then(() => {
       const sampleData = [];
       const usedNames = new Set();
       const usedMembershipIds = new Set();
       
+      const categories = this.getCategories();
+      const ageRanges = this.getAgeRanges();
+      
       // Generate sample data
-      for (let c = 0; c < 3; c++) {
-        const cat = this.categories[c];
-        for (let a = 0; a < 2; a++) {
-          const age = this.ageRanges[a];
+      for (let c = 0; c < Math.min(3, categories.length); c++) {
+        const cat = categories[c];
+        for (let a = 0; a < Math.min(2, ageRanges.length); a++) {
+          const age = ageRanges[a];
           // Add 2-3 archers per category/age
           const count = 2 + Math.floor(Math.random() * 2);
           for (let i = 0; i < count; i++) {
@@ -1103,8 +883,8 @@ export const ArcheryDataService = {
             usedMembershipIds.add(membershipId);
             
             const club = clubs[Math.floor(Math.random() * clubs.length)];
-            const day1 = 200 + Math.floor(Math.random() * 300);
-            const day2 = 200 + Math.floor(Math.random() * 300);
+            const day1 = generateDayScore();
+            const day2 = round.days > 1 ? generateDayScore() : 0;
             
             sampleData.push({
               name: name,
@@ -1124,14 +904,9 @@ export const ArcheryDataService = {
       // Create some draws for demonstration
       if (sampleData.length >= 2) {
         // Make two archers have the same score (a draw)
-        const score = 550;
-        sampleData[0].day1 = 275;
-        sampleData[0].day2 = 275;
-        sampleData[0].total = score;
-        
-        sampleData[1].day1 = 280;
-        sampleData[1].day2 = 270;
-        sampleData[1].total = score;
+        sampleData[1].day1 = sampleData[0].day1;
+        sampleData[1].day2 = sampleData[0].day2;
+        sampleData[1].total = sampleData[0].total;
       }
       
       // Leave a few archers without membership IDs (to show it's optional)
@@ -1150,7 +925,7 @@ export const ArcheryDataService = {
       .then(() => {
         return { success: true, count: sampleData.length };
       });
-    })
+    }))
     .catch(error => {
       console.error('Error generating sample data:', error);
       return { success: false, error };
@@ -1181,8 +956,8 @@ export const ArcheryDataService = {
     // Safely get values with fallbacks
     const name = nameElement && nameElement.value ? nameElement.value : 'Unknown Archer';
     const club = clubElement && clubElement.value ? clubElement.value : '';
-    const category = categoryElement && categoryElement.value ? categoryElement.value : this.categories[0];
-    const age = ageElement && ageElement.value ? ageElement.value : this.ageRanges[0];
+    const category = categoryElement && categoryElement.value ? categoryElement.value : this.getCategories()[0];
+    const age = ageElement && ageElement.value ? ageElement.value : this.getAgeRanges()[0];
     const day1 = day1Element && day1Element.value ? (parseInt(day1Element.value) || 0) : 0;
     const day2 = day2Element && day2Element.value ? (parseInt(day2Element.value) || 0) : 0;
     
@@ -1206,29 +981,293 @@ export const ArcheryDataService = {
   },
   
   /**
-   * Validate category against available categories
+   * Validate category against the active competition's categories
    * @param {string} category - Category to validate
    * @returns {string} Valid category (or default if invalid)
    */
   validateCategory: function(category) {
-    if (!category || this.categories.indexOf(category) === -1) {
-      return this.categories[0]; // Default to first category
+    const categories = this.getCategories();
+    if (!category || categories.indexOf(category) === -1) {
+      return categories[0]; // Default to first category
     }
     return category;
   },
   
   /**
-   * Validate age range against available age ranges
+   * Validate age range against the active competition's age classes
    * @param {string} age - Age range to validate
    * @returns {string} Valid age range (or default if invalid)
    */
   validateAgeRange: function(age) {
-    if (!age || this.ageRanges.indexOf(age) === -1) {
-      return this.ageRanges[0]; // Default to first age range
+    const ageRanges = this.getAgeRanges();
+    if (!age || ageRanges.indexOf(age) === -1) {
+      return ageRanges[0]; // Default to first age range
     }
     return age;
   },
   
+  /**
+   * Mark records as deleted so they move to the recycle bin
+   * @param {string} label - Description of the change for the history
+   * @param {Array} items - Records to delete as { store, record }
+   * @param {string} deletedAt - Deletion time shared by all the records
+   * @returns {Promise} Promise resolving when the records are marked
+   */
+  softDelete: function(label, items, deletedAt = new Date().toISOString()) {
+    if (items.length === 0) {
+      return Promise.resolve();
+    }
+    
+    const changes = items.map(item => ({
+      store: item.store,
+      key: item.record[DB.SCHEMA[item.store].keyPath],
+      before: item.record,
+      after: { ...item.record, deletedAt, updatedAt: deletedAt }
+    }));
+    
+    return this.recordChange(label, changes);
+  },
+  
+  /**
+   * Get the contents of the recycle bin
+   * Archers deleted with their competition are listed under it rather than on their own
+   * @returns {Promise<Object>} Promise resolving to { competitions, archers }, most recently deleted first;
+   *   competitions are { competition, archerCount } and archers are { archer, competitionName }
+   */
+  getRecycleBin: function() {
+    return this.getStoreRecords([DB.STORES.COMPETITIONS, DB.STORES.ARCHERS]).then(records => {
+      const byDeletedAt = (a, b) => new Date(b.deletedAt) - new Date(a.deletedAt);
+      const competitionsById = new Map(records.competitions.map(c => [c.id, c]));
+      
+      // Only items the scorekeeper's role lets them restore or purge are listed
+      const canScore = archer => {
+        const competition = competitionsById.get(archer.competitionId);
+        return !competition || this.can(competition, SHARING.ACTIONS.SCORE);
+      };
+      
+      const competitions = records.competitions
+        .filter(competition => isDeleted(competition) && this.can(competition, SHARING.ACTIONS.MANAGE))
+        .sort(byDeletedAt)
+        .map(competition => ({
+        competition,
+        archerCount: records.archers.filter(a => a.competitionId === competition.id && a.deletedAt === competition.deletedAt).length
+      }));
+      
+      const archers = records.archers
+        .filter(archer => isDeleted(archer) && !isDeleted(competitionsById.get(archer.competitionId)) && canScore(archer))
+        .sort(byDeletedAt)
+        .map(archer => {
+          const competition = competitionsById.get(archer.competitionId);
+          return { archer, competitionName: competition ? competition.name : '' };
+        });
+      
+      return { competitions, archers };
+    });
+  },
+  
+  /**
+   * Restore a competition from the recycle bin, with the archers deleted along with it
+   * @param {number} id - ID of the competition
+   * @returns {Promise<Object>} Promise resolving to result object
+   */
+  restoreCompetition: function(id) {
+    return Promise.all([
+      this.storage.get(DB.STORES.COMPETITIONS, id),
+      this.storage.getAllByIndex(DB.STORES.ARCHERS, 'competitionId', id)
+    ]).then(([competition, archers]) => {
+      if (!isDeleted(competition)) {
+        return { success: false, message: ERRORS.COMPETITION_NOT_FOUND };
+      }
+      if (!this.can(competition, SHARING.ACTIONS.MANAGE)) {
+        return { success: false, message: ERRORS.ACCESS_DENIED };
+      }
+      
+      const deletedWith = archers.filter(archer => archer.deletedAt === competition.deletedAt);
+      return this.restoreRecords(`Restore ${competition.name}`, [
+        { store: DB.STORES.COMPETITIONS, record: competition },
+        ...deletedWith.map(archer => ({ store: DB.STORES.ARCHERS, record: archer }))
+      ]).then(() => ({ success: true, name: competition.name }));
+    }).catch(error => {
+      console.error('Error restoring competition:', error);
+      throw error;
+    });
+  },
+  
+  /**
+   * Restore an archer from the recycle bin
+   * @param {number} id - ID of the archer
+   * @returns {Promise<Object>} Promise resolving to result object
+   */
+  restoreArcher: function(id) {
+    return this.storage.get(DB.STORES.ARCHERS, id).then(archer => {
+      if (!isDeleted(archer)) {
+        return { success: false, message: ERRORS.ARCHER_NOT_FOUND };
+      }
+      
+      return this.hasAccess(archer.competitionId, SHARING.ACTIONS.SCORE).then(allowed => {
+        if (!allowed) {
+          return { success: false, message: ERRORS.ACCESS_DENIED };
+        }
+        return this.restoreRecords(`Restore ${archer.name}`, [{ store: DB.STORES.ARCHERS, record: archer }])
+          .then(() => ({ success: true, name: archer.name }));
+      });
+    }).catch(error => {
+      console.error('Error restoring archer:', error);
+      throw error;
+    });
+  },
+  
+  /**
+   * Take records out of the recycle bin
+   * @param {string} label - Description of the change for the history
+   * @param {Array} items - Deleted records as { store, record }
+   * @returns {Promise} Promise resolving when the records are restored
+   */
+  restoreRecords: function(label, items) {
+    const updatedAt = new Date().toISOString();
+    const changes = items.map(item => ({
+      store: item.store,
+      key: item.record[DB.SCHEMA[item.store].keyPath],
+      before: item.record,
+      after: { ...withoutDeletedAt(item.record), updatedAt }
+    }));
+    
+    return this.recordChange(label, changes).then(() => this.reloadActiveCompetition());
+  },
+  
+  /**
+   * Permanently delete a competition in the recycle bin and all of its archers
+   * @param {number} id - ID of the competition
+   * @returns {Promise<Object>} Promise resolving to result object
+   */
+  purgeCompetition: function(id) {
+    return this.storage.get(DB.STORES.COMPETITIONS, id).then(competition => {
+      if (!isDeleted(competition)) {
+        return { success: false, message: ERRORS.COMPETITION_NOT_FOUND };
+      }
+      if (!this.can(competition, SHARING.ACTIONS.MANAGE)) {
+        return { success: false, message: ERRORS.ACCESS_DENIED };
+      }
+      
+      return this.purgeRecords(`Permanently delete ${competition.name}`, [competition], [])
+        .then(() => ({ success: true, name: competition.name }));
+    });
+  },
+  
+  /**
+   * Permanently delete an archer in the recycle bin
+   * @param {number} id - ID of the archer
+   * @returns {Promise<Object>} Promise resolving to result object
+   */
+  purgeArcher: function(id) {
+    return this.storage.get(DB.STORES.ARCHERS, id).then(archer => {
+      if (!isDeleted(archer)) {
+        return { success: false, message: ERRORS.ARCHER_NOT_FOUND };
+      }
+      
+      return this.hasAccess(archer.competitionId, SHARING.ACTIONS.SCORE).then(allowed => {
+        if (!allowed) {
+          return { success: false, message: ERRORS.ACCESS_DENIED };
+        }
+        return this.purgeRecords(`Permanently delete ${archer.name}`, [], [archer])
+          .then(() => ({ success: true, name: archer.name }));
+      });
+    });
+  },
+  
+  /**
+   * Permanently delete everything in the recycle bin
+   * @returns {Promise<Object>} Promise resolving to result object with the number of items purged
+   */
+  emptyRecycleBin: function() {
+    return this.getRecycleBin().then(bin => this.purgeRecords(
+      'Empty recycle bin',
+      bin.competitions.map(item => item.competition),
+      bin.archers.map(item => item.archer)
+    )).then(count => ({ success: true, count }));
+  },
+  
+  /**
+   * Permanently delete items whose retention period has passed
+   * Purging is housekeeping rather than a user action, so it isn't added to the undo history
+   * @returns {Promise<number>} Promise resolving to the number of items purged
+   */
+  purgeExpired: function() {
+    return this.getRecycleBinRetention().then(days => {
+      if (!days) return 0;
+      
+      const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+      const isExpired = record => new Date(record.deletedAt).getTime() < cutoff;
+      
+      return this.getRecycleBin().then(bin => {
+        const competitions = bin.competitions.map(item => item.competition).filter(isExpired);
+        const archers = bin.archers.map(item => item.archer).filter(isExpired);
+        
+        return ArcheryHistoryService.untracked(() => ArcheryAuditService.tagged('Automatic purge', () =>
+          this.purgeRecords('Purge expired items', competitions, archers)));
+      });
+    }).then(count => {
+      if (count > 0) {
+        Logger.info(`Purged ${count} expired items from the recycle bin`);
+      }
+      return count;
+    }).catch(error => {
+      console.error('Error purging the recycle bin:', error);
+      return 0;
+    });
+  },
+  
+  /**
+   * Delete records for good, with every archer of a purged competition
+   * @param {string} label - Description of the change for the history
+   * @param {Array} competitions - Deleted competitions to purge
+   * @param {Array} archers - Deleted archers to purge
+   * @returns {Promise<number>} Promise resolving to the number of items purged
+   */
+  purgeRecords: function(label, competitions, archers) {
+    const count = competitions.length + archers.length;
+    if (count === 0) {
+      return Promise.resolve(0);
+    }
+    
+    return Promise.all(competitions.map(competition => this.storage.getAllByIndex(DB.STORES.ARCHERS, 'competitionId', competition.id)))
+      .then(competitionArchers => {
+        const purgedArchers = new Map(archers.map(archer => [archer.id, archer]));
+        competitionArchers.flat().forEach(archer => purgedArchers.set(archer.id, archer));
+        
+        const changes = [
+          ...competitions.map(competition => ({ store: DB.STORES.COMPETITIONS, key: competition.id, before: competition, after: null })),
+          ...[...purgedArchers.values()].map(archer => ({ store: DB.STORES.ARCHERS, key: archer.id, before: archer, after: null }))
+        ];
+        
+        return this.recordChange(label, changes);
+      })
+      .then(() => count);
+  },
+  
+  /**
+   * Get how many days deleted items are kept
+   * @returns {Promise<number>} Promise resolving to the retention in days; 0 keeps items until purged by hand
+   */
+  getRecycleBinRetention: function() {
+    return this.getSetting(DB.SETTINGS_KEYS.RECYCLE_BIN_RETENTION, RECYCLE_BIN.DEFAULT_RETENTION_DAYS);
+  },
+  
+  /**
+   * Set how many days deleted items are kept, purging anything now past it
+   * @param {number} days - Retention in days; 0 keeps items until purged by hand
+   * @returns {Promise<Object>} Promise resolving to result object with the number of items purged
+   */
+  saveRecycleBinRetention: function(days) {
+    if (!RECYCLE_BIN.RETENTION_OPTIONS.includes(days)) {
+      return Promise.resolve({ success: false, message: `Unsupported retention period: ${days} days` });
+    }
+    
+    return this.saveSetting(DB.SETTINGS_KEYS.RECYCLE_BIN_RETENTION, days)
+      .then(() => this.purgeExpired())
+      .then(count => ({ success: true, count }));
+  },
+  
   /**
    * Save a competitor for future reuse
    * @param {Object} competitor - Competitor object to save
@@ -1250,173 +1289,582 @@ export const ArcheryDataService = {
       club: competitor.club,
       category: competitor.category,
       age: competitor.age,
+      membershipId: (competitor.membershipId || '').trim(),
       lastUsed: competitor.lastUsed
     };
+    savedCompetitor.identityKey = SavedCompetitor.identityKey(savedCompetitor);
     
-    // Use localStorage if IndexedDB is not available
-    if (this.useLocalStorage) {
-      const savedCompetitors = JSON.parse(localStorage.getItem('savedCompetitors') || '[]');
-      const existingIndex = savedCompetitors.findIndex(c => c.name === savedCompetitor.name);
-      
-      if (existingIndex >= 0) {
-        savedCompetitors[existingIndex] = savedCompetitor;
-      } else {
-        savedCompetitors.push(savedCompetitor);
+    return this.getSavedCompetitors().then(competitors => {
+      // The handicap is set on the saved competitor, so saving their details from a score keeps it;
+      // an archer with the same name but another membership number is someone else, saved alongside.
+      // A competitor saved without a membership number takes on the first one saved for that name.
+      const existing = competitors.find(c => c.identityKey === savedCompetitor.identityKey) || null;
+      const unnumbered = !existing && savedCompetitor.membershipId ?
+        competitors.find(c => !c.membershipId && Archer.nameKey(c.name) === Archer.nameKey(savedCompetitor.name)) || null :
+        null;
+      const previous = existing || unnumbered;
+      if (previous && previous.handicap !== undefined) {
+        savedCompetitor.handicap = previous.handicap;
       }
       
-      localStorage.setItem('savedCompetitors', JSON.stringify(savedCompetitors));
-      return Promise.resolve({ success: true });
-    }
-    
-    return new Promise((resolve, reject) => {
-      if (!this.db) {
-        console.error('Database not initialized');
-        reject(new Error('Database not initialized'));
-        return;
+      const changes = [{ store: DB.STORES.SAVED_COMPETITORS, key: savedCompetitor.identityKey, before: existing, after: savedCompetitor }];
+      if (unnumbered) {
+        changes.unshift({ store: DB.STORES.SAVED_COMPETITORS, key: unnumbered.identityKey, before: unnumbered, after: null });
       }
       
-      try {
-        const transaction = this.db.transaction(['savedCompetitors'], 'readwrite');
-        const store = transaction.objectStore('savedCompetitors');
-        
-        const request = store.put(savedCompetitor);
-        
-        request.onsuccess = () => {
-          resolve({ success: true });
-        };
-        
-        request.onerror = (event) => {
-          console.error('Error saving competitor:', event.target.error);
-          reject(event.target.error);
-        };
-      } catch (error) {
-        console.error('Transaction error in saveCompetitor:', error);
-        reject(error);
-      }
+      return this.recordChange(`Save competitor ${savedCompetitor.name}`, changes);
+    }).then(() => ({ success: true })).catch(error => {
+      console.error('Error saving competitor:', error);
+      throw error;
     });
   },
   
   /**
    * Get all saved competitors
-   * @returns {Promise<Array>} Promise resolving to array of saved competitors
+   * @returns {Promise<Array>} Promise resolving to array of saved competitors, most recently used first
    */
   getSavedCompetitors: function() {
-    // Use localStorage if IndexedDB is not available
-    if (this.useLocalStorage) {
-      const savedCompetitors = JSON.parse(localStorage.getItem('savedCompetitors') || '[]');
-      return Promise.resolve(savedCompetitors);
+    return this.readRecords(() => this.storage.getAll(DB.STORES.SAVED_COMPETITORS), [], 'getSavedCompetitors')
+      .then(competitors => competitors.sort((a, b) => new Date(b.lastUsed) - new Date(a.lastUsed)));
+  },
+  
+  /**
+   * Get a saved competitor
+   * @param {string} identityKey - Key from SavedCompetitor.identityKey (name and membership number)
+   * @returns {Promise<Object|null>} Promise resolving to competitor object or null
+   */
+  getSavedCompetitor: function(identityKey) {
+    return this.readRecords(() => this.storage.get(DB.STORES.SAVED_COMPETITORS, identityKey), null, 'getSavedCompetitor');
+  },
+  
+  /**
+   * Set or clear a saved competitor's handicap
+   * @param {string} identityKey - Key from SavedCompetitor.identityKey (name and membership number)
+   * @param {number|null} handicap - Points added to their total in handicap rankings, or null to clear it
+   * @returns {Promise<Object>} Promise resolving to result object
+   */
+  setHandicap: function(identityKey, handicap) {
+    if (handicap !== null && !Number.isInteger(handicap)) {
+      return Promise.resolve({ success: false, message: 'Handicap must be a whole number of points' });
     }
     
-    return new Promise((resolve, reject) => {
-      if (!this.db) {
-        console.error('Database not initialized. Returning empty array.');
-        resolve([]);
-        return;
+    return this.getSavedCompetitor(identityKey).then(existing => {
+      if (!existing) {
+        return { success: false, message: 'That archer is not a saved competitor' };
       }
       
-      try {
-        const transaction = this.db.transaction(['savedCompetitors'], 'readonly');
-        const store = transaction.objectStore('savedCompetitors');
-        const request = store.getAll();
-        
-        request.onsuccess = () => {
-          // Sort by last used date (most recent first)
-          const competitors = request.result || [];
-          competitors.sort((a, b) => new Date(b.lastUsed) - new Date(a.lastUsed));
-          resolve(competitors);
-        };
-        
-        request.onerror = (event) => {
-          console.error('Error getting saved competitors:', event.target.error);
-          reject(event.target.error);
-        };
-      } catch (error) {
-        console.error('Transaction error in getSavedCompetitors:', error);
-        resolve([]); // Return empty array on error
-      }
+      const competitor = { ...existing, handicap };
+      return this.recordChange(`Set handicap for ${existing.name}`, [
+        { store: DB.STORES.SAVED_COMPETITORS, key: identityKey, before: existing, after: competitor }
+      ]).then(() => ({ success: true }));
+    }).catch(error => {
+      console.error('Error setting handicap:', error);
+      throw error;
     });
   },
   
   /**
-   * Get a saved competitor by name
-   * @param {string} name - Name of competitor to find
-   * @returns {Promise<Object|null>} Promise resolving to competitor object or null
+   * Get the handicaps of saved competitors
+   * @returns {Promise<Map>} Promise resolving to handicaps keyed by SavedCompetitor.identityKey (name and
+   *   membership number); competitors without a handicap are left out
    */
-  getSavedCompetitorByName: function(name) {
-    // Use localStorage if IndexedDB is not available
-    if (this.useLocalStorage) {
-      const savedCompetitors = JSON.parse(localStorage.getItem('savedCompetitors') || '[]');
-      const competitor = savedCompetitors.find(c => c.name === name) || null;
-      return Promise.resolve(competitor);
-    }
+  getHandicaps: function() {
+    return this.getSavedCompetitors().then(competitors => new Map(competitors
+      .filter(competitor => Number.isInteger(competitor.handicap))
+      .map(competitor => [SavedCompetitor.identityKey(competitor), competitor.handicap])));
+  },
+  
+  /**
+   * Delete a saved competitor
+   * @param {string} identityKey - Key from SavedCompetitor.identityKey (name and membership number)
+   * @returns {Promise<Object>} Promise resolving to result object
+   */
+  deleteSavedCompetitor: function(identityKey) {
+    return this.getSavedCompetitor(identityKey).then(existing => {
+      if (!existing) return;
+      
+      return this.recordChange(`Delete competitor ${existing.name}`, [
+        { store: DB.STORES.SAVED_COMPETITORS, key: identityKey, before: existing, after: null }
+      ]);
+    }).then(() => ({ success: true })).catch(error => {
+      console.error('Error deleting saved competitor:', error);
+      throw error;
+    });
+  },
+  
+  /**
+   * Make a change and record it in the undo history
+   * @param {string} label - Description of the change, e.g. "Delete John Smith"
+   * @param {Array} changes - Changes as { store, key, before, after }; a new record the store gives a key
+   *   to has no key
+   * @returns {Promise<Array>} Promise resolving to the key of each written record
+   */
+  recordChange: function(label, changes) {
+    return this.writeChanges(changes).then(keys => {
+      ArcheryHistoryService.record(label, changes);
+      return keys;
+    });
+  },
+  
+  /**
+   * Write changes in one batch with their audit entries and, while sync is on, their outbox entries,
+   * so a change is never saved without them
+   * New records are given the key the store assigned, both in their entries and in the changes
+   * @param {Array} changes - Changes as { store, key, before, after }; a new record the store gives a key
+   *   to has no key
+   * @param {Array} operations - Writes that make the changes, one per change
+   * @param {boolean} queue - Whether to queue the changes for sync
+   * @returns {Promise<Array>} Promise resolving to the key of each written record; rejects without
+   *   saving anything if an entry can't be written
+   */
+  writeChanges: function(changes, operations = changes.map(changeOperation), queue = true) {
+    const keyed = changes.filter(change => change.key !== undefined);
+    const queued = queue && this.syncOutboxEnabled;
     
-    return new Promise((resolve, reject) => {
-      if (!this.db) {
-        console.error('Database not initialized');
-        resolve(null);
-        return;
+    // The log is append-only: entries are only ever added, never updated
+    const entryOperations = [
+      ...ArcheryAuditService.createEntries(keyed).map(record => ({ type: 'add', store: DB.STORES.AUDIT_LOG, record })),
+      ...(queued ? this.createSyncOutboxEntries(keyed) : []).map(record => ({ type: 'add', store: DB.STORES.SYNC_OUTBOX, record }))
+    ];
+    
+    // A new record's entries are worked out once the store has given it a key
+    changes.forEach((change, index) => {
+      if (change.key !== undefined) return;
+      
+      const withKey = keys => [{ ...change, key: keys[index], after: { ...change.after, [DB.SCHEMA[change.store].keyPath]: keys[index] } }];
+      entryOperations.push({ type: 'add', store: DB.STORES.AUDIT_LOG, record: keys => ArcheryAuditService.createEntries(withKey(keys))[0] });
+      if (queued && SYNC.STORES.includes(change.store)) {
+        entryOperations.push({ type: 'add', store: DB.STORES.SYNC_OUTBOX, record: keys => this.createSyncOutboxEntries(withKey(keys))[0] });
       }
+    });
+    
+    return this.storage.batch([...operations, ...entryOperations]).then(results => {
+      const keys = results.slice(0, operations.length);
+      changes.forEach((change, index) => {
+        if (change.key === undefined) {
+          change.key = keys[index];
+          change.after = { ...change.after, [DB.SCHEMA[change.store].keyPath]: keys[index] };
+        }
+      });
       
-      try {
-        const transaction = this.db.transaction(['savedCompetitors'], 'readonly');
-        const store = transaction.objectStore('savedCompetitors');
-        const request = store.get(name);
-        
-        request.onsuccess = () => {
-          resolve(request.result || null);
-        };
-        
-        request.onerror = (event) => {
-          console.error('Error getting saved competitor by name:', event.target.error);
-          reject(event.target.error);
-        };
-      } catch (error) {
-        console.error('Transaction error in getSavedCompetitorByName:', error);
-        resolve(null);
+      return (entryOperations.some(operation => operation.store === DB.STORES.SYNC_OUTBOX) ? this.publishSyncOutboxCount() : Promise.resolve())
+        .then(() => keys);
+    });
+  },
+  
+  /**
+   * Get the audit log of one record
+   * @param {string} store - Store the record lives in, e.g. DB.STORES.ARCHERS
+   * @param {*} key - Record key
+   * @returns {Promise<Array>} Promise resolving to audit entries, oldest first
+   */
+  getAuditLog: function(store, key) {
+    return this.readRecords(
+      () => this.storage.getAllByIndex(DB.STORES.AUDIT_LOG, DB.INDEXES.ENTITY, ArcheryAuditService.getEntity(store, key)),
+      [],
+      'getAuditLog'
+    ).then(entries => entries.sort((a, b) => a.id - b.id));
+  },
+  
+  /**
+   * Get the audit log of a competition and everything in it
+   * @param {number} competitionId - ID of the competition
+   * @returns {Promise<Array>} Promise resolving to audit entries, oldest first
+   */
+  getAuditLogForCompetition: function(competitionId) {
+    return this.readRecords(
+      () => this.storage.getAllByIndex(DB.STORES.AUDIT_LOG, DB.INDEXES.COMPETITION_ID, competitionId),
+      [],
+      'getAuditLogForCompetition'
+    ).then(entries => entries.sort((a, b) => a.id - b.id));
+  },
+  
+  /**
+   * Load the name audit entries from this device are labelled with, creating one on first use
+   * @returns {Promise<string>} Promise resolving to the device label
+   */
+  loadDeviceLabel: function() {
+    return this.getSetting(DB.SETTINGS_KEYS.DEVICE_LABEL).then(label => {
+      if (label) {
+        ArcheryAuditService.setDeviceLabel(label);
+        return label;
       }
+      
+      const generated = ArcheryAuditService.generateDeviceLabel();
+      return this.saveDeviceLabel(generated).then(() => generated);
     });
   },
   
   /**
-   * Delete a saved competitor
-   * @param {string} name - Name of competitor to delete
+   * Save the name audit entries from this device are labelled with
+   * @param {string} label - Device name, e.g. "Scoring laptop"
    * @returns {Promise<Object>} Promise resolving to result object
    */
-  deleteSavedCompetitor: function(name) {
-    // Use localStorage if IndexedDB is not available
-    if (this.useLocalStorage) {
-      const savedCompetitors = JSON.parse(localStorage.getItem('savedCompetitors') || '[]');
-      const filteredCompetitors = savedCompetitors.filter(c => c.name !== name);
-      
-      localStorage.setItem('savedCompetitors', JSON.stringify(filteredCompetitors));
-      return Promise.resolve({ success: true });
+  saveDeviceLabel: function(label) {
+    const trimmed = (label || '').trim();
+    if (!trimmed) {
+      return Promise.resolve({ success: false, message: 'Device name is required' });
+    }
+    
+    ArcheryAuditService.setDeviceLabel(trimmed);
+    return this.saveSetting(DB.SETTINGS_KEYS.DEVICE_LABEL, trimmed);
+  },
+  
+  /**
+   * Get every record in the given stores, across all competitions
+   * @param {Array} storeNames - Names of the object stores to read
+   * @returns {Promise<Object>} Promise resolving to an object of records keyed by store name
+   */
+  getStoreRecords: function(storeNames) {
+    if (!this.storage) {
+      return Promise.reject(new Error(ERRORS.DB_NOT_INITIALIZED));
+    }
+    
+    return Promise.all(storeNames.map(storeName => this.storage.getAll(storeName))).then(results => {
+      const records = {};
+      storeNames.forEach((storeName, index) => {
+        records[storeName] = results[index];
+      });
+      return records;
+    });
+  },
+  
+  /**
+   * Write records to several stores in a single batch
+   * Records are stored with their own keys, so existing records with the same key are overwritten
+   * @param {Object} records - Arrays of records keyed by store name
+   * @param {boolean} clearFirst - Whether to empty each store before writing
+   * @returns {Promise<Object>} Promise resolving to result object
+   */
+  writeStoreRecords: function(records, clearFirst = false) {
+    if (!this.storage) {
+      return Promise.reject(new Error(ERRORS.DB_NOT_INITIALIZED));
     }
     
-    return new Promise((resolve, reject) => {
-      if (!this.db) {
-        console.error('Database not initialized');
-        reject(new Error('Database not initialized'));
-        return;
+    const operations = [];
+    Object.keys(records).forEach(storeName => {
+      if (clearFirst) {
+        operations.push({ type: 'clear', store: storeName });
       }
+      records[storeName].forEach(record => {
+        // Backups made before saved competitors were keyed by identity only have their names
+        if (storeName === DB.STORES.SAVED_COMPETITORS && !record.identityKey) {
+          record = { ...record, identityKey: SavedCompetitor.identityKey(record) };
+        }
+        operations.push({ type: 'put', store: storeName, record });
+      });
+    });
+    
+    // Bulk writes aren't queued change by change, so the other devices are sent everything
+    if (this.syncOutboxEnabled) {
+      operations.push({ type: 'add', store: DB.STORES.SYNC_OUTBOX, record: { fullSync: true, createdAt: new Date().toISOString() } });
+    }
+    
+    // A failed write fails the whole batch, so nothing is half-restored
+    return this.storage.batch(operations).then(() => {
+      // Bulk writes replace records the history refers to, so its entries no longer apply
+      ArcheryHistoryService.clear();
+      return this.publishSyncOutboxCount();
+    }).then(() => ({ success: true })).catch(error => {
+      console.error('Error writing stores:', error);
+      throw error;
+    });
+  },
+  
+  /**
+   * Get every record in the synced stores, including deleted ones
+   * Records created before sync IDs existed are given one first, without touching the history
+   * @returns {Promise<Object>} Promise resolving to arrays of records keyed by store name
+   */
+  getSyncRecords: function() {
+    return this.getStoreRecords(SYNC.STORES).then(records => {
+      const missing = [];
+      [DB.STORES.COMPETITIONS, DB.STORES.ARCHERS].forEach(store => {
+        records[store].filter(record => !record.syncId).forEach(record => {
+          record.syncId = createSyncId();
+          missing.push({ type: 'put', store, record });
+        });
+      });
       
-      try {
-        const transaction = this.db.transaction(['savedCompetitors'], 'readwrite');
-        const store = transaction.objectStore('savedCompetitors');
-        
-        const request = store.delete(name);
+      return missing.length > 0 ? this.storage.batch(missing).then(() => records) : records;
+    });
+  },
+  
+  /**
+   * Record which sync revision of each record the other devices have, without touching the history or audit log
+   * The stored record is read again first, so an edit made while the revision was being sent is kept
+   * @param {Array} updates - Updates as { store, key, syncRevision, syncAncestors, syncFields }
+   * @returns {Promise} Promise resolving when written
+   */
+  updateSyncMetadata: function(updates) {
+    if (updates.length === 0) {
+      return Promise.resolve();
+    }
+    
+    return Promise.all(updates.map(update => this.storage.get(update.store, update.key))).then(records => {
+      const operations = [];
+      records.forEach((record, index) => {
+        if (!record) return;
+        const { store, key, ...fields } = updates[index];
+        operations.push({ type: 'put', store, record: { ...record, ...fields } });
+      });
+      return operations.length > 0 ? this.storage.batch(operations) : null;
+    });
+  },
+  
+  /**
+   * Write changes received from another device
+   * They are audited as synced changes but kept out of the undo history, since they aren't this user's
+   * @param {Array} changes - Changes as { store, key, before, after }; key is unknown for new
+   *   auto-increment records, and a null after removes the record
+   * @returns {Promise<Array>} Promise resolving to the key of each written record
+   */
+  applyRemoteChanges: function(changes) {
+    if (changes.length === 0) {
+      return Promise.resolve([]);
+    }
+    
+    const operations = changes.map(change => change.after ?
+      { type: change.before ? 'put' : 'add', store: change.store, record: change.after } :
+      { type: 'delete', store: change.store, key: change.key });
+    
+    // Not queued for sync either: the other devices already have these changes
+    return ArcheryAuditService.tagged('Synced from another device', () => this.writeChanges(changes, operations, false));
+  },
+  
+  /**
+   * Read whether this device is connected to sync, and publish the outbox size
+   * @returns {Promise} Promise resolving when loaded
+   */
+  loadSyncOutboxState: function() {
+    return this.getSetting(DB.SETTINGS_KEYS.SYNC_CONFIG).then(config => {
+      this.syncOutboxEnabled = !!(config && config.enabled);
+      ArcherySyncMerge.setDeviceId(config && config.deviceId);
+      return this.publishSyncOutboxCount();
+    });
+  },
+  
+  /**
+   * Save the sync config and start or stop queueing changes to match it
+   * @param {Object} config - Sync config; changes are queued while config.enabled is set
+   * @returns {Promise} Promise resolving when saved
+   */
+  saveSyncConfig: function(config) {
+    return this.saveSetting(DB.SETTINGS_KEYS.SYNC_CONFIG, config).then(() => {
+      this.syncOutboxEnabled = !!(config && config.enabled);
+      ArcherySyncMerge.setDeviceId(config && config.deviceId);
+    });
+  },
+  
+  /**
+   * Queue written changes to be pushed to the other devices
+   * @param {Array} changes - Changes as { store, key, before, after }, optionally with the field
+   *   stamps to send as fields
+   * @returns {Promise} Promise resolving when the changes are queued
+   */
+  queueSyncChanges: function(changes) {
+    if (!this.syncOutboxEnabled) {
+      return Promise.resolve();
+    }
+    
+    return this.addSyncOutboxEntries(this.createSyncOutboxEntries(changes));
+  },
+  
+  /**
+   * Build the sync outbox entries for a set of changes
+   * Entries name the record rather than copy it, so a replay sends the record as it is by then.
+   * The sync key is kept because a removed record can't be looked up any more. Each entry stamps
+   * the fields the edit changed, so edits made on two devices can be merged field by field.
+   * @param {Array} changes - Changes as { store, key, before, after }, optionally with the field
+   *   stamps to send as fields
+   * @returns {Array} Entries ready to add to the sync outbox store
+   */
+  createSyncOutboxEntries: function(changes) {
+    const createdAt = new Date().toISOString();
+    return changes
+      .filter(change => SYNC.STORES.includes(change.store))
+      .map(change => {
+        const record = change.after || change.before;
+        if (record) {
+          ArcherySyncMerge.observe(record.syncRevision);
+        }
         
-        request.onsuccess = () => {
-          resolve({ success: true });
-        };
+        const stamp = ArcherySyncMerge.now();
+        let fields = change.fields || null;
+        if (!fields && change.before && change.after) {
+          fields = {};
+          ArcheryAuditService.getFieldChanges(change.before, change.after).forEach(fieldChange => {
+            fields[fieldChange.field] = stamp;
+          });
+        }
         
-        request.onerror = (event) => {
-          console.error('Error deleting saved competitor:', event.target.error);
-          reject(event.target.error);
+        return {
+          store: change.store,
+          key: change.key,
+          syncKey: change.store === DB.STORES.SAVED_COMPETITORS ? change.key : (record && record.syncId) || null,
+          removed: !change.after,
+          // The version that was removed, so other devices can tell whether they had it
+          baseRevision: !change.after && record ? record.syncRevision || null : null,
+          // Stamps of the changed fields; null for a new record, whose every field is new
+          fields,
+          stamp,
+          createdAt
         };
-      } catch (error) {
-        console.error('Transaction error in deleteSavedCompetitor:', error);
-        reject(error);
+      })
+      // A record removed before it was ever given a sync ID never reached the other devices
+      .filter(entry => !entry.removed || entry.syncKey);
+  },
+  
+  /**
+   * Add entries to the sync outbox
+   * @param {Array} entries - Outbox entries
+   * @returns {Promise} Promise resolving when the entries are written; rejects if they can't be, so the
+   *   caller can report changes the other devices won't get
+   */
+  addSyncOutboxEntries: function(entries) {
+    if (entries.length === 0) {
+      return Promise.resolve();
+    }
+    
+    return this.storage.batch(entries.map(record => ({ type: 'add', store: DB.STORES.SYNC_OUTBOX, record })))
+      .then(() => this.publishSyncOutboxCount());
+  },
+  
+  /**
+   * Get the queued sync changes
+   * @returns {Promise<Array>} Promise resolving to outbox entries, oldest first
+   */
+  getSyncOutbox: function() {
+    return this.readRecords(() => this.storage.getAll(DB.STORES.SYNC_OUTBOX), [], 'getSyncOutbox')
+      .then(entries => entries.sort((a, b) => a.id - b.id));
+  },
+  
+  /**
+   * Remove entries from the sync outbox once the backend has them
+   * @param {Array} ids - IDs of the sent entries
+   * @returns {Promise} Promise resolving when removed
+   */
+  removeSyncOutboxEntries: function(ids) {
+    return this.storage.batch(ids.map(key => ({ type: 'delete', store: DB.STORES.SYNC_OUTBOX, key })))
+      .then(() => this.publishSyncOutboxCount());
+  },
+  
+  /**
+   * Publish the number of queued sync changes to AppState
+   * @returns {Promise<number>} Promise resolving to the count
+   */
+  publishSyncOutboxCount: function() {
+    return this.getSyncOutbox().then(entries => {
+      const count = entries.filter(entry => !entry.fullSync).length;
+      AppState.setState({ pendingChanges: count, syncOutboxSize: entries.length });
+      return count;
+    });
+  },
+  
+  /**
+   * Reload the active competition after its store has been rewritten
+   * Falls back to the first competition if the active one no longer exists
+   * @returns {Promise<Object|null>} Promise resolving to the active competition
+   */
+  reloadActiveCompetition: function() {
+    return this.getCompetitions().then(competitions => {
+      const activeId = this.activeCompetition ? this.activeCompetition.id : null;
+      return this.applyActiveCompetition(competitions.find(c => c.id === activeId) || competitions[0] || null);
+    });
+  },
+  
+  /**
+   * Undo the most recent change
+   * @returns {Promise<Object>} Promise resolving to result object with the undone entry's label
+   */
+  undo: function() {
+    return this.stepHistory('undo');
+  },
+  
+  /**
+   * Redo the most recently undone change
+   * @returns {Promise<Object>} Promise resolving to result object with the redone entry's label
+   */
+  redo: function() {
+    return this.stepHistory('redo');
+  },
+  
+  /**
+   * Undo or redo one history entry and reload the views through the active competition
+   * @param {string} direction - 'undo' or 'redo'
+   * @returns {Promise<Object>} Promise resolving to result object
+   */
+  stepHistory: function(direction) {
+    // Read the records as they are now so the audit log shows what the step changed
+    const apply = writes => Promise.all(writes.map(write => this.storage.get(write.store, write.key))).then(current => Promise.all(writes.map((write, index) => {
+      // Undo mustn't get round a role that has changed since the edit was made
+      const record = write.record || current[index];
+      if (write.store === DB.STORES.COMPETITIONS) {
+        return this.hasAccess(write.key, SHARING.ACTIONS.MANAGE);
       }
+      return write.store === DB.STORES.ARCHERS && record ? this.hasAccess(record.competitionId, SHARING.ACTIONS.SCORE) : true;
+    })).then(allowed => {
+      if (allowed.includes(false)) {
+        return Promise.reject(new Error(ERRORS.ACCESS_DENIED));
+      }
+      
+      const records = writes.map((write, index) => write.record && withCurrentMetadata(write.record, current[index]));
+      
+      return this.writeChanges(writes.map((write, index) => (
+        { store: write.store, key: write.key, before: current[index] || null, after: records[index] || null }
+      )));
+    }));
+    
+    const note = direction === 'undo' ? 'Undo' : 'Redo';
+    return ArcheryAuditService.tagged(note, () => ArcheryHistoryService[direction](apply)).then(entry => {
+      if (!entry) {
+        return { success: false, message: `Nothing to ${direction}` };
+      }
+      return this.reloadActiveCompetition().then(() => ({ success: true, label: entry.label }));
+    }).catch(error => {
+      console.error(`Error during ${direction}:`, error);
+      return { success: false, message: `Could not ${direction} the last change: ${error.message || error}` };
+    });
+  },
+  
+  /**
+   * Get a value from the settings store
+   * @param {string} key - Setting key from DB.SETTINGS_KEYS
+   * @param {*} defaultValue - Value to return when the setting has not been saved
+   * @returns {Promise<*>} Promise resolving to the setting value
+   */
+  getSetting: function(key, defaultValue = null) {
+    return this.readRecords(() => this.storage.get(DB.STORES.SETTINGS, key), null, 'getSetting')
+      .then(setting => setting ? setting.value : defaultValue);
+  },
+  
+  /**
+   * Save a value to the settings store
+   * @param {string} key - Setting key from DB.SETTINGS_KEYS
+   * @param {*} value - Value to save
+   * @returns {Promise<Object>} Promise resolving to result object
+   */
+  saveSetting: function(key, value) {
+    return this.storage.put(DB.STORES.SETTINGS, { key, value, updatedAt: new Date().toISOString() })
+      .then(() => ({ success: true }));
+  },
+  
+  /**
+   * Run a read, logging failures and returning a fallback so views can still render
+   * @param {Function} read - Function returning a Promise for the records
+   * @param {*} fallback - Value to return when storage is unavailable or the read fails
+   * @param {string} context - Caller name for the log
+   * @returns {Promise} Promise resolving to the records or the fallback
+   */
+  readRecords: function(read, fallback, context) {
+    if (!this.storage) {
+      console.error(`Database not initialized in ${context}`);
+      return Promise.resolve(fallback);
+    }
+    
+    return read().catch(error => {
+      console.error(`Error in ${context}:`, error);
+      return fallback;
     });
   }
 };
@@ -66,8 +66,8 @@ export const ArcheryDebugHelper = {
         const testArcher = {
           name: 'Debug Archer',
           club: 'Debug Club',
-          category: ArcheryDataService.categories[0],
-          age: ArcheryDataService.ageRanges[0],
+          category: ArcheryDataService.getCategories()[0],
+          age: ArcheryDataService.getAgeRanges()[0],
           day1: 100,
           day2: 95,
           total: 195
@@ -8,6 +8,12 @@ import { FormHandlers } from './form-handlers.js';
 import { TableHandlers } from './table-handlers.js';
 import { ArcheryUIRenderer } from './ui-renderer.js';
 import { ArcheryExportService } from './export-service.js';
+import { ArcheryPdfService } from './pdf-service.js';
+import { Competition } from './models.js';
+import { ArcheryBackupService } from './backup-service.js';
+import { Modal } from './components.js';
+import { COMPETITION_PACKAGE, EXPORT_FORMATS } from './constants.js';
+import { AppState } from './utilities.js';
 // Bootstrap is loaded globally in the HTML file
 
 export const EventHandlers = {
@@ -27,7 +33,6 @@ export const EventHandlers = {
         const competitionId = parseInt(this.value);
         try {
           await ArcheryDataService.setActiveCompetition(competitionId);
-          await EventHandlers.refreshAllViews();
           
           // Get the competition name for display
           const activeCompetition = ArcheryDataService.getActiveCompetition();
@@ -64,15 +69,12 @@ export const EventHandlers = {
       deleteBtn.addEventListener('click', function() {
         const activeCompetition = ArcheryDataService.getActiveCompetition();
         if (activeCompetition) {
-          UIHelpers.showConfirmation(`Are you sure you want to delete the competition "${activeCompetition.name}"? This will permanently delete all associated scores.`, async () => {
+          UIHelpers.showConfirmation(`Are you sure you want to delete the competition "${activeCompetition.name}"? It will be moved to the Recycle Bin together with its scores.`, async () => {
             try {
               const result = await ArcheryDataService.deleteCompetition(activeCompetition.id);
               
               if (result.success) {
-                UIHelpers.showNotification('Competition Deleted', `Competition "${activeCompetition.name}" has been deleted.`);
-                // Refresh the competition selector
-                await EventHandlers.initializeCompetitionSelector();
-                await EventHandlers.refreshAllViews();
+                UIHelpers.showUndoNotification('Competition Deleted', `Competition "${activeCompetition.name}" has been deleted.`);
               } else {
                 UIHelpers.showNotification('Error', result.message || 'Failed to delete competition.');
               }
@@ -105,6 +107,17 @@ export const EventHandlers = {
     const modal = ArcheryUIRenderer.createCompetitionModal(competition);
     const bootstrapModal = new bootstrap.Modal(modal);
     
+    // Loading a preset fills the division lists
+    const presetSelect = document.getElementById('competitionDivisionPreset');
+    if (presetSelect) {
+      presetSelect.addEventListener('change', function() {
+        if (!this.value) return;
+        const divisions = Competition.getPresetDivisions(this.value);
+        document.getElementById('competitionCategories').value = divisions.categories.join('\n');
+        document.getElementById('competitionAgeRanges').value = divisions.ageRanges.join('\n');
+      });
+    }
+    
     // Add event listener for save button
     const saveBtn = document.getElementById('saveCompetitionBtn');
     if (saveBtn) {
@@ -121,6 +134,34 @@ export const EventHandlers = {
         const name = document.getElementById('competitionName').value;
         const date = document.getElementById('competitionDate').value;
         const description = document.getElementById('competitionDescription').value;
+        const roundId = document.getElementById('competitionRound').value;
+        const categories = EventHandlers.parseListInput(document.getElementById('competitionCategories').value);
+        const ageRanges = EventHandlers.parseListInput(document.getElementById('competitionAgeRanges').value);
+        const tieBreakRules = Array.from(document.querySelectorAll('#competitionForm .tie-break-rule:checked'))
+          .map(checkbox => checkbox.value);
+        const teamRules = {
+          enabled: document.getElementById('teamRulesEnabled').checked,
+          teamSize: Number(document.getElementById('teamSize').value),
+          countingScores: Number(document.getElementById('teamCountingScores').value),
+          eligibleCategories: EventHandlers.parseListInput(document.getElementById('teamCategories').value),
+          eligibleAgeRanges: EventHandlers.parseListInput(document.getElementById('teamAgeRanges').value)
+        };
+        const certificateTemplate = {
+          title: document.getElementById('certificateTitle').value.trim(),
+          body: document.getElementById('certificateBody').value.trim(),
+          signature: document.getElementById('certificateSignature').value.trim()
+        };
+        
+        if (categories.length === 0 || ageRanges.length === 0) {
+          UIHelpers.showNotification('Error', 'Please enter at least one category and one age class.');
+          return;
+        }
+        
+        const validation = new Competition({ name, roundId, categories, ageRanges, tieBreakRules, teamRules, certificateTemplate }).validate();
+        if (!validation.isValid) {
+          UIHelpers.showNotification('Error', validation.errors.join('. '));
+          return;
+        }
         
         // Get competition ID for edits
         const idInput = document.getElementById('competitionId');
@@ -134,6 +175,12 @@ export const EventHandlers = {
               name: name,
               date: new Date(date).toISOString(),
               description: description,
+              roundId: roundId,
+              categories: categories,
+              ageRanges: ageRanges,
+              tieBreakRules: tieBreakRules,
+              teamRules: teamRules,
+              certificateTemplate: certificateTemplate,
               updatedAt: new Date().toISOString()
             };
             
@@ -145,6 +192,12 @@ export const EventHandlers = {
               name: name,
               date: new Date(date).toISOString(),
               description: description,
+              roundId: roundId,
+              categories: categories,
+              ageRanges: ageRanges,
+              tieBreakRules: tieBreakRules,
+              teamRules: teamRules,
+              certificateTemplate: certificateTemplate,
               createdAt: new Date().toISOString()
             };
             
@@ -156,12 +209,15 @@ export const EventHandlers = {
           // Hide the modal
           bootstrapModal.hide();
           
-          // Refresh the competition selector and views
-          await EventHandlers.initializeCompetitionSelector();
-          await EventHandlers.refreshAllViews();
+          // Changes to the active competition reach the views through AppState; the lists show every competition
+          await EventHandlers.refreshCompetitionLists();
         } catch (error) {
           console.error('Error saving competition:', error);
-          UIHelpers.showNotification('Error', 'Failed to save competition. Please try again.');
+          // Competition names are unique, including those waiting in the recycle bin
+          const message = error.name === 'ConstraintError' ?
+            'A competition with this name already exists. Check the Recycle Bin if it was deleted.' :
+            'Failed to save competition. Please try again.';
+          UIHelpers.showNotification('Error', message);
         }
       });
     }
@@ -170,20 +226,383 @@ export const EventHandlers = {
     bootstrapModal.show();
   },
   
+  /**
+   * Export the active competition's scores in a registered format
+   * @param {string} formatName - Format name from EXPORT_FORMATS
+   * @returns {Promise<boolean>} Promise resolving to true if the file was exported
+   */
+  exportResults: async function(formatName) {
+    const activeCompetition = ArcheryDataService.getActiveCompetition();
+    if (!activeCompetition) {
+      UIHelpers.showNotification('Error', 'No active competition. Please select or create a competition first.');
+      return false;
+    }
+    
+    try {
+      const scores = await ArcheryDataService.getAllScores();
+      
+      // Add competition information to the scores
+      const enhancedScores = scores.map(score => ({
+        ...score,
+        competition: activeCompetition.name,
+        competitionDate: new Date(activeCompetition.date).toLocaleDateString()
+      }));
+      
+      ArcheryExportService.setScoresData(enhancedScores);
+      
+      const result = await ArcheryExportService.exportAs(formatName);
+      
+      if (result.success) {
+        UIHelpers.showNotification('Export Successful', result.message);
+      } else {
+        UIHelpers.showNotification('Export Error', result.message || 'An error occurred during export.');
+      }
+      return result.success;
+    } catch (error) {
+      console.error('Error during export:', error);
+      UIHelpers.showNotification('Export Error', 'Failed to export data. Please try again.');
+      return false;
+    }
+  },
+  
+  /**
+   * Show the export modal and export in the chosen format when confirmed
+   */
+  showExportModal: function() {
+    const modal = ArcheryUIRenderer.createExportModal(ArcheryExportService.getFormatters());
+    const bootstrapModal = new bootstrap.Modal(modal);
+    
+    document.getElementById('confirmExportBtn').addEventListener('click', async function() {
+      const selected = modal.querySelector('input[name="exportFormat"]:checked');
+      if (!selected) return;
+      
+      this.disabled = true;
+      if (await EventHandlers.exportResults(selected.value)) {
+        bootstrapModal.hide();
+      } else {
+        this.disabled = false;
+      }
+    });
+    
+    bootstrapModal.show();
+  },
+  
+  /**
+   * Show the import modal and import the previewed rows when confirmed
+   * @param {Object} parsed - Parsed file from ArcheryExportService.importFromExcel
+   * @returns {Promise} Promise resolving when the modal is shown
+   */
+  showImportModal: async function(parsed) {
+    const activeCompetition = ArcheryDataService.getActiveCompetition();
+    const existingScores = await ArcheryDataService.getAllScores();
+    const fields = ArcheryExportService.importFields;
+    
+    const modal = ArcheryUIRenderer.createImportModal(parsed, fields, ArcheryExportService.guessColumnMapping(parsed.headers));
+    const bootstrapModal = new bootstrap.Modal(modal);
+    const previewContainer = document.getElementById('importPreview');
+    const modeSelect = document.getElementById('importMode');
+    let preview = [];
+    
+    // Rebuild the preview whenever the mapping or duplicate handling changes
+    const updatePreview = () => {
+      const mapping = {};
+      modal.querySelectorAll('.import-mapping').forEach(select => {
+        mapping[select.dataset.field] = parseInt(select.value);
+      });
+      
+      preview = ArcheryExportService.buildImportPreview(parsed.rows, mapping, existingScores);
+      ArcheryUIRenderer.renderImportPreview(previewContainer, preview, modeSelect.value);
+    };
+    
+    modal.querySelectorAll('.import-mapping').forEach(select => {
+      select.addEventListener('change', updatePreview);
+    });
+    modeSelect.addEventListener('change', updatePreview);
+    updatePreview();
+    
+    document.getElementById('confirmImportBtn').addEventListener('click', async function() {
+      const missing = fields.filter(field => field.required && parseInt(document.getElementById(`importMap-${field.key}`).value) < 0);
+      if (missing.length > 0) {
+        UIHelpers.showNotification('Import Error', `Please choose a column for: ${missing.map(field => field.label).join(', ')}.`);
+        return;
+      }
+      
+      this.disabled = true;
+      
+      try {
+        const result = await ArcheryExportService.importArchers(preview, {
+          mode: modeSelect.value,
+          saveCompetitors: document.getElementById('importSaveCompetitors').checked
+        });
+        
+        bootstrapModal.hide();
+        
+        // Update views
+        await TableHandlers.refreshScoresTable();
+        await ArcheryUIRenderer.renderResults();
+        await FormHandlers.refreshSavedCompetitorsDropdowns();
+        
+        const summary = `Imported ${result.imported} new and updated ${result.updated} archers in ${activeCompetition.name}; ${result.skipped} rows skipped.`;
+        if (result.success) {
+          UIHelpers.showNotification('Import Successful', summary);
+        } else {
+          UIHelpers.showNotification('Import Completed with Errors', `${summary} ${result.failed.length} rows failed to save (rows ${result.failed.map(f => f.rowNumber).join(', ')}).`);
+        }
+        
+        // Switch to the table view
+        document.getElementById('view-tab').click();
+      } catch (error) {
+        console.error('Error importing archers:', error);
+        UIHelpers.showNotification('Import Error', 'Failed to import archers. Please try again.');
+        this.disabled = false;
+      }
+    });
+    
+    bootstrapModal.show();
+  },
+  
+  /**
+   * Offer to load an IFAF results workbook as a new competition
+   * @param {Object} parsed - Parsed file from ArcheryExportService.importFromExcel
+   */
+  confirmResultsWorkbookImport: function(parsed) {
+    UIHelpers.showConfirmation(`"${parsed.fileName}" is a results workbook. Load it as a new competition? The file only holds totals, so they are recorded on day 1, with anything over the round maximum on day 2.`, async () => {
+      try {
+        const result = await ArcheryExportService.importResultsWorkbook(parsed.sheetRows);
+        if (!result.success) {
+          UIHelpers.showNotification('Import Error', result.message || 'Could not read the results workbook.');
+          return;
+        }
+        
+        const skippedText = result.skipped.length > 0 ?
+          ` ${result.skipped.length} archers were skipped: ${result.skipped.map(s => `${s.name} (${s.reason})`).join('; ')}` : '';
+        UIHelpers.showNotification('Import Successful', `Created competition "${result.competition.name}" with ${result.count} archers.${skippedText}`);
+        
+        document.getElementById('results-tab').click();
+      } catch (error) {
+        console.error('Error importing results workbook:', error);
+        UIHelpers.showNotification('Import Error', 'Failed to create a competition from the results workbook.');
+      }
+    });
+  },
+  
+  /**
+   * Ask whether an imported competition that clashes with an existing name should be renamed or merged
+   * @param {Object} file - Result of ArcheryBackupService.readCompetitionPackageFile
+   */
+  showCompetitionClashModal: function(file) {
+    const competitionPackage = file.competitionPackage;
+    const name = competitionPackage.competition.name;
+    
+    const modal = Modal.create({
+      id: 'competitionClashModal',
+      title: 'Competition Already Exists',
+      content: `
+        <p>
+          A competition named <strong class="clash-competition-name"></strong> already exists.
+          "<span class="clash-file-name"></span>" holds ${competitionPackage.archers.length} archers.
+        </p>
+        <div class="mb-3">
+          <label for="competitionImportName" class="form-label">Import as a new competition named</label>
+          <input type="text" class="form-control" id="competitionImportName">
+        </div>
+        <p class="mb-0 text-muted small">
+          Or merge the archers into the existing competition. Archers with the same name, membership number and category are updated,
+          and the existing competition keeps its round, divisions and tie-break rules.
+        </p>
+      `,
+      buttons: [
+        { text: 'Cancel', type: 'secondary', dismiss: true },
+        {
+          text: 'Merge',
+          type: 'outline-primary',
+          onClick: async () => {
+            modal.hide();
+            await EventHandlers.importCompetitionPackage(competitionPackage, { mode: COMPETITION_PACKAGE.MODES.MERGE });
+          }
+        },
+        {
+          text: 'Import as New',
+          type: 'primary',
+          onClick: async () => {
+            const newName = modal.getElement().querySelector('#competitionImportName').value.trim();
+            if (!newName) {
+              UIHelpers.showNotification('Import Error', 'Please enter a name for the imported competition.');
+              return;
+            }
+            
+            modal.hide();
+            await EventHandlers.importCompetitionPackage(competitionPackage, { mode: COMPETITION_PACKAGE.MODES.RENAME, name: newName });
+          }
+        }
+      ],
+      onHide: () => modal.dispose()
+    });
+    
+    // Names come from the imported file, so they are set as text rather than written into the HTML
+    const element = modal.getElement();
+    element.querySelector('.clash-competition-name').textContent = name;
+    element.querySelector('.clash-file-name').textContent = file.fileName;
+    element.querySelector('#competitionImportName').value = file.suggestedName;
+    
+    modal.show();
+  },
+  
+  /**
+   * Import a competition package and refresh the views
+   * @param {Object} competitionPackage - Validated competition package
+   * @param {Object} options - Import options passed to ArcheryBackupService.importCompetitionPackage
+   * @returns {Promise} Promise resolving when the import is complete
+   */
+  importCompetitionPackage: async function(competitionPackage, options) {
+    const result = await ArcheryBackupService.importCompetitionPackage(competitionPackage, options);
+    if (!result.success) {
+      UIHelpers.showNotification('Import Error', result.message);
+      return;
+    }
+    
+    const summary = result.summary;
+    const message = result.mode === COMPETITION_PACKAGE.MODES.MERGE ?
+      `Merged into "${result.name}": added ${summary.archersAdded} and updated ${summary.archersUpdated} archers.` :
+      `Imported "${result.name}" with ${summary.archersAdded} archers.`;
+    UIHelpers.showNotification('Competition Imported', message);
+  },
+  
+  /**
+   * Split a one-item-per-line textarea value into a list
+   * @param {string} value - Raw textarea value
+   * @returns {Array} Trimmed, non-empty, unique entries
+   */
+  parseListInput: function(value) {
+    const items = value.split('\n').map(item => item.trim()).filter(item => item);
+    return [...new Set(items)];
+  },
+  
   /**
    * Refresh all views
    * @returns {Promise} Promise resolving when all views are refreshed
    */
   refreshAllViews: async function() {
     try {
+      await UIHelpers.initializeDropdowns();
+      FormHandlers.applyRoundToForms();
+      FormHandlers.applyAccessToForms();
       await TableHandlers.refreshScoresTable();
       await ArcheryUIRenderer.renderResults();
       await EventHandlers.refreshCompetitionsList();
+      await EventHandlers.refreshSavedCompetitors();
+      await EventHandlers.refreshRecycleBin();
     } catch (error) {
       console.error('Error refreshing views:', error);
     }
   },
   
+  /**
+   * Refresh the saved competitors table and dropdowns
+   * @returns {Promise} Promise resolving when refreshed
+   */
+  refreshSavedCompetitors: async function() {
+    await ArcheryUIRenderer.renderSavedCompetitorsTable(document.getElementById('savedSearchInput').value.toLowerCase());
+    TableHandlers.initializeSavedCompetitorsEventHandlers();
+    await FormHandlers.refreshSavedCompetitorsDropdowns();
+  },
+  
+  /**
+   * Bind Ctrl+Z / Ctrl+Y (Cmd on Mac) to undo and redo
+   * Text fields keep their own undo, so the shortcuts only apply outside them
+   */
+  initializeUndoShortcuts: function() {
+    document.addEventListener('keydown', function(e) {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+      
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        UIHelpers.undoLastChange();
+      } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+        e.preventDefault();
+        UIHelpers.redoLastChange();
+      }
+    });
+  },
+  
+  /**
+   * Re-render the views whenever the active competition changes
+   * Anything that changes the active competition goes through ArcheryDataService, which publishes it to AppState
+   * @returns {Function} Unsubscribe function
+   */
+  watchActiveCompetition: function() {
+    return AppState.subscribe(async (state, changedProps) => {
+      if (!changedProps.includes('activeCompetition')) return;
+      
+      await EventHandlers.initializeCompetitionSelector();
+      await EventHandlers.refreshAllViews();
+    });
+  },
+  
+  /**
+   * Refresh the competition selector and the competitions list
+   * @returns {Promise} Promise resolving when both are refreshed
+   */
+  refreshCompetitionLists: async function() {
+    await EventHandlers.initializeCompetitionSelector();
+    await EventHandlers.refreshCompetitionsList();
+    await EventHandlers.refreshRecycleBin();
+  },
+  
+  /**
+   * Refresh the recycle bin in the competitions tab
+   * @returns {Promise} Promise resolving when the recycle bin is refreshed
+   */
+  refreshRecycleBin: async function() {
+    await ArcheryUIRenderer.renderRecycleBin(document.getElementById('recycleBinContainer'));
+    TableHandlers.initializeRecycleBinEventHandlers();
+  },
+  
+  /**
+   * Wire up the recycle bin's retention setting and Empty button
+   * @returns {Promise} Promise resolving when the saved retention is shown
+   */
+  initializeRecycleBinControls: async function() {
+    const retentionSelect = document.getElementById('recycleBinRetention');
+    retentionSelect.value = String(await ArcheryDataService.getRecycleBinRetention());
+    
+    retentionSelect.addEventListener('change', async function() {
+      try {
+        const result = await ArcheryDataService.saveRecycleBinRetention(parseInt(this.value));
+        if (!result.success) {
+          UIHelpers.showNotification('Error', result.message);
+          return;
+        }
+        
+        const purged = result.count > 0 ? ` ${result.count} expired items were permanently deleted.` : '';
+        UIHelpers.showNotification('Recycle Bin', `Retention period updated.${purged}`);
+        await EventHandlers.refreshRecycleBin();
+      } catch (error) {
+        console.error('Error saving recycle bin retention:', error);
+        UIHelpers.showNotification('Error', 'Failed to save the retention period.');
+      }
+    });
+    
+    document.getElementById('emptyRecycleBinBtn').addEventListener('click', function() {
+      UIHelpers.showConfirmation('Permanently delete everything in the recycle bin?', async () => {
+        try {
+          const result = await ArcheryDataService.emptyRecycleBin();
+          if (result.count === 0) {
+            UIHelpers.showNotification('Recycle Bin', 'The recycle bin is already empty.');
+            return;
+          }
+          UIHelpers.showUndoNotification('Recycle Bin Emptied', `${result.count} items were permanently deleted.`);
+          await EventHandlers.refreshRecycleBin();
+        } catch (error) {
+          console.error('Error emptying recycle bin:', error);
+          UIHelpers.showNotification('Error', 'Failed to empty the recycle bin. Please try again.');
+        }
+      });
+    });
+  },
+  
   /**
    * Refresh the competitions list
    * @param {string} searchTerm - Optional search term
@@ -201,6 +620,8 @@ export const EventHandlers = {
   initializeEventListeners: function() {
     console.log('Initializing event listeners...');
     
+    EventHandlers.initializeUndoShortcuts();
+    
     // Tab change handlers
     document.getElementById('view-tab').addEventListener('click', async function() {
       await TableHandlers.refreshScoresTable();
@@ -217,6 +638,11 @@ export const EventHandlers = {
     
     document.getElementById('competitions-tab').addEventListener('click', async function() {
       await EventHandlers.refreshCompetitionsList();
+      await EventHandlers.refreshRecycleBin();
+    });
+    
+    EventHandlers.initializeRecycleBinControls().catch(error => {
+      console.error('Error initializing recycle bin controls:', error);
     });
     
     // Create New Competition button in the competitions tab
@@ -224,6 +650,28 @@ export const EventHandlers = {
       EventHandlers.showCompetitionModal();
     });
     
+    // Import a competition exported from another device
+    document.getElementById('importCompetitionFile').addEventListener('change', function(e) {
+      if (!e.target.files || !e.target.files[0]) return;
+      
+      ArcheryBackupService.readCompetitionPackageFile(e.target.files[0])
+        .then(result => {
+          if (result.clash) {
+            EventHandlers.showCompetitionClashModal(result);
+          } else {
+            return EventHandlers.importCompetitionPackage(result.competitionPackage, { mode: COMPETITION_PACKAGE.MODES.RENAME });
+          }
+        })
+        .catch(error => {
+          console.error('Competition import error:', error);
+          UIHelpers.showNotification('Import Error', error.message || 'Failed to read the competition file.');
+        })
+        .finally(() => {
+          // Reset file input so the same file can be chosen again
+          e.target.value = '';
+        });
+    });
+    
     // Toggle inline form visibility
     const toggleInlineForm = document.getElementById('toggleInlineForm');
     const inlineAddForm = document.getElementById('inlineAddForm');
@@ -259,10 +707,11 @@ export const EventHandlers = {
       const activeCompetition = ArcheryDataService.getActiveCompetition();
       const competitionName = activeCompetition ? activeCompetition.name : 'current competition';
       
-      UIHelpers.showConfirmation(`This will delete all scores in ${competitionName}. Are you sure?`, async () => {
+      UIHelpers.showConfirmation(`This will move all scores in ${competitionName} to the Recycle Bin. Are you sure?`, async () => {
         try {
           await ArcheryDataService.clearAllScores();
-          UIHelpers.showNotification('Scores Cleared', `All scores in ${competitionName} have been cleared.`);
+          UIHelpers.showUndoNotification('Scores Cleared', `All scores in ${competitionName} have been moved to the Recycle Bin.`);
+          await EventHandlers.refreshRecycleBin();
           await TableHandlers.refreshScoresTable();
           await ArcheryUIRenderer.renderResults();
         } catch (error) {
@@ -288,11 +737,7 @@ export const EventHandlers = {
           };
           
           const newId = await ArcheryDataService.createCompetition(sampleCompetition);
-          await ArcheryDataService.setActiveCompetition(newId);
-          activeCompetition = ArcheryDataService.getActiveCompetition();
-          
-          // Refresh the competition selector
-          await EventHandlers.initializeCompetitionSelector();
+          activeCompetition = await ArcheryDataService.setActiveCompetition(newId);
           createdNewCompetition = true;
           
           console.log('Created new sample competition:', activeCompetition);
@@ -349,16 +794,18 @@ export const EventHandlers = {
     
     // Saved competitors selection dropdown event handlers
     document.getElementById('savedCompetitorSelect').addEventListener('change', async function() {
-      const selectedName = this.value;
-      if (selectedName) {
+      const identityKey = this.value;
+      if (identityKey) {
         try {
-          const competitor = await ArcheryDataService.getSavedCompetitorByName(selectedName);
+          const competitor = await ArcheryDataService.getSavedCompetitor(identityKey);
           if (competitor) {
             // Fill in the form fields
             document.getElementById('archerName').value = competitor.name;
             document.getElementById('club').value = competitor.club || '';
-            document.getElementById('categorySelect').value = competitor.category;
-            document.getElementById('ageRangeSelect').value = competitor.age;
+            document.getElementById('membershipId').value = competitor.membershipId || '';
+            // Saved divisions may not exist in this competition
+            document.getElementById('categorySelect').value = ArcheryDataService.validateCategory(competitor.category);
+            document.getElementById('ageRangeSelect').value = ArcheryDataService.validateAgeRange(competitor.age);
             
             // Focus on day 1 score field to speed up the workflow
             document.getElementById('scoreDay1').focus();
@@ -370,16 +817,18 @@ export const EventHandlers = {
     });
     
     document.getElementById('inlineSavedCompetitorSelect').addEventListener('change', async function() {
-      const selectedName = this.value;
-      if (selectedName) {
+      const identityKey = this.value;
+      if (identityKey) {
         try {
-          const competitor = await ArcheryDataService.getSavedCompetitorByName(selectedName);
+          const competitor = await ArcheryDataService.getSavedCompetitor(identityKey);
           if (competitor) {
             // Fill in the form fields
             document.getElementById('inlineArcherName').value = competitor.name;
             document.getElementById('inlineClub').value = competitor.club || '';
-            document.getElementById('inlineCategorySelect').value = competitor.category;
-            document.getElementById('inlineAgeRangeSelect').value = competitor.age;
+            document.getElementById('inlineMembershipId').value = competitor.membershipId || '';
+            // Saved divisions may not exist in this competition
+            document.getElementById('inlineCategorySelect').value = ArcheryDataService.validateCategory(competitor.category);
+            document.getElementById('inlineAgeRangeSelect').value = ArcheryDataService.validateAgeRange(competitor.age);
             
             // Focus on day 1 score field to speed up the workflow
             document.getElementById('inlineScoreDay1').focus();
@@ -391,36 +840,13 @@ export const EventHandlers = {
     });
     
     // Excel Export button
-    document.getElementById('exportExcelBtn').addEventListener('click', async function() {
-      const activeCompetition = ArcheryDataService.getActiveCompetition();
-      if (!activeCompetition) {
-        UIHelpers.showNotification('Error', 'No active competition. Please select or create a competition first.');
-        return;
-      }
-      
-      try {
-        const scores = await ArcheryDataService.getAllScores();
-        
-        // Add competition information to the scores
-        const enhancedScores = scores.map(score => ({
-          ...score,
-          competition: activeCompetition.name,
-          competitionDate: new Date(activeCompetition.date).toLocaleDateString()
-        }));
-        
-        ArcheryExportService.setScoresData(enhancedScores);
-        
-        const result = await ArcheryExportService.exportToExcel();
-        
-        if (result.success) {
-          UIHelpers.showNotification('Export Successful', `Scores from ${activeCompetition.name} have been exported to Excel successfully.`);
-        } else {
-          UIHelpers.showNotification('Export Error', result.message || 'An error occurred during export.');
-        }
-      } catch (error) {
-        console.error('Error during export:', error);
-        UIHelpers.showNotification('Export Error', 'Failed to export data. Please try again.');
-      }
+    document.getElementById('exportExcelBtn').addEventListener('click', function() {
+      EventHandlers.exportResults(EXPORT_FORMATS.IFAF_EXCEL);
+    });
+    
+    // Other export formats
+    document.getElementById('exportFormatsBtn').addEventListener('click', function() {
+      EventHandlers.showExportModal();
     });
     
     // Excel Import functionality
@@ -438,47 +864,20 @@ export const EventHandlers = {
       
       ArcheryExportService.importFromExcel(file)
         .then(result => {
-          if (result.success) {
-            UIHelpers.showConfirmation(`Do you want to replace existing data in ${activeCompetition.name} or merge with it?`, async () => {
-              try {
-                // Clear existing data first
-                await ArcheryDataService.clearAllScores();
-                
-                // Add each imported archer with current competition ID
-                for (const archer of result.data) {
-                  // Add competition ID
-                  archer.competitionId = activeCompetition.id;
-                  
-                  await ArcheryDataService.saveScore(archer);
-                  // Also save as a saved competitor
-                  await ArcheryDataService.saveCompetitor(archer);
-                }
-                
-                // Update views
-                await TableHandlers.refreshScoresTable();
-                await ArcheryUIRenderer.renderResults();
-                await FormHandlers.refreshSavedCompetitorsDropdowns();
-                
-                // Show notification
-                UIHelpers.showNotification('Import Successful', `Imported ${result.count} archer records into ${activeCompetition.name} successfully.`);
-                
-                // Reset file input
-                e.target.value = '';
-                
-                // Switch to the table view
-                document.getElementById('view-tab').click();
-              } catch (error) {
-                console.error('Error updating data after import:', error);
-                UIHelpers.showNotification('Import Error', 'Failed to update data after import.');
-              }
-            });
+          if (result.success && result.isResultsWorkbook) {
+            EventHandlers.confirmResultsWorkbookImport(result);
+          } else if (result.success) {
+            return EventHandlers.showImportModal(result);
+          } else {
+            UIHelpers.showNotification('Import Error', result.message || 'Failed to read the file.');
           }
         })
         .catch(error => {
           console.error('Import error:', error);
           UIHelpers.showNotification('Import Error', error.message || 'Failed to import Excel file.');
-          
-          // Reset file input
+        })
+        .finally(() => {
+          // Reset file input so the same file can be chosen again
           e.target.value = '';
         });
     });
@@ -487,6 +886,28 @@ export const EventHandlers = {
     document.getElementById('printResultsBtn').addEventListener('click', function() {
       ArcheryUIRenderer.printResults();
     });
+    
+    // PDF results sheet, ranked as the Results tab currently shows it
+    document.getElementById('resultsPdfBtn').addEventListener('click', async function() {
+      try {
+        const result = await ArcheryPdfService.generateResultsSheet(ArcheryUIRenderer.resultsView);
+        UIHelpers.showNotification(result.success ? 'PDF Created' : 'PDF Error', result.message);
+      } catch (error) {
+        console.error('Error creating results PDF:', error);
+        UIHelpers.showNotification('PDF Error', 'Failed to create the results PDF. Please try again.');
+      }
+    });
+    
+    // PDF certificates for the podium places
+    document.getElementById('certificatesPdfBtn').addEventListener('click', async function() {
+      try {
+        const result = await ArcheryPdfService.generateCertificates();
+        UIHelpers.showNotification(result.success ? 'PDF Created' : 'PDF Error', result.message);
+      } catch (error) {
+        console.error('Error creating certificates:', error);
+        UIHelpers.showNotification('PDF Error', 'Failed to create the certificates. Please try again.');
+      }
+    });
   }
 };
 
@@ -0,0 +1,321 @@
+/**
+ * Export Formatters for Archery Competition Tracker
+ * Built-in export formats, registered with ArcheryExportService by name
+ */
+import { ArcheryExportService } from './export-service.js';
+import { TeamResults } from './team-results.js';
+import { EXPORT_FORMATS, RESULTS_EXPORT } from './constants.js';
+import { DOMUtils } from './utilities.js';
+
+/**
+ * Turn rows into CSV text
+ * Starts with a byte order mark so spreadsheet programs read names with accents correctly
+ * @param {Array} rows - Rows of cell values
+ * @returns {string} CSV text with CRLF line endings
+ */
+const toCsv = rows => '\uFEFF' + rows.map(row => row.map(value => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}).join(',')).join('\r\n') + '\r\n';
+
+const { escapeHtml } = DOMUtils;
+
+/**
+ * Build a file name from the competition name
+ * @param {Object} context - Export context
+ * @param {string} extension - File extension
+ * @returns {string} File name
+ */
+const fileName = (context, extension) =>
+  `${(context.competition.name || 'Competition').replace(/[^\w-]+/g, '_')}_Results_${Date.now()}.${extension}`;
+
+/**
+ * Get the competition date as YYYY-MM-DD
+ * @param {Object} context - Export context
+ * @returns {string} Date
+ */
+const isoDate = context => new Date(context.competition.date).toISOString().split('T')[0];
+
+/**
+ * Get a day score, which one-day rounds leave undefined
+ * @param {number|undefined} score - Day score
+ * @param {*} missing - Value to use when there is no score
+ * @returns {*} Score or the missing value
+ */
+const dayScore = (score, missing) => score === undefined || score === null ? missing : score;
+
+export const ExportFormatters = {
+  /**
+   * The IFAF results workbook: the results sheet in the federation's layout, plus sheets for
+   * club teams, overall and handicap rankings and the audit trail when there are any
+   */
+  ifafExcel: {
+    name: EXPORT_FORMATS.IFAF_EXCEL,
+    label: 'IFAF Excel (.xlsx)',
+    description: 'The federation results workbook, ready to email. It can be imported again.',
+    extension: 'xlsx',
+    mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    fileName: () => `IFAF_Results_${Date.now()}.xlsx`,
+    format: function(context) {
+      const { competition, round } = context;
+      const workbook = XLSX.utils.book_new();
+      
+      const rows = [
+        ["USE FOR ALL IFAF SHOOTS"],
+        ["EMAIL RESULTS TO THE EMAIL ADDRESSES LISTED TO SUPPORT WEBSITE, GAINS AND RECORDS."],
+        ["pro@ifaf.ie", "", "", "membersec@ifaf.ie"],
+        [], // Empty row
+        ["Host Club:", competition.name || "Aos Dana Archers"],
+        ["Round:", round.name, "# of competitors:", context.scores.length],
+        ["Max Score:", String(round.maxScore), "Date:", new Date(competition.date).toLocaleDateString('en-GB')],
+        [], // Empty row
+        ...ArcheryExportService.buildDivisionRows(context.divisions, round)
+      ];
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), 'Results');
+      
+      if (context.teams) {
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(ArcheryExportService.buildTeamRows(context.teams.teams, context.teams.rules)), 'Teams');
+      }
+      
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(ArcheryExportService.buildStandingsRows(context.overall)), 'Overall');
+      
+      if (context.handicap) {
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(ArcheryExportService.buildStandingsRows(context.handicap)), 'Handicap');
+      }
+      
+      // The audit trail goes alongside the results so score changes can be checked
+      if (context.auditEntries.length > 0) {
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(ArcheryExportService.buildAuditRows(context.auditEntries)), 'Audit Trail');
+      }
+      
+      return XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+    }
+  },
+  
+  /**
+   * One row per archer with every column filled in, for spreadsheets and league tables
+   * The column names match the import mapping, so the file can be imported again
+   */
+  csvFlat: {
+    name: EXPORT_FORMATS.CSV_FLAT,
+    label: 'CSV, one row per archer',
+    description: 'Every archer on its own row with competition, division and position. Easy to sort and filter, and it can be imported again.',
+    extension: 'csv',
+    mimeType: 'text/csv;charset=utf-8',
+    fileName: context => fileName(context, 'csv'),
+    format: function(context) {
+      const { competition, round } = context;
+      const rows = [["Competition", "Date", "Round", "Category", "Age Class", "Position", "Name", "Membership #", "Club", "Day 1", "Day 2", "Total", "Tie-break"]];
+      
+      context.divisions.groups.forEach(division => {
+        division.entries.forEach(entry => {
+          const archer = entry.archer;
+          rows.push([
+            competition.name, isoDate(context), round.name, division.category, division.age, entry.position,
+            archer.name, archer.membershipId || "", archer.club || "", dayScore(archer.day1, ""), dayScore(archer.day2, ""), archer.total,
+            ArcheryExportService.getTieBreakNote(entry, round)
+          ]);
+        });
+      });
+      
+      return toCsv(rows);
+    }
+  },
+  
+  /**
+   * The IFAF results table as CSV, a heading row per division
+   */
+  csvGrouped: {
+    name: EXPORT_FORMATS.CSV_GROUPED,
+    label: 'CSV, grouped by division',
+    description: 'The results table from the IFAF workbook, with a heading row for each division.',
+    extension: 'csv',
+    mimeType: 'text/csv;charset=utf-8',
+    fileName: context => fileName(context, 'csv'),
+    format: function(context) {
+      return toCsv(ArcheryExportService.buildDivisionRows(context.divisions, context.round));
+    }
+  },
+  
+  /**
+   * Results as JSON for websites and other programs
+   *
+   * Layout (format "archery-tracker-results", version 1):
+   *   format, version      - RESULTS_EXPORT.FORMAT and RESULTS_EXPORT.VERSION
+   *   generatedAt          - ISO timestamp of the export
+   *   competition          - { name, date (YYYY-MM-DD), description, round: { id, name, description,
+   *                          maxScore per day, days, maxTotal } }
+   *   divisions[]          - { category, age, results[] } in division order
+   *   overall[]            - { title, results[] }, one per gender
+   *   handicap             - { results[], unranked[] archer names } or null when no archer has a handicap
+   *   teams                - { rules: { teamSize, countingScores, eligibleCategories, eligibleAgeRanges },
+   *                          results[]: { position (null for an incomplete team), tied, club, total, complete,
+   *                          members[]: { name, total, counting } } } or null without team results
+   * Each results[] item is { position, tied, tieBreak (rule that settled the place, or null), name, club,
+   * membershipId, category, age, day1, day2, total }; handicap results add handicap and adjustedTotal.
+   * Positions are shared by archers the tie-break rules could not separate. Missing values are null.
+   */
+  json: {
+    name: EXPORT_FORMATS.JSON,
+    label: 'JSON',
+    description: 'Structured results for websites and other programs.',
+    extension: 'json',
+    mimeType: 'application/json',
+    fileName: context => fileName(context, 'json'),
+    format: function(context) {
+      const { competition, round } = context;
+      const result = entry => ({
+        position: entry.position,
+        tied: entry.tied,
+        tieBreak: ArcheryExportService.getTieBreakNote(entry, round) || null,
+        name: entry.archer.name,
+        club: entry.archer.club || null,
+        membershipId: entry.archer.membershipId || null,
+        category: entry.archer.category,
+        age: entry.archer.age,
+        day1: dayScore(entry.archer.day1, null),
+        day2: dayScore(entry.archer.day2, null),
+        total: entry.archer.total
+      });
+      
+      return JSON.stringify({
+        format: RESULTS_EXPORT.FORMAT,
+        version: RESULTS_EXPORT.VERSION,
+        generatedAt: context.generatedAt,
+        competition: {
+          name: competition.name,
+          date: isoDate(context),
+          description: competition.description || null,
+          round: {
+            id: round.id,
+            name: round.name,
+            description: round.description,
+            maxScore: round.maxScore,
+            days: round.days,
+            maxTotal: round.getMaxTotal()
+          }
+        },
+        divisions: context.divisions.groups.map(division => ({
+          category: division.category,
+          age: division.age,
+          results: division.entries.map(result)
+        })),
+        overall: context.overall.groups.map(group => ({
+          title: group.title,
+          results: group.entries.map(result)
+        })),
+        handicap: context.handicap ? {
+          results: context.handicap.groups.flatMap(group => group.entries)
+            .map(entry => ({ ...result(entry), handicap: entry.handicap, adjustedTotal: entry.score })),
+          unranked: context.handicap.excluded.map(archer => archer.name)
+        } : null,
+        teams: context.teams ? {
+          rules: {
+            teamSize: context.teams.rules.teamSize,
+            countingScores: context.teams.rules.countingScores,
+            eligibleCategories: context.teams.rules.eligibleCategories,
+            eligibleAgeRanges: context.teams.rules.eligibleAgeRanges
+          },
+          results: context.teams.teams.map(team => ({
+            position: team.position,
+            tied: team.tied,
+            club: team.club,
+            total: team.total,
+            complete: team.complete,
+            members: team.members.map(archer => ({ name: archer.name, total: archer.total, counting: team.counting.includes(archer) }))
+          }))
+        } : null
+      }, null, 2);
+    }
+  },
+  
+  /**
+   * A single HTML page with its styles inside, to paste into a newsletter or open offline
+   */
+  html: {
+    name: EXPORT_FORMATS.HTML,
+    label: 'HTML page',
+    description: 'A self-contained results page for newsletters and email. It needs no other files.',
+    extension: 'html',
+    mimeType: 'text/html;charset=utf-8',
+    fileName: context => fileName(context, 'html'),
+    format: function(context) {
+      const { competition, round } = context;
+      
+      const table = (title, headers, rows) => `
+  <h2>${escapeHtml(title)}</h2>
+  <table>
+    <thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>
+    <tbody>
+${rows.map(row => `      <tr${row.podium ? ` class="place-${row.podium}"` : ''}>${row.cells.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n')}
+    </tbody>
+  </table>`;
+      
+      const archerRow = (entry, cells) => ({
+        podium: entry.position <= 3 ? entry.position : null,
+        cells: [`${entry.position}${entry.tied ? '=' : ''}`, entry.archer.name, entry.archer.club || '', ...cells]
+      });
+      
+      const sections = [
+        ...context.divisions.groups.map(division => table(division.title, ['Pos', 'Name', 'Club', 'Total', 'Tie-break'],
+          division.entries.map(entry => archerRow(entry, [entry.score, ArcheryExportService.getTieBreakNote(entry, round)])))),
+        ...context.overall.groups.map(group => table(group.title, ['Pos', 'Name', 'Club', 'Division', 'Total'],
+          group.entries.map(entry => archerRow(entry, [`${entry.archer.category} - ${entry.archer.age}`, entry.score]))))
+      ];
+      
+      if (context.handicap) {
+        context.handicap.groups.forEach(group => {
+          sections.push(table(group.title, ['Pos', 'Name', 'Club', 'Score', 'Handicap', 'Total'],
+            group.entries.map(entry => archerRow(entry, [entry.archer.total, `${entry.handicap > 0 ? '+' : ''}${entry.handicap}`, entry.score]))));
+        });
+      }
+      
+      if (context.teams) {
+        sections.push(table(`Club Teams - ${TeamResults.describeRules(context.teams.rules)}`, ['Pos', 'Club', 'Total', 'Archers'],
+          context.teams.teams.map(team => ({
+            podium: team.complete && team.position <= 3 ? team.position : null,
+            cells: [
+              team.complete ? `${team.position}${team.tied ? '=' : ''}` : '-',
+              team.club,
+              team.total,
+              `${team.members.map(archer => `${archer.name} ${archer.total}${team.counting.includes(archer) ? '' : ' (not counting)'}`).join(', ')}${team.complete ? '' : ' - incomplete team'}`
+            ]
+          }))));
+      }
+      
+      return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(competition.name)} - Results</title>
+  <style>
+    body { font-family: Arial, Helvetica, sans-serif; color: #222; max-width: 900px; margin: 2em auto; padding: 0 1em; }
+    h1 { margin-bottom: 0.2em; }
+    h2 { font-size: 1.1em; margin-top: 1.8em; border-bottom: 2px solid #0d6efd; padding-bottom: 0.2em; }
+    .meta { color: #666; margin-top: 0; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { text-align: left; padding: 0.3em 0.5em; border-bottom: 1px solid #ddd; }
+    th { background: #f3f3f3; }
+    .place-1 { background: #fff4c2; }
+    .place-2 { background: #eeeeee; }
+    .place-3 { background: #f6e0cf; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(competition.name)}</h1>
+  <p class="meta">${escapeHtml(new Date(competition.date).toLocaleDateString())} - ${escapeHtml(round.name)} (${escapeHtml(round.description)}), max score ${escapeHtml(round.maxScore)}${round.days > 1 ? ` per day, ${escapeHtml(round.getMaxTotal())} total` : ''}</p>
+  ${competition.description ? `<p>${escapeHtml(competition.description)}</p>` : ''}
+${sections.join('\n')}
+  <p class="meta">Generated ${escapeHtml(new Date(context.generatedAt).toLocaleString())}</p>
+</body>
+</html>
+`;
+    }
+  }
+};
+
+// Register the built-in formats, the IFAF workbook first
+Object.values(ExportFormatters).forEach(formatter => ArcheryExportService.registerFormatter(formatter));
+
+// Make it available globally
+window.ExportFormatters = ExportFormatters;
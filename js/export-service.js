@@ -1,14 +1,37 @@
 /**
  * Export Service for Archery Competition Tracker
- * Handles exporting and importing data to/from Excel
+ * Handles exporting and importing data to/from Excel and CSV
+ * Export formats are pluggable formatters, see export-formatters.js for the built-in ones
  */
 import { ArcheryDataService } from './data-service.js';
+import { Archer, Round, Competition } from './models.js';
+import { TieBreak } from './tie-break.js';
+import { TeamResults } from './team-results.js';
+import { ResultsEngine } from './results-engine.js';
+import { AppState } from './utilities.js';
+import { ArcheryHistoryService } from './history-service.js';
+import { ArcheryAuditService } from './audit-service.js';
+import { PODIUM_POSITIONS, DEFAULT_ROUND_ID, DIVISION_PRESETS, AUDIT, RESULT_VIEWS, EXPORT_FORMATS } from './constants.js';
 // Bootstrap is loaded globally in the HTML file
 
 export const ArcheryExportService = {
   // Cache for scores data to avoid passing large datasets
   scoresData: null,
   
+  // Export formats keyed by name, added with registerFormatter
+  formatters: {},
+  
+  /**
+   * Drop cached scores when the active competition changes, so an export never mixes competitions
+   */
+  watchActiveCompetition: function() {
+    AppState.subscribe((state, changedProps) => {
+      if (changedProps.includes('activeCompetition')) {
+        this.setScoresData(null);
+      }
+    });
+  },
+  
   /**
    * Set scores data for export operations
    * @param {Array} scores - Array of archer score objects
@@ -19,117 +42,211 @@ export const ArcheryExportService = {
   },
   
   /**
-   * Export archer data to Excel file in IFAF format with better error handling
+   * Register an export format
+   * Formatters turn the export context from buildExportContext into the content of a file
+   * @param {Object} formatter - Formatter as { name, label, description, extension, mimeType,
+   *   fileName(context), format(context) }; format returns the file content as a string or ArrayBuffer
+   */
+  registerFormatter: function(formatter) {
+    this.formatters[formatter.name] = formatter;
+  },
+  
+  /**
+   * Get the registered export formats in registration order
+   * @returns {Array} Formatter objects
+   */
+  getFormatters: function() {
+    return Object.values(this.formatters);
+  },
+  
+  /**
+   * Gather everything a formatter may need about the cached scores
+   * @param {Object} competition - Competition the scores belong to
+   * @returns {Promise<Object>} Promise resolving to { competition, round, scores, divisions, overall,
+   *   handicap, teams, auditEntries, generatedAt }; handicap is null when no archer has one and teams
+   *   is { rules, teams } or null when the competition has no team results
+   */
+  buildExportContext: async function(competition) {
+    const [handicaps, auditEntries] = await Promise.all([
+      ArcheryDataService.getHandicaps(),
+      ArcheryDataService.getAuditLogForCompetition(competition.id)
+    ]);
+    
+    return {
+      competition,
+      round: Round.forCompetition(competition),
+      scores: this.scoresData,
+      divisions: ResultsEngine.getStandings(RESULT_VIEWS.DIVISIONS, this.scoresData, competition),
+      overall: ResultsEngine.getStandings(RESULT_VIEWS.OVERALL, this.scoresData, competition),
+      handicap: handicaps.size > 0 ? ResultsEngine.getStandings(RESULT_VIEWS.HANDICAP, this.scoresData, competition, handicaps) : null,
+      teams: TeamResults.isEnabled(competition) ?
+        { rules: TeamResults.getRules(competition), teams: TeamResults.rankTeams(this.scoresData, competition) } : null,
+      auditEntries,
+      generatedAt: new Date().toISOString()
+    };
+  },
+  
+  /**
+   * Export the cached scores of the active competition in a registered format
+   * @param {string} name - Format name from EXPORT_FORMATS, or of another registered formatter
+   * @returns {Promise<Object>} Promise resolving to result object
+   */
+  exportAs: async function(name) {
+    const formatter = this.formatters[name];
+    if (!formatter) {
+      return { success: false, message: `Unknown export format: ${name}` };
+    }
+    
+    if (!this.scoresData || this.scoresData.length === 0) {
+      console.warn('No data available for export');
+      return { success: false, message: 'No data to export. Add some scores first!' };
+    }
+    
+    const activeCompetition = ArcheryDataService.getActiveCompetition();
+    if (!activeCompetition) {
+      console.warn('No active competition');
+      return { success: false, message: 'No active competition selected.' };
+    }
+    
+    const context = await this.buildExportContext(activeCompetition);
+    const content = formatter.format(context);
+    this.saveFile(content, formatter.fileName(context), formatter.mimeType);
+    console.log('Exported', this.scoresData.length, 'records as', formatter.name);
+    
+    return { success: true, message: `Scores from ${activeCompetition.name} have been exported as ${formatter.label}.` };
+  },
+  
+  /**
+   * Export archer data to Excel file in IFAF format
    * @returns {Promise<Object>} Promise resolving to result object
    */
   exportToExcel: function() {
-    return new Promise((resolve, reject) => {
-      try {
-        console.log('Starting export process...');
-        
-        if (!this.scoresData || this.scoresData.length === 0) {
-          console.warn('No data available for export');
-          resolve({ success: false, message: 'No data to export. Add some scores first!' });
-          return;
-        }
-        
-        // Get active competition info
-        const activeCompetition = ArcheryDataService.getActiveCompetition();
-        if (!activeCompetition) {
-          console.warn('No active competition');
-          resolve({ success: false, message: 'No active competition selected.' });
-          return;
-        }
-        
-        console.log('Active competition:', activeCompetition);
-        
-        // Create a new workbook - Basic format
-        const workbook = XLSX.utils.book_new();
-        
-        // Instead of complex formatting, start with a simpler approach:
-        // Convert data directly to worksheet rows
-        const rows = [
-          ["USE FOR ALL IFAF SHOOTS"], 
-          ["EMAIL RESULTS TO THE EMAIL ADDRESSES LISTED TO SUPPORT WEBSITE, GAINS AND RECORDS."],
-          ["pro@ifaf.ie", "", "", "membersec@ifaf.ie"],
-          [], // Empty row
-          ["Host Club:", activeCompetition.name || "Aos Dana Archers"],
-          ["Round:", "1x28 UAR", "# of competitors:", this.scoresData.length],
-          ["Max Score:", "560", "Date:", new Date(activeCompetition.date).toLocaleDateString('en-GB')],
-          [] // Empty row
-        ];
-        
-        // Add all archers to a simple table format
-        rows.push(["Category", "", "Name", "Membership #", "Club", "Score"]);
-        
-        // Group the data
-        const categories = {};
-        this.scoresData.forEach(score => {
-          const key = `${score.category}-${score.age}`;
-          if (!categories[key]) {
-            categories[key] = {
-              category: score.category,
-              age: score.age,
-              archers: []
-            };
-          }
-          categories[key].archers.push(score);
-        });
-        
-        // Add each category
-        Object.values(categories).forEach(category => {
-          rows.push([category.category, category.age]);
-          
-          // Sort archers by score (descending)
-          category.archers.sort((a, b) => b.total - a.total);
-          
-          // Add each archer in this category
-          category.archers.forEach(archer => {
-            rows.push(["", "", archer.name, archer.membershipId || "", archer.club || "", archer.total]);
-          });
-          
-          // Add a blank row between categories
-          rows.push([]);
-        });
-        
-        console.log('Created worksheet data with', rows.length, 'rows');
-        
-        // Create basic worksheet
-        const worksheet = XLSX.utils.aoa_to_sheet(rows);
-        
-        // Add the worksheet to workbook
-        XLSX.utils.book_append_sheet(workbook, worksheet, 'Results');
-        
-        console.log('Created worksheet and added to workbook');
-        
-        // Generate Excel file and trigger download
-        try {
-          const excelBuffer = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
-          console.log('Excel buffer created, size:', excelBuffer.length);
-          
-          this.saveExcelFile(excelBuffer, `IFAF_Results_${Date.now()}.xlsx`);
-          console.log('File saved successfully');
-          
-          resolve({ success: true });
-        } catch (writeError) {
-          console.error('Error writing Excel:', writeError);
-          reject({ success: false, message: 'Error generating Excel file: ' + writeError.message });
-        }
-      } catch (error) {
-        console.error('Export error:', error);
-        reject({ success: false, message: 'An error occurred during export: ' + error.message });
-      }
+    return this.exportAs(EXPORT_FORMATS.IFAF_EXCEL);
+  },
+  
+  /**
+   * Build the rows of the IFAF results table: a heading row per division, then its archers
+   * @param {Object} standings - Division standings from ResultsEngine.getStandings
+   * @param {Round} round - Round the competition is shot under, for tie-break descriptions
+   * @returns {Array} Rows starting with the column headers
+   */
+  buildDivisionRows: function(standings, round) {
+    const rows = [["Category", "Position", "Name", "Membership #", "Club", "Score", "Tie-break"]];
+    
+    standings.groups.forEach(division => {
+      rows.push([division.category, division.age]);
+      
+      division.entries.forEach(entry => {
+        const archer = entry.archer;
+        rows.push(["", entry.position, archer.name, archer.membershipId || "", archer.club || "", archer.total, this.getTieBreakNote(entry, round)]);
+      });
+      
+      // Add a blank row between categories
+      rows.push([]);
+    });
+    
+    return rows;
+  },
+  
+  /**
+   * Describe how an archer's place was settled
+   * @param {Object} entry - Ranked entry from ResultsEngine
+   * @param {Round} round - Round the competition is shot under
+   * @returns {string} Tie-break rule that separated the archer, "Unresolved draw" or empty
+   */
+  getTieBreakNote: function(entry, round) {
+    return entry.resolvedBy ? TieBreak.describeRule(entry.resolvedBy, round) :
+      entry.tied && entry.position <= PODIUM_POSITIONS ? 'Unresolved draw' : '';
+  },
+  
+  /**
+   * Build the rows of a sheet for an overall or handicap ranking
+   * @param {Object} standings - Standings from ResultsEngine.getStandings
+   * @returns {Array} Rows with a heading per group; the handicap view adds score and handicap columns
+   */
+  buildStandingsRows: function(standings) {
+    const handicap = standings.view === RESULT_VIEWS.HANDICAP;
+    const rows = [handicap ?
+      ["Position", "Name", "Club", "Division", "Score", "Handicap", "Adjusted"] :
+      ["Position", "Name", "Club", "Division", "Score"]];
+    
+    standings.groups.forEach(group => {
+      rows.push([group.title]);
+      group.entries.forEach(entry => {
+        const archer = entry.archer;
+        const row = [entry.position, archer.name, archer.club || "", `${archer.category} - ${archer.age}`];
+        rows.push(handicap ? [...row, archer.total, entry.handicap, entry.score] : [...row, entry.score]);
+      });
+      rows.push([]);
+    });
+    
+    if (standings.excluded.length > 0) {
+      rows.push(["Not ranked without a handicap:", standings.excluded.map(archer => archer.name).join(', ')]);
+    }
+    
+    return rows;
+  },
+  
+  /**
+   * Build worksheet rows for the club team results
+   * Each team member gets a row under their club, so the counting scores can be checked
+   * @param {Array} teams - Ranked teams from TeamResults.rankTeams
+   * @param {Object} rules - Team rules of the competition
+   * @returns {Array} Rows for the Teams sheet
+   */
+  buildTeamRows: function(teams, rules) {
+    const rows = [
+      ["Team rules:", TeamResults.describeRules(rules)],
+      [],
+      ["Position", "Club", "Team Total", "Archer", "Category", "Age", "Score", "Counting"]
+    ];
+    
+    teams.forEach(team => {
+      const position = team.complete ? `${team.position}${team.tied ? ' (draw)' : ''}` : 'Incomplete';
+      rows.push([position, team.club, team.total]);
+      team.members.forEach(archer => {
+        rows.push(["", "", "", archer.name, archer.category, archer.age, archer.total, team.counting.includes(archer) ? "Yes" : "No"]);
+      });
     });
+    
+    return rows;
   },
   
   /**
-   * Helper function to save Excel file with improved error handling
-   * @param {ArrayBuffer} buffer - Excel file buffer
+   * Build worksheet rows for a competition's audit trail
+   * @param {Array} entries - Audit entries, oldest first
+   * @returns {Array} Rows for the Audit Trail sheet
+   */
+  buildAuditRows: function(entries) {
+    const rows = [["Timestamp", "Record", "Name", "Action", "Field", "Old Value", "New Value", "Changed By", "Note"]];
+    
+    entries.forEach(entry => {
+      const isUpdate = entry.action === AUDIT.ACTIONS.UPDATE;
+      rows.push([
+        entry.timestamp,
+        entry.entity,
+        entry.entityName,
+        entry.action,
+        entry.field || "",
+        isUpdate ? ArcheryAuditService.formatValue(entry.oldValue) : "",
+        isUpdate ? ArcheryAuditService.formatValue(entry.newValue) : "",
+        entry.changedBy,
+        entry.note || ""
+      ]);
+    });
+    
+    return rows;
+  },
+  
+  /**
+   * Helper function to save an exported file with improved error handling
+   * @param {string|ArrayBuffer} content - File content
    * @param {string} fileName - Name of the file to save
+   * @param {string} mimeType - MIME type of the file
    */
-  saveExcelFile: function(buffer, fileName) {
+  saveFile: function(content, fileName, mimeType) {
     try {
-      const data = new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+      const data = new Blob([content], { type: mimeType });
       
       // For IE/Edge
       if (navigator.msSaveBlob) {
@@ -156,10 +273,391 @@ export const ArcheryExportService = {
   },
   
   /**
-   * Import archer data from Excel file (unchanged)
+   * Archer fields that can be mapped from an imported spreadsheet
+   * Aliases are lower-case header names recognised when guessing the mapping
+   */
+  importFields: [
+    { key: 'name', label: 'Name', required: true, aliases: ['name', 'archer', 'archer name', 'competitor', 'full name'] },
+    { key: 'club', label: 'Club', aliases: ['club', 'club name', 'host club'] },
+    { key: 'membershipId', label: 'Membership #', aliases: ['membership #', 'membership', 'membership id', 'member id', 'membership number', 'ifaa #'] },
+    { key: 'category', label: 'Category', required: true, aliases: ['category', 'bow style', 'bowstyle', 'division', 'class'] },
+    { key: 'age', label: 'Age Class', required: true, aliases: ['age', 'age class', 'age range', 'age group'] },
+    { key: 'day1', label: 'Day 1 Score', aliases: ['day 1', 'day1', 'day 1 score', 'score', 'score 1', 'round 1'] },
+    { key: 'day2', label: 'Day 2 Score', aliases: ['day 2', 'day2', 'day 2 score', 'score 2', 'round 2'] }
+  ],
+  
+  /**
+   * Read the first sheet of an Excel or CSV file
+   * @param {File} file - .xlsx, .xls or .csv file
+   * @returns {Promise<Object>} Promise resolving to result object with headers and rows
    */
   importFromExcel: function(file) {
-    // Keep the existing implementation
+    return new Promise((resolve, reject) => {
+      if (!file) {
+        reject({ success: false, message: 'No file selected.' });
+        return;
+      }
+      
+      if (!/\.(xlsx|xls|csv)$/i.test(file.name)) {
+        reject({ success: false, message: 'Unsupported file type. Please choose an .xlsx, .xls or .csv file.' });
+        return;
+      }
+      
+      const reader = new FileReader();
+      
+      reader.onload = (event) => {
+        try {
+          const workbook = XLSX.read(new Uint8Array(event.target.result), { type: 'array' });
+          const sheetName = workbook.SheetNames[0];
+          const sheetRows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, defval: '', raw: false });
+          
+          // Drop empty rows; the first remaining row holds the column headers
+          const rows = sheetRows.filter(row => row.some(cell => String(cell).trim() !== ''));
+          if (rows.length < 2) {
+            resolve({ success: false, message: 'The file does not contain a header row and at least one data row.' });
+            return;
+          }
+          
+          const headers = rows[0].map((header, index) => String(header).trim() || `Column ${index + 1}`);
+          console.log('Read import file:', file.name, 'sheet:', sheetName, 'rows:', rows.length - 1);
+          
+          resolve({
+            success: true,
+            fileName: file.name,
+            sheetName: sheetName,
+            headers: headers,
+            rows: rows.slice(1),
+            sheetRows: rows,
+            isResultsWorkbook: this.isResultsWorkbook(rows)
+          });
+        } catch (error) {
+          console.error('Error reading import file:', error);
+          reject({ success: false, message: 'Could not read the file: ' + error.message });
+        }
+      };
+      
+      reader.onerror = () => {
+        reject({ success: false, message: 'Could not read the file.' });
+      };
+      
+      reader.readAsArrayBuffer(file);
+    });
+  },
+  
+  /**
+   * Check whether sheet rows use the grouped results layout written by exportToExcel
+   * @param {Array} sheetRows - Non-empty rows of the first sheet
+   * @returns {boolean} True if the rows look like an IFAF results workbook
+   */
+  isResultsWorkbook: function(sheetRows) {
+    const labels = sheetRows.map(row => String(row[0] || '').trim());
+    return labels.includes('Host Club:') && labels.includes('Round:') &&
+      sheetRows.some(row => row[0] === 'Category' && row[2] === 'Name');
+  },
+  
+  /**
+   * Rebuild a competition and its archers from an IFAF results workbook
+   * The workbook only carries totals, so each total is recorded on day 1 with any
+   * overflow beyond the round maximum on day 2
+   * @param {Array} sheetRows - Non-empty rows of the first sheet
+   * @returns {Object} Result object with competition, archers and skipped rows
+   */
+  parseResultsWorkbook: function(sheetRows) {
+    const valueAfter = (label, offset = 1) => {
+      for (const row of sheetRows) {
+        const index = row.findIndex(cell => String(cell).trim() === label);
+        if (index >= 0) return String(row[index + offset] || '').trim();
+      }
+      return '';
+    };
+    
+    const name = valueAfter('Host Club:');
+    if (!name) {
+      return { success: false, message: 'The workbook has no "Host Club:" competition name.' };
+    }
+    
+    // Match the round by name; older files without a known round use the default
+    const roundName = valueAfter('Round:');
+    const round = Round.getAll().find(r => r.name === roundName) || Round.getById(DEFAULT_ROUND_ID);
+    
+    // Dates are written in en-GB format (dd/mm/yyyy)
+    const dateText = valueAfter('Date:');
+    const dateMatch = dateText.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    const date = dateMatch ?
+      new Date(Date.UTC(parseInt(dateMatch[3]), parseInt(dateMatch[2]) - 1, parseInt(dateMatch[1]))).toISOString() :
+      new Date().toISOString();
+    
+    const headerIndex = sheetRows.findIndex(row => row[0] === 'Category' && row[2] === 'Name');
+    const archers = [];
+    const skipped = [];
+    const categories = [];
+    const ageRanges = [];
+    let division = null;
+    
+    sheetRows.slice(headerIndex + 1).forEach(row => {
+      const [categoryCell, ageCell, nameCell, membershipCell, clubCell, scoreCell] = row.map(cell => String(cell).trim());
+      
+      // A row with a category starts a new division; archer rows leave the first column empty
+      if (categoryCell) {
+        division = { category: categoryCell, age: ageCell };
+        if (!categories.includes(categoryCell)) categories.push(categoryCell);
+        if (ageCell && !ageRanges.includes(ageCell)) ageRanges.push(ageCell);
+        return;
+      }
+      
+      if (!nameCell) return;
+      
+      const total = parseInt(scoreCell) || 0;
+      const day1 = Math.min(total, round.maxScore);
+      
+      const archer = new Archer({
+        name: nameCell,
+        membershipId: membershipCell,
+        club: clubCell,
+        category: division ? division.category : '',
+        age: division ? division.age : '',
+        day1: day1,
+        day2: total - day1
+      });
+      
+      const validation = archer.validate(round);
+      if (!validation.isValid) {
+        skipped.push({ name: nameCell, reason: validation.errors.join(' ') });
+      } else if (archers.some(existing => Archer.isSameEntry(existing, archer))) {
+        skipped.push({ name: nameCell, reason: 'Archer appears more than once in the workbook' });
+      } else {
+        archers.push(archer.toObject());
+      }
+    });
+    
+    // Keep a preset's full lists when it covers every division in the file
+    const preset = Object.keys(DIVISION_PRESETS)
+      .map(presetId => Competition.getPresetDivisions(presetId))
+      .find(divisions => categories.every(c => divisions.categories.includes(c)) &&
+        ageRanges.every(a => divisions.ageRanges.includes(a)));
+    
+    return {
+      success: true,
+      competition: {
+        name: name,
+        date: date,
+        description: 'Imported from results workbook',
+        roundId: round.id,
+        categories: preset ? preset.categories : categories,
+        ageRanges: preset ? preset.ageRanges : ageRanges
+      },
+      archers: archers,
+      skipped: skipped
+    };
+  },
+  
+  /**
+   * Create a new competition from a parsed IFAF results workbook and make it active
+   * @param {Array} sheetRows - Non-empty rows of the first sheet
+   * @returns {Promise<Object>} Promise resolving to result object with the new competition and counts
+   */
+  importResultsWorkbook: async function(sheetRows) {
+    const parsed = this.parseResultsWorkbook(sheetRows);
+    if (!parsed.success) {
+      return parsed;
+    }
+    
+    const name = await ArcheryDataService.getUniqueCompetitionName(parsed.competition.name);
+    const competitionId = await ArcheryHistoryService.group(`Load ${name}`, async () => {
+      const id = await ArcheryDataService.createCompetition({ ...parsed.competition, name: name });
+      for (const archer of parsed.archers) {
+        await ArcheryDataService.saveScore({ ...archer, competitionId: id });
+      }
+      return id;
+    });
+    
+    // Switch once every archer is in, so the views show the complete competition
+    const competition = await ArcheryDataService.setActiveCompetition(competitionId);
+    
+    return {
+      success: true,
+      competition: competition,
+      count: parsed.archers.length,
+      skipped: parsed.skipped
+    };
+  },
+  
+  /**
+   * Guess which column holds each archer field from the header names
+   * @param {Array} headers - Column headers from the file
+   * @returns {Object} Mapping of field key to column index (-1 when not found)
+   */
+  guessColumnMapping: function(headers) {
+    const normalizedHeaders = headers.map(header => String(header).toLowerCase().trim());
+    const mapping = {};
+    
+    this.importFields.forEach(field => {
+      mapping[field.key] = normalizedHeaders.findIndex(header => field.aliases.includes(header));
+    });
+    
+    return mapping;
+  },
+  
+  /**
+   * Find the list entry an imported value refers to
+   * Matches exactly, ignoring case and the numbering prefix, or by the code in brackets, e.g. "BB-C"
+   * @param {string} value - Imported value
+   * @param {Array} list - Allowed values for the competition
+   * @returns {string|null} Matching list entry, or null if there is none
+   */
+  matchListValue: function(value, list) {
+    const text = String(value || '').trim();
+    if (!text) return null;
+    
+    const normalize = item => String(item).toLowerCase().replace(/^\d+\.\s*/, '').trim();
+    const code = item => {
+      const match = String(item).match(/\(([^)]+)\)\s*$/);
+      return match ? match[1].toLowerCase().trim() : null;
+    };
+    
+    return list.find(item => item === text) ||
+      list.find(item => normalize(item) === normalize(text)) ||
+      list.find(item => code(item) === text.toLowerCase()) ||
+      null;
+  },
+  
+  /**
+   * Build archer records from the file rows and check them before importing
+   * @param {Array} rows - Data rows from importFromExcel
+   * @param {Object} mapping - Field key to column index mapping
+   * @param {Array} existingScores - Archers already in the active competition
+   * @returns {Array} Preview rows of { rowNumber, archer, errors, duplicate, existingId, sameName }
+   */
+  buildImportPreview: function(rows, mapping, existingScores) {
+    const activeCompetition = ArcheryDataService.getActiveCompetition();
+    const round = Round.forCompetition(activeCompetition);
+    const categories = ArcheryDataService.getCategories();
+    const ageRanges = ArcheryDataService.getAgeRanges();
+    
+    const entriesInFile = [];
+    
+    const cell = (row, key) => mapping[key] >= 0 && row[mapping[key]] !== undefined ? String(row[mapping[key]]).trim() : '';
+    
+    return rows.map((row, index) => {
+      const errors = [];
+      
+      const category = this.matchListValue(cell(row, 'category'), categories);
+      const age = this.matchListValue(cell(row, 'age'), ageRanges);
+      if (cell(row, 'category') && !category) errors.push(`Category "${cell(row, 'category')}" is not used in this competition`);
+      if (cell(row, 'age') && !age) errors.push(`Age class "${cell(row, 'age')}" is not used in this competition`);
+      
+      ['day1', 'day2'].forEach((day, dayIndex) => {
+        const value = cell(row, day);
+        if (value && !/^\d+$/.test(value)) errors.push(`Day ${dayIndex + 1} score "${value}" is not a whole number`);
+      });
+      
+      const archer = new Archer({
+        name: cell(row, 'name'),
+        club: cell(row, 'club'),
+        membershipId: cell(row, 'membershipId'),
+        category: category || '',
+        age: age || '',
+        day1: cell(row, 'day1'),
+        day2: cell(row, 'day2'),
+        competitionId: activeCompetition ? activeCompetition.id : undefined
+      });
+      
+      // Only report model errors that weren't already explained above
+      archer.validate(round).errors.forEach(error => {
+        const explained = (error === 'Category is required' && cell(row, 'category')) ||
+          (error === 'Age range is required' && cell(row, 'age'));
+        if (!explained) errors.push(error);
+      });
+      
+      // Flag archers already in the competition or repeated earlier in the file.
+      // Same-name archers with another membership number or category are separate entries.
+      let duplicate = null;
+      let existingId = null;
+      let sameName = [];
+      if (archer.name) {
+        const existing = existingScores.find(score => Archer.isSameEntry(score, archer));
+        if (entriesInFile.some(entry => Archer.isSameEntry(entry, archer))) {
+          duplicate = 'file';
+        } else if (existing) {
+          duplicate = 'existing';
+          existingId = existing.id;
+        } else {
+          sameName = existingScores.filter(score => Archer.hasSameName(score, archer));
+        }
+        entriesInFile.push(archer);
+      }
+      
+      return {
+        rowNumber: index + 2, // Header is row 1
+        archer: archer.toObject(),
+        errors: errors,
+        duplicate: duplicate,
+        existingId: existingId,
+        sameName: sameName
+      };
+    });
+  },
+  
+  /**
+   * Save previewed rows into the active competition
+   * @param {Array} preview - Preview rows from buildImportPreview
+   * @param {Object} options - Import options
+   * @param {string} options.mode - 'skip' or 'update' duplicates, or 'replace' all existing archers
+   * @param {boolean} options.saveCompetitors - Whether to also add archers to saved competitors
+   * @returns {Promise<Object>} Promise resolving to counts of imported, updated and skipped rows
+   */
+  importArchers: async function(preview, options = {}) {
+    const { mode = 'skip', saveCompetitors = false } = options;
+    const result = { success: true, imported: 0, updated: 0, skipped: 0, failed: [] };
+    
+    // The whole import is undone in one step
+    await ArcheryHistoryService.group('Import archers', async () => {
+      if (mode === 'replace') {
+        await ArcheryDataService.clearAllScores();
+      }
+      
+      for (const row of preview) {
+        // Invalid rows and repeats within the file are never imported
+        if (row.errors.length > 0 || row.duplicate === 'file') {
+          result.skipped++;
+          continue;
+        }
+      
+        const isUpdate = row.duplicate === 'existing' && mode !== 'replace';
+        if (isUpdate && mode === 'skip') {
+          result.skipped++;
+          continue;
+        }
+      
+        try {
+          const archer = { ...row.archer };
+        
+          // Updates overwrite the matching record; everything else gets a new ID
+          if (isUpdate) {
+            archer.id = row.existingId;
+          } else {
+            delete archer.id;
+          }
+        
+          await ArcheryDataService.saveScore(archer);
+          if (saveCompetitors) {
+            await ArcheryDataService.saveCompetitor(archer);
+          }
+        
+          if (isUpdate) {
+            result.updated++;
+          } else {
+            result.imported++;
+          }
+        } catch (error) {
+          console.error(`Error importing row ${row.rowNumber}:`, error);
+          result.failed.push({ rowNumber: row.rowNumber, message: error.message });
+        }
+      }
+    });
+    
+    result.success = result.failed.length === 0;
+    return result;
   }
 };
 
@@ -7,6 +7,9 @@ import { ArcheryDataService } from './data-service.js';
 import { TableHandlers } from './table-handlers.js';
 import { ArcheryUIRenderer } from './ui-renderer.js';
 import { Logger } from './utilities.js';
+import { Archer } from './models.js';
+import { ArcheryHistoryService } from './history-service.js';
+import { SHARING } from './constants.js';
 // Bootstrap is loaded globally in the HTML file
 
 export const FormHandlers = {
@@ -35,8 +38,8 @@ export const FormHandlers = {
     // Safely get values with fallbacks
     const name = nameElement && nameElement.value ? nameElement.value : 'Unknown Archer';
     const club = clubElement && clubElement.value ? clubElement.value : '';
-    const category = categoryElement && categoryElement.value ? categoryElement.value : ArcheryDataService.categories[0];
-    const age = ageElement && ageElement.value ? ageElement.value : ArcheryDataService.ageRanges[0];
+    const category = categoryElement && categoryElement.value ? categoryElement.value : ArcheryDataService.getCategories()[0];
+    const age = ageElement && ageElement.value ? ageElement.value : ArcheryDataService.getAgeRanges()[0];
     const day1 = day1Element && day1Element.value ? (parseInt(day1Element.value) || 0) : 0;
     const day2 = day2Element && day2Element.value ? (parseInt(day2Element.value) || 0) : 0;
     const membershipId = membershipIdElement && membershipIdElement.value ? membershipIdElement.value : '';
@@ -52,6 +55,13 @@ export const FormHandlers = {
       membershipId: membershipId
     };
     
+    // Arrow-by-arrow scores (main form only) take precedence over the typed day totals
+    const useScoresheetElement = isInlineForm ? null : document.getElementById('useScoresheet');
+    if (useScoresheetElement && useScoresheetElement.checked) {
+      archer.scoresheet = FormHandlers.readScoresheetGrid(document.getElementById('scoresheetGrid'));
+      Object.assign(archer, Archer.calculateTotals(archer));
+    }
+    
     // Add competition ID if we have an active competition
     const activeCompetition = ArcheryDataService.getActiveCompetition();
     if (activeCompetition) {
@@ -81,59 +91,35 @@ export const FormHandlers = {
       // Add competition ID
       archer.competitionId = activeCompetition.id;
       
+      // Check the scores against the competition's round before saving
+      const validation = new Archer(archer).validate(ArcheryDataService.getActiveRound());
+      if (!validation.isValid) {
+        UIHelpers.showNotification('Invalid Score', validation.errors.join(' '));
+        return;
+      }
+      
       // Get save preference
       const saveCompetitor = isInlineForm
         ? document.getElementById('inlineSaveCompetitor').checked
         : document.getElementById('saveCompetitor').checked;
       
-      // First check if archer already exists in this competition
-      const exists = await ArcheryDataService.archerExists(archer.name);
-      
-      if (exists) {
-        UIHelpers.showConfirmation('This archer already exists in the current competition. Update their score?', async () => {
-          try {
-            await ArcheryDataService.saveScore(archer);
+      const save = async (isUpdate) => {
+        try {
+          const result = await ArcheryHistoryService.group(`${isUpdate ? 'Edit' : 'Add'} ${archer.name}`, async () => {
+            const saved = await ArcheryDataService.saveScore(archer);
             
             // Save competitor if checkbox is checked
             if (saveCompetitor) {
               await ArcheryDataService.saveCompetitor(archer);
             }
-            
-            UIHelpers.showNotification('Score Updated', 'Archer score has been updated successfully.');
-            form.reset();
-            
-            if (isInlineForm) {
-              // Hide inline form
-              document.getElementById('inlineAddForm').style.display = 'none';
-              document.getElementById('toggleInlineForm').setAttribute('aria-expanded', 'false');
-              document.getElementById('toggleInlineForm').classList.add('collapsed');
-              
-              // Refresh the table
-              const searchTerm = document.getElementById('searchInput').value.toLowerCase();
-              await TableHandlers.refreshScoresTable(searchTerm, archer.name);
-            } else {
-              document.getElementById('archerName').focus();
-            }
-            
-            // Refresh saved competitors dropdowns
-            await FormHandlers.refreshSavedCompetitorsDropdowns();
-            await ArcheryUIRenderer.renderResults();
-          } catch (error) {
-            console.error('Error updating archer:', error);
-            UIHelpers.showNotification('Error', 'Failed to update archer. Please try again.');
-          }
-        });
-      } else {
-        // New archer
-        try {
-          await ArcheryDataService.saveScore(archer);
+            return saved;
+          });
           
-          // Save competitor if checkbox is checked
-          if (saveCompetitor) {
-            await ArcheryDataService.saveCompetitor(archer);
+          if (isUpdate) {
+            UIHelpers.showNotification('Score Updated', 'Archer score has been updated successfully.');
+          } else {
+            UIHelpers.showNotification('Score Added', 'New archer score has been added successfully.');
           }
-          
-          UIHelpers.showNotification('Score Added', 'New archer score has been added successfully.');
           form.reset();
           
           if (isInlineForm) {
@@ -144,7 +130,7 @@ export const FormHandlers = {
             
             // Refresh the table
             const searchTerm = document.getElementById('searchInput').value.toLowerCase();
-            await TableHandlers.refreshScoresTable(searchTerm, archer.name);
+            await TableHandlers.refreshScoresTable(searchTerm, result.id);
           } else {
             document.getElementById('archerName').focus();
           }
@@ -153,9 +139,24 @@ export const FormHandlers = {
           await FormHandlers.refreshSavedCompetitorsDropdowns();
           await ArcheryUIRenderer.renderResults();
         } catch (error) {
-          console.error('Error adding archer:', error);
-          UIHelpers.showNotification('Error', 'Failed to add archer. Please try again.');
+          console.error(isUpdate ? 'Error updating archer:' : 'Error adding archer:', error);
+          UIHelpers.showNotification('Error', error.message || `Failed to ${isUpdate ? 'update' : 'add'} archer. Please try again.`);
         }
+      };
+      
+      // Check for archers in this competition that share the name
+      const matches = await ArcheryDataService.findNameMatches(archer);
+      
+      if (matches.sameEntry) {
+        // Same name, membership number and category - this is the same archer
+        UIHelpers.showConfirmation(`${archer.name} is already entered in ${archer.category} with the same membership number. Update their existing score?`, () => {
+          archer.id = matches.sameEntry.id;
+          return save(true);
+        });
+      } else if (matches.sameName.length > 0) {
+        UIHelpers.showConfirmation(FormHandlers.describeNameMatches(archer, matches.sameName), () => save(false));
+      } else {
+        await save(false);
       }
     } catch (error) {
       console.error('Error checking if archer exists:', error);
@@ -163,6 +164,20 @@ export const FormHandlers = {
     }
   },
   
+  /**
+   * Describe other archers with the same name, asking whether to keep both entries
+   * @param {Object} archer - Archer being added or edited
+   * @param {Array} sameName - Other archers in the competition with the same name
+   * @returns {string} Warning message for a confirmation dialog
+   */
+  describeNameMatches: function(archer, sameName) {
+    const entries = sameName.map(other =>
+      `${other.category}${other.membershipId ? ` (#${other.membershipId})` : ' (no membership #)'}`).join(', ');
+    
+    return `Another archer named ${archer.name} is already entered in this competition: ${entries}. ` +
+      `Keep ${archer.name} as a separate archer?`;
+  },
+  
   /**
    * Refresh saved competitors dropdowns
    * @returns {Promise} Promise resolving when dropdowns are refreshed
@@ -175,6 +190,176 @@ export const FormHandlers = {
     await ArcheryUIRenderer.populateSavedCompetitorsDropdown(inlineSavedCompetitorSelect);
   },
   
+  /**
+   * Read arrow values from a rendered scoresheet grid
+   * @param {HTMLElement} container - Container holding the scoresheet inputs
+   * @returns {Object|null} Normalized scoresheet, or null if no arrows were entered
+   */
+  readScoresheetGrid: function(container) {
+    if (!container) return null;
+    
+    const scoresheet = Archer.createEmptyScoresheet(ArcheryDataService.getActiveRound());
+    container.querySelectorAll('.arrow-input').forEach(input => {
+      const { day, target, arrow } = input.dataset;
+      if (input.value !== '' && scoresheet[day] && scoresheet[day][target]) {
+        scoresheet[day][target][arrow] = parseInt(input.value);
+      }
+    });
+    
+    return Archer.normalizeScoresheet(scoresheet);
+  },
+  
+  /**
+   * Update target sums and day sums from the grid
+   * @param {HTMLElement} container - Container holding the scoresheet inputs
+   * @returns {Object} Scoresheet as entered, empty if no arrows were entered
+   */
+  updateScoresheetTotals: function(container) {
+    const scoresheet = FormHandlers.readScoresheetGrid(container) ||
+      Archer.createEmptyScoresheet(ArcheryDataService.getActiveRound());
+    
+    container.querySelectorAll('.target-sum').forEach(cell => {
+      const arrows = scoresheet[cell.dataset.day][cell.dataset.target] || [];
+      cell.textContent = arrows.reduce((sum, value) => sum + (value || 0), 0);
+    });
+    
+    container.querySelectorAll('.day-sum').forEach(cell => {
+      cell.textContent = Archer.sumDay(scoresheet[cell.dataset.day]);
+    });
+    
+    return scoresheet;
+  },
+  
+  /**
+   * Update the main form's grid sums and its day total fields
+   * @param {HTMLElement} container - Container holding the scoresheet inputs
+   */
+  updateFormScoresheetTotals: function(container) {
+    const scoresheet = FormHandlers.updateScoresheetTotals(container);
+    document.getElementById('scoreDay1').value = Archer.sumDay(scoresheet.day1);
+    document.getElementById('scoreDay2').value = Archer.sumDay(scoresheet.day2);
+  },
+  
+  /**
+   * Show or hide the scoresheet grid on the main form
+   * @param {boolean} enabled - Whether arrow-by-arrow entry is enabled
+   */
+  toggleScoresheetGrid: function(enabled) {
+    const toggle = document.getElementById('useScoresheet');
+    const container = document.getElementById('scoresheetGrid');
+    const day1Input = document.getElementById('scoreDay1');
+    const day2Input = document.getElementById('scoreDay2');
+    
+    toggle.setAttribute('aria-expanded', enabled ? 'true' : 'false');
+    
+    if (enabled) {
+      container.innerHTML = ArcheryUIRenderer.buildScoresheetTable();
+      container.style.display = 'block';
+      
+      // Day totals become computed fields while the grid is in use
+      day1Input.readOnly = true;
+      day2Input.readOnly = true;
+      day1Input.required = false;
+      FormHandlers.updateFormScoresheetTotals(container);
+      
+      const firstArrow = container.querySelector('.arrow-input');
+      if (firstArrow) firstArrow.focus();
+    } else {
+      container.innerHTML = '';
+      container.style.display = 'none';
+      day1Input.readOnly = false;
+      day2Input.readOnly = false;
+      day1Input.required = true;
+    }
+  },
+  
+  /**
+   * Apply the active competition's round limits to the score entry forms
+   */
+  applyRoundToForms: function() {
+    const round = ArcheryDataService.getActiveRound();
+    
+    [['scoreDay1', 'scoreDay2'], ['inlineScoreDay1', 'inlineScoreDay2']].forEach(([day1Id, day2Id]) => {
+      const day1Input = document.getElementById(day1Id);
+      const day2Input = document.getElementById(day2Id);
+      
+      if (day1Input) day1Input.max = round.maxScore;
+      if (day2Input) {
+        day2Input.max = round.maxScore;
+        
+        // Single-day rounds have no second day score
+        day2Input.disabled = round.days < 2;
+        if (day2Input.disabled) day2Input.value = '';
+      }
+    });
+    
+    // Rebuild an open scoresheet so it matches the new round layout
+    const toggle = document.getElementById('useScoresheet');
+    if (toggle && toggle.checked) {
+      FormHandlers.toggleScoresheetGrid(true);
+    }
+  },
+  
+  /**
+   * Lock the score entry forms when the signed-in scorekeeper may only view the active competition
+   * Only fields this locked are unlocked again, so fields the round disables stay disabled
+   */
+  applyAccessToForms: function() {
+    const competition = ArcheryDataService.getActiveCompetition();
+    const canScore = !competition || ArcheryDataService.can(competition, SHARING.ACTIONS.SCORE);
+    
+    ['scoreForm', 'inlineScoreForm'].forEach(formId => {
+      const form = document.getElementById(formId);
+      if (!form) return;
+      
+      Array.from(form.elements).forEach(element => {
+        if (!canScore && !element.disabled) {
+          element.disabled = true;
+          element.dataset.lockedByRole = 'true';
+        } else if (canScore && element.dataset.lockedByRole) {
+          element.disabled = false;
+          delete element.dataset.lockedByRole;
+        }
+      });
+      
+      let notice = form.previousElementSibling;
+      if (!notice || !notice.classList.contains('role-notice')) {
+        notice = document.createElement('div');
+        notice.className = 'alert alert-info role-notice';
+        notice.setAttribute('role', 'status');
+        form.before(notice);
+      }
+      notice.textContent = canScore ? '' : `You can view ${competition.name} but not enter scores. Ask one of its owners for the scorer role.`;
+      notice.style.display = canScore ? 'none' : 'block';
+    });
+  },
+  
+  /**
+   * Set up the scoresheet toggle and grid listeners on the main form
+   * @param {HTMLFormElement} form - The main score form
+   */
+  setupScoresheetHandlers: function(form) {
+    const toggle = document.getElementById('useScoresheet');
+    const container = document.getElementById('scoresheetGrid');
+    if (!toggle || !container) return;
+    
+    toggle.addEventListener('change', function() {
+      FormHandlers.toggleScoresheetGrid(this.checked);
+    });
+    
+    // Recalculate totals as arrows are entered
+    container.addEventListener('input', function(e) {
+      if (e.target.classList.contains('arrow-input')) {
+        FormHandlers.updateFormScoresheetTotals(container);
+      }
+    });
+    
+    // Resetting the form also unchecks the toggle, so hide the grid with it
+    form.addEventListener('reset', function() {
+      FormHandlers.toggleScoresheetGrid(false);
+    });
+  },
+  
   /**
    * Set up form handlers for main and inline forms
    */
@@ -205,6 +390,8 @@ export const FormHandlers = {
         await FormHandlers.addArcher(archer, this, false);
       });
       
+      FormHandlers.setupScoresheetHandlers(newForm);
+      
       console.log('Main form handler attached');
     } else {
       console.error('Could not find scoreForm element');
@@ -0,0 +1,168 @@
+/**
+ * History Service for Archery Competition Tracker
+ * Keeps an operation log of data changes so they can be undone and redone
+ */
+import { HISTORY } from './constants.js';
+import { Logger, AppState } from './utilities.js';
+
+export const ArcheryHistoryService = {
+  // Entries are { label, changes, timestamp }; each change is { store, key, before, after }
+  undoStack: [],
+  redoStack: [],
+  
+  // Entry collecting changes while a group is running
+  openGroup: null,
+  
+  // Changes made while this is above zero are not recorded (e.g. remote sync updates)
+  suspended: 0,
+  
+  /**
+   * Record a change to the data
+   * @param {string} label - Description shown to the user, e.g. "Delete John Smith"
+   * @param {Array} changes - Changes as { store, key, before, after }; before is null for new records, after for deleted ones
+   */
+  record: function(label, changes) {
+    if (this.suspended > 0 || changes.length === 0) return;
+    
+    // Snapshot the records so later edits to the same objects don't rewrite history
+    const snapshot = JSON.parse(JSON.stringify(changes));
+    
+    if (this.openGroup) {
+      this.openGroup.changes.push(...snapshot);
+      return;
+    }
+    
+    this.push({ label, changes: snapshot, timestamp: new Date().toISOString() });
+  },
+  
+  /**
+   * Run several data changes as one undoable step
+   * @param {string} label - Description of the whole step
+   * @param {Function} action - Async function making the changes
+   * @returns {Promise} Promise resolving to the action's result
+   */
+  group: async function(label, action) {
+    // Nested groups join the outer one
+    if (this.openGroup) {
+      return action();
+    }
+    
+    const group = { label, changes: [], timestamp: new Date().toISOString() };
+    this.openGroup = group;
+    try {
+      return await action();
+    } finally {
+      this.openGroup = null;
+      if (group.changes.length > 0) {
+        this.push(group);
+      }
+    }
+  },
+  
+  /**
+   * Run data changes without recording them
+   * @param {Function} action - Async function making the changes
+   * @returns {Promise} Promise resolving to the action's result
+   */
+  untracked: async function(action) {
+    this.suspended++;
+    try {
+      return await action();
+    } finally {
+      this.suspended--;
+    }
+  },
+  
+  /**
+   * Add an entry to the undo stack; a new change makes the redo stack obsolete
+   * @param {Object} entry - History entry
+   */
+  push: function(entry) {
+    this.undoStack.push(entry);
+    if (this.undoStack.length > HISTORY.LIMIT) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+    this.publish();
+  },
+  
+  /**
+   * Undo the most recent entry
+   * @param {Function} apply - Writes records back: receives [{ store, key, record }], where a null record means delete
+   * @returns {Promise<Object|null>} Promise resolving to the undone entry, or null if there was nothing to undo
+   */
+  undo: function(apply) {
+    return this.move(this.undoStack, this.redoStack, apply, 'before');
+  },
+  
+  /**
+   * Redo the most recently undone entry
+   * @param {Function} apply - Writes records back: receives [{ store, key, record }], where a null record means delete
+   * @returns {Promise<Object|null>} Promise resolving to the redone entry, or null if there was nothing to redo
+   */
+  redo: function(apply) {
+    return this.move(this.redoStack, this.undoStack, apply, 'after');
+  },
+  
+  /**
+   * Apply the top entry of one stack and move it to the other once written
+   * @param {Array} from - Stack to take the entry from
+   * @param {Array} to - Stack to move the entry to
+   * @param {Function} apply - Writes records back
+   * @param {string} side - 'before' to undo, 'after' to redo
+   * @returns {Promise<Object|null>} Promise resolving to the entry, or null if the stack was empty
+   */
+  move: function(from, to, apply, side) {
+    const entry = from[from.length - 1];
+    if (!entry) {
+      return Promise.resolve(null);
+    }
+    
+    // Undo walks the changes backwards so records return to their original state
+    const changes = side === 'before' ? entry.changes.slice().reverse() : entry.changes;
+    const writes = changes.map(change => ({ store: change.store, key: change.key, record: change[side] }));
+    
+    return apply(writes).then(() => {
+      from.pop();
+      to.push(entry);
+      this.publish();
+      Logger.info(`${side === 'before' ? 'Undid' : 'Redid'}: ${entry.label}`);
+      return entry;
+    });
+  },
+  
+  /**
+   * Forget all history, e.g. after a bulk restore the entries no longer apply to
+   */
+  clear: function() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.publish();
+  },
+  
+  /**
+   * Get the label of the next undo and redo steps
+   * @returns {Object} { undoLabel, redoLabel }, null when there is nothing to undo or redo
+   */
+  getLabels: function() {
+    const undo = this.undoStack[this.undoStack.length - 1];
+    const redo = this.redoStack[this.redoStack.length - 1];
+    return {
+      undoLabel: undo ? undo.label : null,
+      redoLabel: redo ? redo.label : null
+    };
+  },
+  
+  /**
+   * Publish the undo and redo state to AppState
+   */
+  publish: function() {
+    AppState.setState({
+      canUndo: this.undoStack.length > 0,
+      canRedo: this.redoStack.length > 0
+    });
+  }
+};
+
+// Make it available globally
+window.ArcheryHistoryService = ArcheryHistoryService;
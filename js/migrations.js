@@ -0,0 +1,228 @@
+/**
+ * Database Migrations for Archery Competition Tracker
+ * Ordered IndexedDB schema migrations, run inside the versionchange transaction
+ */
+import { DB, DEFAULT_ROUND_ID, DEFAULT_DIVISION_PRESET_ID } from './constants.js';
+import { Logger } from './utilities.js';
+import { Competition, SavedCompetitor } from './models.js';
+
+/**
+ * Wrap an IndexedDB request in a Promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise} Promise resolving to the request result
+ */
+const requestResult = request => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Create indexes on a store
+ * @param {IDBObjectStore} store - Store to index
+ * @param {Array} fields - Non-unique fields to index
+ */
+const createIndexes = (store, fields) => {
+  fields.forEach(field => store.createIndex(field, field, { unique: false }));
+};
+
+export const ArcheryMigrations = {
+  /**
+   * Schema migrations in version order
+   * Each step describes the schema as it was at that version, so never edit a released
+   * migration - add a new one and bump DB.VERSION instead
+   */
+  migrations: [
+    {
+      version: 1,
+      description: 'Create archers and settings stores',
+      up: function(db) {
+        const archers = db.createObjectStore(DB.STORES.ARCHERS, { keyPath: 'name' });
+        createIndexes(archers, ['category', 'age', 'club']);
+        db.createObjectStore(DB.STORES.SETTINGS, { keyPath: 'key' });
+      }
+    },
+    {
+      version: 2,
+      description: 'Add competitions store',
+      up: function(db) {
+        const competitions = db.createObjectStore(DB.STORES.COMPETITIONS, { keyPath: 'id', autoIncrement: true });
+        competitions.createIndex('name', 'name', { unique: true });
+        createIndexes(competitions, ['date']);
+      }
+    },
+    {
+      version: 3,
+      description: 'Key archers by ID and assign them to a competition',
+      up: function(db, transaction) {
+        // Archers were keyed by name, so the same archer couldn't enter two competitions
+        const competitions = transaction.objectStore(DB.STORES.COMPETITIONS);
+        
+        return Promise.all([
+          requestResult(transaction.objectStore(DB.STORES.ARCHERS).getAll()),
+          requestResult(competitions.getAll())
+        ]).then(([archers, existingCompetitions]) => {
+          db.deleteObjectStore(DB.STORES.ARCHERS);
+          const store = db.createObjectStore(DB.STORES.ARCHERS, { keyPath: 'id', autoIncrement: true });
+          createIndexes(store, ['name', 'competitionId', 'category', 'age', 'club']);
+          
+          if (archers.length === 0) return;
+          
+          // Existing archers go to the first competition, which is created if there is none yet
+          const competitionId = existingCompetitions.length > 0 ?
+            Promise.resolve(existingCompetitions[0].id) :
+            requestResult(competitions.add({
+              name: 'Default Competition',
+              date: new Date().toISOString(),
+              createdAt: new Date().toISOString(),
+              description: 'Created when upgrading the database',
+              roundId: DEFAULT_ROUND_ID,
+              ...Competition.getPresetDivisions(DEFAULT_DIVISION_PRESET_ID)
+            }));
+          
+          return competitionId.then(id => Promise.all(archers.map(archer => {
+            const { id: oldId, ...record } = archer;
+            return requestResult(store.add({ ...record, competitionId: id }));
+          })));
+        });
+      }
+    },
+    {
+      version: 4,
+      description: 'Add saved competitors store',
+      up: function(db) {
+        const savedCompetitors = db.createObjectStore(DB.STORES.SAVED_COMPETITORS, { keyPath: 'name' });
+        createIndexes(savedCompetitors, ['category', 'age', 'club', 'lastUsed']);
+      }
+    },
+    {
+      version: 5,
+      description: 'Add audit log store',
+      up: function(db) {
+        const auditLog = db.createObjectStore(DB.STORES.AUDIT_LOG, { keyPath: 'id', autoIncrement: true });
+        createIndexes(auditLog, ['entity', 'competitionId', 'timestamp']);
+      }
+    },
+    {
+      version: 6,
+      description: 'Index competitions and archers by sync ID',
+      up: function(db, transaction) {
+        // Local IDs clash between devices, so synced records are matched by a random sync ID instead
+        createIndexes(transaction.objectStore(DB.STORES.COMPETITIONS), ['syncId']);
+        createIndexes(transaction.objectStore(DB.STORES.ARCHERS), ['syncId']);
+      }
+    },
+    {
+      version: 7,
+      description: 'Add sync outbox store',
+      up: function(db) {
+        db.createObjectStore(DB.STORES.SYNC_OUTBOX, { keyPath: 'id', autoIncrement: true });
+      }
+    },
+    {
+      version: 8,
+      description: 'Key saved competitors by name and membership number',
+      up: function(db, transaction) {
+        // Saved competitors were keyed by name, so two archers with the same name overwrote each other
+        return requestResult(transaction.objectStore(DB.STORES.SAVED_COMPETITORS).getAll()).then(competitors => {
+          db.deleteObjectStore(DB.STORES.SAVED_COMPETITORS);
+          const store = db.createObjectStore(DB.STORES.SAVED_COMPETITORS, { keyPath: 'identityKey' });
+          createIndexes(store, ['category', 'age', 'club', 'lastUsed']);
+          
+          // Names that only differ in case or spacing now share a key; the most recently used is kept
+          const oldestFirst = competitors.sort((a, b) => (a.lastUsed || '').localeCompare(b.lastUsed || ''));
+          return Promise.all(oldestFirst.map(competitor =>
+            requestResult(store.put({ ...competitor, identityKey: SavedCompetitor.identityKey(competitor) }))));
+        });
+      }
+    }
+  ],
+  
+  /**
+   * Get the migrations needed to go from one version to another
+   * @param {number} oldVersion - Current database version (0 for a new database)
+   * @param {number} newVersion - Target version
+   * @returns {Array} Migrations to apply, in order
+   */
+  getPending: function(oldVersion, newVersion) {
+    return this.migrations
+      .filter(migration => migration.version > oldVersion && migration.version <= newVersion)
+      .sort((a, b) => a.version - b.version);
+  },
+  
+  /**
+   * Apply pending migrations inside a versionchange transaction
+   * On failure the transaction is aborted, so the database stays at its old version
+   * @param {IDBDatabase} db - Database being upgraded
+   * @param {IDBTransaction} transaction - Version change transaction
+   * @param {number} oldVersion - Version before the upgrade
+   * @param {number} newVersion - Version being opened
+   * @returns {Promise<Array>} Promise resolving to the versions applied
+   */
+  run: function(db, transaction, oldVersion, newVersion) {
+    const pending = this.getPending(oldVersion, newVersion);
+    const applied = [];
+    
+    const latest = this.migrations.reduce((max, migration) => Math.max(max, migration.version), 0);
+    if (latest < newVersion) {
+      return this.abort(transaction, new Error(`No migration found for database version ${newVersion}`));
+    }
+    
+    return pending.reduce((promiseChain, migration) => {
+      return promiseChain.then(() => {
+        Logger.info(`Applying migration ${migration.version}: ${migration.description}`);
+        return migration.up(db, transaction);
+      }).then(() => {
+        applied.push(migration.version);
+      });
+    }, Promise.resolve())
+      .then(() => this.recordVersion(transaction, newVersion, applied))
+      .then(() => {
+        Logger.info(`Database upgraded from version ${oldVersion} to ${newVersion}; applied migrations:`, applied);
+        return applied;
+      })
+      .catch(error => this.abort(transaction, error));
+  },
+  
+  /**
+   * Record the schema version and migration history in the settings store
+   * @param {IDBTransaction} transaction - Version change transaction
+   * @param {number} version - Version the database is now at
+   * @param {Array} applied - Versions applied in this upgrade
+   * @returns {Promise} Promise resolving when recorded
+   */
+  recordVersion: function(transaction, version, applied) {
+    const settings = transaction.objectStore(DB.STORES.SETTINGS);
+    const appliedAt = new Date().toISOString();
+    
+    return requestResult(settings.get(DB.SETTINGS_KEYS.SCHEMA_VERSION)).then(existing => {
+      const history = existing && Array.isArray(existing.migrations) ? existing.migrations : [];
+      
+      return requestResult(settings.put({
+        key: DB.SETTINGS_KEYS.SCHEMA_VERSION,
+        value: version,
+        migrations: history.concat(applied.map(migrationVersion => ({ version: migrationVersion, appliedAt })))
+      }));
+    });
+  },
+  
+  /**
+   * Abort an upgrade after a failed migration
+   * @param {IDBTransaction} transaction - Version change transaction
+   * @param {Error} error - Cause of the failure
+   * @returns {Promise} Rejected Promise carrying the error
+   */
+  abort: function(transaction, error) {
+    Logger.error('Database migration failed, rolling back:', error);
+    try {
+      transaction.abort();
+    } catch (abortError) {
+      // A failed request has already aborted the transaction
+    }
+    return Promise.reject(error);
+  }
+};
+
+// Make it available globally
+if (typeof window !== 'undefined') {
+  window.ArcheryMigrations = ArcheryMigrations;
+}
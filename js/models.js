@@ -2,7 +2,11 @@
  * Data Models for Archery Competition Tracker
  * Defines structured classes for the application's data entities
  */
-import { ERRORS } from './constants.js';
+import {
+  ERRORS, SCORING, ROUNDS, DEFAULT_ROUND_ID, DIVISION_PRESETS, DEFAULT_DIVISION_PRESET_ID,
+  TIE_BREAK_RULES, DEFAULT_TIE_BREAK_RULES, DEFAULT_TEAM_RULES, SHARING,
+  CERTIFICATE_PLACEHOLDERS, DEFAULT_CERTIFICATE_TEMPLATE
+} from './constants.js';
 
 /**
  * Archer model representing a competitor
@@ -14,18 +18,24 @@ export class Archer {
     this.club = data.club || '';
     this.category = data.category || '';
     this.age = data.age || '';
-    this.day1 = parseInt(data.day1) || 0;
-    this.day2 = parseInt(data.day2) || 0;
-    this.total = (parseInt(data.day1) || 0) + (parseInt(data.day2) || 0);
+    this.scoresheet = Archer.normalizeScoresheet(data.scoresheet);
+    
+    // Day totals are derived from the scoresheet when arrows were recorded
+    const totals = Archer.calculateTotals({ ...data, scoresheet: this.scoresheet });
+    this.day1 = totals.day1;
+    this.day2 = totals.day2;
+    this.total = totals.total;
+    this.shootOff = Archer.normalizeShootOff(data.shootOff);
     this.competitionId = data.competitionId;
     this.membershipId = data.membershipId || '';
   }
   
   /**
    * Validate the archer data
+   * @param {Round} round - Round the scores were shot under (defaults to the standard round)
    * @returns {Object} Validation result with isValid flag and errors array
    */
-  validate() {
+  validate(round = Round.getById(DEFAULT_ROUND_ID)) {
     const errors = [];
     
     if (!this.name) errors.push(ERRORS.ARCHER_NAME_REQUIRED);
@@ -34,6 +44,49 @@ export class Archer {
     if (isNaN(this.day1) || this.day1 < 0) errors.push('Day 1 score must be a positive number');
     if (this.day2 !== undefined && (isNaN(this.day2) || this.day2 < 0)) errors.push('Day 2 score must be a positive number');
     
+    // Day scores must fit the round
+    SCORING.DAYS.forEach((day, dayIndex) => {
+      if (dayIndex >= round.days) {
+        if (this[day] > 0) errors.push(`${round.name} has no Day ${dayIndex + 1}; leave the Day ${dayIndex + 1} score empty`);
+      } else if (this[day] > round.maxScore) {
+        errors.push(`Day ${dayIndex + 1} score cannot exceed the ${round.name} maximum of ${round.maxScore}`);
+      }
+    });
+    
+    if (this.shootOff.some(value => !Number.isInteger(value) || value < 0)) {
+      errors.push('Shoot-off arrow scores must be whole positive numbers');
+    }
+    
+    if (this.scoresheet) {
+      const maxTargetScore = round.getMaxTargetScore();
+      
+      SCORING.DAYS.forEach((day, dayIndex) => {
+        const targets = this.scoresheet[day] || [];
+        if (targets.length > round.targets) {
+          errors.push(`Day ${dayIndex + 1}: ${round.name} has only ${round.targets} targets`);
+        }
+        
+        targets.forEach((arrows, targetIndex) => {
+          const label = `Day ${dayIndex + 1}, target ${targetIndex + 1}`;
+          
+          if (arrows.length > round.arrowsPerTarget) {
+            errors.push(`${label}: no more than ${round.arrowsPerTarget} arrows can be shot`);
+          }
+          
+          arrows.forEach(value => {
+            if (value !== null && !round.allowedValues.includes(value)) {
+              errors.push(`${label}: ${value} is not a valid arrow score (allowed: ${round.allowedValues.join(', ')})`);
+            }
+          });
+          
+          const targetScore = arrows.reduce((sum, value) => sum + (value || 0), 0);
+          if (targetScore > maxTargetScore) {
+            errors.push(`${label}: score of ${targetScore} exceeds the target maximum of ${maxTargetScore}`);
+          }
+        });
+      });
+    }
+    
     return {
       isValid: errors.length === 0,
       errors: errors
@@ -54,10 +107,211 @@ export class Archer {
       day1: this.day1,
       day2: this.day2,
       total: this.total,
+      scoresheet: this.scoresheet,
+      shootOff: this.shootOff,
       competitionId: this.competitionId,
       membershipId: this.membershipId
     };
   }
+  
+  /**
+   * Create an empty scoresheet with a slot for every arrow in the round
+   * @param {Round} round - Round that defines the scoresheet layout
+   * @returns {Object} Scoresheet keyed by day, each an array of targets holding arrow values
+   */
+  static createEmptyScoresheet(round = Round.getById(DEFAULT_ROUND_ID)) {
+    const scoresheet = {};
+    round.getDayKeys().forEach(day => {
+      scoresheet[day] = Array.from({ length: round.targets }, () =>
+        Array(round.arrowsPerTarget).fill(null)
+      );
+    });
+    return scoresheet;
+  }
+  
+  /**
+   * Normalize stored or form scoresheet data
+   * Unshot arrows are kept as null so they can be told apart from misses (0)
+   * @param {Object|null} scoresheet - Raw scoresheet data
+   * @returns {Object|null} Normalized scoresheet, or null if no arrows were recorded
+   */
+  static normalizeScoresheet(scoresheet) {
+    if (!scoresheet || typeof scoresheet !== 'object') return null;
+    
+    const normalized = {};
+    SCORING.DAYS.forEach(day => {
+      const targets = Array.isArray(scoresheet[day]) ? scoresheet[day] : [];
+      normalized[day] = targets.map(arrows => (Array.isArray(arrows) ? arrows : []).map(value => {
+        if (value === null || value === undefined || value === '') return null;
+        const parsed = Number(value);
+        return isNaN(parsed) ? null : parsed;
+      }));
+    });
+    
+    const hasArrows = SCORING.DAYS.some(day => Archer.dayHasArrows(normalized[day]));
+    return hasArrows ? normalized : null;
+  }
+  
+  /**
+   * Normalize recorded shoot-off arrows
+   * @param {Array|string|null} shootOff - Arrow values, or a comma-separated string of them
+   * @returns {Array} Array of arrow values in the order they were shot
+   */
+  static normalizeShootOff(shootOff) {
+    const values = typeof shootOff === 'string' ? shootOff.split(',') : shootOff;
+    if (!Array.isArray(values)) return [];
+    
+    return values
+      .filter(value => value !== null && value !== undefined && String(value).trim() !== '')
+      .map(value => Number(value));
+  }
+  
+  /**
+   * Check whether any arrow has been recorded for a day
+   * @param {Array} targets - Array of targets for one day
+   * @returns {boolean} True if at least one arrow value is present
+   */
+  static dayHasArrows(targets) {
+    return Array.isArray(targets) && targets.some(arrows => arrows.some(value => value !== null));
+  }
+  
+  /**
+   * Sum all recorded arrows for a day
+   * @param {Array} targets - Array of targets for one day
+   * @returns {number} Day total
+   */
+  static sumDay(targets) {
+    if (!Array.isArray(targets)) return 0;
+    return targets.reduce((sum, arrows) =>
+      sum + arrows.reduce((targetSum, value) => targetSum + (value || 0), 0), 0);
+  }
+  
+  /**
+   * Calculate day totals and overall total for archer data
+   * Days with recorded arrows are summed from the scoresheet; other days use the entered total
+   * @param {Object} data - Archer data with day1, day2 and optional scoresheet
+   * @returns {Object} Object with day1, day2 and total
+   */
+  static calculateTotals(data) {
+    const scoresheet = data.scoresheet || null;
+    const totals = {};
+    
+    SCORING.DAYS.forEach(day => {
+      totals[day] = scoresheet && Archer.dayHasArrows(scoresheet[day]) ?
+        Archer.sumDay(scoresheet[day]) :
+        (parseInt(data[day]) || 0);
+    });
+    
+    totals.total = SCORING.DAYS.reduce((sum, day) => sum + totals[day], 0);
+    return totals;
+  }
+  
+  /**
+   * Normalize a name for comparison, ignoring case and surrounding spaces
+   * @param {string} name - Archer name
+   * @returns {string} Comparison key
+   */
+  static nameKey(name) {
+    return String(name || '').trim().toLowerCase();
+  }
+  
+  /**
+   * Check whether two entries share a name
+   * @param {Object} a - First archer
+   * @param {Object} b - Second archer
+   * @returns {boolean} True if the names match
+   */
+  static hasSameName(a, b) {
+    return Archer.nameKey(a.name) === Archer.nameKey(b.name);
+  }
+  
+  /**
+   * Check whether two entries describe the same competitor
+   * Archers with the same name are only the same person when membership number and category also match
+   * @param {Object} a - First archer
+   * @param {Object} b - Second archer
+   * @returns {boolean} True if the entries match
+   */
+  static isSameEntry(a, b) {
+    return Archer.hasSameName(a, b) &&
+      (a.membershipId || '').trim() === (b.membershipId || '').trim() &&
+      a.category === b.category;
+  }
+}
+
+/**
+ * Round model describing how a competition is shot and scored
+ */
+export class Round {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.name = data.name || '';
+    this.description = data.description || '';
+    this.targets = data.targets || 0;
+    this.arrowsPerTarget = data.arrowsPerTarget || 0;
+    this.allowedValues = data.allowedValues || [];
+    this.maxScore = data.maxScore || 0;
+    this.days = data.days || 1;
+  }
+  
+  /**
+   * Get the archer day fields used by this round
+   * @returns {Array} Day keys, e.g. ['day1', 'day2']
+   */
+  getDayKeys() {
+    return SCORING.DAYS.slice(0, this.days);
+  }
+  
+  /**
+   * Get the highest score a single arrow can earn
+   * @returns {number} Maximum arrow value
+   */
+  getMaxArrowValue() {
+    return Math.max(0, ...this.allowedValues);
+  }
+  
+  /**
+   * Get the highest score that can be recorded on one target
+   * @returns {number} Maximum target score
+   */
+  getMaxTargetScore() {
+    return this.targets ? this.maxScore / this.targets : 0;
+  }
+  
+  /**
+   * Get the highest possible total across all days
+   * @returns {number} Maximum competition total
+   */
+  getMaxTotal() {
+    return this.maxScore * this.days;
+  }
+  
+  /**
+   * Look up a round definition by ID
+   * Unknown IDs fall back to the default round so older data keeps working
+   * @param {string} id - Round ID
+   * @returns {Round} Round instance
+   */
+  static getById(id) {
+    return new Round(ROUNDS[id] || ROUNDS[DEFAULT_ROUND_ID]);
+  }
+  
+  /**
+   * Get the round a competition is shot under
+   * @param {Object|null} competition - Competition object
+   * @returns {Round} Round instance
+   */
+  static forCompetition(competition) {
+    return Round.getById(competition ? competition.roundId : null);
+  }
+  
+  /**
+   * Get all registered rounds
+   * @returns {Array} Array of Round instances
+   */
+  static getAll() {
+    return Object.values(ROUNDS).map(definition => new Round(definition));
+  }
 }
 
 /**
@@ -69,6 +323,16 @@ export class Competition {
     this.name = data.name || '';
     this.date = data.date || new Date().toISOString();
     this.description = data.description || '';
+    this.roundId = data.roundId || DEFAULT_ROUND_ID;
+    this.tieBreakRules = Array.isArray(data.tieBreakRules) ? [...data.tieBreakRules] : [...DEFAULT_TIE_BREAK_RULES];
+    
+    // Each competition carries its own divisions, seeded from a preset
+    const divisions = Competition.getDivisions(data);
+    this.categories = divisions.categories;
+    this.ageRanges = divisions.ageRanges;
+    this.teamRules = Competition.getTeamRules(data);
+    this.certificateTemplate = Competition.getCertificateTemplate(data);
+    this.access = data.access || null;
     this.createdAt = data.createdAt || new Date().toISOString();
     this.updatedAt = data.updatedAt;
   }
@@ -81,6 +345,34 @@ export class Competition {
     const errors = [];
     
     if (!this.name) errors.push(ERRORS.COMPETITION_NAME_REQUIRED);
+    if (!ROUNDS[this.roundId]) errors.push(`Unknown round: ${this.roundId}`);
+    const knownRules = Object.values(TIE_BREAK_RULES);
+    this.tieBreakRules.filter(rule => !knownRules.includes(rule)).forEach(rule => {
+      errors.push(`Unknown tie-break rule: ${rule}`);
+    });
+    if (this.categories.length === 0) errors.push('At least one category is required');
+    if (this.ageRanges.length === 0) errors.push('At least one age class is required');
+    if (new Set(this.categories).size !== this.categories.length) errors.push('Categories must be unique');
+    if (new Set(this.ageRanges).size !== this.ageRanges.length) errors.push('Age classes must be unique');
+    
+    const { teamSize, countingScores, eligibleCategories, eligibleAgeRanges } = this.teamRules;
+    if (!Number.isInteger(teamSize) || teamSize < 1) errors.push('Team size must be a whole number of at least 1');
+    if (!Number.isInteger(countingScores) || countingScores < 1 || countingScores > teamSize) {
+      errors.push('Counting scores must be between 1 and the team size');
+    }
+    eligibleCategories.filter(category => !this.categories.includes(category)).forEach(category => {
+      errors.push(`Team category is not one of the competition's categories: ${category}`);
+    });
+    eligibleAgeRanges.filter(age => !this.ageRanges.includes(age)).forEach(age => {
+      errors.push(`Team age class is not one of the competition's age classes: ${age}`);
+    });
+    
+    const { title, body, signature } = this.certificateTemplate;
+    if (!title.trim() || !body.trim()) errors.push('Certificates need a title and text');
+    const placeholders = [title, body, signature].join('\n').match(/\{[^}]*\}/g) || [];
+    [...new Set(placeholders)].filter(placeholder => !CERTIFICATE_PLACEHOLDERS.includes(placeholder.slice(1, -1))).forEach(placeholder => {
+      errors.push(`Unknown certificate placeholder: ${placeholder}`);
+    });
     
     return {
       isValid: errors.length === 0,
@@ -98,10 +390,145 @@ export class Competition {
       name: this.name,
       date: this.date,
       description: this.description,
+      roundId: this.roundId,
+      tieBreakRules: this.tieBreakRules,
+      categories: this.categories,
+      ageRanges: this.ageRanges,
+      teamRules: this.teamRules,
+      certificateTemplate: this.certificateTemplate,
+      access: this.access,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt || new Date().toISOString()
     };
   }
+  
+  /**
+   * Get the category and age-class lists for a competition
+   * Competitions without their own lists use the default preset
+   * @param {Object|null} competition - Competition object
+   * @returns {Object} Object with categories and ageRanges arrays
+   */
+  static getDivisions(competition) {
+    const preset = DIVISION_PRESETS[DEFAULT_DIVISION_PRESET_ID];
+    const hasList = list => Array.isArray(list) && list.length > 0;
+    
+    return {
+      categories: competition && hasList(competition.categories) ? [...competition.categories] : [...preset.categories],
+      ageRanges: competition && hasList(competition.ageRanges) ? [...competition.ageRanges] : [...preset.ageRanges]
+    };
+  }
+  
+  /**
+   * Get the club team rules for a competition
+   * Competitions created before team results existed use the defaults, with teams switched off
+   * @param {Object|null} competition - Competition object
+   * @returns {Object} Rules as { enabled, teamSize, countingScores, eligibleCategories, eligibleAgeRanges }
+   */
+  static getTeamRules(competition) {
+    const rules = { ...DEFAULT_TEAM_RULES, ...((competition && competition.teamRules) || {}) };
+    return {
+      ...rules,
+      enabled: !!rules.enabled,
+      eligibleCategories: Array.isArray(rules.eligibleCategories) ? [...rules.eligibleCategories] : [],
+      eligibleAgeRanges: Array.isArray(rules.eligibleAgeRanges) ? [...rules.eligibleAgeRanges] : []
+    };
+  }
+  
+  /**
+   * Get the podium certificate template for a competition
+   * Competitions without their own template use the default wording
+   * @param {Object|null} competition - Competition object
+   * @returns {Object} Template as { title, body, signature }
+   */
+  static getCertificateTemplate(competition) {
+    const template = { ...DEFAULT_CERTIFICATE_TEMPLATE, ...((competition && competition.certificateTemplate) || {}) };
+    return {
+      title: String(template.title),
+      body: String(template.body),
+      signature: String(template.signature)
+    };
+  }
+  
+  /**
+   * Get the divisions defined by a preset
+   * @param {string} presetId - Preset ID
+   * @returns {Object} Object with categories and ageRanges arrays
+   */
+  static getPresetDivisions(presetId) {
+    const preset = DIVISION_PRESETS[presetId] || DIVISION_PRESETS[DEFAULT_DIVISION_PRESET_ID];
+    return {
+      categories: [...preset.categories],
+      ageRanges: [...preset.ageRanges]
+    };
+  }
+  
+  /**
+   * Normalize a scorekeeper's email for comparison
+   * @param {string} user - Email address
+   * @returns {string} Comparison key
+   */
+  static userKey(user) {
+    return String(user || '').trim().toLowerCase();
+  }
+  
+  /**
+   * Get the key a member is stored under in a competition's access list
+   * Sync merges records by dotted field path, so the dots of the email are escaped
+   * @param {string} user - Email address
+   * @returns {string} Access list key
+   */
+  static memberKey(user) {
+    return encodeURIComponent(Competition.userKey(user)).replace(/\./g, '%2E');
+  }
+  
+  /**
+   * Get the members of a competition
+   * @param {Object} competition - Competition object
+   * @returns {Array} Members as { user, role, addedAt, addedBy }, owners first
+   */
+  static getMembers(competition) {
+    const roles = Object.values(SHARING.ROLES);
+    return Object.values((competition && competition.access) || {})
+      .filter(member => member && roles.includes(member.role))
+      .sort((a, b) => roles.indexOf(a.role) - roles.indexOf(b.role) || a.user.localeCompare(b.user));
+  }
+  
+  /**
+   * Check whether a competition has been shared
+   * @param {Object} competition - Competition object
+   * @returns {boolean} True if anyone has a role in it
+   */
+  static isShared(competition) {
+    return Competition.getMembers(competition).length > 0;
+  }
+  
+  /**
+   * Get a scorekeeper's role in a competition
+   * A competition that isn't shared is open to everyone. In a shared one, a device nobody is
+   * signed in on can only view, and someone who isn't a member has no access at all.
+   * @param {Object} competition - Competition object
+   * @param {string|null} user - Email of the signed-in scorekeeper
+   * @returns {string|null} Role from SHARING.ROLES, or null for no access
+   */
+  static getRole(competition, user) {
+    if (!Competition.isShared(competition)) return SHARING.ROLES.OWNER;
+    if (!user) return SHARING.ROLES.VIEWER;
+    
+    const member = competition.access[Competition.memberKey(user)];
+    return member && SHARING.PERMISSIONS[member.role] ? member.role : null;
+  }
+  
+  /**
+   * Check whether a scorekeeper may do something with a competition
+   * @param {Object} competition - Competition object
+   * @param {string|null} user - Email of the signed-in scorekeeper
+   * @param {string} action - Action from SHARING.ACTIONS
+   * @returns {boolean} True if the scorekeeper's role allows it
+   */
+  static can(competition, user, action) {
+    const role = Competition.getRole(competition, user);
+    return !!role && SHARING.PERMISSIONS[role].includes(action);
+  }
 }
 
 /**
@@ -114,6 +541,7 @@ export class SavedCompetitor {
     this.category = data.category || '';
     this.age = data.age || '';
     this.membershipId = data.membershipId || '';
+    this.handicap = Number.isInteger(data.handicap) ? data.handicap : null;
     this.lastUsed = data.lastUsed || new Date().toISOString();
   }
   
@@ -134,15 +562,17 @@ export class SavedCompetitor {
   
   /**
    * Convert to a plain object for storage
-   * @returns {Object} Plain object representation
+   * @returns {Object} Plain object representation, keyed by its identityKey
    */
   toObject() {
     return {
+      identityKey: SavedCompetitor.identityKey(this),
       name: this.name,
       club: this.club,
       category: this.category,
       age: this.age,
       membershipId: this.membershipId,
+      handicap: this.handicap,
       lastUsed: this.lastUsed
     };
   }
@@ -162,11 +592,23 @@ export class SavedCompetitor {
       lastUsed: new Date().toISOString()
     });
   }
+  
+  /**
+   * Get the key that matches archers to their saved competitor, e.g. for handicaps
+   * Saved competitors are stored under it, so namesakes with different membership numbers are kept apart.
+   * Archers with the same name are only the same competitor when their membership numbers match too
+   * @param {Object} competitor - Saved competitor or archer
+   * @returns {string} Identity key
+   */
+  static identityKey(competitor) {
+    return `${Archer.nameKey(competitor.name)}#${(competitor.membershipId || '').trim()}`;
+  }
 }
 
 // For backward compatibility during migration
 if (typeof window !== 'undefined') {
   window.Archer = Archer;
+  window.Round = Round;
   window.Competition = Competition;
   window.SavedCompetitor = SavedCompetitor;
 }
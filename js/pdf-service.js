@@ -0,0 +1,361 @@
+/**
+ * PDF Service for Archery Competition Tracker
+ * Generates the official results sheet and podium certificates as PDF documents.
+ * jsPDF is loaded from the vendor folder in the HTML file, so documents can be made offline;
+ * README.md gives its version, licence and source.
+ */
+import { ArcheryDataService } from './data-service.js';
+import { Round, Competition } from './models.js';
+import { TieBreak } from './tie-break.js';
+import { TeamResults } from './team-results.js';
+import { ResultsEngine } from './results-engine.js';
+import { RESULT_VIEWS, RESULT_VIEW_LABELS, PODIUM_POSITIONS, PDF } from './constants.js';
+
+export const ArcheryPdfService = {
+  /**
+   * Get the jsPDF constructor
+   * @returns {Function|null} jsPDF, or null if the library is not loaded
+   */
+  getPdfLibrary: function() {
+    return (window.jspdf && window.jspdf.jsPDF) || null;
+  },
+  
+  /**
+   * Get the name of a finishing place
+   * @param {number} position - Position, from 1
+   * @returns {string} Place name, e.g. "1st" or "22nd"
+   */
+  getPlaceName: function(position) {
+    const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+    const lastTwo = position % 100;
+    return `${position}${lastTwo >= 11 && lastTwo <= 13 ? 'th' : suffixes[position % 10] || 'th'}`;
+  },
+  
+  /**
+   * Fill the {placeholders} of a template line
+   * Placeholders without a value are left as written
+   * @param {string} text - Template text
+   * @param {Object} values - Values keyed by placeholder name
+   * @returns {string} Filled-in text
+   */
+  fillTemplate: function(text, values) {
+    return text.replace(/\{(\w+)\}/g, (match, key) => key in values ? String(values[key]) : match);
+  },
+  
+  /**
+   * Build the file name for a document about a competition
+   * @param {Object} competition - Competition object
+   * @param {string} kind - Kind of document, e.g. "Results"
+   * @returns {string} File name ending in .pdf
+   */
+  getFileName: function(competition, kind) {
+    const name = (competition.name || 'Competition').replace(/[^\w-]+/g, '_');
+    return `${name}_${kind}_${Date.now()}.pdf`;
+  },
+  
+  /**
+   * Load the active competition's standings, as shown by the Results tab
+   * @param {string} view - View from RESULT_VIEWS
+   * @returns {Promise<Object>} Promise resolving to a result object with competition, round, scores and standings
+   */
+  loadStandings: async function(view) {
+    const competition = ArcheryDataService.getActiveCompetition();
+    if (!competition) {
+      return { success: false, message: 'No active competition selected.' };
+    }
+    
+    const scores = await ArcheryDataService.getAllScores();
+    if (scores.length === 0) {
+      return { success: false, message: 'No scores to print. Add some scores first!' };
+    }
+    
+    const handicaps = view === RESULT_VIEWS.HANDICAP ? await ArcheryDataService.getHandicaps() : new Map();
+    return {
+      success: true,
+      competition,
+      round: Round.forCompetition(competition),
+      scores,
+      standings: ResultsEngine.getStandings(view, scores, competition, handicaps)
+    };
+  },
+  
+  /**
+   * Get the table columns for a results view
+   * @param {string} view - View from RESULT_VIEWS
+   * @param {Round} round - Round the competition is shot under
+   * @returns {Array} Columns as { label, width in mm, align, value(entry) }, 180mm wide in all
+   */
+  getResultColumns: function(view, round) {
+    const position = { label: 'Pos', width: 15, align: 'left', value: entry => `${entry.position}${entry.tied ? '=' : ''}` };
+    const name = width => ({ label: 'Name', width, align: 'left', value: entry => entry.archer.name });
+    const club = width => ({ label: 'Club', width, align: 'left', value: entry => entry.archer.club || '' });
+    const division = width => ({ label: 'Division', width, align: 'left', value: entry => `${entry.archer.category} - ${entry.archer.age}` });
+    const total = width => ({ label: 'Total', width, align: 'right', value: entry => String(entry.score) });
+    
+    if (view === RESULT_VIEWS.HANDICAP) {
+      return [
+        position, name(40), club(35), division(40),
+        { label: 'Score', width: 17, align: 'right', value: entry => String(entry.archer.total) },
+        { label: 'Hcp', width: 15, align: 'right', value: entry => `${entry.handicap > 0 ? '+' : ''}${entry.handicap}` },
+        total(18)
+      ];
+    }
+    
+    if (view === RESULT_VIEWS.OVERALL) {
+      return [position, name(45), club(40), division(55), total(25)];
+    }
+    
+    return [
+      position, name(55), club(45), total(20),
+      { label: 'Tie-break', width: 45, align: 'left', value: entry => entry.resolvedBy ? TieBreak.describeRule(entry.resolvedBy, round) :
+        entry.tied && entry.position <= PODIUM_POSITIONS ? 'Unresolved draw' : '' }
+    ];
+  },
+  
+  /**
+   * Create the official results sheet
+   * Opens with the competition name, date and round, then one table per group of the standings;
+   * the division view adds the club teams when the competition awards them
+   * @param {Object} competition - Competition object
+   * @param {Round} round - Round the competition is shot under
+   * @param {Object} standings - Standings from ResultsEngine.getStandings
+   * @param {Array} scores - All archer scores, for the club teams
+   * @returns {Object} jsPDF document
+   */
+  createResultsSheet: function(competition, round, standings, scores) {
+    const JsPdf = this.getPdfLibrary();
+    const doc = new JsPdf({ orientation: 'portrait', unit: PDF.UNIT, format: PDF.FORMAT });
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const margin = PDF.MARGIN;
+    const lineHeight = 5;
+    let y = margin;
+    
+    // Start a new page when the next block would run into the footer
+    const ensureSpace = height => {
+      if (y + height > pageHeight - margin - 8) {
+        doc.addPage();
+        y = margin;
+      }
+    };
+    
+    // Draw a table row; cells wrap onto extra lines rather than overflow
+    const drawRow = (columns, cells, bold) => {
+      doc.setFont(PDF.FONT, bold ? 'bold' : 'normal');
+      const lines = cells.map((cell, index) => doc.splitTextToSize(cell, columns[index].width - 2));
+      const height = Math.max(...lines.map(cellLines => cellLines.length)) * lineHeight;
+      ensureSpace(height + 1);
+      let x = margin;
+      columns.forEach((column, index) => {
+        if (column.align === 'right') {
+          doc.text(lines[index], x + column.width - 2, y + 4, { align: 'right' });
+        } else {
+          doc.text(lines[index], x, y + 4);
+        }
+        x += column.width;
+      });
+      y += height + 1;
+      if (bold) {
+        doc.line(margin, y, pageWidth - margin, y);
+        y += 1;
+      }
+    };
+    
+    const drawHeading = text => {
+      ensureSpace(20);
+      y += 4;
+      doc.setFont(PDF.FONT, 'bold');
+      doc.setFontSize(12);
+      doc.text(text, margin, y + 4);
+      y += 7;
+      doc.setFontSize(10);
+    };
+    
+    // Document header
+    doc.setFont(PDF.FONT, 'bold');
+    doc.setFontSize(18);
+    doc.text(competition.name, pageWidth / 2, y + 6, { align: 'center' });
+    y += 12;
+    doc.setFont(PDF.FONT, 'normal');
+    doc.setFontSize(11);
+    doc.text(`${new Date(competition.date).toLocaleDateString()} - ${round.name} (${round.description})`, pageWidth / 2, y, { align: 'center' });
+    y += 6;
+    doc.text(`Max score: ${round.maxScore}${round.days > 1 ? ` per day, ${round.getMaxTotal()} total` : ''} - ${RESULT_VIEW_LABELS[standings.view]}`, pageWidth / 2, y, { align: 'center' });
+    y += 6;
+    if (competition.description) {
+      doc.setFont(PDF.FONT, 'italic');
+      doc.text(doc.splitTextToSize(competition.description, pageWidth - margin * 2), pageWidth / 2, y, { align: 'center' });
+      y += 6;
+    }
+    doc.line(margin, y, pageWidth - margin, y);
+    y += 2;
+    doc.setFontSize(10);
+    
+    // One table per group
+    const columns = this.getResultColumns(standings.view, round);
+    standings.groups.forEach(group => {
+      drawHeading(group.title);
+      drawRow(columns, columns.map(column => column.label), true);
+      group.entries.forEach(entry => {
+        drawRow(columns, columns.map(column => column.value(entry)), false);
+      });
+    });
+    
+    if (standings.excluded.length > 0) {
+      drawHeading('Not ranked without a handicap');
+      doc.setFont(PDF.FONT, 'normal');
+      const names = doc.splitTextToSize(standings.excluded.map(archer => archer.name).join(', '), pageWidth - margin * 2);
+      ensureSpace(names.length * lineHeight);
+      doc.text(names, margin, y + 4);
+      y += names.length * lineHeight;
+    }
+    
+    // Club teams, when the competition awards them
+    if (standings.view === RESULT_VIEWS.DIVISIONS && TeamResults.isEnabled(competition)) {
+      const rules = TeamResults.getRules(competition);
+      const teamColumns = [
+        { label: 'Pos', width: 15, align: 'left' },
+        { label: 'Club', width: 50, align: 'left' },
+        { label: 'Total', width: 20, align: 'right' },
+        { label: 'Archers (not counting in brackets)', width: 95, align: 'left' }
+      ];
+      drawHeading(`Club Teams - ${TeamResults.describeRules(rules)}`);
+      drawRow(teamColumns, teamColumns.map(column => column.label), true);
+      TeamResults.rankTeams(scores, competition).forEach(team => {
+        const members = team.members.map(archer => team.counting.includes(archer) ?
+          `${archer.name} ${archer.total}` : `(${archer.name} ${archer.total})`);
+        drawRow(teamColumns, [
+          team.complete ? `${team.position}${team.tied ? '=' : ''}` : '-',
+          team.club,
+          String(team.total),
+          `${members.join(', ')}${team.complete ? '' : ' - incomplete team'}`
+        ], false);
+      });
+    }
+    
+    // Footer on every page
+    const pageCount = doc.getNumberOfPages();
+    doc.setFont(PDF.FONT, 'normal');
+    doc.setFontSize(8);
+    for (let page = 1; page <= pageCount; page++) {
+      doc.setPage(page);
+      doc.text(`${competition.name} - generated ${new Date().toLocaleString()}`, margin, pageHeight - margin / 2);
+      doc.text(`Page ${page} of ${pageCount}`, pageWidth - margin, pageHeight - margin / 2, { align: 'right' });
+    }
+    
+    return doc;
+  },
+  
+  /**
+   * Create one certificate per podium place in each division, from the competition's template
+   * Archers sharing a place after the tie-breaks each get a certificate for it
+   * @param {Object} competition - Competition object
+   * @param {Round} round - Round the competition is shot under
+   * @param {Object} standings - Division standings from ResultsEngine.getStandings
+   * @returns {Object} { doc: jsPDF document, count: certificates created }
+   */
+  createCertificates: function(competition, round, standings) {
+    const JsPdf = this.getPdfLibrary();
+    const doc = new JsPdf({ orientation: 'landscape', unit: PDF.UNIT, format: PDF.FORMAT });
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const template = Competition.getCertificateTemplate(competition);
+    let count = 0;
+    
+    standings.groups.forEach(group => {
+      group.entries.filter(entry => entry.position <= PODIUM_POSITIONS).forEach(entry => {
+        const values = {
+          name: entry.archer.name,
+          club: entry.archer.club || '',
+          place: `${entry.tied ? 'joint ' : ''}${this.getPlaceName(entry.position)}`,
+          division: group.title,
+          score: entry.score,
+          competition: competition.name,
+          date: new Date(competition.date).toLocaleDateString(),
+          round: round.name
+        };
+        
+        if (count > 0) {
+          doc.addPage();
+        }
+        count++;
+        
+        // Double border
+        doc.setLineWidth(1.5);
+        doc.rect(10, 10, pageWidth - 20, pageHeight - 20);
+        doc.setLineWidth(0.5);
+        doc.rect(14, 14, pageWidth - 28, pageHeight - 28);
+        
+        doc.setFont(PDF.FONT, 'bold');
+        doc.setFontSize(30);
+        doc.text(this.fillTemplate(template.title, values), pageWidth / 2, 45, { align: 'center' });
+        
+        // Body lines are centred; the line naming the archer stands out
+        let y = 70;
+        template.body.split('\n').forEach(line => {
+          const text = this.fillTemplate(line, values).trim();
+          if (!text) return;
+          const isName = line.includes('{name}');
+          doc.setFont(PDF.FONT, isName ? 'bold' : 'normal');
+          doc.setFontSize(isName ? 26 : 16);
+          const lines = doc.splitTextToSize(text, pageWidth - 60);
+          doc.text(lines, pageWidth / 2, y, { align: 'center' });
+          y += lines.length * (isName ? 12 : 9);
+        });
+        
+        const signature = this.fillTemplate(template.signature, values).trim();
+        if (signature) {
+          doc.setLineWidth(0.3);
+          doc.line(pageWidth / 2 - 40, pageHeight - 40, pageWidth / 2 + 40, pageHeight - 40);
+          doc.setFont(PDF.FONT, 'normal');
+          doc.setFontSize(12);
+          doc.text(signature, pageWidth / 2, pageHeight - 33, { align: 'center' });
+        }
+      });
+    });
+    
+    return { doc, count };
+  },
+  
+  /**
+   * Generate and download the results sheet for the active competition
+   * @param {string} view - View from RESULT_VIEWS, normally the one shown in the Results tab
+   * @returns {Promise<Object>} Promise resolving to result object
+   */
+  generateResultsSheet: async function(view) {
+    if (!this.getPdfLibrary()) {
+      return { success: false, message: 'The PDF library is not loaded. Check that vendor/jspdf is installed.' };
+    }
+    
+    const loaded = await this.loadStandings(view);
+    if (!loaded.success) {
+      return loaded;
+    }
+    
+    const doc = this.createResultsSheet(loaded.competition, loaded.round, loaded.standings, loaded.scores);
+    doc.save(this.getFileName(loaded.competition, 'Results'));
+    return { success: true, message: `Results sheet for ${loaded.competition.name} created.` };
+  },
+  
+  /**
+   * Generate and download the podium certificates for the active competition
+   * @returns {Promise<Object>} Promise resolving to result object
+   */
+  generateCertificates: async function() {
+    if (!this.getPdfLibrary()) {
+      return { success: false, message: 'The PDF library is not loaded. Check that vendor/jspdf is installed.' };
+    }
+    
+    const loaded = await this.loadStandings(RESULT_VIEWS.DIVISIONS);
+    if (!loaded.success) {
+      return loaded;
+    }
+    
+    const { doc, count } = this.createCertificates(loaded.competition, loaded.round, loaded.standings);
+    doc.save(this.getFileName(loaded.competition, 'Certificates'));
+    return { success: true, message: `${count} certificate${count === 1 ? '' : 's'} for ${loaded.competition.name} created.` };
+  }
+};
+
+// Make it available globally
+window.ArcheryPdfService = ArcheryPdfService;
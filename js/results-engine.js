@@ -0,0 +1,146 @@
+/**
+ * Results Engine for Archery Competition Tracker
+ * Ranks a competition's archers for each results view: by division, overall by gender and by handicap.
+ * Every screen and file that shows positions - results tab, print, dashboard and export - reads them from here.
+ * The functions only work on the data passed in, so they can be run without the page or the database.
+ */
+import { RESULT_VIEWS, GENDERS } from './constants.js';
+import { TieBreak } from './tie-break.js';
+import { SavedCompetitor } from './models.js';
+
+export const ResultsEngine = {
+  /**
+   * Get the gender named in an age-class label
+   * @param {string} age - Age class, e.g. "4. Adult Female"
+   * @returns {Object|null} Entry from GENDERS, or null if the label names none
+   */
+  getGender: function(age) {
+    return GENDERS.find(gender => gender.pattern.test(age || '')) || null;
+  },
+  
+  /**
+   * Rank archers within each division
+   * @param {Array} scores - All archer scores for a competition
+   * @param {Object|null} competition - Competition the scores belong to
+   * @returns {Array} Groups of { id, title, category, age, entries }
+   */
+  rankDivisions: function(scores, competition) {
+    return TieBreak.rankByDivision(scores, competition).map(division => ({
+      id: `${division.category}-${division.age}`,
+      title: `${division.category} - ${division.age}`,
+      category: division.category,
+      age: division.age,
+      entries: division.entries.map(entry => ({ ...entry, score: entry.archer.total }))
+    }));
+  },
+  
+  /**
+   * Rank archers across every division, one ranking per gender
+   * Archers whose age class names no gender are ranked together after the others
+   * @param {Array} scores - All archer scores for a competition
+   * @param {Object|null} competition - Competition the scores belong to
+   * @returns {Array} Groups of { id, title, entries }, Gents before Ladies
+   */
+  rankOverall: function(scores, competition) {
+    const groups = new Map();
+    
+    scores.forEach(archer => {
+      const gender = ResultsEngine.getGender(archer.age);
+      const id = gender ? gender.id : 'unassigned';
+      if (!groups.has(id)) {
+        groups.set(id, { id, title: gender ? `Overall - ${gender.label}` : 'Overall - Age class without a gender', archers: [] });
+      }
+      groups.get(id).archers.push(archer);
+    });
+    
+    return [...groups.values()]
+      .sort((a, b) => (a.id === 'unassigned') - (b.id === 'unassigned') || a.title.localeCompare(b.title))
+      .map(group => ({
+        id: group.id,
+        title: group.title,
+        entries: TieBreak.rankArchers(group.archers, competition).map(entry => ({ ...entry, score: entry.archer.total }))
+      }));
+  },
+  
+  /**
+   * Rank archers on their total adjusted by their handicap
+   * Only archers whose saved competitor has a handicap take part; archers are matched to saved competitors
+   * on name and membership number, so namesakes don't share a handicap
+   * @param {Array} scores - All archer scores for a competition
+   * @param {Object|null} competition - Competition the scores belong to
+   * @param {Map} handicaps - Handicaps keyed by SavedCompetitor.identityKey
+   * @returns {Object} { groups: one group of { id, title, entries } where entries carry handicap and
+   *   the adjusted score, excluded: archers without a handicap }
+   */
+  rankHandicap: function(scores, competition, handicaps) {
+    const handicapOf = archer => handicaps.get(SavedCompetitor.identityKey(archer));
+    const handicapped = scores.filter(archer => handicapOf(archer) !== undefined);
+    const excluded = scores.filter(archer => handicapOf(archer) === undefined);
+    
+    // Tie-breaks compare totals, so archers are ranked on copies carrying the adjusted total
+    const adjusted = handicapped.map(archer => ({ ...archer, total: archer.total + handicapOf(archer), original: archer }));
+    const entries = TieBreak.rankArchers(adjusted, competition).map(entry => ({
+      ...entry,
+      archer: entry.archer.original,
+      handicap: handicapOf(entry.archer.original),
+      score: entry.archer.total
+    }));
+    
+    return {
+      groups: entries.length > 0 ? [{ id: 'handicap', title: 'Handicap', entries }] : [],
+      excluded
+    };
+  },
+  
+  /**
+   * Get the standings for a results view
+   * @param {string} view - View from RESULT_VIEWS
+   * @param {Array} scores - All archer scores for a competition
+   * @param {Object|null} competition - Competition the scores belong to
+   * @param {Map} handicaps - Handicaps keyed by SavedCompetitor.identityKey, used by the handicap view
+   * @returns {Object} { view, groups, excluded, draws } where each group's entries are
+   *   { archer, position, tied, resolvedBy, score } plus handicap in the handicap view, and draws
+   *   are the podium draws the tie-break rules left unresolved (division view only, as shoot-offs
+   *   are shot within a division)
+   */
+  getStandings: function(view, scores, competition, handicaps = new Map()) {
+    switch (view) {
+      case RESULT_VIEWS.OVERALL:
+        return { view, groups: ResultsEngine.rankOverall(scores, competition), excluded: [], draws: [] };
+      case RESULT_VIEWS.HANDICAP:
+        return { view, ...ResultsEngine.rankHandicap(scores, competition, handicaps), draws: [] };
+      default: {
+        const groups = ResultsEngine.rankDivisions(scores, competition);
+        return { view: RESULT_VIEWS.DIVISIONS, groups, excluded: [], draws: TieBreak.findUnresolvedDraws(groups) };
+      }
+    }
+  },
+  
+  /**
+   * Get the winners of each group, every tied archer included if first place is an unresolved draw
+   * @param {Object} standings - Standings from getStandings
+   * @returns {Array} Winners as { title, entries }, one per group with entries
+   */
+  getWinners: function(standings) {
+    return standings.groups
+      .map(group => ({ title: group.title, entries: group.entries.filter(entry => entry.position === 1) }))
+      .filter(winner => winner.entries.length > 0);
+  },
+  
+  /**
+   * Order a group's entries for a podium display: 3rd, 2nd and 1st, then the rest in ranking order
+   * @param {Array} entries - Ranked entries of one group
+   * @returns {Array} New array in display order
+   */
+  getPodiumOrder: function(entries) {
+    if (entries.length < 3) {
+      return [...entries].reverse();
+    }
+    return [...entries.slice(0, 3).reverse(), ...entries.slice(3)];
+  }
+};
+
+// Make it available globally
+if (typeof window !== 'undefined') {
+  window.ResultsEngine = ResultsEngine;
+}
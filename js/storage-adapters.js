@@ -0,0 +1,653 @@
+/**
+ * Storage Adapters for Archery Competition Tracker
+ * IndexedDB, localStorage and in-memory backends behind the same async API
+ */
+import { DB, ERRORS } from './constants.js';
+import { Logger } from './utilities.js';
+import { ArcheryMigrations } from './migrations.js';
+import { SavedCompetitor } from './models.js';
+
+/**
+ * Error raised when a write breaks the primary key or a unique index.
+ * Uses the same name as the IndexedDB DOMException so callers can check error.name for every adapter
+ */
+export class StorageConstraintError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConstraintError';
+  }
+}
+
+/**
+ * Compare two keys in IndexedDB order (numbers before strings)
+ * @param {number|string} a - First key
+ * @param {number|string} b - Second key
+ * @returns {number} Sort order
+ */
+const compareKeys = (a, b) => {
+  if (typeof a !== typeof b) return typeof a === 'number' ? -1 : 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+/**
+ * Copy a record so callers never share objects with the store, as IndexedDB does
+ * @param {Object} record - Record to copy
+ * @returns {Object} Deep copy
+ */
+const cloneRecord = record => typeof structuredClone === 'function' ?
+  structuredClone(record) :
+  JSON.parse(JSON.stringify(record));
+
+/**
+ * Storage adapter interface
+ * Every method returns a Promise; writes within one batch succeed or fail together
+ */
+export class StorageAdapter {
+  constructor(schema = DB.SCHEMA) {
+    this.schema = schema;
+  }
+  
+  /**
+   * Open the backend and create any missing stores
+   * @returns {Promise} Promise resolving when the adapter is ready
+   */
+  open() {
+    return Promise.reject(new Error('open() is not implemented'));
+  }
+  
+  /**
+   * Get every record in a store, ordered by key
+   * @param {string} storeName - Store name
+   * @returns {Promise<Array>} Promise resolving to records
+   */
+  getAll(storeName) {
+    return Promise.reject(new Error('getAll() is not implemented'));
+  }
+  
+  /**
+   * Get a record by key
+   * @param {string} storeName - Store name
+   * @param {number|string} key - Record key
+   * @returns {Promise<Object|null>} Promise resolving to the record or null
+   */
+  get(storeName, key) {
+    return Promise.reject(new Error('get() is not implemented'));
+  }
+  
+  /**
+   * Get every record whose indexed field equals a value, ordered by key
+   * @param {string} storeName - Store name
+   * @param {string} indexName - Index name from the schema
+   * @param {*} value - Value to match
+   * @returns {Promise<Array>} Promise resolving to records
+   */
+  getAllByIndex(storeName, indexName, value) {
+    return Promise.reject(new Error('getAllByIndex() is not implemented'));
+  }
+  
+  /**
+   * Apply several writes atomically
+   * Operations are { type: 'add'|'put', store, record }, { type: 'delete', store, key },
+   * { type: 'clear', store } or { type: 'deleteByIndex', store, index, value }.
+   * An add or put record may be a function of the results so far, for a record that needs the key
+   * an earlier add was given
+   * @param {Array} operations - Writes to apply in order
+   * @returns {Promise<Array>} Promise resolving to one result per operation: the key for add/put,
+   *   the number of deleted records for deleteByIndex, undefined otherwise
+   */
+  batch(operations) {
+    return Promise.reject(new Error('batch() is not implemented'));
+  }
+  
+  /**
+   * Add a new record; fails if the key or a unique index value is taken
+   * @param {string} storeName - Store name
+   * @param {Object} record - Record to add; auto-increment stores generate a missing key
+   * @returns {Promise<number|string>} Promise resolving to the record key
+   */
+  add(storeName, record) {
+    return this.batch([{ type: 'add', store: storeName, record }]).then(results => results[0]);
+  }
+  
+  /**
+   * Add or replace a record
+   * @param {string} storeName - Store name
+   * @param {Object} record - Record to store
+   * @returns {Promise<number|string>} Promise resolving to the record key
+   */
+  put(storeName, record) {
+    return this.batch([{ type: 'put', store: storeName, record }]).then(results => results[0]);
+  }
+  
+  /**
+   * Delete a record by key; deleting a missing key is not an error
+   * @param {string} storeName - Store name
+   * @param {number|string} key - Record key
+   * @returns {Promise} Promise resolving when deleted
+   */
+  delete(storeName, key) {
+    return this.batch([{ type: 'delete', store: storeName, key }]).then(() => undefined);
+  }
+  
+  /**
+   * Delete every record whose indexed field equals a value
+   * @param {string} storeName - Store name
+   * @param {string} indexName - Index name from the schema
+   * @param {*} value - Value to match
+   * @returns {Promise<number>} Promise resolving to the number of deleted records
+   */
+  deleteByIndex(storeName, indexName, value) {
+    return this.batch([{ type: 'deleteByIndex', store: storeName, index: indexName, value }]).then(results => results[0]);
+  }
+  
+  /**
+   * Delete every record in a store
+   * @param {string} storeName - Store name
+   * @returns {Promise} Promise resolving when cleared
+   */
+  clear(storeName) {
+    return this.batch([{ type: 'clear', store: storeName }]).then(() => undefined);
+  }
+  
+  /**
+   * Get the record an add or put operation writes
+   * @param {Object} operation - add or put operation
+   * @param {Array} results - Results of the earlier operations in the batch
+   * @returns {Object} Record to write
+   */
+  resolveRecord(operation, results) {
+    return typeof operation.record === 'function' ? operation.record(results) : operation.record;
+  }
+  
+  /**
+   * Get a store's schema
+   * @param {string} storeName - Store name
+   * @returns {Object} Store schema
+   */
+  getStoreSchema(storeName) {
+    const storeSchema = this.schema[storeName];
+    if (!storeSchema) {
+      throw new Error(`Unknown store: ${storeName}`);
+    }
+    return storeSchema;
+  }
+}
+
+/**
+ * In-memory storage, used for tests and when no persistent storage is available
+ */
+export class MemoryStorage extends StorageAdapter {
+  constructor(schema = DB.SCHEMA) {
+    super(schema);
+    this.name = 'memory';
+    this.data = null;
+    
+    // Next key for each auto-increment store; like IndexedDB, keys are never reused
+    this.keyGenerators = {};
+  }
+  
+  /**
+   * Open the store
+   * @returns {Promise} Promise resolving when ready
+   */
+  open() {
+    this.data = {};
+    Object.keys(this.schema).forEach(storeName => {
+      this.data[storeName] = new Map();
+      this.keyGenerators[storeName] = this.keyGenerators[storeName] || 1;
+    });
+    return Promise.resolve();
+  }
+  
+  /**
+   * Get the records of a store, checking the adapter is open
+   * @param {string} storeName - Store name
+   * @returns {Map} Records keyed by primary key
+   */
+  getStoreData(storeName) {
+    if (!this.data) {
+      throw new Error(ERRORS.DB_NOT_INITIALIZED);
+    }
+    this.getStoreSchema(storeName);
+    return this.data[storeName];
+  }
+  
+  /**
+   * Sort records by primary key and copy them
+   * @param {string} storeName - Store name
+   * @param {Array} records - Records to return
+   * @returns {Array} Sorted copies
+   */
+  sortedCopies(storeName, records) {
+    const keyPath = this.getStoreSchema(storeName).keyPath;
+    return records
+      .sort((a, b) => compareKeys(a[keyPath], b[keyPath]))
+      .map(cloneRecord);
+  }
+  
+  getAll(storeName) {
+    return Promise.resolve().then(() =>
+      this.sortedCopies(storeName, [...this.getStoreData(storeName).values()]));
+  }
+  
+  get(storeName, key) {
+    return Promise.resolve().then(() => {
+      const record = this.getStoreData(storeName).get(key);
+      return record ? cloneRecord(record) : null;
+    });
+  }
+  
+  getAllByIndex(storeName, indexName, value) {
+    return Promise.resolve().then(() => {
+      if (!this.getStoreSchema(storeName).indexes[indexName]) {
+        throw new Error(`Unknown index ${indexName} on ${storeName}`);
+      }
+      const records = [...this.getStoreData(storeName).values()].filter(record => record[indexName] === value);
+      return this.sortedCopies(storeName, records);
+    });
+  }
+  
+  batch(operations) {
+    return Promise.resolve().then(() => {
+      // Work on copies so a failed operation leaves every store untouched
+      const working = {};
+      const keyGenerators = { ...this.keyGenerators };
+      const storeFor = storeName => {
+        if (!working[storeName]) {
+          working[storeName] = new Map(this.getStoreData(storeName));
+        }
+        return working[storeName];
+      };
+      
+      const results = [];
+      operations.forEach(operation => {
+        results.push(this.applyOperation(operation, results, storeFor, keyGenerators));
+      });
+      
+      this.persist(working, keyGenerators);
+      Object.assign(this.data, working);
+      this.keyGenerators = keyGenerators;
+      return results;
+    });
+  }
+  
+  /**
+   * Apply one batch operation to working copies of the stores
+   * @param {Object} operation - Operation to apply
+   * @param {Array} results - Results of the earlier operations in the batch
+   * @param {Function} storeFor - Gives the working copy of a store
+   * @param {Object} keyGenerators - Working copy of the key generators
+   * @returns {*} Result of the operation
+   */
+  applyOperation(operation, results, storeFor, keyGenerators) {
+    const records = storeFor(operation.store);
+    const storeSchema = this.getStoreSchema(operation.store);
+    
+    switch (operation.type) {
+      case 'add':
+      case 'put':
+        return this.writeRecord({ ...operation, record: this.resolveRecord(operation, results) }, records, storeSchema, keyGenerators);
+      
+      case 'delete':
+        records.delete(operation.key);
+        return undefined;
+      
+      case 'clear':
+        records.clear();
+        return undefined;
+      
+      case 'deleteByIndex': {
+        let count = 0;
+        [...records.entries()].forEach(([key, record]) => {
+          if (record[operation.index] === operation.value) {
+            records.delete(key);
+            count++;
+          }
+        });
+        return count;
+      }
+      
+      default:
+        throw new Error(`Unknown storage operation: ${operation.type}`);
+    }
+  }
+  
+  /**
+   * Add or put one record into a working copy of a store
+   * @param {Object} operation - add or put operation
+   * @param {Map} records - Working copy of the store
+   * @param {Object} storeSchema - Store schema
+   * @param {Object} keyGenerators - Working copy of the key generators
+   * @returns {number|string} Record key
+   */
+  writeRecord(operation, records, storeSchema, keyGenerators) {
+    const record = cloneRecord(operation.record);
+    const keyPath = storeSchema.keyPath;
+    let key = record[keyPath];
+    
+    if (key === undefined || key === null) {
+      if (!storeSchema.autoIncrement) {
+        const error = new Error(`A ${keyPath} is required in ${operation.store}`);
+        error.name = 'DataError';
+        throw error;
+      }
+      key = keyGenerators[operation.store];
+      record[keyPath] = key;
+    }
+    
+    if (storeSchema.autoIncrement && typeof key === 'number' && key >= keyGenerators[operation.store]) {
+      keyGenerators[operation.store] = Math.floor(key) + 1;
+    }
+    
+    if (operation.type === 'add' && records.has(key)) {
+      throw new StorageConstraintError(`A record with ${keyPath} ${key} already exists in ${operation.store}`);
+    }
+    
+    Object.entries(storeSchema.indexes).forEach(([indexName, index]) => {
+      if (!index.unique || record[indexName] === undefined) return;
+      
+      for (const [otherKey, other] of records) {
+        if (otherKey !== key && other[indexName] === record[indexName]) {
+          throw new StorageConstraintError(`${indexName} "${record[indexName]}" is already used in ${operation.store}`);
+        }
+      }
+    });
+    
+    records.set(key, record);
+    return key;
+  }
+  
+  /**
+   * Save changed stores; memory storage has nothing to save
+   * @param {Object} changedStores - Working copies of the changed stores
+   * @param {Object} keyGenerators - Key generators after the batch
+   */
+  persist(changedStores, keyGenerators) {}
+}
+
+/**
+ * localStorage-backed storage, used when IndexedDB is not available
+ * Keeps every store in memory and writes changed stores back as JSON arrays
+ */
+export class LocalStorageStorage extends MemoryStorage {
+  constructor(schema = DB.SCHEMA, storageKeys = DB.LOCAL_STORAGE_KEYS) {
+    super(schema);
+    this.name = 'localStorage';
+    this.storageKeys = storageKeys;
+  }
+  
+  /**
+   * Load every store from localStorage
+   * @returns {Promise} Promise resolving when ready
+   */
+  open() {
+    return super.open().then(() => {
+      const savedGenerators = JSON.parse(localStorage.getItem(DB.LOCAL_STORAGE_KEY_GENERATORS) || '{}');
+      
+      Object.keys(this.schema).forEach(storeName => {
+        const storeSchema = this.getStoreSchema(storeName);
+        const records = JSON.parse(localStorage.getItem(this.storageKeys[storeName]) || '[]');
+        const keys = records.map(record => record[storeSchema.keyPath]).filter(key => typeof key === 'number');
+        
+        // Continue after the highest key for data written before key generators were saved
+        this.keyGenerators[storeName] = Math.max(
+          savedGenerators[storeName] || 1,
+          keys.length > 0 ? Math.max(...keys) + 1 : 1
+        );
+        
+        records.forEach(record => {
+          // Older data may have records without a key
+          if (record[storeSchema.keyPath] === undefined && storeSchema.autoIncrement) {
+            record[storeSchema.keyPath] = this.keyGenerators[storeName]++;
+          }
+          // Saved competitors were keyed by name until schema version 8
+          if (storeName === DB.STORES.SAVED_COMPETITORS && record.identityKey === undefined && record.name) {
+            record.identityKey = SavedCompetitor.identityKey(record);
+          }
+          if (record[storeSchema.keyPath] !== undefined) {
+            this.data[storeName].set(record[storeSchema.keyPath], record);
+          }
+        });
+      });
+      
+      Logger.info('localStorage storage opened');
+    });
+  }
+  
+  /**
+   * Write changed stores and key generators to localStorage
+   * @param {Object} changedStores - Working copies of the changed stores
+   * @param {Object} keyGenerators - Key generators after the batch
+   */
+  persist(changedStores, keyGenerators) {
+    Object.entries(changedStores).forEach(([storeName, records]) => {
+      localStorage.setItem(this.storageKeys[storeName], JSON.stringify([...records.values()]));
+    });
+    localStorage.setItem(DB.LOCAL_STORAGE_KEY_GENERATORS, JSON.stringify(keyGenerators));
+  }
+}
+
+/**
+ * IndexedDB-backed storage, the default
+ */
+export class IndexedDBStorage extends StorageAdapter {
+  constructor(dbName = DB.NAME, version = DB.VERSION, schema = DB.SCHEMA) {
+    super(schema);
+    this.name = 'indexedDB';
+    this.dbName = dbName;
+    this.version = version;
+    this.db = null;
+  }
+  
+  /**
+   * Open the database, running any pending schema migrations
+   * @returns {Promise} Promise resolving when ready
+   */
+  open() {
+    return new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB not supported'));
+        return;
+      }
+      
+      Logger.info('Initializing IndexedDB...');
+      const request = indexedDB.open(this.dbName, this.version);
+      let migrationError = null;
+      
+      // Handle database upgrades/creation
+      request.onupgradeneeded = (event) => {
+        Logger.info(`Database upgrade needed from version ${event.oldVersion} to ${event.newVersion}`);
+        ArcheryMigrations.run(event.target.result, event.target.transaction, event.oldVersion, event.newVersion)
+          .catch(error => {
+            migrationError = error;
+          });
+      };
+      
+      request.onblocked = () => {
+        Logger.warn('Database upgrade is waiting for the app to be closed in other tabs');
+      };
+      
+      request.onsuccess = (event) => {
+        this.db = event.target.result;
+        Logger.info('Database initialized successfully');
+        resolve();
+      };
+      
+      request.onerror = (event) => {
+        Logger.error('Database error:', migrationError || event.target.error);
+        reject(migrationError || event.target.error);
+      };
+    });
+  }
+  
+  /**
+   * Run requests in a transaction and resolve with their results once it completes
+   * @param {Array} storeNames - Stores used by the transaction
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} callback - Receives the transaction and a function that aborts it with an error,
+   *   for requests made from event handlers; returns a function that gives the result
+   * @returns {Promise} Promise resolving to the callback's result
+   */
+  run(storeNames, mode, callback) {
+    return new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error(ERRORS.DB_NOT_INITIALIZED));
+        return;
+      }
+      
+      let transaction = null;
+      let failure = null;
+      const fail = error => {
+        failure = error;
+        transaction.abort();
+      };
+      
+      try {
+        transaction = this.db.transaction(storeNames, mode);
+        const getResult = callback(transaction, fail);
+        
+        transaction.oncomplete = () => {
+          resolve(getResult());
+        };
+        
+        // Any failed request aborts the whole transaction
+        transaction.onabort = () => {
+          reject(failure || transaction.error || new Error('Transaction aborted'));
+        };
+      } catch (error) {
+        // Requests queued before the callback threw would otherwise still commit
+        if (transaction) {
+          transaction.abort();
+        }
+        reject(error);
+      }
+    });
+  }
+  
+  getAll(storeName) {
+    return this.run([storeName], 'readonly', transaction => {
+      const request = transaction.objectStore(storeName).getAll();
+      return () => request.result || [];
+    });
+  }
+  
+  get(storeName, key) {
+    return this.run([storeName], 'readonly', transaction => {
+      const request = transaction.objectStore(storeName).get(key);
+      return () => request.result || null;
+    });
+  }
+  
+  getAllByIndex(storeName, indexName, value) {
+    return this.run([storeName], 'readonly', transaction => {
+      const request = transaction.objectStore(storeName).index(indexName).getAll(IDBKeyRange.only(value));
+      return () => request.result || [];
+    });
+  }
+  
+  batch(operations) {
+    const storeNames = [...new Set(operations.map(operation => operation.store))];
+    
+    return this.run(storeNames, 'readwrite', (transaction, fail) => {
+      const results = new Array(operations.length);
+      // Requests still running, and the rest of the batch waiting for them
+      let running = 0;
+      let waiting = null;
+      
+      const settle = () => {
+        running--;
+        if (running === 0 && waiting) {
+          const resume = waiting;
+          waiting = null;
+          try {
+            resume();
+          } catch (error) {
+            fail(error);
+          }
+        }
+      };
+      
+      const issue = start => {
+        for (let index = start; index < operations.length; index++) {
+          const operation = operations[index];
+          
+          // A record worked out from earlier results waits until they are all in
+          if (typeof operation.record === 'function' && running > 0) {
+            waiting = () => issue(index);
+            return;
+          }
+          
+          running++;
+          this.issueOperation(transaction.objectStore(operation.store), operation, index, results, settle);
+        }
+      };
+      
+      issue(0);
+      return () => results;
+    });
+  }
+  
+  /**
+   * Make the request for one batch operation
+   * @param {IDBObjectStore} store - Store the operation writes to
+   * @param {Object} operation - Operation to apply
+   * @param {number} index - Position of the operation in the batch
+   * @param {Array} results - Results of the batch, filled in as requests succeed
+   * @param {Function} settle - Called once the operation is done
+   */
+  issueOperation(store, operation, index, results, settle) {
+    switch (operation.type) {
+      case 'add':
+      case 'put': {
+        // An undefined key property would block the key generator
+        const record = { ...this.resolveRecord(operation, results) };
+        const keyPath = this.getStoreSchema(operation.store).keyPath;
+        if (record[keyPath] === undefined || record[keyPath] === null) {
+          delete record[keyPath];
+        }
+        
+        const request = store[operation.type](record);
+        request.onsuccess = () => {
+          results[index] = request.result;
+          settle();
+        };
+        break;
+      }
+      
+      case 'delete':
+        store.delete(operation.key).onsuccess = settle;
+        break;
+      
+      case 'clear':
+        store.clear().onsuccess = settle;
+        break;
+      
+      case 'deleteByIndex': {
+        results[index] = 0;
+        const request = store.index(operation.index).openCursor(IDBKeyRange.only(operation.value));
+        request.onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (cursor) {
+            cursor.delete();
+            results[index]++;
+            cursor.continue();
+          } else {
+            settle();
+          }
+        };
+        break;
+      }
+      
+      default:
+        throw new Error(`Unknown storage operation: ${operation.type}`);
+    }
+  }
+}
+
+// Make it available globally
+if (typeof window !== 'undefined') {
+  window.StorageAdapter = StorageAdapter;
+  window.MemoryStorage = MemoryStorage;
+  window.LocalStorageStorage = LocalStorageStorage;
+  window.IndexedDBStorage = IndexedDBStorage;
+}
@@ -0,0 +1,421 @@
+/**
+ * Sync Backends for Archery Competition Tracker
+ * Transports the sync service talks to: a REST/WebSocket server on the local network, or Firebase
+ */
+import { SYNC } from './constants.js';
+import { Logger } from './utilities.js';
+
+/**
+ * Sync backend interface
+ * Changes travel as { store, key, record, revision, ancestors, fields, deviceId }: key is the record's sync ID
+ * (its identityKey for saved competitors), record is null when the record was removed, revision identifies this
+ * version and ancestors the versions it was made on top of, fields holds a clock stamp for each field saying
+ * when it last changed, and deviceId names the device that made it.
+ * A cursor marks how far a device has pulled; its format is up to the backend.
+ */
+export class SyncBackend {
+  /**
+   * @param {Object} config - Backend settings as saved in the sync config
+   */
+  constructor(config = {}) {
+    this.config = config;
+    this.user = null;
+  }
+  
+  /**
+   * Connect using saved settings, without prompting the user
+   * @returns {Promise<Object|null>} Promise resolving to the signed-in user { uid, displayName, email, photoURL, sharing },
+   *   or null; sharing says whether competitions shared on this backend reach the other scorekeepers
+   */
+  connect() {
+    return Promise.reject(new Error('connect() is not implemented'));
+  }
+  
+  /**
+   * Sign in, prompting the user if the backend needs to
+   * @returns {Promise<Object>} Promise resolving to the signed-in user
+   */
+  signIn() {
+    return this.connect();
+  }
+  
+  /**
+   * Sign out and stop listening for changes
+   * @returns {Promise} Promise resolving when signed out
+   */
+  signOut() {
+    this.disconnect();
+    this.user = null;
+    return Promise.resolve();
+  }
+  
+  /**
+   * Stop listening for changes
+   */
+  disconnect() {}
+  
+  /**
+   * Get changes made since a cursor
+   * @param {*} cursor - Cursor from an earlier pull, or null for everything
+   * @returns {Promise<Object>} Promise resolving to { changes, cursor }
+   */
+  pull(cursor) {
+    return Promise.reject(new Error('pull() is not implemented'));
+  }
+  
+  /**
+   * Send changes to the other devices
+   * The cursor isn't moved on by a push: changes other devices made in the meantime still need pulling
+   * @param {Array} changes - Changes in wire format
+   * @returns {Promise<Object>} Promise resolving when the changes are accepted, to { refused } listing the
+   *   { store, key } of any changes the backend would not store, or to nothing if it stored them all
+   */
+  push(changes) {
+    return Promise.reject(new Error('push() is not implemented'));
+  }
+  
+  /**
+   * Listen for changes made on other devices
+   * The listener is only told that there is something new; the sync service pulls from its own
+   * cursor, so nothing is skipped if a notification is missed while the connection is down
+   * @param {Function} onChange - Called when other devices have pushed changes
+   * @param {Function} onStatus - Called with true or false when the live connection opens or drops
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(onChange, onStatus = () => {}) {
+    return () => {};
+  }
+}
+
+/**
+ * Backend for the reference sync server in server/sync-server.mjs
+ * Changes are pushed and pulled over REST; a WebSocket announces new changes as they arrive
+ */
+export class RestSyncBackend extends SyncBackend {
+  /**
+   * @param {Object} config - { url, name, email, token } where url is the server address, e.g. "http://192.168.1.20:8787"
+   */
+  constructor(config = {}) {
+    super(config);
+    this.baseUrl = (config.url || '').replace(/\/+$/, '');
+    this.socket = null;
+    this.reconnectTimer = null;
+  }
+  
+  /**
+   * Check the server is reachable; the scorer's name and email stand in for an account
+   * A server started with --users knows whose token this is, and its email replaces the one entered here;
+   * otherwise the entered email is unverified, so roles are advisory (user.verified is false).
+   * Without an email the scorer can't be given a role, so competitions others have shared are view-only
+   * @returns {Promise<Object|null>} Promise resolving to the user, or null when no server is configured
+   */
+  connect() {
+    if (!this.baseUrl) {
+      return Promise.resolve(null);
+    }
+    
+    return this.request('GET', '/api/health').then(health => {
+      const name = (this.config.name || '').trim() || 'Scorer';
+      const verified = Boolean(health.verified);
+      this.user = {
+        uid: `${this.config.deviceId || name}@${this.baseUrl}`,
+        displayName: name,
+        email: verified ? health.user || null : (this.config.email || '').trim().toLowerCase() || null,
+        verified,
+        server: health.name || this.baseUrl,
+        photoURL: null,
+        sharing: true
+      };
+      return this.user;
+    });
+  }
+  
+  /**
+   * Stop listening for changes
+   */
+  disconnect() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.close();
+    }
+  }
+  
+  /**
+   * Get changes made since a cursor
+   * @param {number|null} cursor - Server sequence number already seen
+   * @returns {Promise<Object>} Promise resolving to { changes, cursor }
+   */
+  pull(cursor) {
+    return this.request('GET', `/api/changes?since=${encodeURIComponent(cursor || 0)}`);
+  }
+  
+  /**
+   * Send changes to the server
+   * @param {Array} changes - Changes in wire format
+   * @returns {Promise<Object>} Promise resolving to { cursor, refused } when the server has stored the changes
+   */
+  push(changes) {
+    return this.request('POST', '/api/changes', { deviceId: this.config.deviceId, changes });
+  }
+  
+  /**
+   * Open the live connection, reconnecting whenever it drops
+   * @param {Function} onChange - Called when the server announces changes from another device
+   * @param {Function} onStatus - Called with true or false when the connection opens or drops
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(onChange, onStatus = () => {}) {
+    const open = () => {
+      const socketUrl = `${this.baseUrl.replace(/^http/, 'ws')}/api/live` +
+        (this.config.token ? `?token=${encodeURIComponent(this.config.token)}` : '');
+      const socket = new WebSocket(socketUrl);
+      this.socket = socket;
+      
+      socket.onopen = () => onStatus(true);
+      socket.onmessage = event => {
+        try {
+          const message = JSON.parse(event.data);
+          if (message.type === 'changes' && message.deviceId !== this.config.deviceId) {
+            onChange();
+          }
+        } catch (error) {
+          Logger.warn('Ignoring unreadable message from the sync server:', error);
+        }
+      };
+      socket.onclose = () => {
+        // A socket closed by disconnect() has already been replaced with null
+        if (this.socket !== socket) return;
+        
+        onStatus(false);
+        this.reconnectTimer = setTimeout(open, SYNC.RECONNECT_DELAY);
+      };
+    };
+    
+    open();
+    return () => this.disconnect();
+  }
+  
+  /**
+   * Send a request to the sync server
+   * @param {string} method - HTTP method
+   * @param {string} path - Path under the server URL
+   * @param {Object} body - JSON body, if any
+   * @returns {Promise<Object>} Promise resolving to the parsed response
+   */
+  request(method, path, body) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.config.token) {
+      headers.Authorization = `Bearer ${this.config.token}`;
+    }
+    
+    return fetch(`${this.baseUrl}${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    }).then(response => response.json().catch(() => ({})).then(data => {
+      if (!response.ok) {
+        throw new Error(data.error || `Sync server responded with ${response.status}`);
+      }
+      return data;
+    }));
+  }
+}
+
+/**
+ * Backend for Firebase Firestore, used when the Firebase SDK is loaded
+ * Each change is a document under users/{uid}/{store}; the cursor is the newest syncTimestamp seen.
+ * That keeps an account's records to its own devices, so competitions can't be shared on this backend.
+ */
+export class FirebaseSyncBackend extends SyncBackend {
+  /**
+   * Restore the signed-in user, if Firebase remembers one
+   * @returns {Promise<Object|null>} Promise resolving to the user, or null
+   */
+  connect() {
+    if (typeof firebase === 'undefined') {
+      return Promise.reject(new Error('The Firebase SDK is not loaded'));
+    }
+    
+    return new Promise(resolve => {
+      const unsubscribe = firebase.auth().onAuthStateChanged(user => {
+        unsubscribe();
+        resolve(this.setUser(user));
+      });
+    });
+  }
+  
+  /**
+   * Sign in with a Google account
+   * @returns {Promise<Object>} Promise resolving to the user
+   */
+  signIn() {
+    if (typeof firebase === 'undefined') {
+      return Promise.reject(new Error('The Firebase SDK is not loaded'));
+    }
+    
+    const provider = new firebase.auth.GoogleAuthProvider();
+    return firebase.auth().signInWithPopup(provider).then(result => this.setUser(result.user));
+  }
+  
+  /**
+   * Sign out of Firebase
+   * @returns {Promise} Promise resolving when signed out
+   */
+  signOut() {
+    this.disconnect();
+    return firebase.auth().signOut().then(() => {
+      this.user = null;
+    });
+  }
+  
+  /**
+   * Stop the snapshot listeners
+   */
+  disconnect() {
+    (this.unsubscribers || []).forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+  }
+  
+  /**
+   * Get documents written since a cursor
+   * @param {number|null} cursor - Milliseconds of the newest syncTimestamp already seen
+   * @returns {Promise<Object>} Promise resolving to { changes, cursor }
+   */
+  pull(cursor) {
+    const since = firebase.firestore.Timestamp.fromMillis(cursor || 0);
+    
+    return Promise.all(SYNC.STORES.map(store => this.collection(store).where('syncTimestamp', '>', since).get()))
+      .then(snapshots => {
+        let newest = cursor || 0;
+        const changes = [];
+        
+        snapshots.forEach((snapshot, index) => {
+          snapshot.forEach(doc => {
+            const change = this.fromDocument(SYNC.STORES[index], doc);
+            newest = Math.max(newest, change.timestamp);
+            changes.push(change);
+          });
+        });
+        
+        return { changes, cursor: newest };
+      });
+  }
+  
+  /**
+   * Write changes as documents; removed records are kept as tombstones so other devices see the removal
+   * @param {Array} changes - Changes in wire format
+   * @returns {Promise} Promise resolving when the batch is committed
+   */
+  push(changes) {
+    const batch = firebase.firestore().batch();
+    changes.forEach(change => {
+      batch.set(this.collection(change.store).doc(String(change.key)), {
+        record: change.record,
+        revision: change.revision || null,
+        ancestors: change.ancestors || [],
+        fields: change.fields || {},
+        removedAt: change.removedAt || null,
+        author: change.author || null,
+        deviceId: this.config.deviceId || null,
+        syncTimestamp: firebase.firestore.FieldValue.serverTimestamp()
+      });
+    });
+    
+    return batch.commit();
+  }
+  
+  /**
+   * Listen to the synced collections
+   * @param {Function} onChange - Called when documents change
+   * @param {Function} onStatus - Called with true once the listeners are attached
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(onChange, onStatus = () => {}) {
+    this.disconnect();
+    
+    this.unsubscribers = SYNC.STORES.map(store => this.collection(store).onSnapshot(snapshot => {
+      // Local writes fire the listener before the server has stamped them
+      if (snapshot.metadata.hasPendingWrites) return;
+      
+      if (snapshot.docChanges().length > 0) {
+        onChange();
+      }
+    }));
+    
+    onStatus(true);
+    return () => this.disconnect();
+  }
+  
+  /**
+   * Remember the signed-in Firebase user
+   * @param {Object|null} user - Firebase user
+   * @returns {Object|null} User as the sync service sees it
+   */
+  setUser(user) {
+    this.user = user ? {
+      uid: user.uid,
+      displayName: user.displayName,
+      email: user.email,
+      photoURL: user.photoURL,
+      sharing: false
+    } : null;
+    return this.user;
+  }
+  
+  /**
+   * Get the signed-in user's collection for a store
+   * @param {string} store - Synced store name
+   * @returns {Object} Firestore collection reference
+   */
+  collection(store) {
+    return firebase.firestore().collection('users').doc(this.user.uid).collection(store);
+  }
+  
+  /**
+   * Turn a Firestore document into a wire change
+   * @param {string} store - Store the document belongs to
+   * @param {Object} doc - Firestore document snapshot
+   * @returns {Object} Change in wire format, with the document's timestamp in milliseconds
+   */
+  fromDocument(store, doc) {
+    const data = doc.data();
+    return {
+      store,
+      key: doc.id,
+      record: data.record || null,
+      revision: data.revision || null,
+      ancestors: data.ancestors || [],
+      fields: data.fields || {},
+      removedAt: data.removedAt || null,
+      author: data.author || null,
+      deviceId: data.deviceId || null,
+      timestamp: data.syncTimestamp ? data.syncTimestamp.toMillis() : 0
+    };
+  }
+}
+
+/**
+ * Create the backend for a saved sync config
+ * @param {Object} config - Sync config with a type from SYNC.BACKENDS
+ * @returns {SyncBackend} Backend instance
+ */
+export const createSyncBackend = config => {
+  switch (config.type) {
+    case SYNC.BACKENDS.FIREBASE:
+      return new FirebaseSyncBackend(config);
+    case SYNC.BACKENDS.REST:
+      return new RestSyncBackend(config);
+    default:
+      throw new Error(`Unknown sync backend: ${config.type}`);
+  }
+};
+
+// Make it available globally
+window.SyncBackend = SyncBackend;
+window.RestSyncBackend = RestSyncBackend;
+window.FirebaseSyncBackend = FirebaseSyncBackend;
+window.createSyncBackend = createSyncBackend;
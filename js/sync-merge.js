@@ -0,0 +1,287 @@
+/**
+ * Sync Merge for Archery Competition Tracker
+ * Merges concurrent edits to a synced record field by field, ordered by hybrid logical clock stamps
+ */
+import { AUDIT, DB, SCORING, SYNC } from './constants.js';
+import { Archer } from './models.js';
+import { ArcheryAuditService } from './audit-service.js';
+
+// Stamp parts are padded so stamps sort correctly as plain strings
+const TIME_WIDTH = 9;
+const COUNTER_WIDTH = 4;
+
+/**
+ * Check whether a value is tracked as one field
+ * Matches how the audit log splits records, so a scoresheet is tracked per target
+ * @param {*} value - Field value
+ * @returns {boolean} True if the value isn't split any further
+ */
+const isLeaf = value => value === null || typeof value !== 'object' ||
+  (Array.isArray(value) && value.every(item => item === null || typeof item !== 'object'));
+
+/**
+ * Copy a plain value
+ * @param {*} value - Value to copy
+ * @returns {*} Deep copy
+ */
+const copy = value => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+/**
+ * Read a value by field path
+ * @param {Object} record - Record to read
+ * @param {string} path - Field path, e.g. "scoresheet.day1.4"
+ * @returns {*} Value, or undefined if the path doesn't exist
+ */
+const getPath = (record, path) => path.split('.').reduce((value, part) =>
+  value === null || value === undefined ? undefined : value[part], record);
+
+/**
+ * Write a value by field path, creating containers on the way
+ * @param {Object} record - Record to change
+ * @param {string} path - Field path
+ * @param {*} value - New value; undefined removes the field
+ */
+const setPath = (record, path, value) => {
+  const parts = path.split('.');
+  const last = parts.pop();
+  let target = record;
+  
+  parts.forEach((part, index) => {
+    if (target[part] === null || typeof target[part] !== 'object') {
+      target[part] = /^\d+$/.test(parts[index + 1] || last) ? [] : {};
+    }
+    target = target[part];
+  });
+  
+  if (value === undefined) {
+    delete target[last];
+  } else {
+    target[last] = value;
+  }
+};
+
+export const ArcherySyncMerge = {
+  // Hybrid logical clock: wall time in milliseconds, plus a counter that orders stamps within
+  // the same millisecond and keeps stamps ahead of any seen from a device whose clock runs fast
+  clock: { time: 0, counter: 0 },
+  deviceId: 'local',
+  
+  /**
+   * Set the device ID stamps are made with
+   * @param {string} deviceId - ID from the sync config
+   */
+  setDeviceId: function(deviceId) {
+    this.deviceId = deviceId || 'local';
+  },
+  
+  /**
+   * Make a new stamp, later than every stamp made or seen on this device
+   * @returns {string} Stamp, e.g. "0lz3k2a1b.0000.device-abc"
+   */
+  now: function() {
+    const time = Date.now();
+    if (time > this.clock.time) {
+      this.clock = { time, counter: 0 };
+    } else {
+      this.clock = { time: this.clock.time, counter: this.clock.counter + 1 };
+    }
+    
+    return [
+      this.clock.time.toString(36).padStart(TIME_WIDTH, '0'),
+      this.clock.counter.toString(36).padStart(COUNTER_WIDTH, '0'),
+      this.deviceId
+    ].join('.');
+  },
+  
+  /**
+   * Move the clock past a stamp received from another device
+   * @param {string} stamp - Received stamp
+   */
+  observe: function(stamp) {
+    const parts = typeof stamp === 'string' ? stamp.split('.') : [];
+    const time = parseInt(parts[0], 36);
+    const counter = parseInt(parts[1], 36);
+    if (parts.length < 3 || isNaN(time) || isNaN(counter)) return;
+    
+    if (time > this.clock.time || (time === this.clock.time && counter > this.clock.counter)) {
+      this.clock = { time, counter };
+    }
+  },
+  
+  /**
+   * Order two stamps
+   * @param {string|null} a - First stamp
+   * @param {string|null} b - Second stamp
+   * @returns {number} Negative if a is earlier, positive if later, 0 if the same; a missing stamp is earliest
+   */
+  compare: function(a, b) {
+    const first = a || '';
+    const second = b || '';
+    return first < second ? -1 : first > second ? 1 : 0;
+  },
+  
+  /**
+   * Check whether a stamp was made on this device
+   * @param {string|null} stamp - Stamp or revision ID
+   * @returns {boolean} True if this device made it
+   */
+  isOwnStamp: function(stamp) {
+    return typeof stamp === 'string' && stamp.endsWith(`.${this.deviceId}`);
+  },
+  
+  /**
+   * Check whether one field path is the same as, inside or around another
+   * @param {string} a - Field path
+   * @param {string} b - Field path
+   * @returns {boolean} True if a change to one is a change to the other
+   */
+  overlaps: function(a, b) {
+    return a === b || a.startsWith(`${b}.`) || b.startsWith(`${a}.`);
+  },
+  
+  /**
+   * Get the paths of the fields tracked on a record, leaving out IDs and sync bookkeeping
+   * @param {Object} record - Record
+   * @returns {Array} Field paths, e.g. ['name', 'scoresheet.day1.0', ...]
+   */
+  getFieldPaths: function(record) {
+    const paths = [];
+    const collect = (value, path) => {
+      if (isLeaf(value)) {
+        paths.push(path);
+      } else {
+        Object.keys(value).forEach(key => collect(value[key], `${path}.${key}`));
+      }
+    };
+    
+    Object.keys(record)
+      .filter(field => !AUDIT.IGNORED_FIELDS.includes(field))
+      .forEach(field => collect(record[field], field));
+    return paths;
+  },
+  
+  /**
+   * Get the latest stamp of a field, or of anything inside or around it
+   * @param {Object|null} fields - Stamps keyed by field path
+   * @param {string} path - Field path
+   * @returns {string|null} Stamp, or null if the field has none
+   */
+  getStamp: function(fields, path) {
+    return Object.keys(fields || {})
+      .filter(key => this.overlaps(key, path))
+      .reduce((latest, key) => this.compare(fields[key], latest) > 0 ? fields[key] : latest, null);
+  },
+  
+  /**
+   * Stamp the fields of a record that are about to be sent
+   * @param {Object} record - Local record
+   * @param {Object|null} pending - Unsent changes as { fields: stamps keyed by path, all: stamp for
+   *   every field, or null }
+   * @param {string} revision - Revision being sent; stamps fields that have none yet
+   * @returns {Object} Stamps keyed by field path
+   */
+  stampFields: function(record, pending, revision) {
+    const fields = { ...(record.syncFields || {}) };
+    const paths = this.getFieldPaths(record);
+    
+    if (pending && pending.all) {
+      paths.forEach(path => {
+        fields[path] = pending.all;
+      });
+    }
+    Object.assign(fields, pending ? pending.fields : {});
+    
+    paths.filter(path => !this.getStamp(fields, path)).forEach(path => {
+      fields[path] = revision;
+    });
+    return fields;
+  },
+  
+  /**
+   * Merge a remote copy of a record into the local one, field by field
+   * A field changed on only one side takes that side's value. A field changed on both sides is a
+   * conflict, settled by the strategy; with 'ask' it is left as it is here and reported instead.
+   * The local stamp of a field is the one it had when last sent or received, so a remote stamp
+   * later than that is a remote change, and one earlier than that means the other device wrote
+   * over a change from here without having seen it.
+   * @param {string} store - Store the record lives in
+   * @param {Object} local - Local copy of the record
+   * @param {Object} remote - Remote copy, linked to local IDs
+   * @param {Object} options - { remoteFields: stamps of the remote copy, pending: unsent changes as
+   *   { fields, all } or null, strategy: value from SYNC.CONFLICT_RESOLUTION }
+   * @returns {Object} { record, fields, keptLocal: paths whose local value wins, conflicts: paths
+   *   left for the user }
+   */
+  merge: function(store, local, remote, options) {
+    const record = copy(local);
+    const localFields = local.syncFields || {};
+    const remoteFields = options.remoteFields || {};
+    const pending = options.pending || { fields: {}, all: null };
+    const keptLocal = [];
+    const conflicts = [];
+    
+    // Day totals follow the scoresheet when arrows were recorded, so those days are merged after it
+    const isDerived = path => store === DB.STORES.ARCHERS && (path === 'total' || (SCORING.DAYS.includes(path) &&
+      !!record.scoresheet && Archer.dayHasArrows(record.scoresheet[path])));
+    const paths = ArcheryAuditService.getFieldChanges(local, remote)
+      .map(change => change.field)
+      .sort((a, b) => SCORING.DAYS.includes(a) - SCORING.DAYS.includes(b));
+    
+    paths.forEach(path => {
+      if (isDerived(path)) return;
+      
+      const remoteStamp = this.getStamp(remoteFields, path);
+      const syncedStamp = this.getStamp(localFields, path);
+      const pendingStamp = pending.all || this.getStamp(pending.fields, path);
+      const order = remoteStamp && syncedStamp ? this.compare(remoteStamp, syncedStamp) : null;
+      
+      const changedHere = !!pendingStamp || order < 0;
+      const changedThere = order === null || order > 0;
+      
+      let keepLocal = changedHere && !changedThere;
+      if (changedHere && changedThere) {
+        switch (options.strategy) {
+          case SYNC.CONFLICT_RESOLUTION.LOCAL:
+            keepLocal = true;
+            break;
+          case SYNC.CONFLICT_RESOLUTION.NEWER: {
+            const localStamp = typeof pendingStamp === 'string' ? pendingStamp : syncedStamp;
+            keepLocal = this.compare(localStamp, remoteStamp) > 0;
+            break;
+          }
+          case SYNC.CONFLICT_RESOLUTION.ASK:
+            conflicts.push(path);
+            return;
+        }
+      }
+      
+      if (keepLocal) {
+        keptLocal.push(path);
+      } else {
+        setPath(record, path, copy(getPath(remote, path)));
+      }
+    });
+    
+    if (store === DB.STORES.ARCHERS) {
+      Object.assign(record, Archer.calculateTotals(record));
+    }
+    ['updatedAt', 'lastUsed'].forEach(field => {
+      if (remote[field] && (!record[field] || remote[field] > record[field])) {
+        record[field] = remote[field];
+      }
+    });
+    
+    // Each field keeps the later stamp; the local changes that won are stamped again when sent
+    const fields = { ...localFields };
+    Object.keys(remoteFields).forEach(path => {
+      if (this.compare(remoteFields[path], fields[path]) > 0) {
+        fields[path] = remoteFields[path];
+      }
+    });
+    
+    return { record, fields, keptLocal, conflicts };
+  }
+};
+
+// Make it available globally
+window.ArcherySyncMerge = ArcherySyncMerge;
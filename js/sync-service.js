@@ -1,276 +1,1059 @@
 /**
  * Sync Service for Archery Competition Tracker
- * Handles synchronization with remote servers
+ * Keeps competitions, archers and saved competitors in step with other devices through a sync backend
  */
 import { ArcheryDataService } from './data-service.js';
+import { Competition, SavedCompetitor } from './models.js';
+import { AppState, Logger } from './utilities.js';
+import { createSyncBackend } from './sync-backends.js';
+import { ArcheryAuditService } from './audit-service.js';
+import { ArcherySyncMerge } from './sync-merge.js';
+import { DB, SYNC, SHARING } from './constants.js';
 // Bootstrap is loaded globally in the HTML file
 
+// Entity names used by the remote-data-updated event, keyed by store
+const ENTITY_TYPES = {
+  [DB.STORES.COMPETITIONS]: 'competition',
+  [DB.STORES.ARCHERS]: 'archer',
+  [DB.STORES.SAVED_COMPETITORS]: 'savedCompetitor'
+};
+
+/**
+ * Get when a record was last changed, for deciding which copy is newer
+ * @param {Object} record - Synced record
+ * @returns {number} Milliseconds since the epoch, 0 if the record carries no timestamp
+ */
+const getModifiedTime = record => {
+  const time = Date.parse(record.updatedAt || record.deletedAt || record.lastUsed || record.createdAt || '');
+  return isNaN(time) ? 0 : time;
+};
+
 export const ArcherySyncService = {
     // Configuration
     isOnline: window.navigator.onLine,
     isSyncing: false,
     syncInProgress: false,
     lastSyncTime: null,
-    pendingChanges: [],
+    
+    // Size of the outbox in the data service, including queued full syncs
+    outboxSize: 0,
+    
+    // Replays that fail are retried after a delay that doubles each time
+    retryTimer: null,
+    retryDelay: 0,
+    
+    // Transport to the other devices, created from the saved sync config
+    backend: null,
+    config: null,
+    currentUser: null,
+    
+    // How far this device has pulled; null until the first full sync
+    cursor: null,
+    
+    // How conflicting edits are settled, and the conflicts waiting for the user when that is 'ask'
+    conflictResolution: SYNC.DEFAULT_CONFLICT_RESOLUTION,
+    conflicts: [],
+    
+    // Set when changes are announced during a sync, so another pass follows it
+    syncRequested: false,
+    
+    // Changes the backend refused during the current sync, keyed by "store:key"
+    refusedChanges: new Map(),
     
     /**
-     * Initialize the sync service
+     * Initialize the sync service and reconnect if sync was enabled on this device
      * @returns {Promise} Promise resolving when initialization is complete
      */
-    initialize: function() {
-      return new Promise(async (resolve) => {
-        // Set up online/offline event listeners
-        window.addEventListener('online', () => {
-          this.isOnline = true;
-          this.showSyncStatus('Connected', 'success');
-          this.syncData(); // Trigger sync when coming back online
-        });
+    initialize: async function() {
+      // Set up online/offline event listeners
+      window.addEventListener('online', () => {
+        this.isOnline = true;
+        if (!this.backend) return;
+        this.showSyncStatus('Connected', 'success');
         
-        window.addEventListener('offline', () => {
-          this.isOnline = false;
-          this.showSyncStatus('Offline - Changes will sync when connection returns', 'warning');
-        });
+        // Replay the outbox straight away rather than waiting out the backoff
+        this.resetRetry();
+        this.syncData();
+      });
+      
+      window.addEventListener('offline', () => {
+        this.isOnline = false;
+        if (!this.backend) return;
+        this.showSyncStatus('Offline - Changes will sync when connection returns', 'warning');
+      });
+      
+      // The data service queues every change it writes; push them as they arrive
+      this.outboxSize = AppState.getState().syncOutboxSize;
+      AppState.subscribe((state, changedProps) => {
+        if (!changedProps.includes('syncOutboxSize')) return;
         
-        // Set up auth state listener
-        firebase.auth().onAuthStateChanged((user) => {
-          if (user) {
-            this.currentUser = user;
-            this.setupSyncListeners();
-            this.syncData(); // Initial sync after auth
-          } else {
-            this.currentUser = null;
-            this.showSyncStatus('Sign in to enable sync', 'inactive');
+        const grew = state.syncOutboxSize > this.outboxSize;
+        this.outboxSize = state.syncOutboxSize;
+        if (!grew || !this.currentUser) return;
+        
+        if (!this.isOnline) {
+          this.showSyncStatus('Changes pending sync...', 'pending');
+        } else if (!this.retryTimer) {
+          this.syncData();
+        }
+      });
+      
+      const [config, cursor, conflictResolution, conflicts] = await Promise.all([
+        ArcheryDataService.getSetting(DB.SETTINGS_KEYS.SYNC_CONFIG),
+        ArcheryDataService.getSetting(DB.SETTINGS_KEYS.SYNC_CURSOR),
+        ArcheryDataService.getSetting(DB.SETTINGS_KEYS.SYNC_CONFLICT_RESOLUTION, SYNC.DEFAULT_CONFLICT_RESOLUTION),
+        ArcheryDataService.getSetting(DB.SETTINGS_KEYS.SYNC_CONFLICTS, [])
+      ]);
+      this.config = config;
+      this.cursor = cursor;
+      this.conflictResolution = conflictResolution;
+      this.conflicts = conflicts;
+      AppState.setState({ syncConflicts: conflicts.length });
+      
+      if (!config || !config.enabled) return;
+      
+      try {
+        this.backend = createSyncBackend(config);
+        const user = await this.backend.connect();
+        if (user) {
+          this.start(user);
+        } else {
+          this.showSyncStatus('Sign in to enable sync', 'inactive');
+        }
+      } catch (error) {
+        console.error('Error reconnecting sync:', error);
+        this.showSyncStatus('Sync server unavailable: ' + error.message, 'error');
+      }
+    },
+    
+    /**
+     * Connect to a sync backend and remember it for the next visit
+     * Changing the server or backend starts over with a full sync
+     * @param {Object} settings - { type, url, name, email, token } with type from SYNC.BACKENDS
+     * @returns {Promise<Object>} Promise resolving to result object
+     */
+    connect: async function(settings) {
+      const previous = this.config || {};
+      const config = {
+        ...settings,
+        deviceId: previous.deviceId || `device-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        enabled: true
+      };
+      
+      try {
+        this.stop();
+        this.backend = createSyncBackend(config);
+        const user = await this.backend.signIn();
+        if (!user) {
+          return { success: false, error: 'Could not sign in to the sync backend.' };
+        }
+        
+        if (previous.type !== config.type || previous.url !== config.url) {
+          await this.saveCursor(null);
+        }
+        this.config = config;
+        await ArcheryDataService.saveSyncConfig(config);
+        
+        this.start(user);
+        return { success: true };
+      } catch (error) {
+        console.error('Sync connection error:', error);
+        this.backend = null;
+        return { success: false, error: error.message };
+      }
+    },
+    
+    /**
+     * Start listening and run a full sync for a signed-in user
+     * @param {Object} user - User returned by the backend
+     */
+    start: function(user) {
+      this.currentUser = user;
+      AppState.setState({ currentUser: { uid: user.uid, displayName: user.displayName, email: user.email, sharing: user.sharing !== false } });
+      this.reloadForUser();
+      this.setupSyncListeners();
+      this.syncData(true); // Initial sync after auth
+    },
+    
+    /**
+     * Stop listening for changes
+     */
+    stop: function() {
+      if (this.unsubscribe) {
+        this.unsubscribe();
+        this.unsubscribe = null;
+      }
+      this.currentUser = null;
+      this.resetRetry();
+      AppState.setState({ currentUser: null });
+      this.reloadForUser();
+    },
+    
+    /**
+     * Reload the active competition after the signed-in user changes, since their roles decide which
+     * competitions they can see
+     */
+    reloadForUser: function() {
+      ArcheryDataService.reloadActiveCompetition().catch(error => {
+        console.error('Error reloading competitions for the signed-in user:', error);
+      });
+    },
+    
+    /**
+     * Listen for changes other devices push
+     */
+    setupSyncListeners: function() {
+      if (!this.backend) return;
+      
+      this.unsubscribe = this.backend.subscribe(() => this.syncData(), connected => {
+        if (connected) {
+          // Catch up on anything announced while the connection was down
+          this.syncData();
+        } else {
+          this.showSyncStatus('Live updates disconnected - reconnecting...', 'warning');
+        }
+      });
+    },
+    
+    /**
+     * Sync data with the other devices
+     * Changes since the cursor are pulled first, so edits queued here can be checked against what
+     * the other devices changed meanwhile; then the queued edits are replayed. A full sync compares
+     * every record with the backend instead of pulling from the cursor.
+     * Failures are retried with a growing delay; the queue survives reloads, so nothing is lost meanwhile
+     * @param {boolean} full - Whether to run a full sync
+     * @returns {Promise} Promise resolving when sync is complete
+     */
+    syncData: async function(full = false) {
+      if (!this.currentUser || !this.isOnline || !this.backend) return;
+      
+      if (this.isSyncing) {
+        this.syncRequested = true;
+        return;
+      }
+      
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+      
+      this.isSyncing = true;
+      this.refusedChanges = new Map();
+      this.publishStatus();
+      this.showSyncStatus('Syncing...', 'syncing');
+      
+      try {
+        const outbox = await ArcheryDataService.getSyncOutbox();
+        const fullSyncEntries = outbox.filter(entry => entry.fullSync);
+        
+        // Before the first sync, or after a bulk change such as a restore, any record may have been changed here
+        const bulkChange = this.cursor === null || fullSyncEntries.length > 0;
+        const pending = this.getPendingChanges(outbox);
+        this.conflicts.forEach(conflict => {
+          const id = `${conflict.store}:${conflict.localKey}`;
+          if (!pending.has(id)) {
+            pending.set(id, { fields: {}, all: null });
           }
         });
         
-        // Initial status check
-        if (this.isOnline) {
-          this.showSyncStatus('Ready to sync', 'ready');
+        const options = {
+          outbox,
+          getPending: (store, key) => bulkChange ?
+            { fields: {}, all: true } :
+            pending.get(`${store}:${key}`) || null
+        };
+        
+        if (full || bulkChange) {
+          await this.fullSync(options);
+          await ArcheryDataService.removeSyncOutboxEntries(fullSyncEntries.map(entry => entry.id));
+        } else {
+          await this.pullChanges(options);
+        }
+        await this.replayOutbox();
+        
+        this.resetRetry();
+        this.lastSyncTime = new Date().toISOString();
+        if (this.refusedChanges.size > 0) {
+          Logger.warn('Sync backend refused changes:', [...this.refusedChanges.keys()]);
+          const count = this.refusedChanges.size;
+          this.showSyncStatus(`Last synced: ${new Date().toLocaleTimeString()} - ${count} ` +
+            `${count === 1 ? 'change was' : 'changes were'} refused because your role in the shared competition ` +
+            'does not allow them. They are kept on this device and sent again at the next sync.', 'warning');
         } else {
-          this.showSyncStatus('Offline - Working in local mode', 'warning');
+          this.showSyncStatus('Last synced: ' + new Date().toLocaleTimeString(), 'success');
         }
         
-        resolve();
+      } catch (error) {
+        console.error('Sync error:', error);
+        this.scheduleRetry(error);
+      } finally {
+        this.isSyncing = false;
+        this.publishStatus();
+      }
+      
+      if (this.syncRequested) {
+        this.syncRequested = false;
+        if (!this.retryTimer) {
+          return this.syncData();
+        }
+      }
+    },
+    
+    /**
+     * Try the sync again later, waiting twice as long after each failure
+     * @param {Error} error - Why the sync failed
+     */
+    scheduleRetry: function(error) {
+      this.retryDelay = this.retryDelay ? Math.min(this.retryDelay * 2, SYNC.MAX_RETRY_DELAY) : SYNC.RETRY_DELAY;
+      this.retryTimer = setTimeout(() => {
+        this.retryTimer = null;
+        this.syncData();
+      }, this.retryDelay);
+      
+      this.showSyncStatus(`Sync failed: ${error.message} - retrying in ${Math.round(this.retryDelay / 1000)}s`, 'error');
+    },
+    
+    /**
+     * Cancel a scheduled retry and start the backoff over
+     */
+    resetRetry: function() {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+      this.retryDelay = 0;
+    },
+    
+    /**
+     * Push queued local changes in the order they were made
+     * Records with a conflict waiting for the user stay queued until it is resolved, and so do
+     * records whose changes the backend refused
+     * @returns {Promise} Promise resolving when the outbox has been sent
+     */
+    replayOutbox: async function() {
+      const held = new Set(this.conflicts.map(conflict => `${conflict.store}:${conflict.localKey}`));
+      const outbox = (await ArcheryDataService.getSyncOutbox())
+        .filter(entry => !entry.fullSync && !held.has(`${entry.store}:${entry.key}`));
+      if (outbox.length === 0) return;
+      
+      const records = await ArcheryDataService.getSyncRecords();
+      const competitionsById = new Map(records.competitions.map(c => [c.id, c]));
+      const recordsByKey = {};
+      SYNC.STORES.forEach(store => {
+        const keyPath = DB.SCHEMA[store].keyPath;
+        recordsByKey[store] = new Map(records[store].map(record => [record[keyPath], record]));
       });
+      
+      for (let start = 0; start < outbox.length; start += SYNC.OUTBOX_BATCH_SIZE) {
+        const batch = outbox.slice(start, start + SYNC.OUTBOX_BATCH_SIZE);
+        
+        // Entries only name the record, so several edits to it are sent once, as it is now
+        const pending = this.getPendingChanges(batch);
+        const outgoing = new Map();
+        const changeIds = new Map();
+        batch.forEach(entry => {
+          const record = recordsByKey[entry.store].get(entry.key);
+          
+          // A record that is gone by now has a later removal entry, which sends the removal
+          const change = entry.removed ?
+            this.removalToWire(entry) :
+            record && this.toWire(entry.store, record, competitionsById, pending.get(`${entry.store}:${entry.key}`));
+          if (!change) return;
+          
+          const id = `${change.store}:${change.key}`;
+          changeIds.set(entry.id, id);
+          outgoing.delete(id);
+          outgoing.set(id, { change, localKey: entry.removed ? null : entry.key });
+        });
+        
+        const refused = await this.pushChanges([...outgoing.values()]);
+        await ArcheryDataService.removeSyncOutboxEntries(batch
+          .filter(entry => !refused.has(changeIds.get(entry.id)))
+          .map(entry => entry.id));
+      }
+      
+      Logger.info(`Replayed ${outbox.length} queued changes`);
     },
     
     /**
-     * Setup real-time listeners for cloud changes
+     * Send changes to the backend and remember which revision of each record it now has
+     * Changes the backend refuses keep their old revision, so they are still local changes the next
+     * time round, and are noted in refusedChanges for the sync status
+     * @param {Array} items - Items as { change, localKey }; localKey is null for removals
+     * @returns {Promise<Set>} Promise resolving to the "store:key" of each refused change
      */
-    setupSyncListeners: function() {
-      if (!this.currentUser) return;
-      
-      // Listen for competition changes
-      const competitionsRef = firebase.firestore()
-        .collection('users')
-        .doc(this.currentUser.uid)
-        .collection('competitions');
-        
-      this.competitionsUnsubscribe = competitionsRef.onSnapshot((snapshot) => {
-        if (this.syncInProgress) return; // Avoid recursion
-        
-        // Process remote changes
-        snapshot.docChanges().forEach(async (change) => {
-          const competition = {
-            id: parseInt(change.doc.id),
-            ...change.doc.data()
-          };
+    pushChanges: async function(items) {
+      if (items.length === 0) return new Set();
+      
+      const result = await this.backend.push(items.map(item => item.change));
+      const refused = new Set(((result && result.refused) || []).map(change => `${change.store}:${change.key}`));
+      const accepted = items.filter(item => {
+        const id = `${item.change.store}:${item.change.key}`;
+        if (!refused.has(id)) return true;
+        
+        this.refusedChanges.set(id, item.change);
+        return false;
+      });
+      
+      await ArcheryDataService.updateSyncMetadata(accepted.filter(item => item.localKey !== null).map(item => ({
+        store: item.change.store,
+        key: item.localKey,
+        syncRevision: item.change.revision,
+        syncAncestors: item.change.ancestors,
+        syncFields: item.change.fields
+      })));
+      return refused;
+    },
+    
+    /**
+     * Collect the field stamps of queued changes, record by record
+     * @param {Array} entries - Outbox entries, oldest first
+     * @returns {Map} { fields: stamps keyed by path, all: stamp for every field, or null } keyed by "store:key"
+     */
+    getPendingChanges: function(entries) {
+      const pending = new Map();
+      entries.filter(entry => !entry.fullSync && !entry.removed).forEach(entry => {
+        const id = `${entry.store}:${entry.key}`;
+        const changes = pending.get(id) || { fields: {}, all: null };
+        
+        // Entries queued before fields were stamped count as changing every field
+        if (entry.fields) {
+          Object.assign(changes.fields, entry.fields);
+        } else {
+          changes.all = entry.stamp || ArcherySyncMerge.now();
+          changes.fields = {};
+        }
+        pending.set(id, changes);
+      });
+      return pending;
+    },
+    
+    /**
+     * Pull changes other devices made since the cursor
+     * @param {Object} options - Options for processRemoteChanges
+     * @returns {Promise} Promise resolving when the changes are applied
+     */
+    pullChanges: async function(options) {
+      const result = await this.backend.pull(this.cursor);
+      const ownDeviceId = this.config.deviceId;
+      const changes = result.changes.filter(change => change.deviceId !== ownDeviceId);
+      
+      await this.processRemoteChanges(changes, options);
+      await this.saveCursor(result.cursor);
+    },
+    
+    /**
+     * Compare every local record with the backend
+     * Records the backend has are reconciled like any remote change; records it doesn't have are pushed.
+     * A local competition the backend doesn't know yet is merged into a remote one with the same
+     * name, so tablets that each started a competition under the agreed name end up sharing it
+     * @param {Object} options - Options for processRemoteChanges
+     * @returns {Promise} Promise resolving when both sides match
+     */
+    fullSync: async function(options) {
+      const result = await this.backend.pull(null);
+      const remoteChanges = result.changes;
+      
+      await this.processRemoteChanges(remoteChanges, { ...options, adoptByName: true });
+      
+      // Push what the backend doesn't have yet
+      const remoteKeys = new Set(remoteChanges.map(change => `${change.store}:${change.key}`));
+      const held = new Set(this.conflicts.map(conflict => `${conflict.store}:${conflict.localKey}`));
+      const records = await ArcheryDataService.getSyncRecords();
+      const competitionsById = new Map(records.competitions.map(c => [c.id, c]));
+      
+      const outgoing = [];
+      SYNC.STORES.forEach(store => {
+        const keyPath = DB.SCHEMA[store].keyPath;
+        records[store].forEach(record => {
+          if (held.has(`${store}:${record[keyPath]}`)) return;
           
-          if (change.type === 'added' || change.type === 'modified') {
-            await this.processRemoteChange('competition', 'update', competition);
-          } else if (change.type === 'removed') {
-            await this.processRemoteChange('competition', 'delete', competition);
+          const change = this.toWire(store, record, competitionsById);
+          if (change && !remoteKeys.has(`${store}:${change.key}`)) {
+            outgoing.push({ change, localKey: record[keyPath] });
           }
         });
       });
       
-      // Similar listeners for archers, savedCompetitors, etc.
+      for (let start = 0; start < outgoing.length; start += SYNC.OUTBOX_BATCH_SIZE) {
+        await this.pushChanges(outgoing.slice(start, start + SYNC.OUTBOX_BATCH_SIZE));
+      }
+      if (outgoing.length > 0) {
+        Logger.info(`Pushed ${outgoing.length} records the sync backend was missing`);
+      }
+      await this.saveCursor(result.cursor);
     },
     
     /**
-     * Process a change that came from the cloud
-     * @param {string} entityType - Type of entity (competition, archer, etc)
-     * @param {string} changeType - Type of change (update, delete)
-     * @param {Object} data - The entity data
+     * Apply changes that came from other devices
+     * Competitions are written first so archers can be linked to their local competition ID.
+     * Records also changed here are conflicts, settled by the configured strategy.
+     * @param {Array} changes - Changes in wire format
+     * @param {Object} options - { outbox: queued entries, getPending(store, key): changes to a record
+     *   here the backend hasn't seen, as { fields, all }, or null; adoptByName: merge unsynced local
+     *   competitions into remote ones with the same name, resolveAs: settle conflicts this way instead
+     *   of by the strategy }
+     * @returns {Promise<number>} Promise resolving to the number of changes applied
      */
-    processRemoteChange: async function(entityType, changeType, data) {
+    processRemoteChanges: async function(changes, options = {}) {
+      if (changes.length === 0) return 0;
+      
       this.syncInProgress = true;
+      const outcome = { keepLocal: [], discardQueued: [], conflicts: [] };
+      let applied = [];
       
       try {
-        switch(entityType) {
-          case 'competition':
-            if (changeType === 'update') {
-              await ArcheryDataService.updateCompetition(data);
-            } else if (changeType === 'delete') {
-              await ArcheryDataService.deleteCompetition(data.id);
-            }
-            break;
-            
-          case 'archer':
-            if (changeType === 'update') {
-              await ArcheryDataService.saveScore(data);
-            } else if (changeType === 'delete') {
-              await ArcheryDataService.deleteArcherById(data.id);
+        changes.forEach(change => ArcherySyncMerge.observe(change.revision));
+        
+        const records = await ArcheryDataService.getSyncRecords();
+        const remoteKeys = new Set(changes.map(change => `${change.store}:${change.key}`));
+        const competitions = new Map(records.competitions.map(c => [c.syncId, c]));
+        
+        // Competitions
+        const competitionChanges = [];
+        for (const change of changes.filter(c => c.store === DB.STORES.COMPETITIONS)) {
+          let local = competitions.get(change.key);
+          let record = change.record;
+          if (!this.isAuthorized(change, local)) continue;
+          
+          const named = record && records.competitions.find(c => c.name === record.name && c !== local);
+          
+          let localChange;
+          if (!local && named && options.adoptByName && !remoteKeys.has(`${DB.STORES.COMPETITIONS}:${named.syncId}`)) {
+            local = named;
+            if (getModifiedTime(local) > getModifiedTime(record)) {
+              // Keep the newer local details, but under the shared sync ID
+              const { id, syncId, syncRevision, syncAncestors, syncFields, ...details } = local;
+              record = details;
             }
-            break;
-            
-          case 'savedCompetitor':
-            if (changeType === 'update') {
-              await ArcheryDataService.saveCompetitor(data);
-            } else if (changeType === 'delete') {
-              await ArcheryDataService.deleteSavedCompetitor(data.name);
+            localChange = this.fromWire({ ...change, record }, local);
+          } else {
+            if (named) {
+              // Two different competitions share a name; names are unique, so the incoming one is renamed
+              record = { ...record, name: await ArcheryDataService.getUniqueCompetitionName(record.name) };
             }
-            break;
+            localChange = this.reconcile(change, record, local, options, outcome);
+          }
+          if (localChange) competitionChanges.push(localChange);
         }
         
-        // Force UI refresh
-        const event = new CustomEvent('remote-data-updated', { 
-          detail: { entityType, changeType, data } 
+        const competitionKeys = await ArcheryDataService.applyRemoteChanges(competitionChanges);
+        competitionChanges.forEach((change, index) => {
+          if (change.after) {
+            competitions.set(change.after.syncId, { ...change.after, id: competitionKeys[index] });
+          }
         });
-        window.dispatchEvent(event);
         
-      } catch (error) {
-        console.error('Error processing remote change:', error);
-        this.showSyncStatus('Error syncing: ' + error.message, 'error');
+        // Archers and saved competitors
+        const archers = new Map(records.archers.map(a => [a.syncId, a]));
+        const savedCompetitors = new Map(records.savedCompetitors.map(c => [c.identityKey, c]));
+        const otherChanges = [];
+        
+        changes.filter(c => c.store !== DB.STORES.COMPETITIONS).forEach(change => {
+          let record = change.record;
+          const local = change.store === DB.STORES.ARCHERS ? archers.get(change.key) : savedCompetitors.get(change.key);
+          
+          if (record && change.store === DB.STORES.ARCHERS) {
+            const competition = competitions.get(record.competitionSyncId);
+            if (!competition) {
+              Logger.warn(`Skipping archer ${record.name}: competition ${record.competitionSyncId} is not on this device`);
+              return;
+            }
+            if (!this.isAuthorized(change, competition)) return;
+            
+            const { competitionSyncId, ...archer } = record;
+            record = { ...archer, competitionId: competition.id };
+          } else if (local && change.store === DB.STORES.ARCHERS) {
+            const competition = [...competitions.values()].find(c => c.id === local.competitionId);
+            if (!this.isAuthorized(change, competition)) return;
+          }
+          
+          const localChange = this.reconcile(change, record, local, options, outcome);
+          if (localChange) otherChanges.push(localChange);
+        });
+        
+        await ArcheryDataService.applyRemoteChanges(otherChanges);
+        applied = [...competitionChanges, ...otherChanges];
+        
+        await this.settleOutcome(outcome, options.outbox || []);
       } finally {
         this.syncInProgress = false;
       }
+      
+      if (applied.length === 0) return 0;
+      
+      // Reloading the active competition refreshes every view
+      await ArcheryDataService.reloadActiveCompetition();
+      
+      applied.forEach(change => {
+        const event = new CustomEvent('remote-data-updated', {
+          detail: {
+            entityType: ENTITY_TYPES[change.store],
+            changeType: change.after ? 'update' : 'delete',
+            data: change.after || change.before
+          }
+        });
+        window.dispatchEvent(event);
+      });
+      
+      Logger.info(`Applied ${applied.length} changes from other devices`);
+      return applied.length;
+    },
+    
+    /**
+     * Check that the scorekeeper who sent a change has a role that allows it, going by the local copy
+     * of the competition, so a change can't grant its own author a role. The reference sync server
+     * makes the same check, but other backends store whatever devices push, so a change from a viewer
+     * or a revoked member is ignored here too.
+     * @param {Object} change - Change in wire format
+     * @param {Object|undefined} competition - Local copy of the competition the change belongs to
+     * @returns {boolean} True if the change may be applied
+     */
+    isAuthorized: function(change, competition) {
+      if (!competition || change.store === DB.STORES.SAVED_COMPETITORS) return true;
+      
+      const action = change.store === DB.STORES.COMPETITIONS ? SHARING.ACTIONS.MANAGE : SHARING.ACTIONS.SCORE;
+      if (Competition.can(competition, change.author || null, action)) return true;
+      
+      Logger.warn(`Ignoring a change to ${competition.name} from ${change.author || 'a device nobody is signed in on'}: their role does not allow it`);
+      return false;
     },
     
     /**
-     * Record a local change to be synced
-     * @param {string} entityType - Type of entity changed
-     * @param {string} changeType - Type of change
-     * @param {Object} data - The changed data
+     * Decide what to do with one remote change
+     * @param {Object} change - Change in wire format
+     * @param {Object|null} record - Remote record linked to local IDs, or null for a removal
+     * @param {Object|undefined} local - Local copy of the record, if any
+     * @param {Object} options - Options passed to processRemoteChanges
+     * @param {Object} outcome - Collects records to keep, queued changes to discard and conflicts to ask about
+     * @returns {Object|null} Local change to apply, or null if the local copy stays
      */
-    recordChange: function(entityType, changeType, data) {
-      if (!this.currentUser) return; // Don't record if not logged in
+    reconcile: function(change, record, local, options, outcome) {
+      const localized = { ...change, record };
+      if (!local) {
+        return this.fromWire(localized, local);
+      }
+      
+      const keyPath = DB.SCHEMA[change.store].keyPath;
+      const localKey = local[keyPath];
+      const pendingChanges = options.getPending ? options.getPending(change.store, localKey) : null;
+      const pending = !!pendingChanges;
       
-      this.pendingChanges.push({
-        entityType,
-        changeType,
-        data,
-        timestamp: new Date().toISOString()
+      let decision = this.compareVersions(localized, local, pending);
+      if (decision === 'conflict' && record) {
+        return this.mergeVersions(change, record, local, pendingChanges, options, outcome);
+      }
+      if (decision === 'conflict') {
+        decision = options.resolveAs || this.chooseVersion(localized, local);
+      }
+      
+      switch (decision) {
+        case 'apply':
+        case SYNC.CONFLICT_RESOLUTION.REMOTE:
+          if (pending) {
+            outcome.discardQueued.push(`${change.store}:${localKey}`);
+          }
+          return this.fromWire(localized, local);
+        
+        case 'push':
+        case SYNC.CONFLICT_RESOLUTION.LOCAL:
+          outcome.keepLocal.push({ store: change.store, local, revision: change.revision || null });
+          return null;
+        
+        case SYNC.CONFLICT_RESOLUTION.ASK:
+          outcome.conflicts.push(this.createConflict(change, local, null));
+          return null;
+        
+        default:
+          return null;
+      }
+    },
+    
+    /**
+     * Merge a remote edit into a record that was also edited here
+     * Fields changed on one side only are combined; fields changed on both are settled by the
+     * strategy, or with 'ask' are left for the user while the record stays as it is here
+     * @param {Object} change - Change in wire format
+     * @param {Object} record - Remote record linked to local IDs
+     * @param {Object} local - Local copy of the record
+     * @param {Object|null} pendingChanges - Unsent changes to the record as { fields, all }
+     * @param {Object} options - Options passed to processRemoteChanges
+     * @param {Object} outcome - Collects records to keep, queued changes to discard and conflicts to ask about
+     * @returns {Object|null} Local change to apply, or null if the local copy stays
+     */
+    mergeVersions: function(change, record, local, pendingChanges, options, outcome) {
+      const keyPath = DB.SCHEMA[change.store].keyPath;
+      const merged = ArcherySyncMerge.merge(change.store, local, record, {
+        remoteFields: change.fields,
+        pending: pendingChanges,
+        strategy: options.resolveAs || this.conflictResolution
       });
       
-      // Show sync pending status
-      this.showSyncStatus('Changes pending sync...', 'pending');
+      if (merged.conflicts.length > 0) {
+        outcome.conflicts.push(this.createConflict(change, local, merged.conflicts));
+        return null;
+      }
       
-      // Trigger sync if online
-      if (this.isOnline && !this.syncInProgress && !this.isSyncing) {
-        this.syncData();
+      // The merged record is a version neither side has yet: it is written on top of the remote
+      // revision, and sent on if any local field won
+      if (pendingChanges) {
+        outcome.discardQueued.push(`${change.store}:${local[keyPath]}`);
+      }
+      if (merged.keptLocal.length > 0) {
+        const fields = {};
+        merged.keptLocal.forEach(path => {
+          const stamp = pendingChanges && (pendingChanges.all || ArcherySyncMerge.getStamp(pendingChanges.fields, path));
+          if (typeof stamp === 'string') {
+            fields[path] = stamp;
+          }
+        });
+        outcome.keepLocal.push({ store: change.store, local: { ...local, ...merged.record }, revision: null, fields });
       }
+      
+      const after = {
+        ...merged.record,
+        syncRevision: change.revision || null,
+        syncAncestors: change.ancestors || [],
+        syncFields: merged.fields
+      };
+      if (JSON.stringify(after) === JSON.stringify(local)) {
+        return null;
+      }
+      return { store: change.store, key: local[keyPath], before: local, after };
     },
     
     /**
-     * Sync data with cloud
-     * @returns {Promise} Promise resolving when sync is complete
+     * Describe a conflict to keep until the user settles it
+     * @param {Object} change - Change in wire format
+     * @param {Object} local - Local copy of the record
+     * @param {Array|null} fields - Paths of the fields both sides changed, or null for the whole record
+     * @returns {Object} Conflict
      */
-    syncData: async function() {
-      if (!this.currentUser || !this.isOnline || this.isSyncing) return;
+    createConflict: function(change, local, fields) {
+      return {
+        id: `${change.store}:${change.key}`,
+        store: change.store,
+        key: change.key,
+        localKey: local[DB.SCHEMA[change.store].keyPath],
+        name: local.name || (change.record && change.record.name) || String(change.key),
+        fields,
+        change,
+        detectedAt: new Date().toISOString()
+      };
+    },
+    
+    /**
+     * Compare the versions of a record on both sides
+     * Each pushed version gets a new revision and carries the revisions it was based on. A remote
+     * change is made on top of the local copy if it lists the local revision; otherwise, or if the
+     * record has changes here that haven't been sent, both sides have changed it.
+     * @param {Object} change - Change in wire format, with the record linked to local IDs
+     * @param {Object} local - Local copy of the record
+     * @param {boolean} pending - Whether the record has changes here the backend hasn't seen
+     * @returns {string} 'skip' (nothing new), 'apply' (take the remote copy), 'push' (the local copy
+     *   is newer) or 'conflict'
+     */
+    compareVersions: function(change, local, pending) {
+      const differs = change.record ? this.getConflictFields(local, change.record).length > 0 : true;
       
-      this.isSyncing = true;
-      this.showSyncStatus('Syncing...', 'syncing');
+      if (change.revision && change.revision === local.syncRevision) {
+        return pending && differs ? 'push' : 'skip';
+      }
       
-      try {
-        // Process pending local changes
-        const changes = [...this.pendingChanges];
-        this.pendingChanges = [];
-        
-        for (const change of changes) {
-          await this.pushChangeToCloud(change);
+      const builtOnLocal = !local.syncRevision || (change.ancestors || []).includes(local.syncRevision);
+      const changedHere = pending || (this.isOwnRevision(local.syncRevision) && !builtOnLocal);
+      
+      return changedHere && differs ? 'conflict' : 'apply';
+    },
+    
+    /**
+     * Pick a side for a conflict using the configured strategy
+     * @param {Object} change - Change in wire format, with the record linked to local IDs
+     * @param {Object} local - Local copy of the record
+     * @returns {string} Value from SYNC.CONFLICT_RESOLUTION
+     */
+    chooseVersion: function(change, local) {
+      switch (this.conflictResolution) {
+        case SYNC.CONFLICT_RESOLUTION.LOCAL:
+        case SYNC.CONFLICT_RESOLUTION.ASK:
+          return this.conflictResolution;
+        case SYNC.CONFLICT_RESOLUTION.NEWER: {
+          const remoteTime = change.record ? getModifiedTime(change.record) : Date.parse(change.removedAt || '') || 0;
+          return remoteTime >= getModifiedTime(local) ? SYNC.CONFLICT_RESOLUTION.REMOTE : SYNC.CONFLICT_RESOLUTION.LOCAL;
         }
+        default:
+          return SYNC.CONFLICT_RESOLUTION.REMOTE;
+      }
+    },
+    
+    /**
+     * Carry out what reconciling decided beyond writing remote records
+     * Kept local copies are queued to be pushed as made on top of the remote revision, so the other
+     * devices take them without a conflict; queued changes that lost to the remote copy are dropped
+     * @param {Object} outcome - Outcome collected by reconcile
+     * @param {Array} outbox - Outbox entries read when the sync started
+     * @returns {Promise} Promise resolving when done
+     */
+    settleOutcome: async function(outcome, outbox) {
+      if (outcome.discardQueued.length > 0) {
+        const discard = new Set(outcome.discardQueued);
+        await ArcheryDataService.removeSyncOutboxEntries(outbox
+          .filter(entry => !entry.fullSync && discard.has(`${entry.store}:${entry.key}`))
+          .map(entry => entry.id));
+      }
+      
+      if (outcome.keepLocal.length > 0) {
+        await ArcheryDataService.updateSyncMetadata(outcome.keepLocal.filter(item => item.revision).map(item => ({
+          store: item.store,
+          key: item.local[DB.SCHEMA[item.store].keyPath],
+          syncAncestors: [...(item.local.syncAncestors || []), item.revision].slice(-SYNC.REVISION_HISTORY)
+        })));
+        await ArcheryDataService.queueSyncChanges(outcome.keepLocal.map(item => {
+          const key = item.local[DB.SCHEMA[item.store].keyPath];
+          return { store: item.store, key, before: item.local, after: item.local, fields: item.fields || {} };
+        }));
+      }
+      
+      if (outcome.conflicts.length > 0) {
+        const ids = new Set(outcome.conflicts.map(conflict => conflict.id));
+        this.conflicts = [...this.conflicts.filter(conflict => !ids.has(conflict.id)), ...outcome.conflicts];
+        await this.saveConflicts();
+        Logger.info(`${outcome.conflicts.length} sync conflicts are waiting to be resolved`);
+      }
+    },
+    
+    /**
+     * Get the fields that differ between the local and remote copy of a record
+     * @param {Object} local - Local copy
+     * @param {Object} remote - Remote copy, linked to local IDs
+     * @returns {Array} Differences as { field, oldValue, newValue }, oldValue being the local value
+     */
+    getConflictFields: function(local, remote) {
+      return ArcheryAuditService.getFieldChanges(local, remote);
+    },
+    
+    /**
+     * Get the conflicts waiting for the user, with both copies of each record
+     * @returns {Promise<Array>} Promise resolving to { conflict, local, remote, fields } objects
+     */
+    getConflictDetails: async function() {
+      if (this.conflicts.length === 0) return [];
+      
+      const records = await ArcheryDataService.getSyncRecords();
+      const competitions = new Map(records.competitions.map(c => [c.syncId, c]));
+      const keyPath = store => DB.SCHEMA[store].keyPath;
+      
+      return this.conflicts.map(conflict => {
+        const local = records[conflict.store].find(record => record[keyPath(conflict.store)] === conflict.localKey) || null;
+        let remote = conflict.change.record;
         
-        // Pull complete data if this is the first sync
-        if (!this.lastSyncTime) {
-          await this.pullInitialData();
+        if (remote && conflict.store === DB.STORES.ARCHERS) {
+          const { competitionSyncId, ...archer } = remote;
+          const competition = competitions.get(competitionSyncId);
+          remote = { ...archer, competitionId: competition ? competition.id : null };
         }
         
-        this.lastSyncTime = new Date().toISOString();
-        this.showSyncStatus('Last synced: ' + new Date().toLocaleTimeString(), 'success');
+        // Only the fields both sides changed are asked about; the rest merge by themselves
+        const fields = (local && remote ? this.getConflictFields(local, remote) : [])
+          .filter(field => !conflict.fields || conflict.fields.some(path => ArcherySyncMerge.overlaps(path, field.field)));
+        return { conflict, local, remote, fields };
+      });
+    },
+    
+    /**
+     * Settle a conflict the user has decided
+     * @param {string} id - Conflict ID
+     * @param {string} choice - SYNC.CONFLICT_RESOLUTION.LOCAL or REMOTE
+     * @returns {Promise<Object>} Promise resolving to result object
+     */
+    resolveConflict: async function(id, choice) {
+      return this.resolveConflicts(this.conflicts.filter(conflict => conflict.id === id), choice);
+    },
+    
+    /**
+     * Settle every waiting conflict the same way
+     * @param {string} choice - SYNC.CONFLICT_RESOLUTION.LOCAL or REMOTE
+     * @returns {Promise<Object>} Promise resolving to result object
+     */
+    resolveAllConflicts: async function(choice) {
+      return this.resolveConflicts([...this.conflicts], choice);
+    },
+    
+    /**
+     * Settle conflicts by applying the chosen copy of each record
+     * @param {Array} conflicts - Conflicts to settle
+     * @param {string} choice - SYNC.CONFLICT_RESOLUTION.LOCAL or REMOTE
+     * @returns {Promise<Object>} Promise resolving to result object
+     */
+    resolveConflicts: async function(conflicts, choice) {
+      if (conflicts.length === 0) {
+        return { success: false, error: 'The conflict has already been resolved.' };
+      }
+      
+      try {
+        const ids = new Set(conflicts.map(conflict => conflict.id));
+        this.conflicts = this.conflicts.filter(conflict => !ids.has(conflict.id));
         
-      } catch (error) {
-        console.error('Sync error:', error);
-        this.showSyncStatus('Sync failed: ' + error.message, 'error');
+        const outbox = await ArcheryDataService.getSyncOutbox();
+        const pending = this.getPendingChanges(outbox);
+        await this.processRemoteChanges(conflicts.map(conflict => conflict.change), {
+          outbox,
+          getPending: (store, key) => pending.get(`${store}:${key}`) || { fields: {}, all: null },
+          resolveAs: choice
+        });
+        await this.saveConflicts();
         
-        // Put changes back in the queue
-        this.pendingChanges = [...changes, ...this.pendingChanges];
-      } finally {
-        this.isSyncing = false;
+        this.syncData();
+        return { success: true };
+      } catch (error) {
+        console.error('Error resolving sync conflicts:', error);
+        return { success: false, error: error.message };
       }
     },
     
     /**
-     * Push a single change to the cloud
-     * @param {Object} change - The change to push
+     * Save the conflicts waiting for the user and publish how many there are
+     * @returns {Promise} Promise resolving when saved
      */
-    pushChangeToCloud: async function(change) {
-      const { entityType, changeType, data } = change;
-      const db = firebase.firestore();
-      const userDoc = db.collection('users').doc(this.currentUser.uid);
-      
-      switch(entityType) {
-        case 'competition':
-          if (changeType === 'update' || changeType === 'add') {
-            await userDoc.collection('competitions').doc(data.id.toString()).set({
-              ...data,
-              syncTimestamp: firebase.firestore.FieldValue.serverTimestamp()
-            });
-          } else if (changeType === 'delete') {
-            await userDoc.collection('competitions').doc(data.id.toString()).delete();
-          }
-          break;
-          
-        case 'archer':
-          if (changeType === 'update' || changeType === 'add') {
-            await userDoc.collection('archers').doc(data.id.toString()).set({
-              ...data,
-              syncTimestamp: firebase.firestore.FieldValue.serverTimestamp()
-            });
-          } else if (changeType === 'delete') {
-            await userDoc.collection('archers').doc(data.id.toString()).delete();
-          }
-          break;
-          
-        case 'savedCompetitor':
-          if (changeType === 'update' || changeType === 'add') {
-            await userDoc.collection('savedCompetitors').doc(data.name).set({
-              ...data,
-              syncTimestamp: firebase.firestore.FieldValue.serverTimestamp()
-            });
-          } else if (changeType === 'delete') {
-            await userDoc.collection('savedCompetitors').doc(data.name).delete();
-          }
-          break;
+    saveConflicts: function() {
+      AppState.setState({ syncConflicts: this.conflicts.length });
+      return ArcheryDataService.saveSetting(DB.SETTINGS_KEYS.SYNC_CONFLICTS, this.conflicts);
+    },
+    
+    /**
+     * Set how conflicts are settled on this device
+     * @param {string} strategy - Value from SYNC.CONFLICT_RESOLUTION
+     * @returns {Promise<Object>} Promise resolving to result object
+     */
+    setConflictResolution: async function(strategy) {
+      if (!Object.values(SYNC.CONFLICT_RESOLUTION).includes(strategy)) {
+        return { success: false, error: `Unknown conflict resolution: ${strategy}` };
       }
+      
+      this.conflictResolution = strategy;
+      await ArcheryDataService.saveSetting(DB.SETTINGS_KEYS.SYNC_CONFLICT_RESOLUTION, strategy);
+      return { success: true };
     },
     
     /**
-     * Pull all data from cloud on first sync
+     * Create a revision ID for a version of a record pushed from this device
+     * Revision IDs are clock stamps, so they also order the versions
+     * @returns {string} Revision ID, ending with this device's ID
      */
-    pullInitialData: async function() {
-      const db = firebase.firestore();
-      const userDoc = db.collection('users').doc(this.currentUser.uid);
+    createRevision: function() {
+      return ArcherySyncMerge.now();
+    },
+    
+    /**
+     * Check whether a revision was pushed from this device
+     * @param {string} revision - Revision ID
+     * @returns {boolean} True if this device created it
+     */
+    isOwnRevision: function(revision) {
+      return ArcherySyncMerge.isOwnStamp(revision);
+    },
+    
+    /**
+     * Turn a local record into a wire change with a new revision
+     * Local IDs differ between devices, so archers refer to their competition by sync ID.
+     * The change carries a stamp for each field, saying when it was last changed, and the email of
+     * the scorekeeper who sent it, so other devices can check their role.
+     * @param {string} store - Store the record lives in
+     * @param {Object} record - Local record
+     * @param {Map} competitionsById - Local competitions keyed by ID
+     * @param {Object|null} pending - Unsent changes to the record as { fields, all }
+     * @returns {Object|null} Change in wire format, or null if the record can't be synced
+     */
+    toWire: function(store, record, competitionsById, pending = null) {
+      const { id, syncRevision, syncAncestors, syncFields, ...wireRecord } = record;
+      const ancestors = [...(syncAncestors || []), syncRevision].filter(Boolean).slice(-SYNC.REVISION_HISTORY);
+      const revision = this.createRevision();
+      const fields = ArcherySyncMerge.stampFields(record, pending, revision);
+      const author = ArcheryDataService.getCurrentUser();
       
-      // Pull competitions
-      const competitionsSnapshot = await userDoc.collection('competitions').get();
-      const competitions = [];
+      if (store === DB.STORES.SAVED_COMPETITORS) {
+        return { store, key: record.identityKey, record: wireRecord, revision, ancestors, fields, author };
+      }
       
-      competitionsSnapshot.forEach(doc => {
-        competitions.push({
-          id: parseInt(doc.id),
-          ...doc.data()
-        });
-      });
+      if (store === DB.STORES.ARCHERS) {
+        const competition = competitionsById.get(record.competitionId);
+        if (!competition) return null;
+        
+        delete wireRecord.competitionId;
+        wireRecord.competitionSyncId = competition.syncId;
+      }
       
-      if (competitions.length > 0) {
-        // Clear existing data and import new data
-        // This would need careful implementation to avoid data loss
-        // Ideally with a merge strategy
-        console.log('Initial data pull: received competitions', competitions.length);
+      return { store, key: record.syncId, record: wireRecord, revision, ancestors, fields, author };
+    },
+    
+    /**
+     * Turn a queued removal into a wire change
+     * @param {Object} entry - Outbox entry of the removal
+     * @returns {Object} Change in wire format
+     */
+    removalToWire: function(entry) {
+      return {
+        store: entry.store,
+        key: entry.syncKey,
+        record: null,
+        revision: this.createRevision(),
+        ancestors: entry.baseRevision ? [entry.baseRevision] : [],
+        removedAt: entry.createdAt,
+        author: ArcheryDataService.getCurrentUser()
+      };
+    },
+    
+    /**
+     * Turn a wire change into a local change for ArcheryDataService.applyRemoteChanges
+     * @param {Object} change - Change in wire format, with archers already linked to a local competition
+     * @param {Object|undefined} local - Local copy of the record, if any
+     * @returns {Object|null} Local change { store, key, before, after }, or null if nothing needs writing
+     */
+    fromWire: function(change, local) {
+      const keyPath = DB.SCHEMA[change.store].keyPath;
+      
+      if (!change.record) {
+        return local ? { store: change.store, key: local[keyPath], before: local, after: null } : null;
+      }
+      
+      const after = {
+        ...change.record,
+        syncRevision: change.revision || null,
+        syncAncestors: change.ancestors || [],
+        syncFields: change.fields || {}
+      };
+      if (change.store === DB.STORES.SAVED_COMPETITORS) {
+        // Devices from before saved competitors were keyed by identity send them keyed by name
+        after.identityKey = SavedCompetitor.identityKey(after);
+      } else {
+        after.syncId = change.key;
+        if (local) {
+          after.id = local.id;
+        } else {
+          delete after.id;
+        }
       }
       
-      // Pull archers, savedCompetitors, etc.
+      if (local && JSON.stringify({ ...local, ...after }) === JSON.stringify(local)) {
+        return null;
+      }
+      return { store: change.store, key: local ? local[keyPath] : undefined, before: local || null, after };
+    },
+    
+    /**
+     * Remember how far this device has pulled
+     * @param {*} cursor - Backend cursor
+     * @returns {Promise} Promise resolving when saved
+     */
+    saveCursor: function(cursor) {
+      this.cursor = cursor === undefined ? null : cursor;
+      return ArcheryDataService.saveSetting(DB.SETTINGS_KEYS.SYNC_CURSOR, this.cursor);
+    },
+    
+    /**
+     * Publish the sync state to AppState for the Sync tab
+     */
+    publishStatus: function() {
+      AppState.setState({
+        isSyncing: this.isSyncing,
+        lastSyncTime: this.lastSyncTime
+      });
     },
     
     /**
@@ -425,44 +1208,35 @@ export const ArcherySyncService = {
      */
     forceSyncNow: async function() {
       if (this.isSyncing) return;
-      
-      // Clear last sync time to force a full pull
-      this.lastSyncTime = null;
-      return this.syncData();
+      return this.syncData(true);
     },
     
     /**
-     * Sign in user to enable sync
+     * Sign in with the saved backend, e.g. with a Google account for Firebase
      * @returns {Promise} Promise resolving when authentication completes
      */
     signIn: async function() {
-      const provider = new firebase.auth.GoogleAuthProvider();
-      
-      try {
-        await firebase.auth().signInWithPopup(provider);
-        // Auth state listener will handle the rest
-        return { success: true };
-      } catch (error) {
-        console.error('Auth error:', error);
-        return { 
-          success: false,
-          error: error.message 
-        };
-      }
+      return this.connect(this.config || { type: SYNC.BACKENDS.FIREBASE });
     },
     
     /**
-     * Sign out current user
+     * Sign out and stop syncing on this device
+     * The backend settings are kept so the Sync tab can offer them again
      * @returns {Promise} Promise resolving when sign out completes
      */
     signOut: async function() {
       try {
-        await firebase.auth().signOut();
-        // Clean up listeners
-        if (this.competitionsUnsubscribe) {
-          this.competitionsUnsubscribe();
+        this.stop();
+        if (this.backend) {
+          await this.backend.signOut();
+          this.backend = null;
+        }
+        
+        if (this.config) {
+          this.config = { ...this.config, enabled: false };
+          await ArcheryDataService.saveSyncConfig(this.config);
         }
-        // Auth state listener will handle the rest
+        this.showSyncStatus('Sync is off', 'inactive');
         return { success: true };
       } catch (error) {
         console.error('Sign out error:', error);
@@ -482,10 +1256,16 @@ export const ArcherySyncService = {
         isOnline: this.isOnline,
         isSyncing: this.isSyncing,
         lastSyncTime: this.lastSyncTime,
-        pendingChanges: this.pendingChanges.length,
+        pendingChanges: AppState.getState().pendingChanges,
+        conflicts: this.conflicts.length,
+        conflictResolution: this.conflictResolution,
+        config: this.config,
         user: this.currentUser ? {
           displayName: this.currentUser.displayName,
           email: this.currentUser.email,
+          verified: this.currentUser.verified,
+          sharing: this.currentUser.sharing !== false,
+          server: this.currentUser.server,
           photoURL: this.currentUser.photoURL
         } : null
       };
@@ -2,8 +2,13 @@
  * UI Components for Sync Functionality
  */
 import { ArcheryDataService } from './data-service.js';
-import { ArcheryUIRenderer } from './ui-renderer.js';
-import { renderDashboard } from './dashboard.js';
+import { ArcheryBackupService } from './backup-service.js';
+import { UIHelpers } from './ui-helpers.js';
+import { Modal } from './components.js';
+import { ArcheryAuditService } from './audit-service.js';
+import { AppState } from './utilities.js';
+import { Competition } from './models.js';
+import { BACKUP, SYNC, DB, SHARING, ERRORS } from './constants.js';
 // Bootstrap is loaded globally in the HTML file
 
 export const ArcherySyncUI = {
@@ -25,6 +30,8 @@ export const ArcherySyncUI = {
           message = `Score for ${data.name} updated from another device`;
         } else if (entityType === 'competition' && changeType === 'update') {
           message = `Competition "${data.name}" updated from another device`;
+        } else if (changeType === 'delete') {
+          message = `${data.name} removed on another device`;
         }
         
         if (message) {
@@ -38,9 +45,25 @@ export const ArcherySyncUI = {
             toast.show();
           }
         }
+      });
+      
+      // Views refresh themselves when sync reloads the active competition; the Sync tab follows the sync state
+      let conflictCount = AppState.getState().syncConflicts;
+      AppState.subscribe((state, changedProps) => {
+        if (['isSyncing', 'lastSyncTime', 'pendingChanges', 'currentUser', 'syncConflicts'].some(prop => changedProps.includes(prop))) {
+          this.updateSyncUI();
+        } else if (changedProps.includes('activeCompetition')) {
+          // Sharing changes, here or from another device, reload the active competition
+          this.updateSharingUI();
+        }
         
-        // Update UI as needed depending on what changed
-        this.refreshViewsAfterRemoteUpdate(entityType);
+        // New conflicts need the user's decision
+        if (changedProps.includes('syncConflicts')) {
+          if (state.syncConflicts > conflictCount) {
+            this.showConflicts();
+          }
+          conflictCount = state.syncConflicts;
+        }
       });
     },
     
@@ -87,21 +110,64 @@ export const ArcherySyncUI = {
             <div id="sync-auth-section" class="mb-4">
               <h3 class="h5">Account</h3>
               <div id="sync-logged-out" style="display: none;">
-                <p>Sign in to enable synchronization across multiple devices.</p>
-                <button id="signInBtn" class="btn btn-primary">
-                  <i class="bi bi-google me-2"></i> Sign in with Google
+                <p>Connect to a sync server to share competitions between devices. Run <code>node server/sync-server.mjs</code> on a laptop at the venue and enter the address it prints.</p>
+                <div class="row mb-2">
+                  <label for="syncBackendSelect" class="col-sm-4 col-form-label">Sync with</label>
+                  <div class="col-sm-8">
+                    <select class="form-select" id="syncBackendSelect">
+                      <option value="${SYNC.BACKENDS.REST}" selected>Local sync server</option>
+                      <option value="${SYNC.BACKENDS.FIREBASE}">Firebase (Google account, your own devices only)</option>
+                    </select>
+                  </div>
+                </div>
+                <div id="syncServerFields">
+                  <div class="row mb-2">
+                    <label for="syncServerUrlInput" class="col-sm-4 col-form-label">Server address</label>
+                    <div class="col-sm-8">
+                      <input type="url" class="form-control" id="syncServerUrlInput" placeholder="http://192.168.1.20:${SYNC.DEFAULT_SERVER_PORT}">
+                    </div>
+                  </div>
+                  <div class="row mb-2">
+                    <label for="syncNameInput" class="col-sm-4 col-form-label">Your name</label>
+                    <div class="col-sm-8">
+                      <input type="text" class="form-control" id="syncNameInput" maxlength="40" placeholder="e.g. Target 3 scorer">
+                    </div>
+                  </div>
+                  <div class="row mb-2">
+                    <label for="syncEmailInput" class="col-sm-4 col-form-label">Your email</label>
+                    <div class="col-sm-8">
+                      <input type="email" class="form-control" id="syncEmailInput" placeholder="Needed to be given a role in shared competitions" autocomplete="email" aria-describedby="syncEmailHelp">
+                      <div id="syncEmailHelp" class="form-text">If the server gave you a token of your own, it knows your email and this is ignored.</div>
+                    </div>
+                  </div>
+                  <div class="row mb-2">
+                    <label for="syncTokenInput" class="col-sm-4 col-form-label">Access token</label>
+                    <div class="col-sm-8">
+                      <input type="password" class="form-control" id="syncTokenInput" placeholder="Only if the server was started with --token or --users" autocomplete="off">
+                    </div>
+                  </div>
+                </div>
+                <button id="signInBtn" class="btn btn-primary mb-3">
+                  <i class="bi bi-plug me-2"></i> Connect
                 </button>
               </div>
               <div id="sync-logged-in" style="display: none;">
                 <div class="d-flex align-items-center mb-3">
-                  <img id="user-photo" src="" alt="Profile" class="rounded-circle me-3" width="48" height="48">
+                  <img id="user-photo" src="" alt="Profile" class="rounded-circle me-3" width="48" height="48" style="display: none;">
+                  <i id="user-icon" class="bi bi-person-circle fs-1 me-3"></i>
                   <div>
                     <div id="user-name" class="fw-bold"></div>
                     <div id="user-email" class="text-muted small"></div>
                   </div>
-                  <button id="signOutBtn" class="btn btn-outline-danger ms-auto">Sign Out</button>
+                  <button id="signOutBtn" class="btn btn-outline-danger ms-auto">Disconnect</button>
                 </div>
               </div>
+              <label for="deviceLabelInput" class="form-label">Device name</label>
+              <div class="input-group">
+                <input type="text" class="form-control" id="deviceLabelInput" maxlength="40" aria-describedby="deviceLabelHelp">
+                <button class="btn btn-outline-primary" type="button" id="saveDeviceLabelBtn">Save</button>
+              </div>
+              <div id="deviceLabelHelp" class="form-text">Shown in the change history next to changes made on this device.</div>
             </div>
             
             <div class="mb-4">
@@ -115,9 +181,14 @@ export const ArcherySyncUI = {
                       </span>
                       <span id="sync-status-text">Not connected</span>
                     </div>
-                    <button id="syncNowButton" class="btn btn-primary btn-sm">
-                      <i class="bi bi-arrow-repeat me-1"></i> Sync Now
-                    </button>
+                    <div class="d-flex gap-2">
+                      <button id="showConflictsBtn" class="btn btn-warning btn-sm" style="display: none;">
+                        <i class="bi bi-exclamation-triangle me-1"></i> Resolve Conflicts
+                      </button>
+                      <button id="syncNowButton" class="btn btn-primary btn-sm">
+                        <i class="bi bi-arrow-repeat me-1"></i> Sync Now
+                      </button>
+                    </div>
                   </div>
                   
                   <div class="row text-center g-3">
@@ -170,19 +241,28 @@ export const ArcherySyncUI = {
               <div class="row mb-3">
                 <label for="conflictResolutionSelect" class="col-sm-4 col-form-label">Conflict Resolution</label>
                 <div class="col-sm-8">
-                  <select class="form-select" id="conflictResolutionSelect">
+                  <select class="form-select" id="conflictResolutionSelect" aria-describedby="conflictResolutionHelp">
                     <option value="remote" selected>Remote changes take priority</option>
                     <option value="local">Local changes take priority</option>
                     <option value="newer">Newer changes take priority</option>
                     <option value="ask">Ask me every time</option>
                   </select>
+                  <div id="conflictResolutionHelp" class="form-text">Edits to different fields of a record, such as different targets, are merged. This decides when both devices changed the same field before they synced.</div>
                 </div>
               </div>
             </div>
             
             <div class="mb-4">
               <h3 class="h5">Sharing</h3>
-              <p>Share access to competitions with other scorekeepers.</p>
+              <p>Share access to competitions with other scorekeepers. Owners manage and share the competition, scorers enter scores and viewers only see results. Once a competition is shared, only its members can open it.</p>
+              <div class="alert alert-warning small" role="note">
+                <strong>Roles are only enforced when each scorekeeper has a token of their own.</strong>
+                On a local sync server started with <code>--users</code>, the server knows whose token each change comes with.
+                With a single shared <code>--token</code>, roles go by the email a device says it is signed in with, which nobody checks:
+                anyone with the token can act as the owner. Roles then only guard against mistakes, so only give the token to scorekeepers you trust.
+              </div>
+              
+              <div class="alert alert-info small" id="sharingUnavailableMsg" role="note" style="display: none;"></div>
               
               <div class="mb-3">
                 <label for="shareCompetitionSelect" class="form-label">Select Competition to Share</label>
@@ -193,6 +273,11 @@ export const ArcherySyncUI = {
                 
                 <div class="input-group mb-3">
                   <input type="email" class="form-control" id="shareEmailInput" placeholder="Enter email address" aria-label="Email to share with">
+                  <select class="form-select flex-grow-0 w-auto" id="shareRoleSelect" aria-label="Role">
+                    <option value="${SHARING.ROLES.SCORER}" selected>${SHARING.ROLE_LABELS.scorer}</option>
+                    <option value="${SHARING.ROLES.VIEWER}">${SHARING.ROLE_LABELS.viewer}</option>
+                    <option value="${SHARING.ROLES.OWNER}">${SHARING.ROLE_LABELS.owner}</option>
+                  </select>
                   <button class="btn btn-outline-primary" type="button" id="shareCompetitionBtn">
                     <i class="bi bi-share"></i> Share
                   </button>
@@ -232,6 +317,243 @@ export const ArcherySyncUI = {
       document.getElementById('sync-tab').addEventListener('click', () => {
         this.updateSyncUI();
       });
+      
+      this.initializeBackupControls();
+      this.initializeDeviceLabelControls();
+      this.initializeConnectionControls();
+      this.initializeSharingControls();
+    },
+    
+    /**
+     * Wire up connecting to a sync backend, disconnecting and syncing on demand
+     */
+    initializeConnectionControls: function() {
+      const backendSelect = document.getElementById('syncBackendSelect');
+      const serverFields = document.getElementById('syncServerFields');
+      const urlInput = document.getElementById('syncServerUrlInput');
+      
+      // Served by the sync server itself, the app can suggest its address
+      if (window.location.protocol.startsWith('http')) {
+        urlInput.value = window.location.origin;
+      }
+      
+      backendSelect.addEventListener('change', () => {
+        serverFields.style.display = backendSelect.value === SYNC.BACKENDS.REST ? 'block' : 'none';
+      });
+      
+      document.getElementById('signInBtn').addEventListener('click', async (event) => {
+        const button = event.currentTarget;
+        const settings = {
+          type: backendSelect.value,
+          url: urlInput.value.trim(),
+          name: document.getElementById('syncNameInput').value.trim(),
+          email: document.getElementById('syncEmailInput').value.trim(),
+          token: document.getElementById('syncTokenInput').value.trim()
+        };
+        
+        if (settings.type === SYNC.BACKENDS.REST && !settings.url) {
+          UIHelpers.showNotification('Sync', 'Enter the address of the sync server.');
+          return;
+        }
+        
+        button.disabled = true;
+        try {
+          const result = await ArcherySyncService.connect(settings);
+          if (!result.success) {
+            UIHelpers.showNotification('Sync Error', `Could not connect: ${result.error}`);
+          }
+        } finally {
+          button.disabled = false;
+          this.updateSyncUI();
+        }
+      });
+      
+      document.getElementById('signOutBtn').addEventListener('click', async () => {
+        const result = await ArcherySyncService.signOut();
+        if (!result.success) {
+          UIHelpers.showNotification('Sync Error', `Could not disconnect: ${result.error}`);
+        }
+        this.updateSyncUI();
+      });
+      
+      document.getElementById('syncNowButton').addEventListener('click', () => {
+        ArcherySyncService.forceSyncNow();
+      });
+      
+      document.getElementById('showConflictsBtn').addEventListener('click', () => {
+        this.showConflicts();
+      });
+      
+      document.getElementById('conflictResolutionSelect').addEventListener('change', async (event) => {
+        const result = await ArcherySyncService.setConflictResolution(event.target.value);
+        if (!result.success) {
+          UIHelpers.showNotification('Sync Error', result.error);
+        }
+      });
+    },
+    
+    /**
+     * Wire up sharing the selected competition and changing or revoking its members' roles
+     */
+    initializeSharingControls: function() {
+      const selectElem = document.getElementById('shareCompetitionSelect');
+      const emailInput = document.getElementById('shareEmailInput');
+      
+      /**
+       * Show a sharing result and refresh the member list
+       * @param {Object} result - Result object from the data service
+       * @param {string} successMessage - Message to show if it worked
+       */
+      const report = (result, successMessage) => {
+        UIHelpers.showNotification(result.success ? 'Sharing' : 'Sharing Error', result.success ? successMessage : result.message);
+        this.updateSharingUI();
+      };
+      
+      selectElem.addEventListener('change', () => this.renderSharedUsers());
+      
+      document.getElementById('shareCompetitionBtn').addEventListener('click', async () => {
+        const competitionId = Number(selectElem.value);
+        const role = document.getElementById('shareRoleSelect').value;
+        if (!competitionId) {
+          UIHelpers.showNotification('Sharing', 'Select a competition to share.');
+          return;
+        }
+        
+        const user = Competition.userKey(emailInput.value);
+        const result = await ArcheryDataService.shareCompetition(competitionId, user, role);
+        if (result.success) {
+          emailInput.value = '';
+        }
+        report(result, `Shared with ${user} as ${SHARING.ROLE_LABELS[role].toLowerCase()}.`);
+      });
+      
+      // Role selects and revoke buttons are rebuilt with the list, so their events are delegated
+      const list = document.getElementById('sharedUsersList');
+      list.addEventListener('change', async (event) => {
+        if (!event.target.matches('.shared-user-role')) return;
+        
+        const user = event.target.dataset.user;
+        const result = await ArcheryDataService.shareCompetition(Number(selectElem.value), user, event.target.value);
+        report(result, `${user} is now ${SHARING.ROLE_LABELS[event.target.value].toLowerCase()}.`);
+      });
+      list.addEventListener('click', async (event) => {
+        const button = event.target.closest('.shared-user-revoke');
+        if (!button) return;
+        
+        const user = button.dataset.user;
+        const competitionId = Number(selectElem.value);
+        UIHelpers.showConfirmation(`Revoke ${user}'s access to this competition? Their devices stop showing it once they sync.`, async () => {
+          report(await ArcheryDataService.revokeAccess(competitionId, user), `${user} no longer has access.`);
+        });
+      });
+    },
+    
+    /**
+     * Wire up the device name used to label changes in the audit log
+     */
+    initializeDeviceLabelControls: function() {
+      const input = document.getElementById('deviceLabelInput');
+      input.value = ArcheryAuditService.deviceLabel;
+      
+      document.getElementById('saveDeviceLabelBtn').addEventListener('click', async () => {
+        try {
+          const result = await ArcheryDataService.saveDeviceLabel(input.value);
+          if (!result.success) {
+            UIHelpers.showNotification('Device Name', result.message);
+            return;
+          }
+          UIHelpers.showNotification('Device Name Saved', `Changes made here will be labelled "${ArcheryAuditService.deviceLabel}".`);
+        } catch (error) {
+          console.error('Error saving device name:', error);
+          UIHelpers.showNotification('Error', 'Failed to save the device name.');
+        }
+      });
+    },
+    
+    /**
+     * Wire up the backup and restore buttons
+     */
+    initializeBackupControls: function() {
+      const restoreInput = document.getElementById('restoreFileInput');
+      
+      document.getElementById('createBackupBtn').addEventListener('click', async () => {
+        try {
+          const result = await ArcheryBackupService.downloadBackup();
+          const { competitions, archers, savedCompetitors } = result.counts;
+          UIHelpers.showNotification('Backup Created', `Saved ${competitions} competitions, ${archers} archers and ${savedCompetitors} saved competitors to ${result.fileName}.`);
+        } catch (error) {
+          console.error('Error creating backup:', error);
+          UIHelpers.showNotification('Backup Error', 'Failed to create the backup.');
+        }
+      });
+      
+      document.getElementById('restoreBackupBtn').addEventListener('click', () => {
+        restoreInput.click();
+      });
+      
+      restoreInput.addEventListener('change', (event) => {
+        ArcheryBackupService.readBackupFile(event.target.files[0])
+          .then(result => this.showRestoreModal(result))
+          .catch(error => {
+            console.error('Error reading backup:', error);
+            UIHelpers.showNotification('Restore Error', error.message || 'Could not read the backup file.');
+          })
+          .finally(() => {
+            // Reset the input so the same file can be chosen again
+            restoreInput.value = '';
+          });
+      });
+    },
+    
+    /**
+     * Ask how a backup should be restored, then restore it
+     * @param {Object} file - Result of ArcheryBackupService.readBackupFile
+     */
+    showRestoreModal: function(file) {
+      const { competitions, archers, savedCompetitors, settings } = file.counts;
+      const createdAt = new Date(file.backup.createdAt).toLocaleString();
+      
+      const restore = async (mode) => {
+        modal.hide();
+        const result = await ArcheryBackupService.restoreBackup(file.backup, mode);
+        
+        if (!result.success) {
+          UIHelpers.showNotification('Restore Error', result.message);
+          return;
+        }
+        
+        const summary = result.summary;
+        const message = mode === BACKUP.MODES.REPLACE ?
+          `Replaced all data with ${summary.competitions} competitions and ${summary.archers} archers.` :
+          `Added ${summary.competitionsAdded} and merged ${summary.competitionsMerged} competitions; ` +
+          `added ${summary.archersAdded} and updated ${summary.archersUpdated} archers.` +
+          (summary.archersSkipped > 0 ? ` ${summary.archersSkipped} archers without a competition were skipped.` : '');
+        UIHelpers.showNotification('Backup Restored', message);
+      };
+      
+      const modal = Modal.create({
+        id: 'restoreBackupModal',
+        title: 'Restore from Backup',
+        content: `
+          <p><strong>${file.fileName}</strong>, created ${createdAt}, contains:</p>
+          <ul>
+            <li>${competitions} competitions</li>
+            <li>${archers} archers</li>
+            <li>${savedCompetitors} saved competitors</li>
+            <li>${settings} settings</li>
+          </ul>
+          <p class="mb-1"><strong>Merge</strong> adds the backup to your current data. Competitions with the same name are combined, and archers already in them are updated from the backup.</p>
+          <p class="mb-0 text-danger"><strong>Replace</strong> deletes all current data first. This cannot be undone.</p>
+        `,
+        buttons: [
+          { text: 'Cancel', type: 'secondary', dismiss: true },
+          { text: 'Merge', type: 'primary', onClick: () => restore(BACKUP.MODES.MERGE) },
+          { text: 'Replace All Data', type: 'danger', onClick: () => restore(BACKUP.MODES.REPLACE) }
+        ],
+        onHide: () => modal.dispose()
+      });
+      
+      modal.show();
     },
     
     /**
@@ -328,7 +650,7 @@ export const ArcherySyncUI = {
               <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
             </div>
             <div class="modal-body">
-              <p>The following items have conflicts between local and remote versions:</p>
+              <p>These fields were changed on this device and another one before they synced. Other changes to the same records have been merged.</p>
               <div id="conflictsList">
                 <!-- Will be populated dynamically -->
               </div>
@@ -343,6 +665,126 @@ export const ArcherySyncUI = {
       `;
       
       document.body.appendChild(conflictModal);
+      
+      document.getElementById('resolveAllLocalBtn').addEventListener('click', () => {
+        this.resolveConflicts(null, SYNC.CONFLICT_RESOLUTION.LOCAL);
+      });
+      document.getElementById('resolveAllRemoteBtn').addEventListener('click', () => {
+        this.resolveConflicts(null, SYNC.CONFLICT_RESOLUTION.REMOTE);
+      });
+      
+      // Per-record choices are rendered with the list, so listen on the list itself
+      document.getElementById('conflictsList').addEventListener('click', (event) => {
+        const button = event.target.closest('.resolve-conflict-btn');
+        if (button) {
+          this.resolveConflicts(button.dataset.conflictId, button.dataset.choice);
+        }
+      });
+    },
+    
+    /**
+     * Show the conflicts waiting for a decision, with a field-by-field comparison of each record
+     * @returns {Promise} Promise resolving when the modal is shown
+     */
+    showConflicts: async function() {
+      const modalElement = document.getElementById('conflictResolutionModal');
+      const list = document.getElementById('conflictsList');
+      if (!modalElement || !list) return;
+      
+      try {
+        const details = await ArcherySyncService.getConflictDetails();
+        const modal = bootstrap.Modal.getOrCreateInstance(modalElement);
+        
+        if (details.length === 0) {
+          modal.hide();
+          return;
+        }
+        
+        list.innerHTML = details.map(detail => this.buildConflictItem(detail)).join('');
+        modal.show();
+      } catch (error) {
+        console.error('Error showing sync conflicts:', error);
+        UIHelpers.showNotification('Sync Error', 'Could not load the sync conflicts.');
+      }
+    },
+    
+    /**
+     * Build the comparison of one conflicting record
+     * @param {Object} detail - Conflict detail from ArcherySyncService.getConflictDetails
+     * @returns {string} HTML for the conflict item
+     */
+    buildConflictItem: function(detail) {
+      const { conflict, local, remote, fields } = detail;
+      const types = {
+        [DB.STORES.COMPETITIONS]: 'Competition',
+        [DB.STORES.ARCHERS]: 'Archer',
+        [DB.STORES.SAVED_COMPETITORS]: 'Saved competitor'
+      };
+      
+      let comparison;
+      if (!remote) {
+        comparison = '<p class="mb-0">Deleted on the other device, but changed on this one.</p>';
+      } else if (!local) {
+        comparison = '<p class="mb-0">Deleted on this device, but changed on the other one.</p>';
+      } else {
+        comparison = `
+          <div class="table-responsive">
+            <table class="table table-sm mb-0" aria-label="Differences for ${conflict.name}">
+              <thead>
+                <tr>
+                  <th scope="col">Field</th>
+                  <th scope="col">This Device</th>
+                  <th scope="col">Other Device</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${fields.map(field => `
+                  <tr>
+                    <td>${field.field}</td>
+                    <td>${ArcheryAuditService.formatValue(field.oldValue)}</td>
+                    <td>${ArcheryAuditService.formatValue(field.newValue)}</td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          </div>
+        `;
+      }
+      
+      return `
+        <div class="conflict-item">
+          <div class="d-flex justify-content-between">
+            <strong>${types[conflict.store]}: ${conflict.name}</strong>
+            <span class="text-muted small">${new Date(conflict.detectedAt).toLocaleString()}</span>
+          </div>
+          ${comparison}
+          <div class="conflict-resolution-buttons">
+            <button type="button" class="btn btn-sm btn-outline-primary resolve-conflict-btn" data-conflict-id="${conflict.id}" data-choice="${SYNC.CONFLICT_RESOLUTION.LOCAL}">
+              Keep This Device's
+            </button>
+            <button type="button" class="btn btn-sm btn-outline-success resolve-conflict-btn" data-conflict-id="${conflict.id}" data-choice="${SYNC.CONFLICT_RESOLUTION.REMOTE}">
+              Use Other Device's
+            </button>
+          </div>
+        </div>
+      `;
+    },
+    
+    /**
+     * Settle one conflict, or all of them, and refresh the list
+     * @param {string|null} conflictId - Conflict to settle, or null for all
+     * @param {string} choice - SYNC.CONFLICT_RESOLUTION.LOCAL or REMOTE
+     * @returns {Promise} Promise resolving when settled
+     */
+    resolveConflicts: async function(conflictId, choice) {
+      const result = conflictId ?
+        await ArcherySyncService.resolveConflict(conflictId, choice) :
+        await ArcherySyncService.resolveAllConflicts(choice);
+      
+      if (!result.success) {
+        UIHelpers.showNotification('Sync Error', `Could not resolve the conflict: ${result.error}`);
+      }
+      await this.showConflicts();
     },
     
     /**
@@ -364,12 +806,26 @@ export const ArcherySyncUI = {
         
         // Update user info
         document.getElementById('user-name').textContent = status.user.displayName;
-        document.getElementById('user-email').textContent = status.user.email;
-        document.getElementById('user-photo').src = status.user.photoURL || 'https://via.placeholder.com/48';
+        const email = status.user.email && status.user.verified === false ? `${status.user.email} (not verified)` : status.user.email;
+        document.getElementById('user-email').textContent = [email, status.user.server].filter(Boolean).join(' · ');
+        const photo = document.getElementById('user-photo');
+        photo.src = status.user.photoURL || '';
+        photo.style.display = status.user.photoURL ? 'block' : 'none';
+        document.getElementById('user-icon').style.display = status.user.photoURL ? 'none' : 'block';
       } else {
         // User is logged out
         loggedInSection.style.display = 'none';
         loggedOutSection.style.display = 'block';
+        
+        // Offer the backend this device used last
+        if (status.config) {
+          document.getElementById('syncBackendSelect').value = status.config.type;
+          document.getElementById('syncServerFields').style.display = status.config.type === SYNC.BACKENDS.REST ? 'block' : 'none';
+          if (status.config.url) document.getElementById('syncServerUrlInput').value = status.config.url;
+          document.getElementById('syncNameInput').value = status.config.name || '';
+          document.getElementById('syncEmailInput').value = status.config.email || '';
+          document.getElementById('syncTokenInput').value = status.config.token || '';
+        }
       }
       
       // Update sync status
@@ -387,7 +843,11 @@ export const ArcherySyncUI = {
       } else if (!status.user) {
         statusBadge.className = 'badge rounded-pill bg-warning';
         statusBadge.innerHTML = '<i class="bi bi-person-x"></i> Not Signed In';
-        statusText.textContent = 'Sign in to enable sync.';
+        statusText.textContent = 'Connect to a sync server to enable sync.';
+      } else if (status.conflicts > 0) {
+        statusBadge.className = 'badge rounded-pill bg-danger';
+        statusBadge.innerHTML = '<i class="bi bi-exclamation-triangle"></i> Conflicts';
+        statusText.textContent = `${status.conflicts} records were changed on another device too and need your decision.`;
       } else if (status.pendingChanges > 0) {
         statusBadge.className = 'badge rounded-pill bg-warning';
         statusBadge.innerHTML = '<i class="bi bi-cloud-arrow-up"></i> Pending';
@@ -401,6 +861,10 @@ export const ArcherySyncUI = {
       // Update counts
       document.getElementById('pending-changes').textContent = status.pendingChanges;
       
+      // Update conflict settings
+      document.getElementById('conflictResolutionSelect').value = status.conflictResolution;
+      document.getElementById('showConflictsBtn').style.display = status.conflicts > 0 ? 'inline-block' : 'none';
+      
       // Update last sync time
       const lastSyncElem = document.getElementById('last-sync-time');
       if (status.lastSyncTime) {
@@ -422,6 +886,9 @@ export const ArcherySyncUI = {
         } else if (!status.user) {
           indicator.className = 'badge rounded-pill bg-warning';
           indicator.innerHTML = '<i class="bi bi-person-x"></i>';
+        } else if (status.conflicts > 0) {
+          indicator.className = 'badge rounded-pill bg-danger';
+          indicator.innerHTML = `<i class="bi bi-exclamation-triangle"></i> ${status.conflicts}`;
         } else if (status.pendingChanges > 0) {
           indicator.className = 'badge rounded-pill bg-warning';
           indicator.innerHTML = `<i class="bi bi-cloud-arrow-up"></i> ${status.pendingChanges}`;
@@ -442,7 +909,8 @@ export const ArcherySyncUI = {
       const selectElem = document.getElementById('shareCompetitionSelect');
       if (!selectElem) return;
       
-      // Clear existing options (keep the first one)
+      // Clear existing options (keep the first one), then restore the selection if it's still there
+      const selected = selectElem.value;
       const firstOption = selectElem.options[0];
       selectElem.innerHTML = '';
       selectElem.appendChild(firstOption);
@@ -454,61 +922,75 @@ export const ArcherySyncUI = {
         competitions.forEach(comp => {
           const option = document.createElement('option');
           option.value = comp.id;
-          option.textContent = comp.name;
+          option.textContent = `${comp.name} (${SHARING.ROLE_LABELS[ArcheryDataService.getRole(comp)]})`;
           selectElem.appendChild(option);
         });
+        selectElem.value = competitions.some(comp => String(comp.id) === selected) ? selected : '';
+        
+        await this.renderSharedUsers();
       } catch (error) {
         console.error('Error updating sharing UI:', error);
       }
     },
     
     /**
-     * Refresh views after remote update
-     * @param {string} entityType - Type of entity that was updated
+     * List the members of the selected competition; owners can change roles and revoke access
+     * @returns {Promise} Promise resolving when the list is rendered
      */
-    refreshViewsAfterRemoteUpdate: function(entityType) {
-      switch(entityType) {
-        case 'competition':
-          // Refresh competition selector and list
-          const container = document.getElementById('competitionSelectorContainer');
-          if (container) {
-            ArcheryUIRenderer.renderCompetitionSelector(container);
-          }
-          
-          const compListContainer = document.getElementById('competitionsListContainer');
-          if (compListContainer) {
-            ArcheryUIRenderer.renderCompetitionsList(compListContainer);
-          }
-          break;
-          
-        case 'archer':
-          // Refresh scores table and results
-          ArcheryUIRenderer.renderScoresTable();
-          ArcheryUIRenderer.renderResults();
-          break;
-          
-        case 'savedCompetitor':
-          // Refresh saved competitors table and dropdowns
-          ArcheryUIRenderer.renderSavedCompetitorsTable();
-          
-          const savedSelect = document.getElementById('savedCompetitorSelect');
-          const inlineSavedSelect = document.getElementById('inlineSavedCompetitorSelect');
-          
-          if (savedSelect) {
-            ArcheryUIRenderer.populateSavedCompetitorsDropdown(savedSelect);
-          }
-          
-          if (inlineSavedSelect) {
-            ArcheryUIRenderer.populateSavedCompetitorsDropdown(inlineSavedSelect);
-          }
-          break;
-      }
+    renderSharedUsers: async function() {
+      const selectElem = document.getElementById('shareCompetitionSelect');
+      const list = document.getElementById('sharedUsersList');
+      const noSharingMsg = document.getElementById('noSharingMsg');
+      const shareButton = document.getElementById('shareCompetitionBtn');
       
-      // Also refresh dashboard if it's visible
-      const dashboardTab = document.getElementById('dashboard-tab');
-      if (dashboardTab.classList.contains('active')) {
-        renderDashboard();
-      }
+      const unavailableMsg = document.getElementById('sharingUnavailableMsg');
+      
+      const competition = selectElem.value ? await ArcheryDataService.getCompetitionById(Number(selectElem.value)) : null;
+      const available = ArcheryDataService.canShareCompetitions();
+      const canShare = available && !!competition && ArcheryDataService.can(competition, SHARING.ACTIONS.SHARE);
+      const currentUser = ArcheryDataService.getCurrentUser();
+      const members = Competition.getMembers(competition);
+      
+      unavailableMsg.style.display = available ? 'none' : 'block';
+      unavailableMsg.textContent = ERRORS.SHARING_UNAVAILABLE;
+      shareButton.disabled = !available || (!!competition && !canShare);
+      noSharingMsg.style.display = members.length === 0 ? 'block' : 'none';
+      noSharingMsg.textContent = competition ? 'This competition is not shared with anyone.' : 'Select a competition to see who it is shared with.';
+      list.innerHTML = '';
+      
+      members.forEach(member => {
+        const item = document.createElement('li');
+        item.className = 'list-group-item shared-user-item';
+        
+        const name = document.createElement('span');
+        name.textContent = member.user === currentUser ? `${member.user} (you)` : member.user;
+        item.appendChild(name);
+        
+        if (canShare) {
+          const controls = document.createElement('div');
+          controls.className = 'd-flex gap-2';
+          controls.innerHTML = `
+            <select class="form-select form-select-sm shared-user-role" aria-label="Role">
+              ${Object.values(SHARING.ROLES).map(role => `<option value="${role}">${SHARING.ROLE_LABELS[role]}</option>`).join('')}
+            </select>
+            <button type="button" class="btn btn-sm btn-outline-danger shared-user-revoke" title="Revoke access">
+              <i class="bi bi-person-x"></i> Revoke
+            </button>
+          `;
+          controls.querySelector('select').value = member.role;
+          controls.querySelectorAll('select, button').forEach(control => {
+            control.dataset.user = member.user;
+          });
+          item.appendChild(controls);
+        } else {
+          const badge = document.createElement('span');
+          badge.className = 'badge bg-secondary';
+          badge.textContent = SHARING.ROLE_LABELS[member.role];
+          item.appendChild(badge);
+        }
+        
+        list.appendChild(item);
+      });
     }
   };
   
@@ -6,43 +6,50 @@ import { UIHelpers } from './ui-helpers.js';
 import { ArcheryDataService } from './data-service.js';
 import { FormHandlers } from './form-handlers.js';
 import { ArcheryUIRenderer } from './ui-renderer.js';
+import { Modal } from './components.js';
+import { Archer } from './models.js';
+import { ArcheryBackupService } from './backup-service.js';
+import { ArcheryHistoryService } from './history-service.js';
+import { DB, SCORING, SHARING } from './constants.js';
 // Bootstrap is loaded globally in the HTML file
 
 export const TableHandlers = {
   /**
    * Save edited score
-   * @param {number} index - Index of the score to save
+   * @param {number} archerId - ID of the archer to save
    * @returns {Promise} Promise resolving when score is saved
    */
-  saveEditedScore: async function(index) {
+  saveEditedScore: async function(archerId) {
     try {
-      // Get the archer at this index
-      const archerResult = await ArcheryDataService.getArcherAtIndex(index);
-      if (!archerResult.success) {
+      const archer = await ArcheryDataService.getArcherById(archerId);
+      if (!archer) {
         UIHelpers.showNotification('Error', 'Could not find archer to update.');
         return;
       }
       
-      const row = document.getElementById(`row-${index}`);
+      const row = document.getElementById(`row-${archerId}`);
       const inputs = row.querySelectorAll('.edit-mode');
       
-      // Update the score with new values
+      // Update the score with new values, keeping the ID so the same record is updated
       const updatedScore = {
+        id: archer.id,
         name: inputs[0].value,
         club: inputs[1].value,
         membershipId: inputs[2].value || '', // Add membership ID
         category: inputs[3].value,
         age: inputs[4].value,
         day1: parseInt(inputs[5].value) || 0,
-        day2: parseInt(inputs[6].value) || 0
+        day2: parseInt(inputs[6].value) || 0,
+        scoresheet: archer.scoresheet || null, // Keep the recorded arrows
+        shootOff: archer.shootOff || []
       };
       
       // Calculate total
       updatedScore.total = updatedScore.day1 + updatedScore.day2;
       
       // Preserve competition ID
-      if (archerResult.archer.competitionId) {
-        updatedScore.competitionId = archerResult.archer.competitionId;
+      if (archer.competitionId) {
+        updatedScore.competitionId = archer.competitionId;
       } else {
         // Use active competition if available
         const activeCompetition = ArcheryDataService.getActiveCompetition();
@@ -51,33 +58,50 @@ export const TableHandlers = {
         }
       }
       
-      // Preserve ID for update
-      if (archerResult.archer.id !== undefined) {
-        updatedScore.id = archerResult.archer.id;
+      // Check against the round before touching the stored record
+      const validation = new Archer(updatedScore).validate(ArcheryDataService.getActiveRound());
+      if (!validation.isValid) {
+        UIHelpers.showNotification('Invalid Score', validation.errors.join(' '));
+        return;
       }
       
-      // Handle name change - need to delete old record and add new one
-      const originalName = archerResult.name;
-      
-      if (originalName !== updatedScore.name) {
-        // Delete the original record
-        await ArcheryDataService.deleteArcherByName(originalName);
+      // Two entries can't share name, membership number and category
+      const matches = await ArcheryDataService.findNameMatches(updatedScore);
+      if (matches.sameEntry) {
+        UIHelpers.showNotification('Duplicate Archer', `${updatedScore.name} is already entered in ${updatedScore.category} with the same membership number.`);
+        return;
       }
       
-      // Save the updated record
-      await ArcheryDataService.saveScore(updatedScore);
-      
-      // Also update saved competitor if it exists
-      await ArcheryDataService.saveCompetitor(updatedScore);
-      
-      // Update the view
-      const searchTerm = document.getElementById('searchInput').value.toLowerCase();
-      await TableHandlers.refreshScoresTable(searchTerm, updatedScore.name);
-      await ArcheryUIRenderer.renderResults();
-      await FormHandlers.refreshSavedCompetitorsDropdowns();
+      const save = async () => {
+        try {
+          await ArcheryHistoryService.group(`Edit ${updatedScore.name}`, async () => {
+            await ArcheryDataService.saveScore(updatedScore);
+            
+            // Also update saved competitor if it exists
+            await ArcheryDataService.saveCompetitor(updatedScore);
+          });
+          
+          // Update the view
+          const searchTerm = document.getElementById('searchInput').value.toLowerCase();
+          await TableHandlers.refreshScoresTable(searchTerm, updatedScore.id);
+          await ArcheryUIRenderer.renderResults();
+          await FormHandlers.refreshSavedCompetitorsDropdowns();
+          
+          // Notify user
+          UIHelpers.showNotification('Score Updated', `${updatedScore.name}'s score has been updated.`);
+        } catch (error) {
+          console.error('Error saving edited score:', error);
+          UIHelpers.showNotification('Error', error.message || 'Failed to save changes. Please try again.');
+        }
+      };
       
-      // Notify user
-      UIHelpers.showNotification('Score Updated', `${updatedScore.name}'s score has been updated.`);
+      // Only warn when this edit introduces the name clash
+      const nameChanged = !Archer.hasSameName(archer, updatedScore);
+      if (nameChanged && matches.sameName.length > 0) {
+        UIHelpers.showConfirmation(FormHandlers.describeNameMatches(updatedScore, matches.sameName), save);
+      } else {
+        await save();
+      }
     } catch (error) {
       console.error('Error saving edited score:', error);
       UIHelpers.showNotification('Error', 'Failed to save changes. Please try again.');
@@ -86,31 +110,31 @@ export const TableHandlers = {
   
   /**
    * Delete score
-   * @param {number} index - Index of the score to delete
+   * @param {number} archerId - ID of the archer to delete
    * @returns {Promise} Promise resolving when score is deleted
    */
-  deleteScore: async function(index) {
+  deleteScore: async function(archerId) {
     try {
-      // Get the archer name
-      const archerResult = await ArcheryDataService.getArcherAtIndex(index);
-      if (!archerResult.success) {
+      const archer = await ArcheryDataService.getArcherById(archerId);
+      if (!archer) {
         UIHelpers.showNotification('Error', 'Could not find archer to delete.');
         return;
       }
       
-      const archerName = archerResult.name;
+      const archerName = archer.name;
       
       UIHelpers.showConfirmation(`Are you sure you want to delete ${archerName}'s score?`, async () => {
         try {
-          const result = await ArcheryDataService.deleteScore(index);
+          const result = await ArcheryDataService.deleteArcherById(archerId);
           
           if (result.success) {
             // Update views
             const searchTerm = document.getElementById('searchInput').value.toLowerCase();
             await TableHandlers.refreshScoresTable(searchTerm);
             await ArcheryUIRenderer.renderResults();
+            await EventHandlers.refreshRecycleBin();
             
-            UIHelpers.showNotification('Score Deleted', `${archerName}'s score has been deleted.`);
+            UIHelpers.showUndoNotification('Score Deleted', `${archerName}'s score has been moved to the Recycle Bin.`);
           } else {
             UIHelpers.showNotification('Error', result.message || 'Failed to delete score.');
           }
@@ -125,22 +149,169 @@ export const TableHandlers = {
     }
   },
   
+  /**
+   * Show an archer's scoresheet with the ends already saved
+   * Scorekeepers who can score the competition can correct arrows, or enter a sheet for an archer
+   * added with day totals only; everyone else sees it read-only
+   * @param {number} archerId - ID of the archer
+   * @returns {Promise} Promise resolving when the scoresheet is shown
+   */
+  showScoresheet: async function(archerId) {
+    try {
+      const archer = await ArcheryDataService.getArcherById(archerId);
+      if (!archer) {
+        UIHelpers.showNotification('Error', 'Archer not found.');
+        return;
+      }
+      
+      const editable = await ArcheryDataService.hasAccess(archer.competitionId, SHARING.ACTIONS.SCORE);
+      if (!editable && !archer.scoresheet) {
+        UIHelpers.showNotification('Error', 'No scoresheet recorded for this archer.');
+        return;
+      }
+      
+      const title = `Scoresheet - ${archer.name}`;
+      const content = `
+        <p class="mb-2">${archer.category} - ${archer.age} &bull; Total: <strong class="scoresheet-total">${archer.total}</strong></p>
+        <div class="scoresheet-grid">
+          ${ArcheryUIRenderer.buildScoresheetTable(archer.scoresheet, editable)}
+        </div>
+      `;
+      
+      if (!editable) {
+        Modal.alert({ title, message: content, size: 'modal-lg', buttonText: 'Close' }).show();
+        return;
+      }
+      
+      const modal = Modal.create({
+        id: 'scoresheetModal',
+        title,
+        content,
+        size: 'modal-lg',
+        buttons: [
+          { text: 'Cancel', type: 'secondary', dismiss: true },
+          { text: 'Save Scoresheet', type: 'primary', onClick: () => TableHandlers.saveScoresheet(archer, modal) }
+        ],
+        onHide: () => modal.dispose()
+      });
+      
+      // Recalculate the sums and the total as arrows are corrected
+      const grid = modal.getElement().querySelector('.scoresheet-grid');
+      grid.addEventListener('input', function(e) {
+        if (e.target.classList.contains('arrow-input')) {
+          FormHandlers.updateScoresheetTotals(grid);
+          const updated = TableHandlers.withScoresheet(archer, FormHandlers.readScoresheetGrid(grid));
+          modal.getElement().querySelector('.scoresheet-total').textContent = updated.total;
+        }
+      });
+      
+      modal.show();
+    } catch (error) {
+      console.error('Error showing scoresheet:', error);
+      UIHelpers.showNotification('Error', 'Failed to load scoresheet. Please try again.');
+    }
+  },
+  
+  /**
+   * Save the scoresheet entered in the scoresheet modal
+   * @param {Object} archer - Archer as stored when the modal was opened
+   * @param {Object} modal - Scoresheet modal control object
+   * @returns {Promise} Promise resolving when the scoresheet is saved
+   */
+  saveScoresheet: async function(archer, modal) {
+    const scoresheet = FormHandlers.readScoresheetGrid(modal.getElement().querySelector('.scoresheet-grid'));
+    if (!scoresheet && !archer.scoresheet) {
+      UIHelpers.showNotification('No Arrows', 'Enter the arrows shot on each target, or cancel.');
+      return;
+    }
+    
+    const updatedScore = TableHandlers.withScoresheet(archer, scoresheet);
+    const validation = new Archer(updatedScore).validate(ArcheryDataService.getActiveRound());
+    if (!validation.isValid) {
+      UIHelpers.showNotification('Invalid Score', validation.errors.join(' '));
+      return;
+    }
+    
+    try {
+      await ArcheryDataService.saveScore(updatedScore);
+      modal.hide();
+      
+      // Update the view
+      const searchTerm = document.getElementById('searchInput').value.toLowerCase();
+      await TableHandlers.refreshScoresTable(searchTerm, archer.id);
+      await ArcheryUIRenderer.renderResults();
+      
+      UIHelpers.showNotification('Scoresheet Saved', `${archer.name}'s scoresheet has been updated.`);
+    } catch (error) {
+      console.error('Error saving scoresheet:', error);
+      UIHelpers.showNotification('Error', error.message || 'Failed to save the scoresheet. Please try again.');
+    }
+  },
+  
+  /**
+   * Give an archer a corrected scoresheet and the totals that go with it
+   * A day whose arrows were all cleared scores nothing, rather than keeping the total they added up to
+   * @param {Object} archer - Archer as stored
+   * @param {Object|null} scoresheet - Corrected scoresheet, or null if every arrow was cleared
+   * @returns {Object} Archer with the scoresheet and its totals
+   */
+  withScoresheet: function(archer, scoresheet) {
+    const updated = { ...archer, scoresheet };
+    SCORING.DAYS.forEach(day => {
+      const cleared = !scoresheet || !Archer.dayHasArrows(scoresheet[day]);
+      if (cleared && archer.scoresheet && Archer.dayHasArrows(archer.scoresheet[day])) {
+        updated[day] = 0;
+      }
+    });
+    return { ...updated, ...Archer.calculateTotals(updated) };
+  },
+  
+  /**
+   * Show the audit log of an archer's entry in a modal
+   * @param {number} archerId - ID of the archer
+   * @returns {Promise} Promise resolving when the modal is shown
+   */
+  showHistory: async function(archerId) {
+    try {
+      const [archer, entries] = await Promise.all([
+        ArcheryDataService.getArcherById(archerId),
+        ArcheryDataService.getAuditLog(DB.STORES.ARCHERS, archerId)
+      ]);
+      if (!archer) {
+        UIHelpers.showNotification('Error', 'Archer not found.');
+        return;
+      }
+      
+      const modal = Modal.alert({
+        title: `Change History - ${archer.name}`,
+        message: ArcheryUIRenderer.buildAuditTable(entries),
+        size: 'modal-lg',
+        buttonText: 'Close'
+      });
+      modal.show();
+    } catch (error) {
+      console.error('Error showing change history:', error);
+      UIHelpers.showNotification('Error', 'Failed to load change history. Please try again.');
+    }
+  },
+  
   /**
    * Refresh the scores table with current data
    * @param {string} searchTerm - Optional search term
-   * @param {string} highlightName - Optional name to highlight
+   * @param {number} highlightId - Optional ID of the archer to highlight
    * @returns {Promise} Promise resolving when table is refreshed
    */
-  refreshScoresTable: async function(searchTerm = '', highlightName = null) {
+  refreshScoresTable: async function(searchTerm = '', highlightId = null) {
     try {
-      await ArcheryUIRenderer.renderScoresTable(searchTerm, highlightName);
+      await ArcheryUIRenderer.renderScoresTable(searchTerm, highlightId);
       TableHandlers.initializeTableEventHandlers();
       
-      // If highlighted name exists, announce to screen reader
-      if (highlightName) {
+      // If a highlighted archer exists, announce to screen reader
+      if (highlightId !== null) {
         const highlightedRow = document.querySelector('.highlight-row');
         if (highlightedRow) {
-          UIHelpers.announceToScreenReader(`Added ${highlightName} to the list.`);
+          const name = highlightedRow.querySelector('.view-mode').textContent;
+          UIHelpers.announceToScreenReader(`Added ${name} to the list.`);
         }
       }
     } catch (error) {
@@ -156,29 +327,43 @@ export const TableHandlers = {
     // Add event listeners for inline editing
     document.querySelectorAll('.edit-btn').forEach(btn => {
       btn.addEventListener('click', function() {
-        const index = parseInt(this.dataset.index);
-        ArcheryUIRenderer.activateEditMode(index);
+        const archerId = parseInt(this.dataset.archerId);
+        ArcheryUIRenderer.activateEditMode(archerId);
       });
     });
     
     document.querySelectorAll('.save-btn').forEach(btn => {
       btn.addEventListener('click', function() {
-        const index = parseInt(this.dataset.index);
-        TableHandlers.saveEditedScore(index);
+        const archerId = parseInt(this.dataset.archerId);
+        TableHandlers.saveEditedScore(archerId);
       });
     });
     
     document.querySelectorAll('.cancel-btn').forEach(btn => {
       btn.addEventListener('click', function() {
-        const index = parseInt(this.dataset.index);
-        ArcheryUIRenderer.deactivateEditMode(index);
+        const archerId = parseInt(this.dataset.archerId);
+        ArcheryUIRenderer.deactivateEditMode(archerId);
       });
     });
     
     document.querySelectorAll('.delete-btn').forEach(btn => {
       btn.addEventListener('click', function() {
-        const index = parseInt(this.dataset.index);
-        TableHandlers.deleteScore(index);
+        const archerId = parseInt(this.dataset.archerId);
+        TableHandlers.deleteScore(archerId);
+      });
+    });
+    
+    document.querySelectorAll('.scoresheet-btn').forEach(btn => {
+      btn.addEventListener('click', function() {
+        const archerId = parseInt(this.dataset.archerId);
+        TableHandlers.showScoresheet(archerId);
+      });
+    });
+    
+    document.querySelectorAll('.history-btn').forEach(btn => {
+      btn.addEventListener('click', function() {
+        const archerId = parseInt(this.dataset.archerId);
+        TableHandlers.showHistory(archerId);
       });
     });
 
@@ -186,13 +371,13 @@ export const TableHandlers = {
     document.querySelectorAll('.edit-mode').forEach(input => {
       input.addEventListener('keydown', function(e) {
         const row = this.closest('tr');
-        const index = parseInt(row.dataset.index);
+        const archerId = parseInt(row.dataset.archerId);
         
         if (e.key === 'Enter') {
-          TableHandlers.saveEditedScore(index);
+          TableHandlers.saveEditedScore(archerId);
           e.preventDefault();
         } else if (e.key === 'Escape') {
-          ArcheryUIRenderer.deactivateEditMode(index);
+          ArcheryUIRenderer.deactivateEditMode(archerId);
           e.preventDefault();
         }
       });
@@ -207,9 +392,8 @@ export const TableHandlers = {
     // Use competitor button
     document.querySelectorAll('.use-competitor-btn').forEach(btn => {
       btn.addEventListener('click', async function() {
-        const competitorName = this.dataset.name;
         try {
-          const competitor = await ArcheryDataService.getSavedCompetitorByName(competitorName);
+          const competitor = await ArcheryDataService.getSavedCompetitor(this.dataset.key);
           if (competitor) {
             // Navigate to Enter Scores tab
             document.getElementById('enter-tab').click();
@@ -217,6 +401,7 @@ export const TableHandlers = {
             // Fill in the form with competitor details
             document.getElementById('archerName').value = competitor.name;
             document.getElementById('club').value = competitor.club || '';
+            document.getElementById('membershipId').value = competitor.membershipId || '';
             document.getElementById('categorySelect').value = competitor.category;
             document.getElementById('ageRangeSelect').value = competitor.age;
             
@@ -226,7 +411,7 @@ export const TableHandlers = {
             // Update dropdown to match
             const savedCompetitorSelect = document.getElementById('savedCompetitorSelect');
             if (savedCompetitorSelect) {
-              savedCompetitorSelect.value = competitor.name;
+              savedCompetitorSelect.value = competitor.identityKey;
             }
             
             // Notify user
@@ -239,14 +424,33 @@ export const TableHandlers = {
       });
     });
     
+    // Handicaps are saved as they are changed; an empty box clears the handicap
+    document.querySelectorAll('.handicap-input').forEach(input => {
+      input.addEventListener('change', async function() {
+        const handicap = this.value.trim() === '' ? null : Number(this.value);
+        try {
+          const result = await ArcheryDataService.setHandicap(this.dataset.key, handicap);
+          if (!result.success) {
+            UIHelpers.showNotification('Error', result.message);
+            return;
+          }
+          await ArcheryUIRenderer.renderResults();
+        } catch (error) {
+          console.error('Error saving handicap:', error);
+          UIHelpers.showNotification('Error', 'Failed to save the handicap. Please try again.');
+        }
+      });
+    });
+    
     // Delete competitor button
     document.querySelectorAll('.delete-competitor-btn').forEach(btn => {
       btn.addEventListener('click', function() {
         const competitorName = this.dataset.name;
+        const identityKey = this.dataset.key;
         UIHelpers.showConfirmation(`Delete ${competitorName} from saved competitors?`, async () => {
           try {
-            await ArcheryDataService.deleteSavedCompetitor(competitorName);
-            UIHelpers.showNotification('Competitor Deleted', `${competitorName} has been removed from saved competitors.`);
+            await ArcheryDataService.deleteSavedCompetitor(identityKey);
+            UIHelpers.showUndoNotification('Competitor Deleted', `${competitorName} has been removed from saved competitors.`);
             
             // Refresh the saved competitors table
             await ArcheryUIRenderer.renderSavedCompetitorsTable(
@@ -284,10 +488,6 @@ export const TableHandlers = {
         try {
           const competition = await ArcheryDataService.setActiveCompetition(competitionId);
           UIHelpers.showNotification('Competition Activated', `${competition.name} is now the active competition.`);
-          
-          // Refresh the views
-          await EventHandlers.initializeCompetitionSelector();
-          await EventHandlers.refreshAllViews();
         } catch (error) {
           console.error('Error activating competition:', error);
           UIHelpers.showNotification('Error', 'Failed to activate competition. Please try again.');
@@ -318,6 +518,25 @@ export const TableHandlers = {
       });
     });
     
+    // Export competition button
+    document.querySelectorAll('.export-competition-btn').forEach(btn => {
+      btn.addEventListener('click', async function() {
+        const row = this.closest('tr');
+        if (!row) return;
+        
+        const competitionId = parseInt(row.dataset.competitionId);
+        if (isNaN(competitionId)) return;
+        
+        try {
+          const result = await ArcheryBackupService.exportCompetition(competitionId);
+          UIHelpers.showNotification('Competition Exported', `Saved "${result.competition.name}" with ${result.count} archers to ${result.fileName}.`);
+        } catch (error) {
+          console.error('Error exporting competition:', error);
+          UIHelpers.showNotification('Error', 'Failed to export competition. Please try again.');
+        }
+      });
+    });
+    
     // Delete competition button
     document.querySelectorAll('.delete-competition-btn').forEach(btn => {
       btn.addEventListener('click', function() {
@@ -327,15 +546,13 @@ export const TableHandlers = {
         const competitionId = parseInt(row.dataset.competitionId);
         if (isNaN(competitionId)) return;
         
-        UIHelpers.showConfirmation('Are you sure you want to delete this competition? This will permanently delete all associated scores.', async () => {
+        UIHelpers.showConfirmation('Are you sure you want to delete this competition? It will be moved to the Recycle Bin together with its scores.', async () => {
           try {
             const result = await ArcheryDataService.deleteCompetition(competitionId);
             
             if (result.success) {
-              UIHelpers.showNotification('Competition Deleted', 'The competition has been deleted.');
-              // Refresh the views
-              await EventHandlers.initializeCompetitionSelector();
-              await EventHandlers.refreshAllViews();
+              UIHelpers.showUndoNotification('Competition Deleted', 'The competition has been deleted.');
+              await EventHandlers.refreshCompetitionLists();
             } else {
               UIHelpers.showNotification('Error', result.message || 'Failed to delete competition.');
             }
@@ -346,6 +563,61 @@ export const TableHandlers = {
         });
       });
     });
+  },
+  
+  /**
+   * Initialize recycle bin event handlers
+   * Must be called after rendering the recycle bin
+   */
+  initializeRecycleBinEventHandlers: function() {
+    document.querySelectorAll('.restore-item-btn').forEach(btn => {
+      btn.addEventListener('click', async function() {
+        const key = parseInt(this.dataset.key);
+        const isCompetition = this.dataset.store === DB.STORES.COMPETITIONS;
+        
+        try {
+          // Restoring reloads the active competition, which refreshes every view
+          const result = isCompetition ?
+            await ArcheryDataService.restoreCompetition(key) :
+            await ArcheryDataService.restoreArcher(key);
+          
+          if (result.success) {
+            UIHelpers.showUndoNotification('Restored', `${result.name} has been restored.`);
+          } else {
+            UIHelpers.showNotification('Error', result.message || 'Failed to restore the item.');
+          }
+        } catch (error) {
+          console.error('Error restoring item:', error);
+          UIHelpers.showNotification('Error', 'Failed to restore the item. Please try again.');
+        }
+      });
+    });
+    
+    document.querySelectorAll('.purge-item-btn').forEach(btn => {
+      btn.addEventListener('click', function() {
+        const key = parseInt(this.dataset.key);
+        const isCompetition = this.dataset.store === DB.STORES.COMPETITIONS;
+        const name = this.dataset.name;
+        
+        UIHelpers.showConfirmation(`Permanently delete ${name}${isCompetition ? ' and all of its scores' : ''}?`, async () => {
+          try {
+            const result = isCompetition ?
+              await ArcheryDataService.purgeCompetition(key) :
+              await ArcheryDataService.purgeArcher(key);
+            
+            if (result.success) {
+              UIHelpers.showUndoNotification('Permanently Deleted', `${name} has been permanently deleted.`);
+              await EventHandlers.refreshRecycleBin();
+            } else {
+              UIHelpers.showNotification('Error', result.message || 'Failed to delete the item.');
+            }
+          } catch (error) {
+            console.error('Error purging item:', error);
+            UIHelpers.showNotification('Error', 'Failed to delete the item. Please try again.');
+          }
+        });
+      });
+    });
   }
 };
 
@@ -0,0 +1,111 @@
+/**
+ * Club Team Results for Archery Competition Tracker
+ * Groups archers by club and ranks the clubs' teams under the competition's team rules
+ */
+import { Competition } from './models.js';
+
+export const TeamResults = {
+  /**
+   * Get the team rules configured for a competition
+   * @param {Object|null} competition - Competition object
+   * @returns {Object} Rules as { enabled, teamSize, countingScores, eligibleCategories, eligibleAgeRanges }
+   */
+  getRules: function(competition) {
+    return Competition.getTeamRules(competition);
+  },
+  
+  /**
+   * Check whether team results are switched on for a competition
+   * @param {Object|null} competition - Competition object
+   * @returns {boolean} True if the competition awards team prizes
+   */
+  isEnabled: function(competition) {
+    return TeamResults.getRules(competition).enabled;
+  },
+  
+  /**
+   * Describe the team rules in one line
+   * @param {Object} rules - Team rules
+   * @returns {string} Description, e.g. "Best 3 of up to 4 archers per club, from Barebow, Longbow"
+   */
+  describeRules: function(rules) {
+    const divisions = [...rules.eligibleCategories, ...rules.eligibleAgeRanges];
+    const counting = rules.countingScores === rules.teamSize ?
+      `${rules.teamSize} archers per club` :
+      `Best ${rules.countingScores} of up to ${rules.teamSize} archers per club`;
+    return `${counting}, from ${divisions.length > 0 ? divisions.join(', ') : 'all divisions'}`;
+  },
+  
+  /**
+   * Check whether an archer can score for their club's team
+   * @param {Object} archer - Archer object
+   * @param {Object} rules - Team rules
+   * @returns {boolean} True if the archer has a club and shoots in an eligible division
+   */
+  isEligible: function(archer, rules) {
+    return !!TeamResults.getClubKey(archer.club) &&
+      (rules.eligibleCategories.length === 0 || rules.eligibleCategories.includes(archer.category)) &&
+      (rules.eligibleAgeRanges.length === 0 || rules.eligibleAgeRanges.includes(archer.age));
+  },
+  
+  /**
+   * Get the key archers are grouped into clubs by
+   * Club names are typed in by hand, so case and extra spaces are ignored
+   * @param {string} club - Club name as entered
+   * @returns {string} Club key, empty if the archer has no club
+   */
+  getClubKey: function(club) {
+    return String(club || '').trim().replace(/\s+/g, ' ').toLowerCase();
+  },
+  
+  /**
+   * Build and rank each club's team
+   * A club's team is its best eligible archers up to the team size, and the team total is the sum
+   * of the best counting scores. Clubs with fewer archers than counting scores are listed after the
+   * ranked teams as incomplete. Teams level on total share a position.
+   * @param {Array} scores - All archer scores for a competition
+   * @param {Object|null} competition - Competition the scores belong to
+   * @returns {Array} Teams of { club, members, counting, total, complete, position, tied } in
+   *   ranking order; members are the team's archers, best first, and counting the ones that score
+   */
+  rankTeams: function(scores, competition) {
+    const rules = TeamResults.getRules(competition);
+    const clubs = new Map();
+    
+    scores.filter(archer => TeamResults.isEligible(archer, rules)).forEach(archer => {
+      const key = TeamResults.getClubKey(archer.club);
+      if (!clubs.has(key)) {
+        clubs.set(key, { club: archer.club.trim(), archers: [] });
+      }
+      clubs.get(key).archers.push(archer);
+    });
+    
+    const teams = [...clubs.values()].map(({ club, archers }) => {
+      const members = [...archers].sort((a, b) => b.total - a.total).slice(0, rules.teamSize);
+      const counting = members.slice(0, rules.countingScores);
+      return {
+        club,
+        members,
+        counting,
+        total: counting.reduce((sum, archer) => sum + (archer.total || 0), 0),
+        complete: counting.length === rules.countingScores,
+        position: null,
+        tied: false
+      };
+    });
+    
+    const ranked = teams.filter(team => team.complete).sort((a, b) => b.total - a.total || a.club.localeCompare(b.club));
+    ranked.forEach((team, index) => {
+      const previous = ranked[index - 1];
+      const next = ranked[index + 1];
+      team.position = previous && previous.total === team.total ? previous.position : index + 1;
+      team.tied = (!!previous && previous.total === team.total) || (!!next && next.total === team.total);
+    });
+    
+    const incomplete = teams.filter(team => !team.complete).sort((a, b) => b.total - a.total || a.club.localeCompare(b.club));
+    return [...ranked, ...incomplete];
+  }
+};
+
+// Make it available globally
+window.TeamResults = TeamResults;
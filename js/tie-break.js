@@ -0,0 +1,268 @@
+/**
+ * Tie-Break Rules for Archery Competition Tracker
+ * Ranks archers within a division and resolves draws for podium places
+ */
+import { TIE_BREAK_RULES, DEFAULT_TIE_BREAK_RULES, PODIUM_POSITIONS } from './constants.js';
+import { Round } from './models.js';
+
+export const TieBreak = {
+  /**
+   * Get the tie-break rules configured for a competition
+   * @param {Object|null} competition - Competition object
+   * @returns {Array} Ordered array of rule IDs
+   */
+  getRules: function(competition) {
+    return competition && Array.isArray(competition.tieBreakRules) ?
+      competition.tieBreakRules :
+      DEFAULT_TIE_BREAK_RULES;
+  },
+  
+  /**
+   * Get a human readable label for a rule
+   * @param {string} rule - Rule ID
+   * @param {Round} round - Round the competition is shot under
+   * @returns {string} Rule label, e.g. "Most 5s"
+   */
+  describeRule: function(rule, round) {
+    const values = TieBreak.getScoringValues(round);
+    
+    switch (rule) {
+      case TIE_BREAK_RULES.TOP_ARROWS:
+        return `Most ${values[0] !== undefined ? values[0] : 'top'}s`;
+      case TIE_BREAK_RULES.NEXT_ARROWS:
+        return `Most ${values[1] !== undefined ? values[1] : 'second-best'}s`;
+      case TIE_BREAK_RULES.SHOOT_OFF:
+        return 'Shoot-off';
+      default:
+        return rule;
+    }
+  },
+  
+  /**
+   * Get the scoring arrow values of a round, highest first
+   * @param {Round} round - Round definition
+   * @returns {Array} Non-zero arrow values in descending order
+   */
+  getScoringValues: function(round) {
+    return round.allowedValues.filter(value => value > 0).sort((a, b) => b - a);
+  },
+  
+  /**
+   * Count how many arrows of a given value an archer shot
+   * @param {Object} archer - Archer object
+   * @param {number} value - Arrow value to count
+   * @returns {number|null} Number of arrows, or null if no scoresheet was recorded
+   */
+  countArrows: function(archer, value) {
+    if (!archer.scoresheet) return null;
+    
+    return Object.values(archer.scoresheet).reduce((count, targets) =>
+      count + (targets || []).reduce((targetCount, arrows) =>
+        targetCount + arrows.filter(arrow => arrow === value).length, 0), 0);
+  },
+  
+  /**
+   * Compare two archers using a single rule
+   * @param {Object} a - First archer
+   * @param {Object} b - Second archer
+   * @param {string} rule - Rule ID
+   * @param {Round} round - Round definition
+   * @returns {number} Negative if a ranks higher, positive if b ranks higher, 0 if still tied
+   */
+  compareByRule: function(a, b, rule, round) {
+    const values = TieBreak.getScoringValues(round);
+    
+    switch (rule) {
+      case TIE_BREAK_RULES.TOP_ARROWS:
+      case TIE_BREAK_RULES.NEXT_ARROWS: {
+        const value = values[rule === TIE_BREAK_RULES.TOP_ARROWS ? 0 : 1];
+        const countA = TieBreak.countArrows(a, value);
+        const countB = TieBreak.countArrows(b, value);
+        
+        // Arrow counts are only comparable when both archers have a scoresheet
+        if (value === undefined || countA === null || countB === null) return 0;
+        return countB - countA;
+      }
+      
+      case TIE_BREAK_RULES.SHOOT_OFF: {
+        const arrowsA = a.shootOff || [];
+        const arrowsB = b.shootOff || [];
+        
+        // Shoot-off arrows are compared one at a time until one archer is ahead
+        const arrowCount = Math.min(arrowsA.length, arrowsB.length);
+        for (let i = 0; i < arrowCount; i++) {
+          if (arrowsA[i] !== arrowsB[i]) return arrowsB[i] - arrowsA[i];
+        }
+        return 0;
+      }
+      
+      default:
+        return 0;
+    }
+  },
+  
+  /**
+   * Compare two archers on total and then on each tie-break rule
+   * @param {Object} a - First archer
+   * @param {Object} b - Second archer
+   * @param {Array} rules - Ordered rule IDs
+   * @param {Round} round - Round definition
+   * @returns {Object} Object with result (sort order) and the rule that decided it, if any
+   */
+  compareArchers: function(a, b, rules, round) {
+    if (a.total !== b.total) {
+      return { result: b.total - a.total, rule: null };
+    }
+    
+    for (const rule of rules) {
+      const result = TieBreak.compareByRule(a, b, rule, round);
+      if (result !== 0) {
+        return { result, rule };
+      }
+    }
+    
+    return { result: 0, rule: null };
+  },
+  
+  /**
+   * Get the rules that can be applied fairly to a group of tied archers
+   * Arrow counts are skipped unless every archer in the group has a scoresheet
+   * @param {Array} group - Archers tied on total
+   * @param {Array} rules - Ordered rule IDs
+   * @returns {Array} Ordered rule IDs usable for this group
+   */
+  getApplicableRules: function(group, rules) {
+    const allHaveScoresheets = group.every(archer => !!archer.scoresheet);
+    return rules.filter(rule =>
+      allHaveScoresheets || (rule !== TIE_BREAK_RULES.TOP_ARROWS && rule !== TIE_BREAK_RULES.NEXT_ARROWS));
+  },
+  
+  /**
+   * Rank archers within one division
+   * Ties on total are only broken for podium places; other ties share a position
+   * @param {Array} archers - Archers in the division
+   * @param {Object|null} competition - Competition the archers belong to
+   * @returns {Array} Entries of { archer, position, tied, resolvedBy } sorted by position
+   */
+  rankArchers: function(archers, competition) {
+    const round = Round.forCompetition(competition);
+    const rules = TieBreak.getRules(competition);
+    const sorted = [...archers].sort((a, b) => b.total - a.total);
+    const ranked = [];
+    
+    let index = 0;
+    while (index < sorted.length) {
+      // Collect the group of archers tied on total
+      const group = sorted.filter(archer => archer.total === sorted[index].total);
+      const groupStart = index + 1;
+      
+      if (group.length === 1 || groupStart > PODIUM_POSITIONS) {
+        group.forEach(archer => {
+          ranked.push({ archer, position: groupStart, tied: group.length > 1, resolvedBy: null });
+        });
+      } else {
+        const groupRules = TieBreak.getApplicableRules(group, rules);
+        group.sort((a, b) => TieBreak.compareArchers(a, b, groupRules, round).result);
+        
+        group.forEach((archer, groupIndex) => {
+          const previous = group[groupIndex - 1];
+          const next = group[groupIndex + 1];
+          const againstPrevious = previous ? TieBreak.compareArchers(previous, archer, groupRules, round) : null;
+          const againstNext = next ? TieBreak.compareArchers(archer, next, groupRules, round) : null;
+          
+          const position = againstPrevious && againstPrevious.result === 0 ?
+            ranked[ranked.length - 1].position :
+            groupStart + groupIndex;
+          
+          // An archer is still tied if they can't be separated from a neighbour
+          const tied = (againstPrevious && againstPrevious.result === 0) || (againstNext && againstNext.result === 0);
+          
+          // Record the rule that separated this archer from the one below (or above, for the last)
+          const decider = againstNext && againstNext.result !== 0 ? againstNext : againstPrevious;
+          
+          ranked.push({
+            archer,
+            position,
+            tied: !!tied,
+            resolvedBy: decider && decider.result !== 0 ? decider.rule : null
+          });
+        });
+      }
+      
+      index += group.length;
+    }
+    
+    return ranked;
+  },
+  
+  /**
+   * Group scores by category and age and rank each division
+   * @param {Array} scores - All archer scores for a competition
+   * @param {Object|null} competition - Competition the scores belong to
+   * @returns {Array} Divisions of { category, age, entries } sorted by category then age
+   */
+  rankByDivision: function(scores, competition) {
+    const divisions = {};
+    
+    scores.forEach(score => {
+      const key = `${score.category}-${score.age}`;
+      if (!divisions[key]) {
+        divisions[key] = {
+          category: score.category,
+          age: score.age,
+          archers: []
+        };
+      }
+      divisions[key].archers.push(score);
+    });
+    
+    return Object.values(divisions)
+      .sort((a, b) => {
+        if (a.category !== b.category) return a.category.localeCompare(b.category);
+        return a.age.localeCompare(b.age);
+      })
+      .map(division => ({
+        category: division.category,
+        age: division.age,
+        entries: TieBreak.rankArchers(division.archers, competition)
+      }));
+  },
+  
+  /**
+   * Find unresolved draws for podium places
+   * @param {Array} divisions - Ranked divisions from rankByDivision
+   * @returns {Array} Draws of { category, age, position, score, archers }
+   */
+  findUnresolvedDraws: function(divisions) {
+    const draws = [];
+    
+    divisions.forEach(division => {
+      const byPosition = {};
+      division.entries
+        .filter(entry => entry.tied && entry.position <= PODIUM_POSITIONS)
+        .forEach(entry => {
+          if (!byPosition[entry.position]) {
+            byPosition[entry.position] = [];
+          }
+          byPosition[entry.position].push(entry.archer);
+        });
+      
+      Object.entries(byPosition).forEach(([position, archers]) => {
+        draws.push({
+          category: division.category,
+          age: division.age,
+          position: parseInt(position),
+          score: archers[0].total,
+          archers: archers
+        });
+      });
+    });
+    
+    return draws;
+  }
+};
+
+// Make it available globally
+if (typeof window !== 'undefined') {
+  window.TieBreak = TieBreak;
+}
@@ -2,8 +2,10 @@
  * UI Helpers for Archery Competition Tracker
  * Provides common UI utility functions and notifications
  */
-import { UI } from './constants.js';
+import { UI, HISTORY } from './constants.js';
 import { ArcheryUIRenderer } from './ui-renderer.js';
+import { ArcheryDataService } from './data-service.js';
+import { Toast } from './components.js';
 // Bootstrap is loaded globally in the HTML file
 
 export const UIHelpers = {
@@ -15,11 +17,46 @@ export const UIHelpers = {
   showNotification: function(title, message) {
     document.getElementById('toastTitle').textContent = title;
     document.getElementById('toastMessage').textContent = message;
+    document.getElementById('toastActions').classList.add('d-none');
     const notificationToast = bootstrap.Toast.getOrCreateInstance(document.getElementById('notificationToast'));
     notificationToast.show();
     UIHelpers.announceToScreenReader(message);
   },
   
+  /**
+   * Show a notification with an "Undo" button for a change that was just made
+   * @param {string} title - Notification title
+   * @param {string} message - Notification message
+   */
+  showUndoNotification: function(title, message) {
+    Toast.show({
+      title,
+      message,
+      type: 'success',
+      duration: HISTORY.UNDO_TOAST_DURATION,
+      action: { label: 'Undo', onClick: () => UIHelpers.undoLastChange() }
+    });
+    UIHelpers.announceToScreenReader(message);
+  },
+  
+  /**
+   * Undo the most recent change and tell the user what was undone
+   * @returns {Promise} Promise resolving when done
+   */
+  undoLastChange: async function() {
+    const result = await ArcheryDataService.undo();
+    UIHelpers.showNotification(result.success ? 'Undone' : 'Undo', result.success ? result.label : result.message);
+  },
+  
+  /**
+   * Redo the most recently undone change and tell the user what was redone
+   * @returns {Promise} Promise resolving when done
+   */
+  redoLastChange: async function() {
+    const result = await ArcheryDataService.redo();
+    UIHelpers.showNotification(result.success ? 'Redone' : 'Redo', result.success ? result.label : result.message);
+  },
+  
   /**
    * Show confirmation modal
    * @param {string} message - Confirmation message
@@ -4,9 +4,22 @@
  */
 import { UIHelpers } from './ui-helpers.js';
 import { ArcheryDataService } from './data-service.js';
+import { Archer, Round, Competition } from './models.js';
+import { DB, DIVISION_PRESETS, TIE_BREAK_RULES, PODIUM_POSITIONS, AUDIT, SHARING, RESULT_VIEWS, RESULT_VIEW_LABELS, CERTIFICATE_PLACEHOLDERS } from './constants.js';
+import { TieBreak } from './tie-break.js';
+import { TeamResults } from './team-results.js';
+import { ResultsEngine } from './results-engine.js';
+import { Modal } from './components.js';
+import { ArcheryAuditService } from './audit-service.js';
+import { DOMUtils } from './utilities.js';
 // Bootstrap is loaded globally in the HTML file
 
+const { escapeHtml } = DOMUtils;
+
 export const ArcheryUIRenderer = {
+  // Ranking shown in the Results tab, from RESULT_VIEWS
+  resultsView: RESULT_VIEWS.DIVISIONS,
+  
   /**
    * Render the competition selector dropdown
    * @param {HTMLElement} container - Container element for the dropdown
@@ -17,6 +30,7 @@ export const ArcheryUIRenderer = {
       // Get all competitions
       const competitions = await ArcheryDataService.getCompetitions();
       const activeCompetition = ArcheryDataService.getActiveCompetition();
+      const canManage = !!activeCompetition && ArcheryDataService.can(activeCompetition, SHARING.ACTIONS.MANAGE);
       
       if (!competitions || competitions.length === 0) {
         container.innerHTML = `
@@ -59,12 +73,13 @@ export const ArcheryUIRenderer = {
             <button type="button" class="btn btn-success" id="createCompetitionBtn">
               <i class="bi bi-plus-circle" aria-hidden="true"></i> New
             </button>
+            ${canManage ? `
             <button type="button" class="btn btn-warning" id="editCompetitionBtn">
               <i class="bi bi-pencil" aria-hidden="true"></i> Edit
             </button>
             <button type="button" class="btn btn-danger" id="deleteCompetitionBtn">
               <i class="bi bi-trash" aria-hidden="true"></i> Delete
-            </button>
+            </button>` : ''}
           </div>
         </div>
       `;
@@ -122,6 +137,7 @@ export const ArcheryUIRenderer = {
                 <th>Name</th>
                 <th>Date</th>
                 <th>Description</th>
+                <th>Round</th>
                 <th>Archers</th>
                 <th>Status</th>
                 <th>Actions</th>
@@ -134,24 +150,14 @@ export const ArcheryUIRenderer = {
       for (const competition of filteredCompetitions) {
         const formattedDate = new Date(competition.date).toLocaleDateString();
         const isActive = activeCompetition && competition.id === activeCompetition.id;
+        const role = ArcheryDataService.getRole(competition);
+        const canManage = ArcheryDataService.can(competition, SHARING.ACTIONS.MANAGE);
         
         // Count archers in this competition
         let archerCount = 0;
         try {
-          // Temporarily set as active to get count
-          if (!isActive) {
-            await ArcheryDataService.setActiveCompetition(competition.id);
-            const archers = await ArcheryDataService.getAllScores();
-            archerCount = archers.length;
-            // Restore the original active competition
-            if (activeCompetition) {
-              await ArcheryDataService.setActiveCompetition(activeCompetition.id);
-            }
-          } else {
-            // Already active, just get the count
-            const archers = await ArcheryDataService.getAllScores();
-            archerCount = archers.length;
-          }
+          const archers = await ArcheryDataService.getScoresByCompetition(competition.id);
+          archerCount = archers.length;
         } catch (error) {
           console.error('Error counting archers for competition:', error);
         }
@@ -161,20 +167,27 @@ export const ArcheryUIRenderer = {
             <td>${competition.name}</td>
             <td>${formattedDate}</td>
             <td>${competition.description || ''}</td>
+            <td>${Round.forCompetition(competition).name}</td>
             <td>${archerCount} archers</td>
             <td>
               ${isActive ? 
                 '<span class="badge bg-primary">Active</span>' : 
                 '<button class="btn btn-sm btn-outline-primary activate-competition-btn">Activate</button>'}
+              ${Competition.isShared(competition) ? `<span class="badge bg-info text-dark">Shared: ${SHARING.ROLE_LABELS[role]}</span>` : ''}
             </td>
             <td>
               <div class="btn-group btn-group-sm">
+                ${canManage ? `
                 <button type="button" class="btn btn-warning edit-competition-btn">
                   <i class="bi bi-pencil" aria-hidden="true"></i> Edit
+                </button>` : ''}
+                <button type="button" class="btn btn-secondary export-competition-btn">
+                  <i class="bi bi-box-arrow-up" aria-hidden="true"></i> Export
                 </button>
+                ${canManage ? `
                 <button type="button" class="btn btn-danger delete-competition-btn" ${isActive ? 'disabled' : ''}>
                   <i class="bi bi-trash" aria-hidden="true"></i> Delete
-                </button>
+                </button>` : ''}
               </div>
             </td>
           </tr>
@@ -198,6 +211,82 @@ export const ArcheryUIRenderer = {
     }
   },
   
+  /**
+   * Render the recycle bin of deleted competitions and archers
+   * @param {HTMLElement} container - Container element
+   * @returns {Promise} Promise resolving when rendering is complete
+   */
+  renderRecycleBin: async function(container) {
+    if (!container) return;
+    
+    try {
+      const bin = await ArcheryDataService.getRecycleBin();
+      
+      if (bin.competitions.length === 0 && bin.archers.length === 0) {
+        container.innerHTML = '<p class="text-muted mb-0">The recycle bin is empty.</p>';
+        return;
+      }
+      
+      const itemButtons = (store, key, name) => `
+        <div class="btn-group btn-group-sm">
+          <button type="button" class="btn btn-outline-success restore-item-btn" data-store="${store}" data-key="${key}" aria-label="Restore ${name}">
+            <i class="bi bi-arrow-counterclockwise" aria-hidden="true"></i> Restore
+          </button>
+          <button type="button" class="btn btn-outline-danger purge-item-btn" data-store="${store}" data-key="${key}" data-name="${name}" aria-label="Permanently delete ${name}">
+            <i class="bi bi-x-circle" aria-hidden="true"></i> Delete Forever
+          </button>
+        </div>
+      `;
+      
+      const rows = [
+        ...bin.competitions.map(({ competition, archerCount }) => ({
+          deletedAt: competition.deletedAt,
+          html: `
+            <td>${competition.name}</td>
+            <td>Competition</td>
+            <td>${archerCount} archers</td>
+            <td>${new Date(competition.deletedAt).toLocaleString()}</td>
+            <td>${itemButtons(DB.STORES.COMPETITIONS, competition.id, competition.name)}</td>
+          `
+        })),
+        ...bin.archers.map(({ archer, competitionName }) => ({
+          deletedAt: archer.deletedAt,
+          html: `
+            <td>${archer.name}</td>
+            <td>Archer</td>
+            <td>${competitionName}</td>
+            <td>${new Date(archer.deletedAt).toLocaleString()}</td>
+            <td>${itemButtons(DB.STORES.ARCHERS, archer.id, archer.name)}</td>
+          `
+        }))
+      ].sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+      
+      container.innerHTML = `
+        <table class="table table-sm table-striped">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Type</th>
+              <th>Details</th>
+              <th>Deleted</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rows.map(row => `<tr>${row.html}</tr>`).join('')}
+          </tbody>
+        </table>
+      `;
+    } catch (error) {
+      console.error('Error rendering recycle bin:', error);
+      container.innerHTML = `
+        <div class="alert alert-danger">
+          Error loading the recycle bin. Please try refreshing the page.
+        </div>
+      `;
+    }
+  },
+  
   /**
    * Create or update a competition modal
    * @param {Object|null} competition - Competition to edit, or null for new
@@ -231,8 +320,32 @@ export const ArcheryUIRenderer = {
       formattedDate = new Date().toISOString().split('T')[0];
     }
     
+    const divisions = Competition.getDivisions(competition);
+    const presetOptions = Object.values(DIVISION_PRESETS).map(preset => `
+      <option value="${preset.id}">${preset.name}</option>
+    `).join('');
+    
+    const selectedRules = TieBreak.getRules(competition);
+    const teamRules = TeamResults.getRules(competition);
+    const certificateTemplate = Competition.getCertificateTemplate(competition);
+    
+    const selectedRound = Round.forCompetition(competition);
+    const roundOptions = Round.getAll().map(round => `
+      <option value="${round.id}" ${round.id === selectedRound.id ? 'selected' : ''}>
+        ${round.name} - ${round.description} (max ${round.maxScore})
+      </option>
+    `).join('');
+    
+    const ruleOptions = Object.values(TIE_BREAK_RULES).map(rule => `
+      <div class="form-check">
+        <input class="form-check-input tie-break-rule" type="checkbox" value="${rule}" id="tieBreak-${rule}"
+          ${selectedRules.includes(rule) ? 'checked' : ''}>
+        <label class="form-check-label" for="tieBreak-${rule}">${TieBreak.describeRule(rule, selectedRound)}</label>
+      </div>
+    `).join('');
+    
     modal.innerHTML = `
-      <div class="modal-dialog">
+      <div class="modal-dialog modal-lg">
         <div class="modal-content">
           <div class="modal-header">
             <h5 class="modal-title" id="${modalId}Label">
@@ -256,6 +369,98 @@ export const ArcheryUIRenderer = {
                   value="${formattedDate}" required>
               </div>
               
+              <div class="mb-3">
+                <label for="competitionRound" class="form-label">Round</label>
+                <select class="form-select" id="competitionRound" required aria-describedby="competitionRoundHelp">
+                  ${roundOptions}
+                </select>
+                <div id="competitionRoundHelp" class="form-text">
+                  Scores are validated against the round's targets, arrow values and maximum score.
+                </div>
+              </div>
+              
+              <fieldset class="mb-3" aria-describedby="tieBreakHelp">
+                <legend class="form-label fs-6">Tie-break Rules</legend>
+                ${ruleOptions}
+                <div id="tieBreakHelp" class="form-text">
+                  Applied in the order shown to separate podium archers tied on total. Arrow counts need a scoresheet.
+                </div>
+              </fieldset>
+              
+              <fieldset class="mb-3" aria-describedby="teamRulesHelp">
+                <legend class="form-label fs-6">Club Teams</legend>
+                <div class="form-check mb-2">
+                  <input class="form-check-input" type="checkbox" id="teamRulesEnabled" ${teamRules.enabled ? 'checked' : ''}>
+                  <label class="form-check-label" for="teamRulesEnabled">Award club team results</label>
+                </div>
+                <div class="row g-2">
+                  <div class="col-md-6">
+                    <label for="teamSize" class="form-label">Team size</label>
+                    <input type="number" class="form-control" id="teamSize" min="1" step="1" value="${teamRules.teamSize}" required>
+                  </div>
+                  <div class="col-md-6">
+                    <label for="teamCountingScores" class="form-label">Counting scores</label>
+                    <input type="number" class="form-control" id="teamCountingScores" min="1" step="1" value="${teamRules.countingScores}" required>
+                  </div>
+                  <div class="col-md-6">
+                    <label for="teamCategories" class="form-label">Eligible categories</label>
+                    <textarea class="form-control" id="teamCategories" rows="3" placeholder="All categories">${teamRules.eligibleCategories.join('\n')}</textarea>
+                  </div>
+                  <div class="col-md-6">
+                    <label for="teamAgeRanges" class="form-label">Eligible age classes</label>
+                    <textarea class="form-control" id="teamAgeRanges" rows="3" placeholder="All age classes">${teamRules.eligibleAgeRanges.join('\n')}</textarea>
+                  </div>
+                </div>
+                <div id="teamRulesHelp" class="form-text">
+                  Each club's best archers, up to the team size, form its team; the best counting scores make the team total.
+                  Teams come from the archers' club. Leave the eligible lists empty to include every division.
+                </div>
+              </fieldset>
+              
+              <fieldset class="mb-3" aria-describedby="certificateHelp">
+                <legend class="form-label fs-6">Certificates</legend>
+                <div class="mb-2">
+                  <label for="certificateTitle" class="form-label">Title</label>
+                  <input type="text" class="form-control" id="certificateTitle" value="${certificateTemplate.title}" required>
+                </div>
+                <div class="mb-2">
+                  <label for="certificateBody" class="form-label">Text</label>
+                  <textarea class="form-control" id="certificateBody" rows="6" required>${certificateTemplate.body}</textarea>
+                </div>
+                <div class="mb-2">
+                  <label for="certificateSignature" class="form-label">Signature line</label>
+                  <input type="text" class="form-control" id="certificateSignature" value="${certificateTemplate.signature}">
+                </div>
+                <div id="certificateHelp" class="form-text">
+                  Printed for the top ${PODIUM_POSITIONS} in each division. Each line is centred; lines left empty are dropped.
+                  Placeholders: ${CERTIFICATE_PLACEHOLDERS.map(placeholder => `<code>{${placeholder}}</code>`).join(' ')}
+                </div>
+              </fieldset>
+              
+              <fieldset class="mb-3">
+                <legend class="form-label fs-6">Divisions</legend>
+                <div class="mb-2">
+                  <label for="competitionDivisionPreset" class="form-label">Load preset</label>
+                  <select class="form-select" id="competitionDivisionPreset" aria-describedby="competitionDivisionHelp">
+                    <option value="">Choose a preset...</option>
+                    ${presetOptions}
+                  </select>
+                  <div id="competitionDivisionHelp" class="form-text">
+                    Loading a preset replaces the lists below. Enter one item per line.
+                  </div>
+                </div>
+                <div class="row g-2">
+                  <div class="col-md-6">
+                    <label for="competitionCategories" class="form-label">Categories</label>
+                    <textarea class="form-control" id="competitionCategories" rows="6" required>${divisions.categories.join('\n')}</textarea>
+                  </div>
+                  <div class="col-md-6">
+                    <label for="competitionAgeRanges" class="form-label">Age Classes</label>
+                    <textarea class="form-control" id="competitionAgeRanges" rows="6" required>${divisions.ageRanges.join('\n')}</textarea>
+                  </div>
+                </div>
+              </fieldset>
+              
               <div class="mb-3">
                 <label for="competitionDescription" class="form-label">Description</label>
                 <textarea class="form-control" id="competitionDescription" rows="3">${isEdit && competition.description ? competition.description : ''}</textarea>
@@ -276,14 +481,233 @@ export const ArcheryUIRenderer = {
     return modal;
   },
   
+  /**
+   * Create the export modal listing the registered export formats
+   * @param {Array} formatters - Formatters from ArcheryExportService.getFormatters
+   * @returns {HTMLElement} Modal element
+   */
+  createExportModal: function(formatters) {
+    const modalId = 'exportModal';
+    const activeCompetition = ArcheryDataService.getActiveCompetition();
+    
+    // Remove existing modal if it exists
+    const existingModal = document.getElementById(modalId);
+    if (existingModal) {
+      existingModal.remove();
+    }
+    
+    const modal = document.createElement('div');
+    modal.className = 'modal fade';
+    modal.id = modalId;
+    modal.tabIndex = -1;
+    modal.setAttribute('aria-labelledby', `${modalId}Label`);
+    modal.setAttribute('aria-hidden', 'true');
+    
+    const options = formatters.map((formatter, index) => `
+      <div class="form-check mb-2">
+        <input class="form-check-input" type="radio" name="exportFormat" id="exportFormat-${formatter.name}"
+          value="${formatter.name}" ${index === 0 ? 'checked' : ''} aria-describedby="exportFormatHelp-${formatter.name}">
+        <label class="form-check-label" for="exportFormat-${formatter.name}">${formatter.label}</label>
+        <div id="exportFormatHelp-${formatter.name}" class="form-text mt-0">${formatter.description}</div>
+      </div>
+    `).join('');
+    
+    modal.innerHTML = `
+      <div class="modal-dialog">
+        <div class="modal-content">
+          <div class="modal-header">
+            <h5 class="modal-title" id="${modalId}Label">Export ${activeCompetition ? activeCompetition.name : 'Results'}</h5>
+            <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+          </div>
+          <div class="modal-body">
+            <fieldset>
+              <legend class="form-label fs-6">Format</legend>
+              ${options}
+            </fieldset>
+          </div>
+          <div class="modal-footer">
+            <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
+            <button type="button" class="btn btn-success" id="confirmExportBtn">Export</button>
+          </div>
+        </div>
+      </div>
+    `;
+    
+    document.body.appendChild(modal);
+    return modal;
+  },
+  
+  /**
+   * Create the import modal with column mapping and options
+   * @param {Object} parsed - Parsed file from ArcheryExportService.importFromExcel
+   * @param {Array} fields - Importable archer fields
+   * @param {Object} mapping - Initial field key to column index mapping
+   * @returns {HTMLElement} The modal element
+   */
+  createImportModal: function(parsed, fields, mapping) {
+    const modalId = 'importModal';
+    const activeCompetition = ArcheryDataService.getActiveCompetition();
+    
+    // Remove existing modal if it exists
+    const existingModal = document.getElementById(modalId);
+    if (existingModal) {
+      existingModal.remove();
+    }
+    
+    const modal = document.createElement('div');
+    modal.className = 'modal fade';
+    modal.id = modalId;
+    modal.tabIndex = -1;
+    modal.setAttribute('aria-labelledby', `${modalId}Label`);
+    modal.setAttribute('aria-hidden', 'true');
+    
+    const mappingFields = fields.map(field => `
+      <div class="col-md-3 col-sm-6">
+        <label for="importMap-${field.key}" class="form-label">
+          ${field.label}${field.required ? ' <span class="text-danger" aria-hidden="true">*</span>' : ''}
+        </label>
+        <select class="form-select form-select-sm import-mapping" id="importMap-${field.key}" data-field="${field.key}">
+          <option value="-1">(not imported)</option>
+          ${parsed.headers.map((header, index) => `
+            <option value="${index}" ${mapping[field.key] === index ? 'selected' : ''}>${escapeHtml(header)}</option>
+          `).join('')}
+        </select>
+      </div>
+    `).join('');
+    
+    modal.innerHTML = `
+      <div class="modal-dialog modal-xl modal-dialog-scrollable">
+        <div class="modal-content">
+          <div class="modal-header">
+            <h5 class="modal-title" id="${modalId}Label">Import Archers into ${activeCompetition ? escapeHtml(activeCompetition.name) : 'Competition'}</h5>
+            <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+          </div>
+          <div class="modal-body">
+            <p class="text-muted">
+              ${escapeHtml(parsed.fileName)} &middot; sheet "${escapeHtml(parsed.sheetName)}" &middot; ${parsed.rows.length} data rows
+            </p>
+            
+            <h6>1. Match the columns</h6>
+            <div class="row g-2 mb-3">
+              ${mappingFields}
+            </div>
+            
+            <h6>2. Choose how to import</h6>
+            <div class="row g-2 mb-3 align-items-end">
+              <div class="col-md-6">
+                <label for="importMode" class="form-label">Archers already in this competition</label>
+                <select class="form-select form-select-sm" id="importMode">
+                  <option value="skip">Keep existing, skip duplicates from the file</option>
+                  <option value="update">Update existing archers from the file</option>
+                  <option value="replace">Replace all archers in this competition</option>
+                </select>
+              </div>
+              <div class="col-md-6">
+                <div class="form-check">
+                  <input class="form-check-input" type="checkbox" id="importSaveCompetitors">
+                  <label class="form-check-label" for="importSaveCompetitors">
+                    Also add imported archers to Saved Archers
+                  </label>
+                </div>
+              </div>
+            </div>
+            
+            <h6>3. Check the preview</h6>
+            <div id="importPreview" aria-live="polite"></div>
+          </div>
+          <div class="modal-footer">
+            <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
+            <button type="button" class="btn btn-primary" id="confirmImportBtn">Import</button>
+          </div>
+        </div>
+      </div>
+    `;
+    
+    document.body.appendChild(modal);
+    return modal;
+  },
+  
+  /**
+   * Render the import preview with per-row errors and duplicates
+   * @param {HTMLElement} container - Container to render into
+   * @param {Array} preview - Preview rows from ArcheryExportService.buildImportPreview
+   * @param {string} mode - Duplicate handling mode ('skip', 'update' or 'replace')
+   */
+  renderImportPreview: function(container, preview, mode) {
+    const invalidCount = preview.filter(row => row.errors.length > 0).length;
+    const duplicateCount = preview.filter(row => row.duplicate).length;
+    const importable = preview.filter(row =>
+      row.errors.length === 0 && row.duplicate !== 'file' && !(row.duplicate === 'existing' && mode === 'skip')
+    ).length;
+    
+    const statusBadge = row => {
+      if (row.errors.length > 0) return '<span class="badge bg-danger">Error</span>';
+      if (row.duplicate === 'file') return '<span class="badge bg-secondary">Repeated in file</span>';
+      if (row.duplicate === 'existing') {
+        return mode === 'skip' ? '<span class="badge bg-secondary">Duplicate - skipped</span>' :
+          mode === 'update' ? '<span class="badge bg-info text-dark">Duplicate - updates</span>' :
+          '<span class="badge bg-success">OK</span>';
+      }
+      if (row.sameName.length > 0) {
+        return '<span class="badge bg-warning text-dark" title="Another archer with this name is already entered with a different membership number or category">Same name - added separately</span>';
+      }
+      return '<span class="badge bg-success">OK</span>';
+    };
+    
+    container.innerHTML = `
+      <p>
+        <strong>${importable}</strong> of ${preview.length} rows will be imported.
+        ${invalidCount > 0 ? `<span class="text-danger">${invalidCount} with errors.</span>` : ''}
+        ${duplicateCount > 0 ? `<span class="text-muted">${duplicateCount} duplicates.</span>` : ''}
+      </p>
+      <div class="table-responsive import-preview">
+        <table class="table table-sm table-striped" aria-label="Import preview">
+          <thead>
+            <tr>
+              <th scope="col">Row</th>
+              <th scope="col">Status</th>
+              <th scope="col">Name</th>
+              <th scope="col">Club</th>
+              <th scope="col">Membership #</th>
+              <th scope="col">Category</th>
+              <th scope="col">Age</th>
+              <th scope="col">Day 1</th>
+              <th scope="col">Day 2</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${preview.map(row => `
+              <tr class="${row.errors.length > 0 ? 'table-danger' : ''}">
+                <td>${row.rowNumber}</td>
+                <td>${statusBadge(row)}</td>
+                <td>${escapeHtml(row.archer.name)}</td>
+                <td>${escapeHtml(row.archer.club)}</td>
+                <td>${escapeHtml(row.archer.membershipId)}</td>
+                <td>${escapeHtml(row.archer.category)}</td>
+                <td>${escapeHtml(row.archer.age)}</td>
+                <td>${escapeHtml(row.archer.day1)}</td>
+                <td>${escapeHtml(row.archer.day2)}</td>
+              </tr>
+              ${row.errors.length > 0 ? `
+              <tr class="table-danger">
+                <td></td>
+                <td colspan="8"><ul class="mb-0 small">${row.errors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}</ul></td>
+              </tr>` : ''}
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  },
+  
   /**
    * Render the scores table with search and highlighting
    * @param {string} searchTerm - Optional search term to filter results
-   * @param {string} highlightName - Optional name to highlight in the table
+   * @param {number} highlightId - Optional ID of the archer to highlight in the table
    * @returns {Promise} Promise resolving when rendering is complete
    */
   // This function needs to be updated to include the membership ID field
-renderScoresTable: async function(searchTerm = '', highlightName = null) {
+renderScoresTable: async function(searchTerm = '', highlightId = null) {
   const scoresTable = document.getElementById('scoresTable');
   
   try {
@@ -336,44 +760,65 @@ renderScoresTable: async function(searchTerm = '', highlightName = null) {
         <tbody>
     `;
     
-    filteredScores.forEach((score, index) => {
-      const isHighlighted = highlightName && score.name === highlightName;
+    const round = ArcheryDataService.getActiveRound();
+    const categories = ArcheryDataService.getCategories();
+    const ageRanges = ArcheryDataService.getAgeRanges();
+    const canScore = ArcheryDataService.can(activeCompetition, SHARING.ACTIONS.SCORE);
+    
+    filteredScores.forEach(score => {
+      const isHighlighted = highlightId !== null && score.id === highlightId;
       const rowClass = isHighlighted ? 'highlight-row' : '';
       
+      // Day totals are computed from the scoresheet, so they can't be edited directly
+      const dayReadonly = score.scoresheet ? 'readonly title="Calculated from scoresheet"' : '';
+      
+      // Keep a division that was removed from the competition selectable for this archer
+      const categoryOptions = categories.includes(score.category) ? categories : [score.category, ...categories];
+      const ageOptions = ageRanges.includes(score.age) ? ageRanges : [score.age, ...ageRanges];
+      
       html += `
-        <tr id="row-${index}" data-index="${index}" class="${rowClass}">
+        <tr id="row-${score.id}" data-archer-id="${score.id}" class="${rowClass}">
           <td><span class="view-mode">${score.name}</span><input type="text" class="form-control edit-mode" value="${score.name}" style="display:none;" aria-label="Edit Name"></td>
           <td><span class="view-mode">${score.club || ''}</span><input type="text" class="form-control edit-mode" value="${score.club || ''}" style="display:none;" aria-label="Edit Club"></td>
           <td><span class="view-mode">${score.membershipId || ''}</span><input type="text" class="form-control edit-mode" value="${score.membershipId || ''}" style="display:none;" aria-label="Edit Membership ID"></td>
           <td>
             <span class="view-mode">${score.category}</span>
             <select class="form-select edit-mode" style="display:none;" aria-label="Edit Category">
-              ${ArcheryDataService.categories.map(cat => `<option value="${cat}" ${cat === score.category ? 'selected' : ''}>${cat}</option>`).join('')}
+              ${categoryOptions.map(cat => `<option value="${cat}" ${cat === score.category ? 'selected' : ''}>${cat}</option>`).join('')}
             </select>
           </td>
           <td>
             <span class="view-mode">${score.age}</span>
             <select class="form-select edit-mode" style="display:none;" aria-label="Edit Age Range">
-              ${ArcheryDataService.ageRanges.map(age => `<option value="${age}" ${age === score.age ? 'selected' : ''}>${age}</option>`).join('')}
+              ${ageOptions.map(age => `<option value="${age}" ${age === score.age ? 'selected' : ''}>${age}</option>`).join('')}
             </select>
           </td>
-          <td><span class="view-mode">${score.day1}</span><input type="number" min="0" class="form-control edit-mode" value="${score.day1}" style="display:none;" aria-label="Edit Day 1 Score"></td>
-          <td><span class="view-mode">${score.day2 || 0}</span><input type="number" min="0" class="form-control edit-mode" value="${score.day2 || 0}" style="display:none;" aria-label="Edit Day 2 Score"></td>
+          <td><span class="view-mode">${score.day1}</span><input type="number" min="0" max="${round.maxScore}" class="form-control edit-mode" value="${score.day1}" style="display:none;" aria-label="Edit Day 1 Score" ${dayReadonly}></td>
+          <td><span class="view-mode">${score.day2 || 0}</span><input type="number" min="0" max="${round.maxScore}" class="form-control edit-mode" value="${score.day2 || 0}" style="display:none;" aria-label="Edit Day 2 Score" ${dayReadonly}></td>
           <td><strong>${score.total}</strong></td>
           <td>
             <div class="normal-controls">
-              <button class="btn btn-sm btn-warning edit-btn" data-index="${index}" aria-label="Edit ${score.name}">
+              ${canScore ? `
+              <button class="btn btn-sm btn-warning edit-btn" data-archer-id="${score.id}" aria-label="Edit ${score.name}">
                 <i class="bi bi-pencil" aria-hidden="true"></i> Edit
+              </button>` : ''}
+              ${score.scoresheet || canScore ? `
+              <button class="btn btn-sm btn-info scoresheet-btn" data-archer-id="${score.id}" aria-label="${canScore ? 'Edit' : 'View'} scoresheet for ${score.name}">
+                <i class="bi bi-grid-3x3" aria-hidden="true"></i> Scoresheet
+              </button>` : ''}
+              <button class="btn btn-sm btn-secondary history-btn" data-archer-id="${score.id}" aria-label="View change history for ${score.name}">
+                <i class="bi bi-clock-history" aria-hidden="true"></i> History
               </button>
-              <button class="btn btn-sm btn-danger delete-btn" data-index="${index}" aria-label="Delete ${score.name}">
+              ${canScore ? `
+              <button class="btn btn-sm btn-danger delete-btn" data-archer-id="${score.id}" aria-label="Delete ${score.name}">
                 <i class="bi bi-trash" aria-hidden="true"></i> Delete
-              </button>
+              </button>` : ''}
             </div>
             <div class="edit-controls" style="display:none;">
-              <button class="btn btn-sm btn-success save-btn" data-index="${index}" aria-label="Save changes for ${score.name}">
+              <button class="btn btn-sm btn-success save-btn" data-archer-id="${score.id}" aria-label="Save changes for ${score.name}">
                 <i class="bi bi-check-lg" aria-hidden="true"></i> Save
               </button>
-              <button class="btn btn-sm btn-secondary cancel-btn" data-index="${index}" aria-label="Cancel editing ${score.name}">
+              <button class="btn btn-sm btn-secondary cancel-btn" data-archer-id="${score.id}" aria-label="Cancel editing ${score.name}">
                 <i class="bi bi-x-lg" aria-hidden="true"></i> Cancel
               </button>
             </div>
@@ -389,8 +834,8 @@ renderScoresTable: async function(searchTerm = '', highlightName = null) {
     
     scoresTable.innerHTML = html;
     
-    // If highlighted name exists, scroll to it
-    if (highlightName) {
+    // If a highlighted archer exists, scroll to it
+    if (highlightId !== null) {
       const highlightedRow = document.querySelector('.highlight-row');
       if (highlightedRow) {
         highlightedRow.scrollIntoView({ behavior: 'smooth', block: 'center' });
@@ -431,50 +876,17 @@ renderScoresTable: async function(searchTerm = '', highlightName = null) {
         return;
       }
       
-      // Group scores by category and age
-      const categories = {};
-      scores.forEach(score => {
-        const key = `${score.category}-${score.age}`;
-        if (!categories[key]) {
-          categories[key] = {
-            category: score.category,
-            age: score.age,
-            archers: []
-          };
-        }
-        categories[key].archers.push(score);
-      });
+      const round = ArcheryDataService.getActiveRound();
+      const view = ArcheryUIRenderer.resultsView;
+      const handicaps = view === RESULT_VIEWS.HANDICAP ? await ArcheryDataService.getHandicaps() : new Map();
+      const standings = ResultsEngine.getStandings(view, scores, activeCompetition, handicaps);
       
-      // Check for draws
-      const draws = [];
-      
-      Object.values(categories).forEach(category => {
-        // Sort archers by score (descending)
-        category.archers.sort((a, b) => b.total - a.total);
-        
-        // Find draws in top 3
-        const topScores = {};
-        category.archers.slice(0, 3).forEach(archer => {
-          if (!topScores[archer.total]) {
-            topScores[archer.total] = [];
-          }
-          topScores[archer.total].push(archer.name);
-        });
-        
-        // Record draws
-        Object.entries(topScores).forEach(([score, names]) => {
-          if (names.length > 1) {
-            const position = category.archers.findIndex(a => a.total === parseInt(score)) + 1;
-            draws.push({
-              category: category.category,
-              age: category.age,
-              position: position,
-              score: score,
-              archers: names
-            });
-          }
-        });
-      });
+      // Podium draws the competition's tie-break rules could not resolve
+      const draws = standings.draws;
+      const rules = TieBreak.getRules(activeCompetition);
+      const canShootOff = rules.includes(TIE_BREAK_RULES.SHOOT_OFF);
+      const showDivision = view !== RESULT_VIEWS.DIVISIONS;
+      const showHandicap = view === RESULT_VIEWS.HANDICAP;
       
       // Start building HTML
       let html = `
@@ -484,85 +896,92 @@ renderScoresTable: async function(searchTerm = '', highlightName = null) {
             ${new Date(activeCompetition.date).toLocaleDateString()}
             ${activeCompetition.description ? ` - ${activeCompetition.description}` : ''}
           </p>
+          <p class="text-muted mb-0">
+            Round: ${round.name} (${round.description}) &middot;
+            Max score: ${round.maxScore}${round.days > 1 ? ` per day, ${round.getMaxTotal()} total` : ''}
+          </p>
+        </div>
+        
+        <div class="d-flex align-items-center gap-2 mb-3 no-print">
+          <label for="resultsViewSelect" class="form-label mb-0">Rank</label>
+          <select class="form-select w-auto" id="resultsViewSelect">
+            ${Object.values(RESULT_VIEWS).map(option => `
+              <option value="${option}" ${option === view ? 'selected' : ''}>${RESULT_VIEW_LABELS[option]}</option>
+            `).join('')}
+          </select>
         </div>
       `;
       
+      // Tie-break rules in use
+      html += `
+        <p class="small text-muted">
+          Ties for the top ${PODIUM_POSITIONS} are broken by:
+          ${rules.length > 0 ? rules.map(rule => TieBreak.describeRule(rule, round)).join(', then ') : 'no rules (draws are shared)'}
+        </p>
+      `;
+      
+      if (showHandicap) {
+        html += `
+          <p class="small text-muted">
+            Each archer's handicap, set on their saved competitor, is added to their total.
+            Archers are matched to saved competitors on name and membership number.
+            ${standings.excluded.length > 0 ? `Not ranked without a handicap: ${standings.excluded.map(archer => archer.name).join(', ')}.` : ''}
+          </p>
+        `;
+      }
+      
       // Draw warnings
       if (draws.length > 0) {
         html += `
           <div class="alert alert-warning mb-4" role="alert">
             <h3 class="h5"><i class="bi bi-exclamation-triangle" aria-hidden="true"></i> Draws Detected</h3>
-            <p>The following draws need to be resolved:</p>
+            <p>The following draws could not be resolved by the tie-break rules${canShootOff ? ' and need a shoot-off' : ''}:</p>
             <ul>
-              ${draws.map(draw => `
-                <li><strong>${draw.category} - ${draw.age}</strong>: 
+              ${draws.map((draw, drawIndex) => `
+                <li class="mb-1"><strong>${draw.category} - ${draw.age}</strong>: 
                   Draw for position ${draw.position} (${draw.score} points) between 
-                  ${draw.archers.join(', ')}</li>
+                  ${draw.archers.map(archer => archer.name).join(', ')}
+                  ${canShootOff ? `
+                  <button type="button" class="btn btn-sm btn-outline-dark ms-2 record-shootoff-btn" data-draw-index="${drawIndex}">
+                    <i class="bi bi-bullseye" aria-hidden="true"></i> Record Shoot-off
+                  </button>` : ''}
+                </li>
               `).join('')}
             </ul>
           </div>
         `;
       }
       
-      // Results by category
-      Object.values(categories).sort((a, b) => {
-        if (a.category !== b.category) return a.category.localeCompare(b.category);
-        return a.age.localeCompare(b.age);
-      }).forEach(category => {
+      if (standings.groups.length === 0) {
+        html += '<p>No archers can be ranked in this view yet. Set handicaps on the Saved Archers tab.</p>';
+      }
+      
+      // Results by group
+      standings.groups.forEach(group => {
         html += `
           <div class="card mb-4">
             <div class="card-header bg-primary text-white">
-              <h3 class="h5 mb-0">${category.category} - ${category.age}</h3>
+              <h3 class="h5 mb-0">${group.title}</h3>
             </div>
             <div class="card-body p-0">
-              <table class="table table-striped mb-0" aria-label="Results for ${category.category} - ${category.age}">
-                <caption class="visually-hidden">Results in ${category.category} - ${category.age}</caption>
+              <table class="table table-striped mb-0" aria-label="Results for ${group.title}">
+                <caption class="visually-hidden">Results in ${group.title}</caption>
                 <thead>
                   <tr>
                     <th scope="col">Position</th>
                     <th scope="col">Name</th>
                     <th scope="col">Club</th>
+                    ${showDivision ? '<th scope="col">Division</th>' : ''}
+                    ${showHandicap ? '<th scope="col">Score</th><th scope="col">Handicap</th>' : ''}
                     <th scope="col">Total</th>
                   </tr>
                 </thead>
                 <tbody>
         `;
         
-        // Display archers in reverse order for top 3 (3, 2, 1)
-        let displayArchers = [...category.archers];
-        
-        if (displayArchers.length >= 3) {
-          const topThree = displayArchers.slice(0, 3).reverse();
-          const rest = displayArchers.slice(3);
-          displayArchers = [...topThree, ...rest];
-        } else {
-          displayArchers.reverse();
-        }
-        
-        // Calculate positions correctly
-        const positionMap = new Map();
-        let currentPosition = 1;
-        let lastScore = null;
-        let skipCount = 0;
-        
-        category.archers.forEach((archer, idx) => {
-          if (idx === 0) {
-            positionMap.set(archer.total, 1);
-            lastScore = archer.total;
-          } else if (archer.total === lastScore) {
-            positionMap.set(archer.total, currentPosition);
-            skipCount++;
-          } else {
-            currentPosition = idx + 1;
-            positionMap.set(archer.total, currentPosition);
-            lastScore = archer.total;
-          }
-        });
-        
-        // Render each archer
-        displayArchers.forEach(archer => {
-          const position = positionMap.get(archer.total);
-          const isDraw = category.archers.filter(a => a.total === archer.total).length > 1;
+        // Render each archer, top 3 in reverse order (3, 2, 1)
+        ResultsEngine.getPodiumOrder(group.entries).forEach(entry => {
+          const { archer, position } = entry;
           
           const rowClass = position === 1 ? 'position-1' : 
                           position === 2 ? 'position-2' : 
@@ -576,17 +995,23 @@ renderScoresTable: async function(searchTerm = '', highlightName = null) {
                             position === 2 ? 'Silver medal' : 
                             position === 3 ? 'Bronze medal' : '';
           
-          const drawText = isDraw && position <= 3 ? ' <span class="text-danger fw-bold">(DRAW)</span>' : '';
+          const drawText = entry.tied && position <= 3 ? ' <span class="text-danger fw-bold">(DRAW)</span>' : '';
+          const resolvedText = entry.resolvedBy ?
+            ` <span class="badge bg-secondary" title="Tie broken by ${TieBreak.describeRule(entry.resolvedBy, round)}">${TieBreak.describeRule(entry.resolvedBy, round)}</span>` : '';
+          const shootOffText = archer.shootOff && archer.shootOff.length > 0 ?
+            ` <small class="text-muted">(shoot-off: ${archer.shootOff.join(', ')})</small>` : '';
           
           html += `
             <tr class="${rowClass}">
               <td>
                 ${position <= 3 ? `<span aria-label="${medalText}">${medalIcon}</span>` : ''} 
-                ${position}${drawText}
+                ${position}${drawText}${resolvedText}
               </td>
               <td>${archer.name}</td>
               <td>${archer.club || ""}</td>
-              <td><strong>${archer.total}</strong></td>
+              ${showDivision ? `<td>${archer.category} - ${archer.age}</td>` : ''}
+              ${showHandicap ? `<td>${archer.total}</td><td>${entry.handicap > 0 ? '+' : ''}${entry.handicap}</td>` : ''}
+              <td><strong>${entry.score}</strong>${shootOffText}</td>
             </tr>
           `;
         });
@@ -599,19 +1024,149 @@ renderScoresTable: async function(searchTerm = '', highlightName = null) {
         `;
       });
       
+      // Club teams, when the competition awards them
+      if (view === RESULT_VIEWS.DIVISIONS && TeamResults.isEnabled(activeCompetition)) {
+        html += ArcheryUIRenderer.buildTeamResults(TeamResults.rankTeams(scores, activeCompetition), TeamResults.getRules(activeCompetition));
+      }
+      
       resultsContent.innerHTML = html;
+      
+      document.getElementById('resultsViewSelect').addEventListener('change', function() {
+        ArcheryUIRenderer.resultsView = this.value;
+        ArcheryUIRenderer.renderResults();
+      });
+      
+      // Shoot-off buttons open the recording dialog for that draw
+      resultsContent.querySelectorAll('.record-shootoff-btn').forEach(btn => {
+        btn.addEventListener('click', function() {
+          ArcheryUIRenderer.showShootOffModal(draws[parseInt(this.dataset.drawIndex)]);
+        });
+      });
     } catch (error) {
       console.error('Error rendering results:', error);
       resultsContent.innerHTML = '<p>Error loading results. Please try refreshing the page.</p>';
     }
   },
   
+  /**
+   * Build the Teams section of the results
+   * @param {Array} teams - Ranked teams from TeamResults.rankTeams
+   * @param {Object} rules - Team rules of the competition
+   * @returns {string} HTML for the section
+   */
+  buildTeamResults: function(teams, rules) {
+    const rows = teams.map(team => {
+      const medalIcon = team.position === 1 ? '🥇' :
+                        team.position === 2 ? '🥈' :
+                        team.position === 3 ? '🥉' : '';
+      const members = team.members.map(archer => {
+        const counts = team.counting.includes(archer);
+        const label = `${archer.name} (${archer.category}, ${archer.total})`;
+        return counts ? label : `<span class="text-muted" title="Not counting">${label}</span>`;
+      }).join(', ');
+      
+      return `
+        <tr class="${team.position && team.position <= 3 ? `position-${team.position}` : ''}">
+          <td>
+            ${team.complete ?
+              `${medalIcon} ${team.position}${team.tied ? ' <span class="text-danger fw-bold">(DRAW)</span>' : ''}` :
+              '<span class="badge bg-secondary" title="Fewer archers than counting scores">Incomplete</span>'}
+          </td>
+          <td>${team.club}</td>
+          <td>${members}</td>
+          <td><strong>${team.total}</strong></td>
+        </tr>
+      `;
+    }).join('');
+    
+    return `
+      <div class="card mb-4">
+        <div class="card-header bg-primary text-white">
+          <h3 class="h5 mb-0">Teams</h3>
+        </div>
+        <div class="card-body p-0">
+          <p class="small text-muted px-3 pt-2 mb-2">${TeamResults.describeRules(rules)}</p>
+          ${teams.length === 0 ? '<p class="px-3">No club has archers in the team divisions yet.</p>' : `
+          <table class="table table-striped mb-0" aria-label="Club team results">
+            <caption class="visually-hidden">Club team results</caption>
+            <thead>
+              <tr>
+                <th scope="col">Position</th>
+                <th scope="col">Club</th>
+                <th scope="col">Team</th>
+                <th scope="col">Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${rows}
+            </tbody>
+          </table>`}
+        </div>
+      </div>
+    `;
+  },
+  
+  /**
+   * Show a dialog for recording shoot-off arrows for a draw
+   * @param {Object} draw - Draw with category, age, position, score and tied archers
+   */
+  showShootOffModal: function(draw) {
+    const fields = draw.archers.map((archer, index) => `
+      <div class="mb-3">
+        <label for="shootOffArrows${index}" class="form-label">${archer.name}${archer.club ? ` (${archer.club})` : ''}</label>
+        <input type="text" class="form-control shootoff-input" id="shootOffArrows${index}" data-archer-index="${index}"
+          value="${(archer.shootOff || []).join(', ')}" inputmode="numeric" placeholder="e.g. 5, 4"
+          aria-describedby="shootOffHelp">
+      </div>
+    `).join('');
+    
+    const modal = Modal.create({
+      id: 'shootOffModal',
+      title: `Shoot-off - ${draw.category} - ${draw.age}`,
+      content: `
+        <p>Draw for position ${draw.position} on ${draw.score} points.</p>
+        <form id="shootOffForm">${fields}</form>
+        <div id="shootOffHelp" class="form-text">
+          Enter each archer's shoot-off arrows in the order shot, separated by commas.
+          Arrows are compared one at a time until an archer is ahead.
+        </div>
+      `,
+      buttons: [
+        { text: 'Cancel', type: 'secondary', dismiss: true },
+        {
+          text: 'Save Shoot-off',
+          type: 'primary',
+          onClick: async () => {
+            const inputs = modal.getElement().querySelectorAll('.shootoff-input');
+            
+            try {
+              for (const input of inputs) {
+                const archer = draw.archers[parseInt(input.dataset.archerIndex)];
+                await ArcheryDataService.saveShootOff(archer, input.value);
+              }
+              
+              modal.hide();
+              UIHelpers.showNotification('Shoot-off Recorded', `Shoot-off saved for position ${draw.position} in ${draw.category} - ${draw.age}.`);
+              await ArcheryUIRenderer.renderResults();
+            } catch (error) {
+              console.error('Error saving shoot-off:', error);
+              UIHelpers.showNotification('Error', error.message || 'Failed to save shoot-off. Please try again.');
+            }
+          }
+        }
+      ],
+      onHide: () => modal.dispose()
+    });
+    
+    modal.show();
+  },
+  
   /**
    * Activate edit mode for a table row
-   * @param {number} index - Index of the row to activate
+   * @param {number} archerId - ID of the archer in the row to activate
    */
-  activateEditMode: function(index) {
-    const row = document.getElementById(`row-${index}`);
+  activateEditMode: function(archerId) {
+    const row = document.getElementById(`row-${archerId}`);
     row.classList.add('edit-mode');
     
     // Show edit inputs, hide view spans
@@ -634,10 +1189,10 @@ renderScoresTable: async function(searchTerm = '', highlightName = null) {
   
   /**
    * Deactivate edit mode for a table row
-   * @param {number} index - Index of the row to deactivate
+   * @param {number} archerId - ID of the archer in the row to deactivate
    */
-  deactivateEditMode: function(index) {
-    const row = document.getElementById(`row-${index}`);
+  deactivateEditMode: function(archerId) {
+    const row = document.getElementById(`row-${archerId}`);
     row.classList.remove('edit-mode');
     
     // Hide edit inputs, show view spans
@@ -657,7 +1212,7 @@ renderScoresTable: async function(searchTerm = '', highlightName = null) {
   },
   
   /**
-   * Populate dropdown elements with categories and age ranges
+   * Populate dropdown elements with the active competition's categories and age ranges
    * @param {HTMLSelectElement} categorySelect - Category select element
    * @param {HTMLSelectElement} ageSelect - Age range select element
    */
@@ -665,14 +1220,14 @@ renderScoresTable: async function(searchTerm = '', highlightName = null) {
     categorySelect.innerHTML = '';
     ageSelect.innerHTML = '';
     
-    ArcheryDataService.categories.forEach(cat => {
+    ArcheryDataService.getCategories().forEach(cat => {
       const option = document.createElement('option');
       option.textContent = cat;
       option.value = cat;
       categorySelect.appendChild(option);
     });
     
-    ArcheryDataService.ageRanges.forEach(age => {
+    ArcheryDataService.getAgeRanges().forEach(age => {
       const option = document.createElement('option');
       option.textContent = age;
       option.value = age;
@@ -680,6 +1235,116 @@ renderScoresTable: async function(searchTerm = '', highlightName = null) {
     });
   },
   
+  /**
+   * Build the table of audit log entries for one record
+   * @param {Array} entries - Audit entries, oldest first
+   * @returns {string} HTML for the audit table
+   */
+  buildAuditTable: function(entries) {
+    if (entries.length === 0) {
+      return '<p class="text-muted mb-0">No changes have been recorded yet.</p>';
+    }
+    
+    return `
+      <div class="table-responsive">
+        <table class="table table-sm table-striped mb-0" aria-label="Change history">
+          <thead>
+            <tr>
+              <th scope="col">When</th>
+              <th scope="col">Change</th>
+              <th scope="col">Old Value</th>
+              <th scope="col">New Value</th>
+              <th scope="col">By</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${entries.map(entry => `
+              <tr>
+                <td class="text-nowrap">${new Date(entry.timestamp).toLocaleString()}</td>
+                <td>${ArcheryAuditService.describeChange(entry)}</td>
+                <td>${entry.action === AUDIT.ACTIONS.UPDATE ? ArcheryAuditService.formatValue(entry.oldValue) : ''}</td>
+                <td>${entry.action === AUDIT.ACTIONS.UPDATE ? ArcheryAuditService.formatValue(entry.newValue) : ''}</td>
+                <td>${entry.changedBy}${entry.note ? ` <span class="badge bg-secondary">${entry.note}</span>` : ''}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  },
+  
+  /**
+   * Build the arrow-by-arrow scoresheet table
+   * @param {Object|null} scoresheet - Scoresheet keyed by day, or null for an empty sheet
+   * @param {boolean} editable - Whether to render inputs for score entry
+   * @param {Round} round - Round that defines the targets and arrows (defaults to the active round)
+   * @returns {string} HTML for the scoresheet table
+   */
+  buildScoresheetTable: function(scoresheet = null, editable = true, round = ArcheryDataService.getActiveRound()) {
+    const sheet = scoresheet || Archer.createEmptyScoresheet(round);
+    const days = round.getDayKeys();
+    const arrowNumbers = Array.from({ length: round.arrowsPerTarget }, (_, i) => i + 1);
+    
+    let html = `
+      <table class="table table-sm table-bordered scoresheet-table mb-0" aria-label="Arrow-by-arrow scoresheet for ${round.name}">
+        <caption class="caption-top">
+          ${round.name}: arrow scores ${round.allowedValues.join(', ')}; max ${round.getMaxTargetScore()} per target, ${round.maxScore} per day
+        </caption>
+        <thead>
+          <tr>
+            <th scope="col" rowspan="2">Target</th>
+            ${days.map((day, dayIndex) => `
+              <th scope="colgroup" colspan="${round.arrowsPerTarget + 1}">Day ${dayIndex + 1}</th>
+            `).join('')}
+          </tr>
+          <tr>
+            ${days.map(() => `
+              ${arrowNumbers.map(n => `<th scope="col">A${n}</th>`).join('')}
+              <th scope="col">Sum</th>
+            `).join('')}
+          </tr>
+        </thead>
+        <tbody>
+    `;
+    
+    for (let target = 0; target < round.targets; target++) {
+      html += `<tr><th scope="row">${target + 1}</th>`;
+      
+      days.forEach((day, dayIndex) => {
+        const arrows = (sheet[day] && sheet[day][target]) || [];
+        
+        arrowNumbers.forEach((n, arrowIndex) => {
+          const value = arrows[arrowIndex] !== null && arrows[arrowIndex] !== undefined ? arrows[arrowIndex] : '';
+          html += editable ?
+            `<td><input type="number" min="0" max="${round.getMaxArrowValue()}" class="form-control form-control-sm arrow-input"
+              data-day="${day}" data-target="${target}" data-arrow="${arrowIndex}" value="${value}"
+              aria-label="Day ${dayIndex + 1} target ${target + 1} arrow ${n}"></td>` :
+            `<td>${value}</td>`;
+        });
+        
+        const targetSum = arrows.reduce((sum, value) => sum + (value || 0), 0);
+        html += `<td class="target-sum" data-day="${day}" data-target="${target}">${targetSum}</td>`;
+      });
+      
+      html += '</tr>';
+    }
+    
+    html += `
+        </tbody>
+        <tfoot>
+          <tr>
+            <th scope="row">Total</th>
+            ${days.map(day => `
+              <td colspan="${round.arrowsPerTarget + 1}" class="day-sum" data-day="${day}">${Archer.sumDay(sheet[day])}</td>
+            `).join('')}
+          </tr>
+        </tfoot>
+      </table>
+    `;
+    
+    return html;
+  },
+  
   /**
    * Populate saved competitors dropdowns
    * @param {HTMLSelectElement} selectElement - The select element to populate
@@ -709,7 +1374,7 @@ renderScoresTable: async function(searchTerm = '', highlightName = null) {
         competitors.forEach(competitor => {
           const option = document.createElement('option');
           option.textContent = `${competitor.name} (${competitor.club || 'No club'}) - ${competitor.category}`;
-          option.value = competitor.name;
+          option.value = competitor.identityKey;
           selectElement.appendChild(option);
         });
       }
@@ -754,6 +1419,7 @@ renderScoresTable: async function(searchTerm = '', highlightName = null) {
               <th scope="col">Membership #</th>
               <th scope="col">Category</th>
               <th scope="col">Age Group</th>
+              <th scope="col">Handicap</th>
               <th scope="col">Last Used</th>
               <th scope="col">Actions</th>
             </tr>
@@ -766,20 +1432,27 @@ renderScoresTable: async function(searchTerm = '', highlightName = null) {
         const lastUsed = competitor.lastUsed ? 
           new Date(competitor.lastUsed).toLocaleDateString() : 
           'Never';
+        const key = escapeHtml(competitor.identityKey);
+        const name = escapeHtml(competitor.name);
         
         html += `
-          <tr id="saved-row-${index}" data-name="${competitor.name}">
-            <td>${competitor.name}</td>
-            <td>${competitor.club || ''}</td>
-            <td>${competitor.membershipId || ''}</td>
-            <td>${competitor.category}</td>
-            <td>${competitor.age}</td>
+          <tr id="saved-row-${index}" data-key="${key}">
+            <td>${name}</td>
+            <td>${escapeHtml(competitor.club)}</td>
+            <td>${escapeHtml(competitor.membershipId)}</td>
+            <td>${escapeHtml(competitor.category)}</td>
+            <td>${escapeHtml(competitor.age)}</td>
+            <td>
+              <input type="number" step="1" class="form-control form-control-sm handicap-input" style="width: 6rem;"
+                value="${Number.isInteger(competitor.handicap) ? competitor.handicap : ''}" placeholder="None"
+                data-key="${key}" aria-label="Handicap for ${name}">
+            </td>
             <td>${lastUsed}</td>
             <td>
-              <button class="btn btn-sm btn-primary use-competitor-btn" data-name="${competitor.name}" aria-label="Use ${competitor.name}">
+              <button class="btn btn-sm btn-primary use-competitor-btn" data-key="${key}" aria-label="Use ${name}">
                 <i class="bi bi-person-plus" aria-hidden="true"></i> Use
               </button>
-              <button class="btn btn-sm btn-danger delete-competitor-btn" data-name="${competitor.name}" aria-label="Delete ${competitor.name}">
+              <button class="btn btn-sm btn-danger delete-competitor-btn" data-key="${key}" data-name="${name}" aria-label="Delete ${name}">
                 <i class="bi bi-trash" aria-hidden="true"></i> Delete
               </button>
             </td>
@@ -824,6 +1497,11 @@ printResults: function() {
     `${activeCompetition.name} - Results` : 
     'Dunbrody Archers Competition Results';
   
+  // Name the ranking when it is not the usual one by division
+  if (ArcheryUIRenderer.resultsView !== RESULT_VIEWS.DIVISIONS) {
+    title.textContent += ` (${RESULT_VIEW_LABELS[ArcheryUIRenderer.resultsView]})`;
+  }
+  
   // Create date line
   const dateLine = document.createElement('p');
   dateLine.style.fontSize = '14px';
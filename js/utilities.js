@@ -357,11 +357,15 @@ export const UIUtils = {
 export const AppState = (function() {
   let state = {
     activeCompetition: null,
-    isOnline: navigator.onLine,
+    isOnline: typeof navigator !== 'undefined' ? navigator.onLine : true,
     isSyncing: false,
     lastSyncTime: null,
     pendingChanges: 0,
-    currentUser: null
+    syncOutboxSize: 0,
+    syncConflicts: 0,
+    currentUser: null,
+    canUndo: false,
+    canRedo: false
   };
   
   const listeners = [];
@@ -419,6 +423,16 @@ export const AppState = (function() {
  * DOM Utilities for working with the DOM
  */
 export const DOMUtils = {
+  /**
+   * Escape text for HTML, for values from files or other devices that go into markup
+   * @param {*} value - Value to escape
+   * @returns {string} Escaped text
+   */
+  escapeHtml: function(value) {
+    return String(value === null || value === undefined ? '' : value)
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+  },
+  
   /**
    * Add event delegation to a container
    * @param {string} containerId - ID of the container element
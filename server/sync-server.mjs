@@ -0,0 +1,503 @@
+/**
+ * Reference Sync Server for Archery Competition Tracker
+ * Lets several scoring devices share competitions over a local network, without internet access.
+ * Uses only Node's built-in modules and the app's own, so it runs anywhere Node 18 or later is installed.
+ *
+ * Usage:
+ *   node server/sync-server.mjs [--port 8787] [--data ~/archery-sync-data.json] [--token secret] [--users users.json]
+ *                               [--name "Club Shoot"]
+ *
+ * Open http://<laptop address>:8787 on each device (the server also serves the app itself),
+ * then connect from the Sync tab using the same address. With --token, open
+ * http://<laptop address>:8787/?token=<token> instead; the server then remembers the token in a cookie.
+ * The data file is kept in the home folder by default and is never served, wherever it is kept.
+ *
+ * API:
+ *   GET  /api/health           -> { name, cursor, user, verified } where user is the email the request's token belongs to
+ *   GET  /api/changes?since=N  -> { changes, cursor } with the latest change to each record after cursor N
+ *   POST /api/changes          <- { deviceId, changes: [{ store, key, record, revision, ancestors, fields, author }] }
+ *                                 and responds with { cursor, refused }; refused lists the { store, key } of changes
+ *                                 the author's role in a shared competition doesn't allow, which are not stored
+ *   GET  /api/live             WebSocket announcing { type: 'changes', deviceId, cursor } after every push
+ *
+ * With --token, requests need an "Authorization: Bearer <token>" header (or ?token= for the WebSocket),
+ * and the app's own files need the token too.
+ *
+ * Roles in shared competitions are checked against the author of each change. With only --token, that is
+ * the email a device says it is signed in with, which the server can't verify: roles are then advisory and
+ * the token is what keeps other people out. With --users, a JSON file mapping each scorekeeper's email to
+ * their own token, every change is stamped with the email its token belongs to, so roles are enforced.
+ * The --token, if also given, then only lets devices in as nobody in particular.
+ */
+import http from 'node:http';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { DB, SHARING } from '../js/constants.js';
+import { Competition } from '../js/models.js';
+
+const APP_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const TOKEN_COOKIE = 'archery_sync_token';
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.webmanifest': 'application/manifest+json'
+};
+
+/**
+ * Read --name value pairs from the command line
+ * @param {Array} args - Command line arguments after the script name
+ * @returns {Object} Options
+ */
+const parseArgs = args => {
+  const options = { port: 8787, data: path.join(os.homedir(), 'archery-sync-data.json'), token: '', users: '', name: 'Archery sync server' };
+  for (let i = 0; i < args.length; i += 2) {
+    const key = args[i].replace(/^--/, '');
+    if (!(key in options) || args[i + 1] === undefined) {
+      throw new Error(`Unknown or incomplete option: ${args[i]}`);
+    }
+    options[key] = key === 'port' ? Number(args[i + 1]) : args[i + 1];
+  }
+  return options;
+};
+
+/**
+ * Read the per-user tokens file
+ * @param {string} file - JSON file of { "email": "token" }, or '' for none
+ * @returns {Map} Emails keyed by token
+ */
+const loadUserTokens = file => {
+  if (!file) return new Map();
+  
+  const users = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  const tokens = new Map();
+  Object.entries(users).forEach(([email, token]) => {
+    if (typeof token !== 'string' || token.length === 0 || tokens.has(token)) {
+      throw new Error(`Every user in ${file} needs a token of their own; check the one for ${email}`);
+    }
+    tokens.set(token, Competition.userKey(email));
+  });
+  return tokens;
+};
+
+/**
+ * Change log keeping the latest change to each record, numbered by a sequence that only goes up
+ */
+class ChangeStore {
+  /**
+   * @param {string} file - JSON file the changes are kept in
+   */
+  constructor(file) {
+    this.file = path.resolve(file);
+    this.seq = 0;
+    this.records = new Map();
+    this.load();
+  }
+  
+  /**
+   * Load changes saved by an earlier run
+   */
+  load() {
+    if (!fs.existsSync(this.file)) return;
+    
+    const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    this.seq = data.seq || 0;
+    (data.changes || []).forEach(change => this.records.set(`${change.store}:${change.key}`, change));
+  }
+  
+  /**
+   * Save changes, writing a temporary file first so a crash can't leave half a file behind
+   */
+  save() {
+    const temporary = `${this.file}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify({ seq: this.seq, changes: [...this.records.values()] }));
+    fs.renameSync(temporary, this.file);
+  }
+  
+  /**
+   * Get the latest change to each record made after a cursor
+   * @param {number} since - Sequence number the device has already seen
+   * @returns {Object} { changes, cursor }
+   */
+  since(since) {
+    const changes = [...this.records.values()]
+      .filter(change => change.seq > since)
+      .sort((a, b) => a.seq - b.seq);
+    return { changes, cursor: this.seq };
+  }
+  
+  /**
+   * Get the stored copy of a competition
+   * @param {string} syncId - Sync ID of the competition
+   * @returns {Object|null} Competition record, or null if it was never pushed or has been removed
+   */
+  getCompetition(syncId) {
+    const change = this.records.get(`${DB.STORES.COMPETITIONS}:${syncId}`);
+    return change ? change.record : null;
+  }
+  
+  /**
+   * Check that the author of a change has a role that allows it, going by the stored copy of the
+   * competition so a change can't grant its own author a role. Devices make the same check when they
+   * pull; making it here too keeps refused changes from reaching devices that don't.
+   * @param {Object} change - Change in wire format
+   * @returns {boolean} True if the change may be stored
+   */
+  isPermitted(change) {
+    const author = change.author || null;
+    
+    if (change.store === DB.STORES.COMPETITIONS) {
+      const competition = this.getCompetition(change.key);
+      return !competition || Competition.can(competition, author, SHARING.ACTIONS.MANAGE);
+    }
+    
+    if (change.store === DB.STORES.ARCHERS) {
+      // Moving an archer needs the scorer role in the competition it leaves as well as the one it joins
+      const stored = this.records.get(`${change.store}:${change.key}`);
+      const competitionSyncIds = [change.record, stored && stored.record]
+        .filter(record => record && record.competitionSyncId)
+        .map(record => record.competitionSyncId);
+      
+      return competitionSyncIds.every(syncId => {
+        const competition = this.getCompetition(syncId);
+        return !competition || Competition.can(competition, author, SHARING.ACTIONS.SCORE);
+      });
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Store changes pushed by a device, leaving out any the author's role doesn't allow
+   * Changes are checked in order, so a competition and its archers can arrive in one push
+   * @param {string} deviceId - Device that made the changes
+   * @param {Array} changes - Changes as { store, key, record, revision, ancestors, fields, removedAt, author }
+   * @returns {Object} { cursor, refused } where refused lists the { store, key } of changes not stored
+   */
+  add(deviceId, changes) {
+    const receivedAt = new Date().toISOString();
+    const refused = [];
+    
+    changes.forEach(change => {
+      if (!this.isPermitted(change)) {
+        refused.push({ store: change.store, key: change.key });
+        return;
+      }
+      
+      this.seq += 1;
+      this.records.set(`${change.store}:${change.key}`, {
+        store: change.store,
+        key: change.key,
+        record: change.record === undefined ? null : change.record,
+        revision: change.revision || null,
+        ancestors: Array.isArray(change.ancestors) ? change.ancestors : [],
+        fields: change.fields && typeof change.fields === 'object' ? change.fields : {},
+        removedAt: change.removedAt || null,
+        author: change.author || null,
+        deviceId,
+        seq: this.seq,
+        receivedAt
+      });
+    });
+    this.save();
+    return { cursor: this.seq, refused };
+  }
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Read a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Promise resolving to the parsed body
+ */
+const readJson = req => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(Object.assign(new Error('Request body is too large'), { status: 413 }));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    try {
+      resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+    } catch (error) {
+      reject(Object.assign(new Error('Request body is not valid JSON'), { status: 400 }));
+    }
+  });
+  req.on('error', reject);
+});
+
+/**
+ * Read a cookie sent with a request
+ * @param {http.IncomingMessage} req - Request
+ * @param {string} name - Cookie name
+ * @returns {string|null} Cookie value, or null if it wasn't sent
+ */
+const readCookie = (req, name) => {
+  const cookie = (req.headers.cookie || '').split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${name}=`));
+  if (!cookie) return null;
+  
+  try {
+    return decodeURIComponent(cookie.slice(name.length + 1));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Serve a file of the app, refusing paths outside the app folder and the files the changes are kept in
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {string} pathname - Requested path
+ * @param {Array} hiddenFiles - Absolute paths that must never be served
+ */
+const serveStatic = (req, res, pathname, hiddenFiles) => {
+  let relative;
+  try {
+    relative = decodeURIComponent(pathname === '/' ? '/index.html' : pathname);
+  } catch (error) {
+    sendJson(res, 400, { error: 'Malformed path' });
+    return;
+  }
+  const file = path.resolve(APP_ROOT, '.' + relative);
+  
+  if (!file.startsWith(APP_ROOT + path.sep) || relative.split('/').some(part => part.startsWith('.')) ||
+    hiddenFiles.includes(file)) {
+    sendJson(res, 403, { error: 'Forbidden' });
+    return;
+  }
+  
+  fs.stat(file, (error, stats) => {
+    if (error || !stats.isFile()) {
+      sendJson(res, 404, { error: 'Not found' });
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream' });
+    fs.createReadStream(file).pipe(res);
+  });
+};
+
+/**
+ * Encode a text message as an unmasked WebSocket frame
+ * @param {string} text - Message
+ * @returns {Buffer} Frame
+ */
+const encodeFrame = text => {
+  const payload = Buffer.from(text, 'utf8');
+  let header;
+  
+  if (payload.length < 126) {
+    header = Buffer.from([0x81, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header.writeUInt8(0x81, 0);
+    header.writeUInt8(126, 1);
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header.writeUInt8(0x81, 0);
+    header.writeUInt8(127, 1);
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+};
+
+/**
+ * Start the server
+ * @param {Object} options - Parsed command line options
+ * @returns {http.Server} Running server
+ */
+const start = options => {
+  const store = new ChangeStore(options.data);
+  const userTokens = loadUserTokens(options.users);
+  const hiddenFiles = [store.file, `${store.file}.tmp`];
+  if (options.users) {
+    hiddenFiles.push(path.resolve(options.users));
+  }
+  const sockets = new Set();
+  
+  if (store.file.startsWith(APP_ROOT + path.sep)) {
+    console.warn(`Keeping changes inside the app folder; ${path.basename(store.file)} will not be served, but a folder outside it is safer`);
+  }
+  
+  /**
+   * Get the access token a request was sent with
+   * @param {http.IncomingMessage} req - Request
+   * @param {URL} url - Parsed request URL
+   * @param {boolean} allowCookie - Whether the token cookie counts, which it only does for the app's own files
+   * @returns {string|null} Token, or null if there is none
+   */
+  const readToken = (req, url, allowCookie) => {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) return header.slice('Bearer '.length);
+    return url.searchParams.get('token') || (allowCookie ? readCookie(req, TOKEN_COOKIE) : null);
+  };
+  
+  /**
+   * Check the access token, if the server has any, and find whose it is
+   * @param {http.IncomingMessage} req - Request
+   * @param {URL} url - Parsed request URL
+   * @param {boolean} allowCookie - Whether the token cookie counts, which it only does for the app's own files
+   * @returns {Object|null} { user } where user is the email a per-user token belongs to and null otherwise,
+   *   or null if the request may not go ahead
+   */
+  const authenticate = (req, url, allowCookie = false) => {
+    const token = readToken(req, url, allowCookie);
+    if (token && userTokens.has(token)) return { user: userTokens.get(token) };
+    if (!options.token && userTokens.size === 0) return { user: null };
+    return options.token && token === options.token ? { user: null } : null;
+  };
+  
+  /**
+   * Tell every live device that changes have arrived
+   * @param {string} deviceId - Device that pushed them
+   * @param {number} cursor - New cursor
+   */
+  const broadcast = (deviceId, cursor) => {
+    const frame = encodeFrame(JSON.stringify({ type: 'changes', deviceId, cursor }));
+    sockets.forEach(socket => socket.write(frame));
+  };
+  
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+    
+    if (!url.pathname.startsWith('/api/')) {
+      if (!authenticate(req, url, true)) {
+        sendJson(res, 401, { error: 'Invalid or missing access token. Open the app with ?token=<token>' });
+        return;
+      }
+      
+      // Remember the token so the page's scripts and styles load without it in their address
+      if (url.searchParams.get('token')) {
+        res.setHeader('Set-Cookie', `${TOKEN_COOKIE}=${encodeURIComponent(url.searchParams.get('token'))}; Path=/; HttpOnly; SameSite=Strict`);
+      }
+      serveStatic(req, res, url.pathname, hiddenFiles);
+      return;
+    }
+    
+    const caller = authenticate(req, url);
+    if (!caller) {
+      sendJson(res, 401, { error: 'Invalid or missing access token' });
+      return;
+    }
+    
+    try {
+      if (req.method === 'GET' && url.pathname === '/api/health') {
+        sendJson(res, 200, { name: options.name, cursor: store.seq, user: caller.user, verified: userTokens.size > 0 });
+      } else if (req.method === 'GET' && url.pathname === '/api/changes') {
+        sendJson(res, 200, store.since(Number(url.searchParams.get('since')) || 0));
+      } else if (req.method === 'POST' && url.pathname === '/api/changes') {
+        const body = await readJson(req);
+        if (!Array.isArray(body.changes) || body.changes.some(change => !change || !change.store || change.key === undefined)) {
+          sendJson(res, 400, { error: 'Expected { deviceId, changes: [{ store, key, record }] }' });
+          return;
+        }
+        
+        // With per-user tokens, changes are by whoever the token belongs to, whatever author they name
+        const changes = userTokens.size > 0 ?
+          body.changes.map(change => ({ ...change, author: caller.user })) :
+          body.changes;
+        const { cursor, refused } = store.add(body.deviceId || null, changes);
+        sendJson(res, 200, { cursor, refused });
+        broadcast(body.deviceId || null, cursor);
+        console.log(`${new Date().toLocaleTimeString()} ${body.changes.length - refused.length} changes from ${body.deviceId || 'unknown device'}` +
+          (refused.length > 0 ? `, ${refused.length} refused: the author's role does not allow them` : ''));
+      } else {
+        sendJson(res, 404, { error: 'Not found' });
+      }
+    } catch (error) {
+      console.error('Request failed:', error);
+      if (!res.headersSent) {
+        sendJson(res, error.status || 500, { error: error.message });
+      }
+    }
+  });
+  
+  server.on('upgrade', (req, socket) => {
+    const url = new URL(req.url, 'http://localhost');
+    const key = req.headers['sec-websocket-key'];
+    
+    if (url.pathname !== '/api/live' || !key || !authenticate(req, url)) {
+      socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      return;
+    }
+    
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '', ''
+    ].join('\r\n'));
+    sockets.add(socket);
+    
+    // Devices only listen, so the only frames worth reading are close and ping
+    socket.on('data', data => {
+      const opcode = data[0] & 0x0f;
+      if (opcode === 0x8) {
+        socket.end(Buffer.from([0x88, 0]));
+      } else if (opcode === 0x9) {
+        socket.write(Buffer.from([0x8a, 0]));
+      }
+    });
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => sockets.delete(socket));
+  });
+  
+  server.listen(options.port, () => {
+    const addresses = Object.values(os.networkInterfaces()).flat()
+      .filter(address => address && address.family === 'IPv4' && !address.internal)
+      .map(address => `http://${address.address}:${options.port}`);
+    
+    console.log(`${options.name} listening on port ${options.port}, keeping changes in ${store.file}`);
+    console.log(`Connect devices to: ${addresses.length > 0 ? addresses.join(', ') : `http://localhost:${options.port}`}`);
+    console.log(userTokens.size > 0 ?
+      `Changes are stamped with the email of the user token they are sent with (${userTokens.size} users)` :
+      'Roles in shared competitions are advisory: devices name their own email. Use --users to give each scorekeeper a token');
+  });
+  
+  return server;
+};
+
+start(parseArgs(process.argv.slice(2)));
@@ -0,0 +1,112 @@
+/**
+ * How the data service writes a change together with its audit and sync outbox entries
+ */
+import { describe, it, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { DB } from '../js/constants.js';
+import { Logger } from '../js/utilities.js';
+import { MemoryStorage } from '../js/storage-adapters.js';
+
+// The data service registers its globals on window when it loads
+globalThis.window = globalThis.window || { navigator: { onLine: true }, addEventListener() {}, dispatchEvent() {} };
+
+// Failed writes are logged on purpose
+Logger.setLevel(Logger.levels.ERROR + 1);
+
+let ArcheryDataService;
+let ArcheryHistoryService;
+
+describe('ArcheryDataService change writes', () => {
+  let storage;
+  
+  before(async () => {
+    ({ ArcheryDataService } = await import('../js/data-service.js'));
+    ({ ArcheryHistoryService } = await import('../js/history-service.js'));
+  });
+  
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    await storage.open();
+    ArcheryDataService.useStorage(storage);
+    ArcheryDataService.syncOutboxEnabled = true;
+    ArcheryHistoryService.clear();
+    mock.method(console, 'error', () => {});
+  });
+  
+  afterEach(() => {
+    mock.restoreAll();
+    ArcheryDataService.syncOutboxEnabled = false;
+  });
+  
+  /**
+   * Make every write to a store fail, as a full disk would
+   * @param {string} store - Store whose writes fail
+   */
+  function failWrites(store) {
+    const writeRecord = storage.writeRecord;
+    mock.method(storage, 'writeRecord', function(operation, ...rest) {
+      if (operation.store === store) {
+        throw new Error('Disk full');
+      }
+      return writeRecord.call(this, operation, ...rest);
+    });
+  }
+  
+  it('gives the entries of a new record the key it was given', async () => {
+    const id = await ArcheryDataService.createCompetition({ name: 'Club Shoot' });
+    
+    const [entry] = await storage.getAll(DB.STORES.AUDIT_LOG);
+    const [queued] = await storage.getAll(DB.STORES.SYNC_OUTBOX);
+    assert.equal(entry.entityKey, id);
+    assert.equal(entry.competitionId, id);
+    assert.equal(queued.key, id);
+    assert.equal(ArcheryHistoryService.undoStack[0].changes[0].key, id);
+  });
+  
+  it('saves nothing when the audit entry cannot be written', async () => {
+    failWrites(DB.STORES.AUDIT_LOG);
+    
+    await assert.rejects(ArcheryDataService.createCompetition({ name: 'Club Shoot' }), /Disk full/);
+    await assert.rejects(ArcheryDataService.saveCompetitor({ name: 'Ann' }), /Disk full/);
+    
+    assert.deepEqual(await storage.getAll(DB.STORES.COMPETITIONS), []);
+    assert.deepEqual(await storage.getAll(DB.STORES.SAVED_COMPETITORS), []);
+    assert.deepEqual(await storage.getAll(DB.STORES.SYNC_OUTBOX), []);
+    assert.equal(ArcheryHistoryService.undoStack.length, 0);
+  });
+  
+  it('keeps an edit out of the store when its entries cannot be written', async () => {
+    const id = await ArcheryDataService.createCompetition({ name: 'Club Shoot' });
+    failWrites(DB.STORES.AUDIT_LOG);
+    
+    await assert.rejects(ArcheryDataService.updateCompetition({ id, name: 'Club Championship' }), /Disk full/);
+    
+    assert.equal((await storage.get(DB.STORES.COMPETITIONS, id)).name, 'Club Shoot');
+    assert.equal((await storage.getAll(DB.STORES.SYNC_OUTBOX)).length, 1);
+  });
+  
+  it('saves nothing when the outbox entry cannot be written', async () => {
+    failWrites(DB.STORES.SYNC_OUTBOX);
+    
+    await assert.rejects(ArcheryDataService.createCompetition({ name: 'Club Shoot' }), /Disk full/);
+    
+    assert.deepEqual(await storage.getAll(DB.STORES.COMPETITIONS), []);
+    assert.deepEqual(await storage.getAll(DB.STORES.AUDIT_LOG), []);
+  });
+  
+  it('passes on a failed outbox write when queueing changes on their own', async () => {
+    failWrites(DB.STORES.SYNC_OUTBOX);
+    
+    await assert.rejects(ArcheryDataService.queueSyncChanges([
+      { store: DB.STORES.COMPETITIONS, key: 1, before: null, after: { id: 1, syncId: 'club', name: 'Club Shoot' } }
+    ]), /Disk full/);
+  });
+  
+  it('restores nothing when the full sync cannot be queued', async () => {
+    failWrites(DB.STORES.SYNC_OUTBOX);
+    
+    await assert.rejects(ArcheryDataService.writeStoreRecords({ [DB.STORES.COMPETITIONS]: [{ id: 1, name: 'Club Shoot' }] }), /Disk full/);
+    
+    assert.deepEqual(await storage.getAll(DB.STORES.COMPETITIONS), []);
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * IndexedDB databases as older releases of the app left them
+ * Written out by hand rather than with the migrations, so the migrations are tested against
+ * the layout real users have on disk
+ */
+
+const v1Archers = [
+  { name: 'Ann Archer', category: 'recurve', age: 'senior', gender: 'female', club: 'North Bowmen', scores: [[10, 9, 9], [8, 8, 7]] },
+  { name: 'Bob Bowman', category: 'compound', age: 'senior', gender: 'male', club: 'South Archers', scores: [[10, 10, 9], [9, 9, 9]] },
+  { name: 'Cat Quiver', category: 'barebow', age: 'junior', gender: 'female', club: 'North Bowmen', scores: [[7, 6, 5], [8, 6, 6]] }
+];
+
+const v2Competitions = [
+  { id: 4, name: 'Spring Shoot', date: '2024-04-13', createdAt: '2024-04-01T09:00:00.000Z' },
+  { id: 7, name: 'Summer Shoot', date: '2024-07-20', createdAt: '2024-07-01T09:00:00.000Z' }
+];
+
+const v7SavedCompetitors = [
+  { name: 'Ann Archer', club: 'North Bowmen', category: 'recurve', age: 'senior', membershipId: '1001', handicap: 12, lastUsed: '2026-04-01T09:00:00.000Z' },
+  { name: 'Bob Bowman', club: 'South Archers', category: 'compound', age: 'senior', membershipId: '', lastUsed: '2026-03-01T09:00:00.000Z' }
+];
+
+/**
+ * Store layouts and records for each legacy version
+ * Index entries are [name, unique]
+ */
+export const LEGACY_DATABASES = {
+  1: {
+    archers: {
+      options: { keyPath: 'name' },
+      indexes: [['category', false], ['age', false], ['club', false]],
+      records: v1Archers
+    },
+    settings: {
+      options: { keyPath: 'key' },
+      indexes: [],
+      records: [{ key: 'theme', value: 'dark' }]
+    }
+  },
+  2: {
+    archers: {
+      options: { keyPath: 'name' },
+      indexes: [['category', false], ['age', false], ['club', false]],
+      records: v1Archers
+    },
+    settings: {
+      options: { keyPath: 'key' },
+      indexes: [],
+      records: [{ key: 'theme', value: 'dark' }]
+    },
+    competitions: {
+      options: { keyPath: 'id', autoIncrement: true },
+      indexes: [['name', true], ['date', false]],
+      records: v2Competitions
+    }
+  },
+  3: {
+    archers: {
+      options: { keyPath: 'id', autoIncrement: true },
+      indexes: [['name', false], ['competitionId', false], ['category', false], ['age', false], ['club', false]],
+      records: [
+        { id: 1, competitionId: 4, ...v1Archers[0] },
+        { id: 2, competitionId: 4, ...v1Archers[1] },
+        { id: 5, competitionId: 7, ...v1Archers[0] }
+      ]
+    },
+    settings: {
+      options: { keyPath: 'key' },
+      indexes: [],
+      records: [{ key: 'theme', value: 'dark' }, { key: 'activeCompetitionId', value: 7 }]
+    },
+    competitions: {
+      options: { keyPath: 'id', autoIncrement: true },
+      indexes: [['name', true], ['date', false]],
+      records: v2Competitions
+    }
+  },
+  7: {
+    archers: {
+      options: { keyPath: 'id', autoIncrement: true },
+      indexes: [['name', false], ['competitionId', false], ['category', false], ['age', false], ['club', false], ['syncId', false]],
+      records: [{ id: 1, competitionId: 4, syncId: 'archer-1', ...v1Archers[0] }]
+    },
+    settings: {
+      options: { keyPath: 'key' },
+      indexes: [],
+      records: [{ key: 'theme', value: 'dark' }]
+    },
+    competitions: {
+      options: { keyPath: 'id', autoIncrement: true },
+      indexes: [['name', true], ['date', false], ['syncId', false]],
+      records: v2Competitions
+    },
+    savedCompetitors: {
+      options: { keyPath: 'name' },
+      indexes: [['category', false], ['age', false], ['club', false], ['lastUsed', false]],
+      records: v7SavedCompetitors
+    },
+    auditLog: {
+      options: { keyPath: 'id', autoIncrement: true },
+      indexes: [['entity', false], ['competitionId', false], ['timestamp', false]],
+      records: []
+    },
+    syncOutbox: {
+      options: { keyPath: 'id', autoIncrement: true },
+      indexes: [],
+      records: []
+    }
+  }
+};
+
+/**
+ * Create a database at a legacy version, filled with that version's records
+ * @param {string} dbName - Database name
+ * @param {number} version - Legacy version to create
+ * @param {Object} stores - Store layouts and records, defaulting to LEGACY_DATABASES[version]
+ * @returns {Promise} Promise resolving once the database is written and closed
+ */
+export function seedLegacyDatabase(dbName, version, stores = LEGACY_DATABASES[version]) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(dbName, version);
+    
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      Object.entries(stores).forEach(([storeName, { options, indexes, records }]) => {
+        const store = db.createObjectStore(storeName, options);
+        indexes.forEach(([indexName, unique]) => store.createIndex(indexName, indexName, { unique }));
+        records.forEach(record => store.add(record));
+      });
+    };
+    
+    request.onsuccess = () => {
+      request.result.close();
+      resolve();
+    };
+    
+    request.onerror = () => reject(request.error);
+  });
+}
@@ -0,0 +1,279 @@
+/**
+ * Upgrades of databases left by older releases, run through IndexedDBStorage.open()
+ */
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import 'fake-indexeddb/auto';
+import { DB, DEFAULT_ROUND_ID } from '../js/constants.js';
+import { SavedCompetitor } from '../js/models.js';
+import { Logger } from '../js/utilities.js';
+import { ArcheryMigrations } from '../js/migrations.js';
+import { IndexedDBStorage } from '../js/storage-adapters.js';
+import { LEGACY_DATABASES, seedLegacyDatabase } from './fixtures/legacy-databases.js';
+
+// The failed upgrades below log errors on purpose
+Logger.setLevel(Logger.levels.ERROR + 1);
+
+let databaseCount = 0;
+const opened = [];
+
+/**
+ * Seed a legacy database and open it with the current version
+ * @param {number} version - Legacy version to seed, or 0 for no database
+ * @param {Object} stores - Optional store layouts and records to seed instead of the fixture
+ * @returns {Promise<IndexedDBStorage>} Promise resolving to the upgraded storage
+ */
+async function upgrade(version, stores) {
+  const dbName = `migration-test-${++databaseCount}`;
+  if (version > 0) {
+    await seedLegacyDatabase(dbName, version, stores);
+  }
+  const storage = new IndexedDBStorage(dbName, DB.VERSION, DB.SCHEMA);
+  opened.push(storage);
+  await storage.open();
+  return storage;
+}
+
+/**
+ * Read the store layout of an open database in the shape of DB.SCHEMA
+ * @param {IDBDatabase} db - Database to read
+ * @returns {Object} Layout keyed by store name
+ */
+function readLayout(db) {
+  const storeNames = [...db.objectStoreNames];
+  const transaction = db.transaction(storeNames, 'readonly');
+  
+  return Object.fromEntries(storeNames.map(storeName => {
+    const store = transaction.objectStore(storeName);
+    const indexes = Object.fromEntries([...store.indexNames].map(indexName =>
+      [indexName, { unique: store.index(indexName).unique }]));
+    return [storeName, { keyPath: store.keyPath, autoIncrement: store.autoIncrement, indexes }];
+  }));
+}
+
+/**
+ * Open a database at whatever version it is at
+ * @param {string} dbName - Database name
+ * @returns {Promise<IDBDatabase>} Promise resolving to the open database
+ */
+function openExisting(dbName) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(dbName);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Get the versions recorded in the schema version setting
+ * @param {IndexedDBStorage} storage - Open storage
+ * @returns {Promise<Object>} Promise resolving to the version and the migrations applied
+ */
+async function readSchemaVersion(storage) {
+  const record = await storage.get(DB.STORES.SETTINGS, DB.SETTINGS_KEYS.SCHEMA_VERSION);
+  return { value: record.value, migrations: record.migrations.map(migration => migration.version) };
+}
+
+/**
+ * Drop the keys and competition of moved archers to compare them with the originals
+ * @param {Array} archers - Archer records
+ * @returns {Array} Archers without id and competitionId
+ */
+function withoutKeys(archers) {
+  return archers.map(({ id, competitionId, ...archer }) => archer);
+}
+
+afterEach(() => {
+  opened.splice(0).forEach(storage => storage.db && storage.db.close());
+});
+
+describe('ArcheryMigrations', () => {
+  it('numbers migrations up to DB.VERSION without gaps', () => {
+    const versions = ArcheryMigrations.migrations.map(migration => migration.version);
+    assert.deepEqual(versions, Array.from({ length: DB.VERSION }, (value, index) => index + 1));
+  });
+  
+  it('creates the current layout for a new database', async () => {
+    const storage = await upgrade(0);
+    
+    assert.deepEqual(readLayout(storage.db), DB.SCHEMA);
+    assert.deepEqual(await readSchemaVersion(storage), {
+      value: DB.VERSION,
+      migrations: [1, 2, 3, 4, 5, 6, 7, 8]
+    });
+  });
+  
+  describe('from version 1', () => {
+    it('upgrades to the current layout', async () => {
+      const storage = await upgrade(1);
+      
+      assert.deepEqual(readLayout(storage.db), DB.SCHEMA);
+      assert.deepEqual(await readSchemaVersion(storage), {
+        value: DB.VERSION,
+        migrations: [2, 3, 4, 5, 6, 7, 8]
+      });
+    });
+    
+    it('moves archers into a new default competition', async () => {
+      const storage = await upgrade(1);
+      
+      const competitions = await storage.getAll(DB.STORES.COMPETITIONS);
+      assert.equal(competitions.length, 1);
+      assert.equal(competitions[0].name, 'Default Competition');
+      assert.equal(competitions[0].roundId, DEFAULT_ROUND_ID);
+      
+      const archers = await storage.getAll(DB.STORES.ARCHERS);
+      assert.deepEqual(archers.map(archer => archer.id), [1, 2, 3]);
+      assert.ok(archers.every(archer => archer.competitionId === competitions[0].id));
+      assert.deepEqual(withoutKeys(archers), LEGACY_DATABASES[1].archers.records);
+    });
+    
+    it('does not create a competition when there are no archers', async () => {
+      const storage = await upgrade(1, { ...LEGACY_DATABASES[1], archers: { ...LEGACY_DATABASES[1].archers, records: [] } });
+      
+      assert.deepEqual(await storage.getAll(DB.STORES.COMPETITIONS), []);
+      assert.deepEqual(await storage.getAll(DB.STORES.ARCHERS), []);
+    });
+    
+    it('keeps settings', async () => {
+      const storage = await upgrade(1);
+      
+      assert.deepEqual(await storage.get(DB.STORES.SETTINGS, 'theme'), { key: 'theme', value: 'dark' });
+    });
+  });
+  
+  describe('from version 2', () => {
+    it('upgrades to the current layout', async () => {
+      const storage = await upgrade(2);
+      
+      assert.deepEqual(readLayout(storage.db), DB.SCHEMA);
+      assert.deepEqual(await readSchemaVersion(storage), {
+        value: DB.VERSION,
+        migrations: [3, 4, 5, 6, 7, 8]
+      });
+    });
+    
+    it('moves archers into the first existing competition', async () => {
+      const storage = await upgrade(2);
+      
+      assert.deepEqual(await storage.getAll(DB.STORES.COMPETITIONS), LEGACY_DATABASES[2].competitions.records);
+      
+      const archers = await storage.getAllByIndex(DB.STORES.ARCHERS, 'competitionId', 4);
+      assert.deepEqual(withoutKeys(archers), LEGACY_DATABASES[2].archers.records);
+      assert.equal((await storage.getAll(DB.STORES.ARCHERS)).length, archers.length);
+    });
+    
+    it('indexes moved archers by name', async () => {
+      const storage = await upgrade(2);
+      
+      const archers = await storage.getAllByIndex(DB.STORES.ARCHERS, 'name', 'Bob Bowman');
+      assert.equal(archers.length, 1);
+      assert.equal(archers[0].club, 'South Archers');
+    });
+    
+    it('lets an archer enter a second competition after the upgrade', async () => {
+      const storage = await upgrade(2);
+      
+      const id = await storage.add(DB.STORES.ARCHERS, { ...LEGACY_DATABASES[2].archers.records[0], competitionId: 7 });
+      assert.equal(id, 4);
+      assert.equal((await storage.getAllByIndex(DB.STORES.ARCHERS, 'name', 'Ann Archer')).length, 2);
+    });
+  });
+  
+  describe('from version 3', () => {
+    it('upgrades to the current layout', async () => {
+      const storage = await upgrade(3);
+      
+      assert.deepEqual(readLayout(storage.db), DB.SCHEMA);
+      assert.deepEqual(await readSchemaVersion(storage), {
+        value: DB.VERSION,
+        migrations: [4, 5, 6, 7, 8]
+      });
+    });
+    
+    it('leaves archers, competitions and settings as they were', async () => {
+      const storage = await upgrade(3);
+      
+      assert.deepEqual(await storage.getAll(DB.STORES.ARCHERS), LEGACY_DATABASES[3].archers.records);
+      assert.deepEqual(await storage.getAll(DB.STORES.COMPETITIONS), LEGACY_DATABASES[3].competitions.records);
+      assert.deepEqual(await storage.get(DB.STORES.SETTINGS, 'activeCompetitionId'), { key: 'activeCompetitionId', value: 7 });
+    });
+    
+    it('keeps the archer key generator', async () => {
+      const storage = await upgrade(3);
+      
+      assert.equal(await storage.add(DB.STORES.ARCHERS, { name: 'Dan Fletcher', competitionId: 7 }), 6);
+    });
+  });
+  
+  describe('from version 7', () => {
+    it('upgrades to the current layout', async () => {
+      const storage = await upgrade(7);
+      
+      assert.deepEqual(readLayout(storage.db), DB.SCHEMA);
+      assert.deepEqual(await readSchemaVersion(storage), {
+        value: DB.VERSION,
+        migrations: [8]
+      });
+    });
+    
+    it('keys saved competitors by name and membership number, keeping their details', async () => {
+      const storage = await upgrade(7);
+      
+      const competitors = await storage.getAll(DB.STORES.SAVED_COMPETITORS);
+      assert.deepEqual(competitors.map(competitor => competitor.identityKey), ['ann archer#1001', 'bob bowman#']);
+      assert.deepEqual(competitors.map(({ identityKey, ...competitor }) => competitor),
+        LEGACY_DATABASES[7].savedCompetitors.records);
+    });
+    
+    it('stores a namesake with another membership number alongside the saved competitor', async () => {
+      const storage = await upgrade(7);
+      
+      const namesake = { name: 'Ann Archer', membershipId: '2002', category: 'compound', lastUsed: '2026-05-01T09:00:00.000Z' };
+      await storage.add(DB.STORES.SAVED_COMPETITORS, { ...namesake, identityKey: SavedCompetitor.identityKey(namesake) });
+      
+      const competitors = await storage.getAll(DB.STORES.SAVED_COMPETITORS);
+      assert.deepEqual(competitors.filter(competitor => competitor.name === 'Ann Archer').map(competitor => competitor.membershipId),
+        ['1001', '2002']);
+      assert.equal((await storage.get(DB.STORES.SAVED_COMPETITORS, 'ann archer#1001')).handicap, 12);
+    });
+  });
+  
+  describe('failed upgrades', () => {
+    it('rejects a version with no migration and leaves the database as it was', async () => {
+      const dbName = `migration-test-${++databaseCount}`;
+      await seedLegacyDatabase(dbName, 3);
+      
+      const storage = new IndexedDBStorage(dbName, DB.VERSION + 1, DB.SCHEMA);
+      await assert.rejects(storage.open(), new RegExp(`No migration found for database version ${DB.VERSION + 1}`));
+      
+      const db = await openExisting(dbName);
+      assert.equal(db.version, 3);
+      db.close();
+    });
+    
+    it('rolls back earlier steps, including the archer move, when a later migration fails', async () => {
+      const dbName = `migration-test-${++databaseCount}`;
+      await seedLegacyDatabase(dbName, 1);
+      
+      ArcheryMigrations.migrations.push({
+        version: DB.VERSION + 1,
+        description: 'Broken migration',
+        up: () => Promise.reject(new Error('Broken migration'))
+      });
+      
+      try {
+        const storage = new IndexedDBStorage(dbName, DB.VERSION + 1, DB.SCHEMA);
+        await assert.rejects(storage.open(), /Broken migration/);
+      } finally {
+        ArcheryMigrations.migrations.pop();
+      }
+      
+      const db = await openExisting(dbName);
+      assert.equal(db.version, 1);
+      assert.deepEqual([...db.objectStoreNames], ['archers', 'settings']);
+      assert.equal(db.transaction('archers').objectStore('archers').keyPath, 'name');
+      db.close();
+    });
+  });
+});
@@ -0,0 +1,282 @@
+/**
+ * Standings for each results view, including draws and empty groups
+ */
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { RESULT_VIEWS } from '../js/constants.js';
+import { SavedCompetitor } from '../js/models.js';
+import { ResultsEngine } from '../js/results-engine.js';
+import { MemoryStorage } from '../js/storage-adapters.js';
+
+/**
+ * Build an archer score
+ * @param {string} name - Archer name
+ * @param {number} total - Total score
+ * @param {string} category - Bow category
+ * @param {string} age - Age class
+ * @param {Object} extra - Extra fields, e.g. shootOff
+ * @returns {Object} Archer score
+ */
+function archer(name, total, category = 'Recurve', age = '4. Adult Female', extra = {}) {
+  return { name, category, age, total, ...extra };
+}
+
+/**
+ * Reduce standings groups to titles and [name, position, score] rows
+ * @param {Array} groups - Standings groups
+ * @returns {Array} Groups of { title, entries }
+ */
+function summarise(groups) {
+  return groups.map(group => ({
+    title: group.title,
+    entries: group.entries.map(entry => [entry.archer.name, entry.position, entry.score])
+  }));
+}
+
+/**
+ * Build handicaps keyed the way ArcheryDataService.getHandicaps keys them
+ * @param {Array} entries - [name, handicap] or [name, membershipId, handicap] pairs
+ * @returns {Map} Handicaps keyed by SavedCompetitor.identityKey
+ */
+function handicapsFor(entries) {
+  return new Map(entries.map(entry => {
+    const [name, membershipId, handicap] = entry.length === 2 ? [entry[0], '', entry[1]] : entry;
+    return [SavedCompetitor.identityKey({ name, membershipId }), handicap];
+  }));
+}
+
+const field = [
+  archer('Ann', 300, 'Recurve', '4. Adult Female'),
+  archer('Bob', 310, 'Compound', '4. Adult Male'),
+  archer('Cat', 290, 'Compound', '4. Adult Female'),
+  archer('Dan', 280, 'Recurve', '4. Adult Male'),
+  archer('Eve', 270, 'Recurve', '4. Adult Female'),
+  archer('Fin', 260, 'Barebow', 'Open')
+];
+
+describe('ResultsEngine.getStandings', () => {
+  describe('with no scores', () => {
+    Object.values(RESULT_VIEWS).forEach(view => {
+      it(`returns no groups, exclusions or draws in the ${view} view`, () => {
+        assert.deepEqual(ResultsEngine.getStandings(view, [], null), { view, groups: [], excluded: [], draws: [] });
+      });
+    });
+  });
+  
+  describe('by division', () => {
+    it('is the default view', () => {
+      assert.equal(ResultsEngine.getStandings('unknown', field, null).view, RESULT_VIEWS.DIVISIONS);
+    });
+    
+    it('ranks each division, ordered by category then age class', () => {
+      const standings = ResultsEngine.getStandings(RESULT_VIEWS.DIVISIONS, field, null);
+      
+      assert.deepEqual(summarise(standings.groups), [
+        { title: 'Barebow - Open', entries: [['Fin', 1, 260]] },
+        { title: 'Compound - 4. Adult Female', entries: [['Cat', 1, 290]] },
+        { title: 'Compound - 4. Adult Male', entries: [['Bob', 1, 310]] },
+        { title: 'Recurve - 4. Adult Female', entries: [['Ann', 1, 300], ['Eve', 2, 270]] },
+        { title: 'Recurve - 4. Adult Male', entries: [['Dan', 1, 280]] }
+      ]);
+      assert.equal(standings.groups[0].id, 'Barebow-Open');
+      assert.deepEqual(standings.draws, []);
+    });
+    
+    it('reports a three-way draw for first once, with every drawn archer', () => {
+      const standings = ResultsEngine.getStandings(RESULT_VIEWS.DIVISIONS, [
+        archer('Ann', 300),
+        archer('Bob', 300),
+        archer('Cat', 300),
+        archer('Dan', 280)
+      ], null);
+      
+      assert.deepEqual(summarise(standings.groups)[0].entries, [
+        ['Ann', 1, 300], ['Bob', 1, 300], ['Cat', 1, 300], ['Dan', 4, 280]
+      ]);
+      assert.equal(standings.draws.length, 1);
+      assert.equal(standings.draws[0].position, 1);
+      assert.equal(standings.draws[0].score, 300);
+      assert.deepEqual(standings.draws[0].archers.map(drawn => drawn.name), ['Ann', 'Bob', 'Cat']);
+    });
+    
+    it('only reports the place still drawn after a partial shoot-off', () => {
+      const standings = ResultsEngine.getStandings(RESULT_VIEWS.DIVISIONS, [
+        archer('Ann', 300, 'Recurve', '4. Adult Female', { shootOff: [8] }),
+        archer('Bob', 300, 'Recurve', '4. Adult Female', { shootOff: [10] }),
+        archer('Cat', 300, 'Recurve', '4. Adult Female', { shootOff: [8] })
+      ], null);
+      
+      assert.deepEqual(summarise(standings.groups)[0].entries, [['Bob', 1, 300], ['Ann', 2, 300], ['Cat', 2, 300]]);
+      assert.deepEqual(standings.draws.map(draw => [draw.position, draw.archers.map(drawn => drawn.name)]), [
+        [2, ['Ann', 'Cat']]
+      ]);
+    });
+    
+    it('reports draws in each division separately and ignores ties below the podium', () => {
+      const standings = ResultsEngine.getStandings(RESULT_VIEWS.DIVISIONS, [
+        archer('Ann', 300),
+        archer('Bob', 290),
+        archer('Cat', 280),
+        archer('Dan', 270),
+        archer('Eve', 270),
+        archer('Fay', 250, 'Compound'),
+        archer('Gus', 250, 'Compound')
+      ], null);
+      
+      assert.deepEqual(standings.draws.map(draw => [draw.category, draw.position]), [['Compound', 1]]);
+    });
+  });
+  
+  describe('overall by gender', () => {
+    it('ranks across divisions with Gents before Ladies and unassigned age classes last', () => {
+      const standings = ResultsEngine.getStandings(RESULT_VIEWS.OVERALL, field, null);
+      
+      assert.deepEqual(summarise(standings.groups), [
+        { title: 'Overall - Gents', entries: [['Bob', 1, 310], ['Dan', 2, 280]] },
+        { title: 'Overall - Ladies', entries: [['Ann', 1, 300], ['Cat', 2, 290], ['Eve', 3, 270]] },
+        { title: 'Overall - Age class without a gender', entries: [['Fin', 1, 260]] }
+      ]);
+      assert.deepEqual(standings.groups.map(group => group.id), ['male', 'female', 'unassigned']);
+    });
+    
+    it('leaves out genders nobody entered', () => {
+      const standings = ResultsEngine.getStandings(RESULT_VIEWS.OVERALL, [archer('Ann', 300), archer('Eve', 270)], null);
+      
+      assert.deepEqual(standings.groups.map(group => group.id), ['female']);
+    });
+    
+    it('shares positions in a draw without reporting it as a shoot-off', () => {
+      const standings = ResultsEngine.getStandings(RESULT_VIEWS.OVERALL, [
+        archer('Ann', 300, 'Recurve'),
+        archer('Cat', 300, 'Compound'),
+        archer('Eve', 300, 'Barebow', '2. Junior Female')
+      ], null);
+      
+      assert.deepEqual(summarise(standings.groups)[0].entries.map(([, position]) => position), [1, 1, 1]);
+      assert.deepEqual(standings.draws, []);
+    });
+  });
+  
+  describe('handicap', () => {
+    it('ranks on the total adjusted by each handicap', () => {
+      const handicaps = handicapsFor([['Ann', 0], ['Bob', -40], ['Eve', 45]]);
+      const standings = ResultsEngine.getStandings(RESULT_VIEWS.HANDICAP, field, null, handicaps);
+      
+      assert.deepEqual(summarise(standings.groups), [
+        { title: 'Handicap', entries: [['Eve', 1, 315], ['Ann', 2, 300], ['Bob', 3, 270]] }
+      ]);
+      assert.deepEqual(standings.groups[0].entries.map(entry => entry.handicap), [45, 0, -40]);
+      assert.equal(standings.groups[0].entries[0].archer, field[4]);
+    });
+    
+    it('excludes archers without a handicap', () => {
+      const handicaps = handicapsFor([['Ann', 10]]);
+      const standings = ResultsEngine.getStandings(RESULT_VIEWS.HANDICAP, field, null, handicaps);
+      
+      assert.deepEqual(standings.excluded.map(excluded => excluded.name), ['Bob', 'Cat', 'Dan', 'Eve', 'Fin']);
+    });
+    
+    describe('with namesakes saved through the data service', () => {
+      let ArcheryDataService;
+      let previousStorage;
+      
+      before(async () => {
+        // The data service registers its globals on window when it loads
+        globalThis.window = globalThis.window || { navigator: { onLine: true }, addEventListener() {}, dispatchEvent() {} };
+        ({ ArcheryDataService } = await import('../js/data-service.js'));
+        previousStorage = ArcheryDataService.storage;
+        ArcheryDataService.storage = new MemoryStorage();
+        await ArcheryDataService.storage.open();
+      });
+      
+      after(() => {
+        ArcheryDataService.storage = previousStorage;
+      });
+      
+      it('keeps both namesakes and gives each their own handicap', async () => {
+        await ArcheryDataService.saveCompetitor({ name: 'Ann', membershipId: '1001', category: 'Recurve', age: '4. Adult Female' });
+        await ArcheryDataService.saveCompetitor({ name: 'Ann', membershipId: '2002', category: 'Compound', age: '4. Adult Female' });
+        await ArcheryDataService.setHandicap(SavedCompetitor.identityKey({ name: 'Ann', membershipId: '1001' }), 20);
+        await ArcheryDataService.setHandicap(SavedCompetitor.identityKey({ name: 'Ann', membershipId: '2002' }), -10);
+        
+        const saved = await ArcheryDataService.getSavedCompetitors();
+        assert.deepEqual(saved.map(competitor => [competitor.membershipId, competitor.handicap]).sort(), [['1001', 20], ['2002', -10]]);
+        
+        const standings = ResultsEngine.getStandings(RESULT_VIEWS.HANDICAP, [
+          archer('Ann', 300, 'Recurve', '4. Adult Female', { membershipId: '1001' }),
+          archer('Ann', 310, 'Compound', '4. Adult Female', { membershipId: '2002' })
+        ], null, await ArcheryDataService.getHandicaps());
+        
+        assert.deepEqual(summarise(standings.groups)[0].entries, [['Ann', 1, 320], ['Ann', 2, 300]]);
+      });
+    });
+    
+    it('gives a handicap only to the archer with the saved competitor\'s membership number', () => {
+      const handicaps = handicapsFor([['Ann', '1001', 20]]);
+      const standings = ResultsEngine.getStandings(RESULT_VIEWS.HANDICAP, [
+        archer('Ann', 300, 'Recurve', '4. Adult Female', { membershipId: '1001' }),
+        archer('Ann', 290, 'Compound', '4. Adult Female', { membershipId: '2002' }),
+        archer('ann ', 280, 'Barebow', '4. Adult Female', { membershipId: ' 1001' })
+      ], null, handicaps);
+      
+      assert.deepEqual(summarise(standings.groups)[0].entries, [['Ann', 1, 320], ['ann ', 2, 300]]);
+      assert.deepEqual(standings.excluded.map(excluded => [excluded.name, excluded.membershipId]), [['Ann', '2002']]);
+    });
+    
+    it('has no group when nobody has a handicap', () => {
+      const standings = ResultsEngine.getStandings(RESULT_VIEWS.HANDICAP, field, null);
+      
+      assert.deepEqual(standings.groups, []);
+      assert.equal(standings.excluded.length, field.length);
+    });
+    
+    it('breaks a podium draw on adjusted totals with the tie-break rules', () => {
+      const handicaps = handicapsFor([['Ann', 10], ['Cat', 20]]);
+      const standings = ResultsEngine.getStandings(RESULT_VIEWS.HANDICAP, [
+        archer('Ann', 300, 'Recurve', '4. Adult Female', { shootOff: [6] }),
+        archer('Cat', 290, 'Compound', '4. Adult Female', { shootOff: [9] })
+      ], null, handicaps);
+      
+      assert.deepEqual(summarise(standings.groups)[0].entries, [['Cat', 1, 310], ['Ann', 2, 310]]);
+      assert.equal(standings.groups[0].entries[0].resolvedBy, 'shoot-off');
+    });
+  });
+});
+
+describe('ResultsEngine.getWinners', () => {
+  it('gives every archer drawn for first', () => {
+    const standings = ResultsEngine.getStandings(RESULT_VIEWS.DIVISIONS, [
+      archer('Ann', 300),
+      archer('Bob', 300),
+      archer('Cat', 250, 'Compound')
+    ], null);
+    
+    assert.deepEqual(ResultsEngine.getWinners(standings).map(winner =>
+      [winner.title, winner.entries.map(entry => entry.archer.name)]), [
+      ['Compound - 4. Adult Female', ['Cat']],
+      ['Recurve - 4. Adult Female', ['Ann', 'Bob']]
+    ]);
+  });
+  
+  it('skips empty groups', () => {
+    assert.deepEqual(ResultsEngine.getWinners({ groups: [{ title: 'Handicap', entries: [] }] }), []);
+    assert.deepEqual(ResultsEngine.getWinners(ResultsEngine.getStandings(RESULT_VIEWS.OVERALL, [], null)), []);
+  });
+});
+
+describe('ResultsEngine.getPodiumOrder', () => {
+  it('puts third, second and first ahead of the rest', () => {
+    assert.deepEqual(ResultsEngine.getPodiumOrder([1, 2, 3, 4, 5]), [3, 2, 1, 4, 5]);
+  });
+  
+  it('reverses groups of fewer than three', () => {
+    assert.deepEqual(ResultsEngine.getPodiumOrder([1, 2]), [2, 1]);
+    assert.deepEqual(ResultsEngine.getPodiumOrder([]), []);
+  });
+  
+  it('does not change the entries passed in', () => {
+    const entries = [1, 2, 3];
+    ResultsEngine.getPodiumOrder(entries);
+    assert.deepEqual(entries, [1, 2, 3]);
+  });
+});
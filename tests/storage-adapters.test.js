@@ -0,0 +1,335 @@
+/**
+ * Shared behaviour suite run against every storage adapter
+ * Each adapter must behave like IndexedDB, so the same tests run against all three
+ */
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import 'fake-indexeddb/auto';
+import { DB, ERRORS } from '../js/constants.js';
+import { Logger } from '../js/utilities.js';
+import { MemoryStorage, LocalStorageStorage, IndexedDBStorage } from '../js/storage-adapters.js';
+import { SavedCompetitor } from '../js/models.js';
+
+Logger.setLevel(Logger.levels.ERROR);
+
+/**
+ * In-memory stand-in for window.localStorage
+ */
+class MemoryLocalStorage {
+  constructor() {
+    this.items = new Map();
+  }
+  
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+  
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+  
+  removeItem(key) {
+    this.items.delete(key);
+  }
+  
+  clear() {
+    this.items.clear();
+  }
+}
+
+/**
+ * Build a saved competitor record, keyed the way the data service keys them
+ * @param {string} name - Competitor name
+ * @returns {Object} Saved competitor record
+ */
+function savedCompetitor(name) {
+  return { identityKey: SavedCompetitor.identityKey({ name }), name };
+}
+
+let databaseCount = 0;
+
+// Each adapter gets a fresh backend per test; reopen() opens a new adapter on the same data
+const adapters = [
+  {
+    name: 'MemoryStorage',
+    persistent: false,
+    create: () => ({ storage: new MemoryStorage(), reopen: null })
+  },
+  {
+    name: 'LocalStorageStorage',
+    persistent: true,
+    create: () => {
+      globalThis.localStorage = new MemoryLocalStorage();
+      return { storage: new LocalStorageStorage(), reopen: () => new LocalStorageStorage() };
+    }
+  },
+  {
+    name: 'IndexedDBStorage',
+    persistent: true,
+    create: () => {
+      const dbName = `storage-adapter-test-${++databaseCount}`;
+      return {
+        storage: new IndexedDBStorage(dbName, DB.VERSION, DB.SCHEMA),
+        reopen: () => new IndexedDBStorage(dbName, DB.VERSION, DB.SCHEMA)
+      };
+    }
+  }
+];
+
+/**
+ * Close an adapter's IndexedDB connection, if it has one
+ * @param {Object} storage - Storage adapter
+ */
+function close(storage) {
+  if (storage && storage.db) {
+    storage.db.close();
+  }
+}
+
+adapters.forEach(adapter => {
+  describe(adapter.name, () => {
+    let storage;
+    let reopen;
+    const opened = [];
+    
+    beforeEach(async () => {
+      ({ storage, reopen } = adapter.create());
+      opened.push(storage);
+      await storage.open();
+    });
+    
+    afterEach(() => {
+      opened.splice(0).forEach(close);
+    });
+    
+    it('starts with empty stores', async () => {
+      assert.deepEqual(await storage.getAll('archers'), []);
+      assert.equal(await storage.get('archers', 1), null);
+    });
+    
+    it('generates keys for auto-increment stores', async () => {
+      const first = await storage.add('archers', { name: 'Ann', competitionId: 1 });
+      const second = await storage.add('archers', { name: 'Bob', competitionId: 1 });
+      
+      assert.equal(first, 1);
+      assert.equal(second, 2);
+      assert.deepEqual(await storage.get('archers', 2), { id: 2, name: 'Bob', competitionId: 1 });
+    });
+    
+    it('ignores a null key on an auto-increment store', async () => {
+      const key = await storage.add('archers', { id: null, name: 'Ann' });
+      
+      assert.equal(key, 1);
+      assert.equal((await storage.get('archers', 1)).name, 'Ann');
+    });
+    
+    it('never reuses a deleted key', async () => {
+      await storage.add('archers', { name: 'Ann' });
+      const second = await storage.add('archers', { name: 'Bob' });
+      await storage.delete('archers', second);
+      
+      assert.equal(await storage.add('archers', { name: 'Cat' }), 3);
+    });
+    
+    it('continues the key generator after an explicit key', async () => {
+      await storage.put('archers', { id: 10, name: 'Ann' });
+      
+      assert.equal(await storage.add('archers', { name: 'Bob' }), 11);
+    });
+    
+    it('returns records ordered by key', async () => {
+      await storage.put('savedCompetitors', savedCompetitor('Cat'));
+      await storage.put('savedCompetitors', savedCompetitor('Ann'));
+      await storage.put('savedCompetitors', savedCompetitor('Bob'));
+      
+      const names = (await storage.getAll('savedCompetitors')).map(record => record.name);
+      assert.deepEqual(names, ['Ann', 'Bob', 'Cat']);
+    });
+    
+    it('returns copies that do not change the stored record', async () => {
+      const key = await storage.add('archers', { name: 'Ann', scores: [10, 9] });
+      const record = await storage.get('archers', key);
+      record.name = 'Changed';
+      record.scores.push(8);
+      
+      assert.deepEqual(await storage.get('archers', key), { id: key, name: 'Ann', scores: [10, 9] });
+    });
+    
+    it('replaces a record on put', async () => {
+      const key = await storage.add('archers', { name: 'Ann', club: 'North' });
+      await storage.put('archers', { id: key, name: 'Ann', club: 'South' });
+      
+      const records = await storage.getAll('archers');
+      assert.equal(records.length, 1);
+      assert.equal(records[0].club, 'South');
+    });
+    
+    it('rejects add with an existing key as a ConstraintError', async () => {
+      await storage.put('savedCompetitors', savedCompetitor('Ann'));
+      
+      await assert.rejects(storage.add('savedCompetitors', savedCompetitor('Ann')), { name: 'ConstraintError' });
+    });
+    
+    it('rejects a duplicate value in a unique index as a ConstraintError', async () => {
+      await storage.add('competitions', { name: 'Club Shoot' });
+      
+      await assert.rejects(storage.add('competitions', { name: 'Club Shoot' }), { name: 'ConstraintError' });
+      assert.equal((await storage.getAll('competitions')).length, 1);
+    });
+    
+    it('lets a record keep its own unique index value on put', async () => {
+      const key = await storage.add('competitions', { name: 'Club Shoot' });
+      await storage.put('competitions', { id: key, name: 'Club Shoot', date: '2026-05-01' });
+      
+      assert.equal((await storage.get('competitions', key)).date, '2026-05-01');
+    });
+    
+    it('rejects a record without a key on a store without a key generator', async () => {
+      await assert.rejects(storage.put('savedCompetitors', { club: 'North' }), { name: 'DataError' });
+    });
+    
+    it('finds records by index', async () => {
+      await storage.add('archers', { name: 'Ann', competitionId: 1 });
+      await storage.add('archers', { name: 'Bob', competitionId: 2 });
+      await storage.add('archers', { name: 'Cat', competitionId: 1 });
+      
+      const names = (await storage.getAllByIndex('archers', 'competitionId', 1)).map(record => record.name);
+      assert.deepEqual(names, ['Ann', 'Cat']);
+      assert.deepEqual(await storage.getAllByIndex('archers', 'competitionId', 3), []);
+    });
+    
+    it('deletes records by index and counts them', async () => {
+      await storage.add('archers', { name: 'Ann', competitionId: 1 });
+      await storage.add('archers', { name: 'Bob', competitionId: 2 });
+      await storage.add('archers', { name: 'Cat', competitionId: 1 });
+      
+      assert.equal(await storage.deleteByIndex('archers', 'competitionId', 1), 2);
+      assert.deepEqual((await storage.getAll('archers')).map(record => record.name), ['Bob']);
+    });
+    
+    it('ignores deleting a missing key', async () => {
+      await storage.add('archers', { name: 'Ann' });
+      await storage.delete('archers', 99);
+      
+      assert.equal((await storage.getAll('archers')).length, 1);
+    });
+    
+    it('clears a store without touching the others', async () => {
+      await storage.add('archers', { name: 'Ann' });
+      await storage.add('competitions', { name: 'Club Shoot' });
+      await storage.clear('archers');
+      
+      assert.deepEqual(await storage.getAll('archers'), []);
+      assert.equal((await storage.getAll('competitions')).length, 1);
+    });
+    
+    it('applies a batch across stores and returns one result per operation', async () => {
+      const results = await storage.batch([
+        { type: 'add', store: 'competitions', record: { name: 'Club Shoot' } },
+        { type: 'add', store: 'archers', record: { name: 'Ann', competitionId: 1 } },
+        { type: 'add', store: 'archers', record: { name: 'Bob', competitionId: 1 } },
+        { type: 'deleteByIndex', store: 'archers', index: 'name', value: 'Bob' },
+        { type: 'put', store: 'savedCompetitors', record: savedCompetitor('Ann') }
+      ]);
+      
+      assert.deepEqual(results, [1, 1, 2, 1, 'ann#']);
+      assert.deepEqual((await storage.getAll('archers')).map(record => record.name), ['Ann']);
+    });
+    
+    it('works out a record from the key an earlier add was given', async () => {
+      await storage.add('archers', { name: 'Ann' });
+      
+      const results = await storage.batch([
+        { type: 'add', store: 'archers', record: { name: 'Bob' } },
+        { type: 'add', store: 'auditLog', record: keys => ({ entityType: 'archers', entityKey: keys[0] }) }
+      ]);
+      
+      assert.deepEqual(results, [2, 1]);
+      assert.equal((await storage.getAll('auditLog'))[0].entityKey, 2);
+    });
+    
+    it('leaves every store untouched when working out a record fails', async () => {
+      await assert.rejects(storage.batch([
+        { type: 'add', store: 'archers', record: { name: 'Ann' } },
+        { type: 'add', store: 'auditLog', record: () => { throw new Error('No entry'); } }
+      ]), /No entry/);
+      
+      assert.deepEqual(await storage.getAll('archers'), []);
+      assert.deepEqual(await storage.getAll('auditLog'), []);
+    });
+    
+    it('leaves every store untouched when a batch hits a constraint error', async () => {
+      await storage.add('competitions', { name: 'Club Shoot' });
+      
+      await assert.rejects(storage.batch([
+        { type: 'add', store: 'archers', record: { name: 'Ann' } },
+        { type: 'add', store: 'competitions', record: { name: 'Club Shoot' } }
+      ]), { name: 'ConstraintError' });
+      
+      assert.deepEqual(await storage.getAll('archers'), []);
+      assert.equal((await storage.getAll('competitions')).length, 1);
+    });
+    
+    it('leaves every store untouched when a batch has an unknown operation', async () => {
+      await assert.rejects(storage.batch([
+        { type: 'put', store: 'savedCompetitors', record: savedCompetitor('Ann') },
+        { type: 'rename', store: 'savedCompetitors' }
+      ]), /Unknown storage operation: rename/);
+      
+      assert.deepEqual(await storage.getAll('savedCompetitors'), []);
+    });
+    
+    it('does not use up keys in a failed batch', async () => {
+      await assert.rejects(storage.batch([
+        { type: 'add', store: 'archers', record: { name: 'Ann' } },
+        { type: 'rename', store: 'archers' }
+      ]));
+      
+      assert.equal(await storage.add('archers', { name: 'Bob' }), 1);
+    });
+    
+    it('rejects an unknown store', async () => {
+      await assert.rejects(storage.getAll('targets'));
+      await assert.rejects(storage.add('targets', { name: 'Ann' }));
+    });
+    
+    if (adapter.persistent) {
+      it('keeps records and key generators when reopened', async () => {
+        await storage.add('archers', { name: 'Ann' });
+        const second = await storage.add('archers', { name: 'Bob' });
+        await storage.delete('archers', second);
+        close(storage);
+        
+        const reopened = reopen();
+        opened.push(reopened);
+        await reopened.open();
+        
+        assert.deepEqual((await reopened.getAll('archers')).map(record => record.name), ['Ann']);
+        assert.equal(await reopened.add('archers', { name: 'Cat' }), 3);
+      });
+    }
+  });
+});
+
+describe('unopened adapters', () => {
+  it('reject reads before open()', async () => {
+    await assert.rejects(new MemoryStorage().getAll('archers'), { message: ERRORS.DB_NOT_INITIALIZED });
+    await assert.rejects(new IndexedDBStorage('never-opened', DB.VERSION, DB.SCHEMA).getAll('archers'), { message: ERRORS.DB_NOT_INITIALIZED });
+  });
+});
+
+describe('LocalStorageStorage with data from older releases', () => {
+  it('keys saved competitors stored by name by their name and membership number', async () => {
+    globalThis.localStorage = new MemoryLocalStorage();
+    localStorage.setItem(DB.LOCAL_STORAGE_KEYS.savedCompetitors, JSON.stringify([
+      { name: 'Ann Archer', membershipId: '1001', handicap: 12 },
+      { name: 'Bob Bowman' }
+    ]));
+    
+    const storage = new LocalStorageStorage();
+    await storage.open();
+    
+    assert.equal((await storage.get(DB.STORES.SAVED_COMPETITORS, 'ann archer#1001')).handicap, 12);
+    assert.equal((await storage.get(DB.STORES.SAVED_COMPETITORS, 'bob bowman#')).name, 'Bob Bowman');
+  });
+});
@@ -0,0 +1,313 @@
+/**
+ * Role checks on changes pushed to the reference sync server, and what it will serve
+ */
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { SHARING } from '../js/constants.js';
+import { Competition } from '../js/models.js';
+
+const APP_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const SERVER = path.join(APP_ROOT, 'server/sync-server.mjs');
+const PORT = 18787;
+const BASE_URL = `http://localhost:${PORT}`;
+
+const OWNER = 'owner@example.org';
+const SCORER = 'scorer@example.org';
+const VIEWER = 'viewer@example.org';
+
+/**
+ * Build a competition record shared with the given members
+ * @param {Object} roles - Roles keyed by email
+ * @returns {Object} Competition record in wire format
+ */
+function sharedCompetition(roles) {
+  const access = {};
+  Object.entries(roles).forEach(([user, role]) => {
+    access[Competition.memberKey(user)] = { user, role, addedAt: '2026-05-01T09:00:00.000Z', addedBy: OWNER };
+  });
+  return { name: 'Club Shoot', date: '2026-05-01', access };
+}
+
+/**
+ * Start the sync server and wait for it to say it is listening
+ * @param {Array} args - Command line arguments
+ * @returns {Promise<ChildProcess>} Promise resolving to the running server
+ */
+async function startServer(args) {
+  const server = spawn(process.execPath, [SERVER, ...args], { stdio: ['ignore', 'pipe', 'inherit'] });
+  
+  await new Promise((resolve, reject) => {
+    server.stdout.on('data', data => {
+      if (data.toString().includes('listening')) resolve();
+    });
+    server.on('exit', code => reject(new Error(`Sync server exited with code ${code}`)));
+  });
+  return server;
+}
+
+/**
+ * Push changes to the server
+ * @param {Array} changes - Changes in wire format
+ * @returns {Promise<Object>} Promise resolving to the response body
+ */
+async function push(changes) {
+  const response = await fetch(`${BASE_URL}/api/changes`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ deviceId: 'test-device', changes })
+  });
+  assert.equal(response.status, 200);
+  return response.json();
+}
+
+/**
+ * Get every record the server holds, keyed by "store:key"
+ * @returns {Promise<Map>} Promise resolving to the stored records
+ */
+async function pullAll() {
+  const response = await fetch(`${BASE_URL}/api/changes?since=0`);
+  const { changes } = await response.json();
+  return new Map(changes.map(change => [`${change.store}:${change.key}`, change.record]));
+}
+
+describe('sync server roles', () => {
+  let server;
+  let dataDir;
+  
+  before(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-server-test-'));
+    server = await startServer(['--port', String(PORT), '--data', path.join(dataDir, 'sync-data.json')]);
+    
+    await push([{
+      store: 'competitions',
+      key: 'shared',
+      record: sharedCompetition({ [OWNER]: SHARING.ROLES.OWNER, [SCORER]: SHARING.ROLES.SCORER, [VIEWER]: SHARING.ROLES.VIEWER }),
+      author: OWNER
+    }, {
+      store: 'competitions',
+      key: 'open',
+      record: { name: 'Open Shoot', date: '2026-05-02' },
+      author: null
+    }, {
+      store: 'archers',
+      key: 'ann',
+      record: { name: 'Ann', competitionSyncId: 'shared', total: 300 },
+      author: SCORER
+    }]);
+  });
+  
+  after(() => {
+    server.kill();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+  
+  it('stores archer changes from scorers and owners', async () => {
+    const result = await push([
+      { store: 'archers', key: 'bob', record: { name: 'Bob', competitionSyncId: 'shared', total: 280 }, author: SCORER },
+      { store: 'archers', key: 'cat', record: { name: 'Cat', competitionSyncId: 'shared', total: 270 }, author: OWNER }
+    ]);
+    
+    assert.deepEqual(result.refused, []);
+    const records = await pullAll();
+    assert.ok(records.has('archers:bob'));
+    assert.ok(records.has('archers:cat'));
+  });
+  
+  it('refuses archer changes from viewers, outsiders and devices nobody is signed in on', async () => {
+    const result = await push([
+      { store: 'archers', key: 'ann', record: { name: 'Ann', competitionSyncId: 'shared', total: 360 }, author: VIEWER },
+      { store: 'archers', key: 'dan', record: { name: 'Dan', competitionSyncId: 'shared', total: 250 }, author: 'stranger@example.org' },
+      { store: 'archers', key: 'ann', record: null, removedAt: '2026-05-01T12:00:00.000Z', author: null }
+    ]);
+    
+    assert.deepEqual(result.refused, [
+      { store: 'archers', key: 'ann' },
+      { store: 'archers', key: 'dan' },
+      { store: 'archers', key: 'ann' }
+    ]);
+    const records = await pullAll();
+    assert.equal(records.get('archers:ann').total, 300);
+    assert.ok(!records.has('archers:dan'));
+  });
+  
+  it('refuses moving an archer out of a competition the author cannot score', async () => {
+    const result = await push([
+      { store: 'archers', key: 'ann', record: { name: 'Ann', competitionSyncId: 'open', total: 300 }, author: 'stranger@example.org' }
+    ]);
+    
+    assert.deepEqual(result.refused, [{ store: 'archers', key: 'ann' }]);
+  });
+  
+  it('only lets owners change a shared competition, so nobody can grant themselves a role', async () => {
+    const result = await push([{
+      store: 'competitions',
+      key: 'shared',
+      record: sharedCompetition({ [OWNER]: SHARING.ROLES.OWNER, [SCORER]: SHARING.ROLES.OWNER }),
+      author: SCORER
+    }]);
+    
+    assert.deepEqual(result.refused, [{ store: 'competitions', key: 'shared' }]);
+    const records = await pullAll();
+    assert.equal(Competition.getRole(records.get('competitions:shared'), SCORER), SHARING.ROLES.SCORER);
+  });
+  
+  it('accepts changes from anyone to competitions that are not shared', async () => {
+    const result = await push([
+      { store: 'competitions', key: 'open', record: { name: 'Open Shoot', date: '2026-05-03' }, author: null },
+      { store: 'archers', key: 'eve', record: { name: 'Eve', competitionSyncId: 'open', total: 240 }, author: 'stranger@example.org' },
+      { store: 'savedCompetitors', key: 'Eve', record: { name: 'Eve' }, author: null }
+    ]);
+    
+    assert.deepEqual(result.refused, []);
+  });
+  
+  it('checks archers against a competition pushed earlier in the same batch', async () => {
+    const result = await push([
+      { store: 'competitions', key: 'new', record: sharedCompetition({ [OWNER]: SHARING.ROLES.OWNER }), author: OWNER },
+      { store: 'archers', key: 'fay', record: { name: 'Fay', competitionSyncId: 'new', total: 230 }, author: SCORER }
+    ]);
+    
+    assert.deepEqual(result.refused, [{ store: 'archers', key: 'fay' }]);
+  });
+  
+  it('answers a malformed path with 400 and keeps running', async () => {
+    const response = await fetch(`${BASE_URL}/%`);
+    assert.equal(response.status, 400);
+    
+    const health = await fetch(`${BASE_URL}/api/health`);
+    assert.equal(health.status, 200);
+  });
+});
+
+describe('sync server with an access token', () => {
+  const port = PORT + 1;
+  const baseUrl = `http://localhost:${port}`;
+  const token = 'club-secret';
+  // Kept inside the app folder on purpose, to check it is still not served
+  const dataFile = path.join(APP_ROOT, `sync-test-${process.pid}.json`);
+  let server;
+  
+  before(async () => {
+    server = await startServer(['--port', String(port), '--data', dataFile, '--token', token]);
+    
+    const response = await fetch(`${baseUrl}/api/changes`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify({ deviceId: 'test-device', changes: [{ store: 'archers', key: 'ann', record: { name: 'Ann' } }] })
+    });
+    assert.equal(response.status, 200);
+  });
+  
+  after(() => {
+    server.kill();
+    fs.rmSync(dataFile, { force: true });
+  });
+  
+  it('refuses the app and the API without the token', async () => {
+    assert.equal((await fetch(`${baseUrl}/`)).status, 401);
+    assert.equal((await fetch(`${baseUrl}/index.html`)).status, 401);
+    assert.equal((await fetch(`${baseUrl}/api/changes?since=0`)).status, 401);
+  });
+  
+  it('serves the app with the token and remembers it in a cookie for the page\'s other files', async () => {
+    const page = await fetch(`${baseUrl}/?token=${token}`);
+    assert.equal(page.status, 200);
+    
+    const cookie = page.headers.get('set-cookie').split(';')[0];
+    const script = await fetch(`${baseUrl}/js/constants.js`, { headers: { Cookie: cookie } });
+    assert.equal(script.status, 200);
+    
+    const api = await fetch(`${baseUrl}/api/changes?since=0`, { headers: { Cookie: cookie } });
+    assert.equal(api.status, 401);
+  });
+  
+  it('never serves the data file or its temporary copy, even inside the app folder', async () => {
+    assert.ok(fs.existsSync(dataFile));
+    
+    for (const name of [path.basename(dataFile), `${path.basename(dataFile)}.tmp`]) {
+      const response = await fetch(`${baseUrl}/${name}?token=${token}`);
+      assert.equal(response.status, 403);
+    }
+  });
+});
+
+describe('sync server with per-user tokens', () => {
+  const port = PORT + 2;
+  const baseUrl = `http://localhost:${port}`;
+  const tokens = { [OWNER]: 'owner-token', [SCORER]: 'scorer-token' };
+  let server;
+  let dataDir;
+  
+  /**
+   * Push changes to the server with a user's token
+   * @param {string} token - Access token
+   * @param {Array} changes - Changes in wire format
+   * @returns {Promise<Object>} Promise resolving to the response body
+   */
+  async function pushWith(token, changes) {
+    const response = await fetch(`${baseUrl}/api/changes`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify({ deviceId: 'test-device', changes })
+    });
+    assert.equal(response.status, 200);
+    return response.json();
+  }
+  
+  before(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-server-test-'));
+    const usersFile = path.join(dataDir, 'users.json');
+    fs.writeFileSync(usersFile, JSON.stringify(tokens));
+    server = await startServer(['--port', String(port), '--data', path.join(dataDir, 'sync-data.json'), '--users', usersFile]);
+    
+    await pushWith(tokens[OWNER], [{
+      store: 'competitions',
+      key: 'shared',
+      record: sharedCompetition({ [OWNER]: SHARING.ROLES.OWNER, [SCORER]: SHARING.ROLES.SCORER }),
+      author: OWNER
+    }]);
+  });
+  
+  after(() => {
+    server.kill();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+  
+  it('tells a device whose token it is', async () => {
+    const response = await fetch(`${baseUrl}/api/health`, { headers: { Authorization: `Bearer ${tokens[SCORER]}` } });
+    const health = await response.json();
+    
+    assert.equal(health.user, SCORER);
+    assert.equal(health.verified, true);
+  });
+  
+  it('refuses unknown tokens', async () => {
+    const response = await fetch(`${baseUrl}/api/health`, { headers: { Authorization: 'Bearer guess' } });
+    assert.equal(response.status, 401);
+  });
+  
+  it('goes by the token rather than the author a device names', async () => {
+    const result = await pushWith(tokens[SCORER], [{
+      store: 'competitions',
+      key: 'shared',
+      record: sharedCompetition({ [OWNER]: SHARING.ROLES.OWNER, [SCORER]: SHARING.ROLES.OWNER }),
+      author: OWNER
+    }, {
+      store: 'archers',
+      key: 'ann',
+      record: { name: 'Ann', competitionSyncId: 'shared', total: 300 },
+      author: VIEWER
+    }]);
+    
+    assert.deepEqual(result.refused, [{ store: 'competitions', key: 'shared' }]);
+    const { changes } = await (await fetch(`${baseUrl}/api/changes?since=0`, {
+      headers: { Authorization: `Bearer ${tokens[OWNER]}` }
+    })).json();
+    assert.equal(changes.find(change => change.key === 'ann').author, SCORER);
+  });
+});
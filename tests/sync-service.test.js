@@ -0,0 +1,106 @@
+/**
+ * How the sync service handles changes the backend refuses to store
+ */
+import { describe, it, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { DB } from '../js/constants.js';
+import { Logger } from '../js/utilities.js';
+
+// The sync service reads the browser's online state when it loads
+globalThis.window = globalThis.window || { navigator: { onLine: true }, addEventListener() {}, dispatchEvent() {} };
+
+// Refused changes are logged as warnings on purpose
+Logger.setLevel(Logger.levels.ERROR + 1);
+
+let ArcherySyncService;
+let ArcheryDataService;
+
+const COMPETITION = { id: 7, syncId: 'shared', name: 'Club Shoot' };
+const ARCHERS = [
+  { id: 1, syncId: 'ann', competitionId: 7, name: 'Ann', total: 300 },
+  { id: 2, syncId: 'bob', competitionId: 7, name: 'Bob', total: 280 }
+];
+
+describe('ArcherySyncService with refused changes', () => {
+  let pushed;
+  let stamped;
+  let removedEntries;
+  let statuses;
+  
+  before(async () => {
+    ({ ArcherySyncService } = await import('../js/sync-service.js'));
+    ({ ArcheryDataService } = await import('../js/data-service.js'));
+  });
+  
+  beforeEach(() => {
+    pushed = [];
+    stamped = [];
+    removedEntries = [];
+    statuses = [];
+    
+    mock.method(ArcheryDataService, 'getCurrentUser', () => 'viewer@example.org');
+    mock.method(ArcheryDataService, 'getSyncOutbox', async () => [
+      { id: 11, store: DB.STORES.ARCHERS, key: 1 },
+      { id: 12, store: DB.STORES.ARCHERS, key: 2 }
+    ]);
+    mock.method(ArcheryDataService, 'getSyncRecords', async () => ({
+      [DB.STORES.COMPETITIONS]: [COMPETITION],
+      [DB.STORES.ARCHERS]: ARCHERS,
+      [DB.STORES.SAVED_COMPETITORS]: []
+    }));
+    mock.method(ArcheryDataService, 'updateSyncMetadata', async items => { stamped.push(...items); });
+    mock.method(ArcheryDataService, 'removeSyncOutboxEntries', async ids => { removedEntries.push(...ids); });
+    mock.method(ArcherySyncService, 'showSyncStatus', (message, status) => statuses.push({ message, status }));
+    mock.method(ArcherySyncService, 'publishStatus', () => {});
+    
+    ArcherySyncService.conflicts = [];
+    ArcherySyncService.refusedChanges = new Map();
+    ArcherySyncService.backend = {
+      push: async changes => {
+        pushed.push(...changes);
+        return { cursor: 2, refused: [{ store: DB.STORES.ARCHERS, key: 'bob' }] };
+      }
+    };
+  });
+  
+  afterEach(() => {
+    mock.restoreAll();
+    ArcherySyncService.backend = null;
+  });
+  
+  it('keeps the outbox entry and the old revision of a refused change', async () => {
+    await ArcherySyncService.replayOutbox();
+    
+    assert.deepEqual(pushed.map(change => change.key), ['ann', 'bob']);
+    assert.deepEqual(removedEntries, [11]);
+    assert.deepEqual(stamped.map(item => item.key), [1]);
+    assert.deepEqual([...ArcherySyncService.refusedChanges.keys()], ['archers:bob']);
+  });
+  
+  it('stamps and removes everything when nothing is refused', async () => {
+    ArcherySyncService.backend.push = async changes => ({ cursor: 2, refused: [] });
+    
+    await ArcherySyncService.replayOutbox();
+    
+    assert.deepEqual(removedEntries, [11, 12]);
+    assert.deepEqual(stamped.map(item => item.key), [1, 2]);
+    assert.equal(ArcherySyncService.refusedChanges.size, 0);
+  });
+  
+  it('reports refused changes in the sync status', async () => {
+    mock.method(ArcherySyncService, 'pullChanges', async () => {});
+    ArcherySyncService.currentUser = { email: 'viewer@example.org' };
+    ArcherySyncService.isOnline = true;
+    ArcherySyncService.cursor = 2;
+    
+    try {
+      await ArcherySyncService.syncData();
+    } finally {
+      ArcherySyncService.currentUser = null;
+    }
+    
+    const last = statuses[statuses.length - 1];
+    assert.equal(last.status, 'warning');
+    assert.match(last.message, /1 change was refused/);
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * Ranking and draw resolution within a division
+ * Archers are ranked under the default IFAA round, whose top two arrow values are 20 and 18
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TIE_BREAK_RULES } from '../js/constants.js';
+import { TieBreak } from '../js/tie-break.js';
+
+/**
+ * Build an archer score
+ * @param {string} name - Archer name
+ * @param {number} total - Total score
+ * @param {Object} extra - Extra fields, e.g. scoresheet or shootOff
+ * @returns {Object} Archer score
+ */
+function archer(name, total, extra = {}) {
+  return { name, category: 'Recurve', age: '4. Adult Female', total, ...extra };
+}
+
+/**
+ * Build a one-day scoresheet holding the given arrows on a single target
+ * @param {...number} arrows - Arrow values
+ * @returns {Object} Scoresheet
+ */
+function scoresheet(...arrows) {
+  return { 1: [arrows] };
+}
+
+/**
+ * Reduce ranked entries to the fields under test
+ * @param {Array} entries - Entries from rankArchers
+ * @returns {Array} Entries of { name, position, tied, resolvedBy }
+ */
+function summarise(entries) {
+  return entries.map(({ archer: { name }, position, tied, resolvedBy }) => ({ name, position, tied, resolvedBy }));
+}
+
+describe('TieBreak.rankArchers', () => {
+  it('returns no entries for no archers', () => {
+    assert.deepEqual(TieBreak.rankArchers([], null), []);
+  });
+  
+  it('ranks archers by total', () => {
+    const entries = TieBreak.rankArchers([archer('Bob', 300), archer('Ann', 320), archer('Cat', 280)], null);
+    
+    assert.deepEqual(summarise(entries), [
+      { name: 'Ann', position: 1, tied: false, resolvedBy: null },
+      { name: 'Bob', position: 2, tied: false, resolvedBy: null },
+      { name: 'Cat', position: 3, tied: false, resolvedBy: null }
+    ]);
+  });
+  
+  it('breaks a podium tie on the most top-value arrows', () => {
+    const entries = TieBreak.rankArchers([
+      archer('Bob', 56, { scoresheet: scoresheet(20, 18, 18) }),
+      archer('Ann', 56, { scoresheet: scoresheet(20, 20, 16) })
+    ], null);
+    
+    assert.deepEqual(summarise(entries), [
+      { name: 'Ann', position: 1, tied: false, resolvedBy: TIE_BREAK_RULES.TOP_ARROWS },
+      { name: 'Bob', position: 2, tied: false, resolvedBy: TIE_BREAK_RULES.TOP_ARROWS }
+    ]);
+  });
+  
+  it('moves on to the next-value arrows when top arrows are level', () => {
+    const entries = TieBreak.rankArchers([
+      archer('Bob', 56, { scoresheet: scoresheet(20, 16, 10, 10) }),
+      archer('Ann', 56, { scoresheet: scoresheet(20, 18, 18) })
+    ], null);
+    
+    assert.deepEqual(summarise(entries), [
+      { name: 'Ann', position: 1, tied: false, resolvedBy: TIE_BREAK_RULES.NEXT_ARROWS },
+      { name: 'Bob', position: 2, tied: false, resolvedBy: TIE_BREAK_RULES.NEXT_ARROWS }
+    ]);
+  });
+  
+  it('leaves a three-way draw unresolved when no rule separates it', () => {
+    const entries = TieBreak.rankArchers([
+      archer('Ann', 300),
+      archer('Bob', 300),
+      archer('Cat', 300),
+      archer('Dan', 250)
+    ], null);
+    
+    assert.deepEqual(summarise(entries), [
+      { name: 'Ann', position: 1, tied: true, resolvedBy: null },
+      { name: 'Bob', position: 1, tied: true, resolvedBy: null },
+      { name: 'Cat', position: 1, tied: true, resolvedBy: null },
+      { name: 'Dan', position: 4, tied: false, resolvedBy: null }
+    ]);
+  });
+  
+  it('keeps the unseparated archers of a partly resolved three-way draw level', () => {
+    const entries = TieBreak.rankArchers([
+      archer('Ann', 300, { shootOff: [8] }),
+      archer('Bob', 300, { shootOff: [10] }),
+      archer('Cat', 300, { shootOff: [8] })
+    ], null);
+    
+    assert.deepEqual(summarise(entries).map(entry => [entry.name, entry.position, entry.tied]), [
+      ['Bob', 1, false],
+      ['Ann', 2, true],
+      ['Cat', 2, true]
+    ]);
+    assert.equal(entries[0].resolvedBy, TIE_BREAK_RULES.SHOOT_OFF);
+  });
+  
+  it('compares shoot-off arrows only as far as both archers have shot', () => {
+    const unfinished = TieBreak.rankArchers([
+      archer('Ann', 300, { shootOff: [10, 10] }),
+      archer('Bob', 300, { shootOff: [10] })
+    ], null);
+    
+    assert.deepEqual(unfinished.map(entry => [entry.position, entry.tied]), [[1, true], [1, true]]);
+    
+    const finished = TieBreak.rankArchers([
+      archer('Ann', 300, { shootOff: [10, 10] }),
+      archer('Bob', 300, { shootOff: [10, 9] })
+    ], null);
+    
+    assert.deepEqual(summarise(finished).map(entry => [entry.name, entry.position, entry.tied]), [
+      ['Ann', 1, false],
+      ['Bob', 2, false]
+    ]);
+  });
+  
+  it('only counts arrows when every tied archer has a scoresheet', () => {
+    const entries = TieBreak.rankArchers([
+      archer('Ann', 60, { scoresheet: scoresheet(20, 20, 20), shootOff: [9] }),
+      archer('Bob', 60, { shootOff: [10] })
+    ], null);
+    
+    assert.deepEqual(summarise(entries).map(entry => [entry.name, entry.position, entry.resolvedBy]), [
+      ['Bob', 1, TIE_BREAK_RULES.SHOOT_OFF],
+      ['Ann', 2, TIE_BREAK_RULES.SHOOT_OFF]
+    ]);
+  });
+  
+  it('uses only the rules configured for the competition', () => {
+    const archers = [
+      archer('Ann', 54, { scoresheet: scoresheet(20, 20, 14), shootOff: [9] }),
+      archer('Bob', 54, { scoresheet: scoresheet(18, 18, 18), shootOff: [10] })
+    ];
+    
+    assert.deepEqual(TieBreak.rankArchers(archers, null).map(entry => entry.archer.name), ['Ann', 'Bob']);
+    
+    const entries = TieBreak.rankArchers(archers, { tieBreakRules: [TIE_BREAK_RULES.SHOOT_OFF] });
+    assert.deepEqual(entries.map(entry => entry.archer.name), ['Bob', 'Ann']);
+    assert.equal(entries[0].resolvedBy, TIE_BREAK_RULES.SHOOT_OFF);
+  });
+  
+  it('breaks a tie that starts on the last podium place', () => {
+    const entries = TieBreak.rankArchers([
+      archer('Ann', 320),
+      archer('Bob', 310),
+      archer('Cat', 300, { shootOff: [6] }),
+      archer('Dan', 300, { shootOff: [9] })
+    ], null);
+    
+    assert.deepEqual(summarise(entries).slice(2).map(entry => [entry.name, entry.position, entry.tied]), [
+      ['Dan', 3, false],
+      ['Cat', 4, false]
+    ]);
+  });
+  
+  it('lets archers below the podium share a position', () => {
+    const entries = TieBreak.rankArchers([
+      archer('Ann', 320),
+      archer('Bob', 310),
+      archer('Cat', 305),
+      archer('Dan', 300, { shootOff: [6] }),
+      archer('Eve', 300, { shootOff: [9] }),
+      archer('Fay', 290)
+    ], null);
+    
+    assert.deepEqual(summarise(entries).slice(3), [
+      { name: 'Dan', position: 4, tied: true, resolvedBy: null },
+      { name: 'Eve', position: 4, tied: true, resolvedBy: null },
+      { name: 'Fay', position: 6, tied: false, resolvedBy: null }
+    ]);
+  });
+});
+
+describe('TieBreak.findUnresolvedDraws', () => {
+  it('reports each drawn podium place once per division', () => {
+    const divisions = TieBreak.rankByDivision([
+      archer('Ann', 300),
+      archer('Bob', 300),
+      archer('Cat', 280),
+      archer('Dan', 270),
+      archer('Eve', 270),
+      { ...archer('Fay', 250), category: 'Compound' }
+    ], null);
+    
+    const draws = TieBreak.findUnresolvedDraws(divisions);
+    assert.deepEqual(draws.map(draw => ({ ...draw, archers: draw.archers.map(drawn => drawn.name) })), [
+      { category: 'Recurve', age: '4. Adult Female', position: 1, score: 300, archers: ['Ann', 'Bob'] }
+    ]);
+  });
+  
+  it('finds no draws in empty divisions', () => {
+    assert.deepEqual(TieBreak.findUnresolvedDraws([]), []);
+    assert.deepEqual(TieBreak.findUnresolvedDraws([{ category: 'Recurve', age: '4. Adult Female', entries: [] }]), []);
+  });
+});